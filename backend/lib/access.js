@@ -0,0 +1,63 @@
+import { supabase } from './supabaseClient.js';
+
+// Roles, permissions and which leads each user can see.
+// Reps see the leads assigned to them, managers their own and their reps' leads, admins every lead.
+
+export const ROLES = ['admin', 'manager', 'rep'];
+
+// Actions limited to some roles, with the roles allowed to take them
+const PERMISSIONS = {
+    'leads:delete': ['admin', 'manager'],
+    'leads:purge': ['admin'],
+    'leads:merge': ['admin', 'manager'],
+    'leads:assign': ['admin', 'manager'],
+    'leads:reconcile': ['admin'],
+    'cadences:manage': ['admin'],
+    'users:manage': ['admin']
+};
+
+export const can = (user, permission) => Boolean(user && PERMISSIONS[permission]?.includes(user.role));
+
+export const permissionsFor = (user) => Object.keys(PERMISSIONS).filter(permission => can(user, permission));
+
+// Middleware: respond 403 unless the logged-in user has the permission
+export const requirePermission = (permission) => (req, res, next) => {
+    if (!can(req.user, permission)) {
+        return res.status(403).json({ error: 'You do not have permission to do this' });
+    }
+    next();
+};
+
+// Owner user IDs whose leads the user can access, or null for every lead
+export const getLeadScope = async (user) => {
+    if (user.role === 'admin') return null;
+    if (user.role !== 'manager') return [user.userId];
+
+    const { data: reps, error } = await supabase
+        .from('users')
+        .select('user_id')
+        .eq('manager_id', user.userId);
+
+    if (error) throw error;
+    return [user.userId, ...reps.map(r => r.user_id)];
+};
+
+// Middleware: set req.leadScope for the logged-in user (use after requireAuth)
+export const loadLeadScope = async (req, res, next) => {
+    try {
+        req.leadScope = await getLeadScope(req.user);
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Restrict a Supabase query on the leads table to a scope. Leads in the trash are left out
+// unless trashed is set, which selects only them.
+export const applyLeadScope = (query, scope, { trashed = false } = {}) => {
+    const visible = trashed ? query.not('deleted_at', 'is', null) : query.is('deleted_at', null);
+    return scope ? visible.in('assigned_to', scope) : visible;
+};
+
+// Check a leads row (snake_case) against a scope
+export const isInScope = (lead, scope) => !scope || scope.includes(lead.assigned_to);
@@ -0,0 +1,101 @@
+import { supabase } from './supabaseClient.js';
+
+// Lead ownership: who a user may assign leads to, and automatic distribution of new leads.
+
+// manual: new leads stay with whoever added them; round_robin: rotate across reps;
+// city: per-city owner, falling back to round-robin for cities without a rule
+export const ASSIGNMENT_MODES = ['manual', 'round_robin', 'city'];
+
+// Active users the given user may assign leads to. Admins: everyone; managers: themselves and
+// their team (the lead scope); reps: nobody (their leads are reassigned by a manager).
+export const getAssignees = async (user, scope) => {
+    if (user.role === 'rep') return [];
+
+    let query = supabase
+        .from('users')
+        .select('user_id, name, role')
+        .eq('is_active', true)
+        .order('name', { ascending: true });
+
+    if (scope) query = query.in('user_id', scope);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    return data.map(u => ({ userId: u.user_id, name: u.name, role: u.role }));
+};
+
+// Helper: Check an assignee from a request body; pushes an error if the user can't assign to them
+export const validateAssignee = async (user, scope, assigneeId, errors) => {
+    const assignees = await getAssignees(user, scope);
+    if (!assignees.some(a => a.userId === assigneeId)) {
+        errors.push('assignedTo must be an active user you can assign leads to');
+    }
+};
+
+export const getAssignmentSettings = async () => {
+    const { data: settings, error } = await supabase
+        .from('assignment_settings')
+        .select('mode')
+        .maybeSingle();
+
+    if (error) throw error;
+
+    const { data: rules, error: rulesError } = await supabase
+        .from('assignment_city_rules')
+        .select('city, user_id')
+        .order('city', { ascending: true });
+
+    if (rulesError) throw rulesError;
+
+    return {
+        mode: settings?.mode || 'manual',
+        cityRules: rules.map(r => ({ city: r.city, userId: r.user_id }))
+    };
+};
+
+// Set assigned_to on new leads (snake_case rows) that don't already have an owner.
+// Leads added by reps stay with them; otherwise the configured mode decides, and the
+// creator is the fallback when no rule or rep is available.
+export const assignNewLeads = async (leads, creator) => {
+    const unassigned = leads.filter(lead => !lead.assigned_to);
+    const keep = () => unassigned.forEach(lead => { lead.assigned_to = creator.userId; });
+
+    if (unassigned.length === 0) return;
+    if (creator.role === 'rep') return keep();
+
+    const { mode, cityRules } = await getAssignmentSettings();
+    if (mode === 'manual') return keep();
+
+    let pending = unassigned;
+    if (mode === 'city' && cityRules.length > 0) {
+        const { data: activeUsers, error } = await supabase
+            .from('users')
+            .select('user_id')
+            .eq('is_active', true)
+            .in('user_id', cityRules.map(r => r.userId));
+
+        if (error) throw error;
+
+        const active = new Set(activeUsers.map(u => u.user_id));
+        const ownerByCity = new Map(cityRules.filter(r => active.has(r.userId)).map(r => [r.city, r.userId]));
+        pending = [];
+        for (const lead of unassigned) {
+            const owner = ownerByCity.get(String(lead.city || '').trim().toLowerCase());
+            if (owner) lead.assigned_to = owner;
+            else pending.push(lead);
+        }
+    }
+
+    if (pending.length === 0) return;
+
+    const { data: owners, error: rotationError } = await supabase.rpc('next_round_robin_assignees', {
+        p_count: pending.length
+    });
+
+    if (rotationError) throw rotationError;
+
+    pending.forEach((lead, index) => {
+        lead.assigned_to = owners[index] || creator.userId;
+    });
+};
@@ -0,0 +1,18 @@
+// Row mapping for the lead_audit table.
+
+// Helper: next_follow_up_date -> nextFollowUpDate (audit rows store column names)
+const columnToField = (column) => column.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+
+// Helper: Convert snake_case to camelCase; actorName needs the actor:users(name) embed
+export const toCamelCase = (entry) => ({
+    auditId: entry.audit_id,
+    leadId: entry.lead_id,
+    action: entry.action,
+    field: columnToField(entry.field),
+    oldValue: entry.old_value,
+    newValue: entry.new_value,
+    actorId: entry.actor_id,
+    actorName: entry.actor?.name ?? null,
+    followUpId: entry.follow_up_id,
+    changedAt: entry.changed_at
+});
@@ -0,0 +1,102 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import dotenv from 'dotenv';
+import { supabase } from './supabaseClient.js';
+
+// Password hashing, session tokens and the middleware that protects API routes.
+
+dotenv.config();
+
+const BCRYPT_ROUNDS = 12;
+const TOKEN_TTL = process.env.AUTH_TOKEN_TTL || '12h';
+export const MIN_PASSWORD_LENGTH = 8;
+
+// Tokens are signed with AUTH_SECRET. Outside production a random per-process secret is used
+// when it isn't set, so local setups work out of the box (sessions end when the server restarts).
+const authSecret = process.env.AUTH_SECRET || (() => {
+    if (process.env.NODE_ENV === 'production') {
+        console.error('Missing AUTH_SECRET! Please check your .env file.');
+        process.exit(1);
+    }
+    console.warn('AUTH_SECRET not set; using a temporary secret. Sessions will not survive a restart.');
+    return crypto.randomBytes(32).toString('hex');
+})();
+
+// Compared against when an email is unknown, so failed logins take the same time either way
+const DUMMY_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), BCRYPT_ROUNDS);
+
+export const hashPassword = (password) => bcrypt.hash(password, BCRYPT_ROUNDS);
+
+export const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+// Helper: Map a users row to the shape returned by the API (never includes the hash)
+export const toPublicUser = (user) => ({
+    userId: user.user_id,
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    managerId: user.manager_id,
+    inRoundRobin: user.in_round_robin,
+    isActive: user.is_active,
+    timezone: user.timezone ?? null,
+    lastLoginAt: user.last_login_at,
+    createdAt: user.created_at
+});
+
+// Check an email/password pair; returns the users row or null
+export const authenticate = async (email, password) => {
+    const { data: user, error } = await supabase
+        .from('users')
+        .select('*')
+        .eq('email', normalizeEmail(email))
+        .maybeSingle();
+
+    if (error) throw error;
+
+    const matches = await bcrypt.compare(String(password || ''), user ? user.password_hash : DUMMY_HASH);
+    if (!user || !matches || !user.is_active) return null;
+
+    await supabase
+        .from('users')
+        .update({ last_login_at: new Date().toISOString() })
+        .eq('user_id', user.user_id);
+
+    return user;
+};
+
+export const signToken = (user) => jwt.sign({ sub: user.user_id }, authSecret, { expiresIn: TOKEN_TTL });
+
+// Middleware: require a valid "Authorization: Bearer <token>" header for an active user.
+// Sets req.user to the public user.
+export const requireAuth = async (req, res, next) => {
+    try {
+        const [scheme, token] = (req.headers.authorization || '').split(' ');
+        if (scheme !== 'Bearer' || !token) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+
+        let payload;
+        try {
+            payload = jwt.verify(token, authSecret);
+        } catch {
+            return res.status(401).json({ error: 'Session expired or invalid, please log in again' });
+        }
+
+        const { data: user, error } = await supabase
+            .from('users')
+            .select('*')
+            .eq('user_id', payload.sub)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!user || !user.is_active) {
+            return res.status(401).json({ error: 'Account not found or disabled' });
+        }
+
+        req.user = toPublicUser(user);
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,118 @@
+import { supabase } from './supabaseClient.js';
+import { addDays, dateInTimezone, todayIn, DATE_PATTERN, ORG_TIMEZONE } from './dates.js';
+
+// Follow-up cadence engine: picks the sequence for a status or stage and schedules the next
+// follow-up date from its gaps, moving dates off weekends and holidays where configured.
+// A status sequence takes precedence over a stage sequence when both match.
+
+// Active sequences (snake_case rows) and the set of holiday dates (YYYY-MM-DD)
+export const loadCadences = async () => {
+    const { data: sequences, error } = await supabase
+        .from('cadence_sequences')
+        .select('*')
+        .eq('is_active', true)
+        .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    const { data: holidays, error: holidaysError } = await supabase
+        .from('cadence_holidays')
+        .select('holiday_date');
+
+    if (holidaysError) throw holidaysError;
+
+    return { sequences, holidays: new Set(holidays.map(h => h.holiday_date)) };
+};
+
+export const findSequence = (sequences, { status, stage }) =>
+    sequences.find(s => s.trigger_type === 'status' && s.trigger_values.includes(status))
+    || sequences.find(s => s.trigger_type === 'stage' && s.trigger_values.includes(stage))
+    || null;
+
+// Helper: Active sequences other than the given one that already use one of its trigger values
+export const findTriggerConflicts = (sequences, candidate) => sequences.filter(s =>
+    s.sequence_id !== candidate.sequence_id
+    && s.is_active
+    && s.trigger_type === candidate.trigger_type
+    && s.trigger_values.some(value => candidate.trigger_values.includes(value)));
+
+// Helper: First date on or after date that the sequence allows a follow-up on
+const nextWorkingDay = (date, sequence, holidays) => {
+    let day = date;
+    // Bounded so a misconfigured holiday list can't loop forever
+    for (let i = 0; i < 366; i++) {
+        const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+        const isWeekend = weekday === 0 || weekday === 6;
+        if (!(sequence.skip_weekends && isWeekend) && !(sequence.skip_holidays && holidays.has(day))) break;
+        day = addDays(day, 1);
+    }
+    return day;
+};
+
+// Date of the given step counted from fromDate (YYYY-MM-DD), or null once the sequence has ended
+export const scheduleStep = (sequence, step, fromDate, holidays) => {
+    const gap = sequence.gaps[step] ?? sequence.repeat_gap;
+    if (!gap) return null;
+    return nextWorkingDay(addDays(fromDate, gap), sequence, holidays);
+};
+
+// Helper: Step for a new follow-up given the lead's earlier follow-ups (newest first).
+// Continues from the latest follow-up when it was part of the same sequence.
+const nextStep = (sequence, previousFollowUps) => {
+    const [latest] = previousFollowUps;
+    if (!latest) return 0;
+    if (latest.cadence_sequence_id) {
+        return latest.cadence_sequence_id === sequence.sequence_id ? latest.cadence_step + 1 : 0;
+    }
+
+    // Follow-ups logged before steps were recorded: count the run of matching statuses
+    if (sequence.trigger_type !== 'status') return 0;
+    let count = 0;
+    for (const followUp of previousFollowUps) {
+        if (!sequence.trigger_values.includes(followUp.status)) break;
+        count++;
+    }
+    return count;
+};
+
+// Plan a new follow-up on a lead: the matching sequence, its step and the next follow-up date.
+// followUpDate is when the follow-up happened (ISO timestamp or YYYY-MM-DD); gaps count from
+// its day in timezone (the logging user's). Returns null when no active sequence matches.
+export const planFollowUp = async ({ leadId, status, stage, followUpDate, timezone = ORG_TIMEZONE }) => {
+    const { sequences, holidays } = await loadCadences();
+    const sequence = findSequence(sequences, { status, stage });
+    if (!sequence) return null;
+
+    const { data: previous, error } = await supabase
+        .from('follow_ups')
+        .select('status, cadence_sequence_id, cadence_step')
+        .eq('lead_id', leadId)
+        .order('follow_up_date', { ascending: false })
+        .limit(100);
+
+    if (error) throw error;
+
+    const step = nextStep(sequence, previous);
+    const fromDay = DATE_PATTERN.test(followUpDate) ? followUpDate : dateInTimezone(followUpDate, timezone);
+    return {
+        sequence,
+        step,
+        nextFollowUpDate: scheduleStep(sequence, step, fromDay, holidays)
+    };
+};
+
+// Fill in next_follow_up_date on new leads (snake_case rows) that don't have one, using the
+// first step of the sequence matching their status or stage, counted from today in timezone
+export const scheduleNewLeads = async (leads, timezone = ORG_TIMEZONE) => {
+    const pending = leads.filter(lead => !lead.next_follow_up_date);
+    if (pending.length === 0) return;
+
+    const { sequences, holidays } = await loadCadences();
+    if (sequences.length === 0) return;
+
+    const today = todayIn(timezone);
+    for (const lead of pending) {
+        const sequence = findSequence(sequences, { status: lead.current_status, stage: lead.lead_stage });
+        if (sequence) lead.next_follow_up_date = scheduleStep(sequence, 0, today, holidays);
+    }
+};
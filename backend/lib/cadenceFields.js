@@ -0,0 +1,108 @@
+import { trimOrNull } from './leadFields.js';
+import { isValidStatus, isValidStage } from './pipeline.js';
+import { DATE_PATTERN } from './dates.js';
+
+// Validation and row mapping for cadence sequences and holidays.
+
+export const CADENCE_TRIGGERS = ['status', 'stage'];
+
+export const MAX_CADENCE_STEPS = 30;
+export const MAX_CADENCE_GAP = 365;
+
+const isGap = (value) => Number.isInteger(value) && value >= 1 && value <= MAX_CADENCE_GAP;
+
+// Helper: Validate a create/update body and build the snake_case columns. On update only the
+// fields present in the body are checked; pass the stored row as existing so trigger values
+// are checked against the sequence's trigger type.
+export const parseSequenceFields = (body, errors, { existing = null } = {}) => {
+    const isNew = !existing;
+    const columns = {};
+
+    if (isNew || body.name !== undefined) {
+        const name = trimOrNull(body.name);
+        if (!name) errors.push('name is required');
+        else if (name.length > 100) errors.push('name must be at most 100 characters');
+        else columns.name = name;
+    }
+
+    if (isNew || body.triggerType !== undefined) {
+        if (!CADENCE_TRIGGERS.includes(body.triggerType)) {
+            errors.push(`triggerType must be one of: ${CADENCE_TRIGGERS.join(', ')}`);
+        } else {
+            columns.trigger_type = body.triggerType;
+        }
+    }
+
+    // Trigger values are re-checked when the trigger type changes
+    if (isNew || body.triggerType !== undefined || body.triggerValues !== undefined) {
+        const triggerType = columns.trigger_type || existing?.trigger_type;
+        const values = body.triggerValues ?? existing?.trigger_values;
+        const isValid = triggerType === 'stage' ? isValidStage : isValidStatus;
+        if (!Array.isArray(values) || values.length === 0) {
+            errors.push('triggerValues must be a non-empty list of statuses or stages');
+        } else if (triggerType) {
+            const unknown = values.filter(value => !isValid(value));
+            if (unknown.length > 0) errors.push(`Unknown ${triggerType} ${unknown.map(v => `'${v}'`).join(', ')}`);
+            else columns.trigger_values = [...new Set(values)];
+        }
+    }
+
+    if (isNew || body.gaps !== undefined) {
+        if (!Array.isArray(body.gaps) || body.gaps.length === 0 || body.gaps.length > MAX_CADENCE_STEPS || !body.gaps.every(isGap)) {
+            errors.push(`gaps must be a list of 1 to ${MAX_CADENCE_STEPS} whole numbers of days between 1 and ${MAX_CADENCE_GAP}`);
+        } else {
+            columns.gaps = body.gaps;
+        }
+    }
+
+    if (body.repeatGap !== undefined) {
+        if (body.repeatGap !== null && !isGap(body.repeatGap)) {
+            errors.push(`repeatGap must be empty or a whole number of days between 1 and ${MAX_CADENCE_GAP}`);
+        } else {
+            columns.repeat_gap = body.repeatGap;
+        }
+    }
+
+    for (const [name, column] of [['skipWeekends', 'skip_weekends'], ['skipHolidays', 'skip_holidays'], ['isActive', 'is_active']]) {
+        if (body[name] === undefined) continue;
+        if (typeof body[name] !== 'boolean') errors.push(`${name} must be true or false`);
+        else columns[column] = body[name];
+    }
+
+    return columns;
+};
+
+// Helper: Validate a holiday body ({ date, name }) and build the row
+export const parseHoliday = (body, errors) => {
+    const date = trimOrNull(body.date);
+    const name = trimOrNull(body.name);
+
+    if (!date || !DATE_PATTERN.test(date) || Number.isNaN(Date.parse(date))) {
+        errors.push('date must be a date in YYYY-MM-DD format');
+    }
+    if (!name) {
+        errors.push('name is required');
+    }
+
+    return { holiday_date: date, name };
+};
+
+// Helper: Convert snake_case to camelCase
+export const toCamelCase = (sequence) => ({
+    sequenceId: sequence.sequence_id,
+    name: sequence.name,
+    triggerType: sequence.trigger_type,
+    triggerValues: sequence.trigger_values,
+    gaps: sequence.gaps,
+    repeatGap: sequence.repeat_gap,
+    skipWeekends: sequence.skip_weekends,
+    skipHolidays: sequence.skip_holidays,
+    isActive: sequence.is_active,
+    createdAt: sequence.created_at,
+    updatedAt: sequence.updated_at
+});
+
+export const holidayToCamelCase = (holiday) => ({
+    date: holiday.holiday_date,
+    name: holiday.name
+});
@@ -0,0 +1,104 @@
+import crypto from 'crypto';
+import { supabase } from './supabaseClient.js';
+import { terminalStatuses } from './pipeline.js';
+import { addDays } from './dates.js';
+
+// iCalendar (RFC 5545) feed of a user's scheduled calls: one all-day event per open lead
+// assigned to them with a next follow-up date. The feed is built on every request, so
+// logging a follow-up or rescheduling a call shows up on the calendar's next refresh.
+
+const FRONTEND_URL = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+const MAX_FEED_EVENTS = 5000;
+
+export const newCalendarToken = () => crypto.randomBytes(24).toString('hex');
+
+// Helper: Escape a TEXT value (backslash, semicolon, comma and newlines)
+const escapeText = (value) => String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Helper: Fold a content line to 75 octets, continuing on lines that start with a space
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+    for (const char of line) {
+        const bytes = Buffer.byteLength(char);
+        const limit = parts.length === 0 ? 75 : 74;
+        if (currentBytes + bytes > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += bytes;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+// Helper: 20261019T083000Z from an ISO timestamp
+const formatTimestamp = (value) => new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Helper: 20261019 from YYYY-MM-DD
+const formatDate = (dateString) => dateString.replace(/-/g, '');
+
+// Build the VEVENT lines for one lead (snake_case row)
+const leadEvent = (lead, now) => {
+    const date = lead.next_follow_up_date.slice(0, 10);
+    const link = `${FRONTEND_URL}/leads/${lead.lead_id}`;
+    const description = [
+        `Phone: ${lead.phone || '-'}`,
+        `Stage: ${lead.lead_stage || '-'}`,
+        `Status: ${lead.current_status || '-'}`,
+        lead.city ? `City: ${lead.city}` : null,
+        link
+    ].filter(Boolean).join('\n');
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:${lead.lead_id}@restroiq`,
+        `DTSTAMP:${formatTimestamp(now)}`,
+        `LAST-MODIFIED:${formatTimestamp(lead.updated_at || now)}`,
+        `DTSTART;VALUE=DATE:${formatDate(date)}`,
+        `DTEND;VALUE=DATE:${formatDate(addDays(date, 1))}`,
+        `SUMMARY:${escapeText(`Call ${lead.restaurant_name}`)}`,
+        `DESCRIPTION:${escapeText(description)}`,
+        `URL:${link}`,
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT'
+    ];
+};
+
+// Build the iCalendar document for a user's calls
+export const buildCalendarFeed = async (user) => {
+    const { data: leads, error } = await supabase
+        .from('leads')
+        .select('lead_id, restaurant_name, phone, city, current_status, lead_stage, next_follow_up_date, updated_at')
+        .eq('assigned_to', user.user_id)
+        .is('deleted_at', null)
+        .not('next_follow_up_date', 'is', null)
+        .not('current_status', 'in', `(${terminalStatuses().map(s => `"${s}"`).join(',')})`)
+        .order('next_follow_up_date', { ascending: true })
+        .limit(MAX_FEED_EVENTS);
+
+    if (error) throw error;
+
+    const now = new Date().toISOString();
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//RestroIQ//Lead CRM//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(`RestroIQ calls - ${user.name}`)}`,
+        'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+        'X-PUBLISHED-TTL:PT1H',
+        ...leads.flatMap(lead => leadEvent(lead, now)),
+        'END:VCALENDAR'
+    ];
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
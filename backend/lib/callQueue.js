@@ -0,0 +1,99 @@
+import { supabase } from './supabaseClient.js';
+import { applyLeadScope } from './access.js';
+import { applyLeadFilters } from './leadQuery.js';
+import { STAGES, terminalStatuses, unansweredStatuses } from './pipeline.js';
+import { toCamelCase } from './leadFields.js';
+import { addDays, callBucket, dateInTimezone, daysBetween, todayIn, toDateOnly } from './dates.js';
+
+// Call queue: a rep's open calls split into overdue, today and upcoming, each ordered by a
+// priority score (0-100, higher first) made of:
+//   - the lead's stage (STAGES[].callPriority: Hot 40, Warm 25, Cold 10)
+//   - days overdue: 3 points a day, up to 30
+//   - lead age: up to 20 points for a lead created today, fading to none at 14 days old
+//   - unanswered attempts: minus 5 for each call in a row that didn't get through, up to 20
+// so hot leads and missed calls come first, fresh leads are called while they're interested
+// and leads that never pick up sink.
+
+export const DEFAULT_UPCOMING_DAYS = 7;
+export const MAX_UPCOMING_DAYS = 31;
+const MAX_QUEUE_CALLS = 1000;
+
+const OVERDUE_POINTS_PER_DAY = 3;
+const MAX_OVERDUE_POINTS = 30;
+const NEW_LEAD_POINTS = 20;
+const NEW_LEAD_DAYS = 14;
+const UNANSWERED_PENALTY = 5;
+const MAX_UNANSWERED_PENALTY = 20;
+
+const QUEUE_COLUMNS = 'lead_id, restaurant_name, phone, city, current_status, lead_stage, next_follow_up_date, ' +
+    'last_follow_up_date, assigned_to, created_at, updated_at';
+
+// A call's priority score and the numbers it was built from
+export const callPriority = ({ stage, daysOverdue, unansweredAttempts, ageDays }) => {
+    const stagePoints = STAGES.find(s => s.value === stage)?.callPriority ?? 0;
+    const overduePoints = Math.min(Math.max(daysOverdue, 0) * OVERDUE_POINTS_PER_DAY, MAX_OVERDUE_POINTS);
+    const agePoints = Math.max(NEW_LEAD_POINTS * (1 - ageDays / NEW_LEAD_DAYS), 0);
+    const unansweredPenalty = Math.min(unansweredAttempts * UNANSWERED_PENALTY, MAX_UNANSWERED_PENALTY);
+    const score = Math.round(stagePoints + overduePoints + agePoints - unansweredPenalty);
+
+    return {
+        score: Math.min(Math.max(score, 0), 100),
+        daysOverdue: Math.max(daysOverdue, 0),
+        unansweredAttempts,
+        ageDays
+    };
+};
+
+// Helper: Calls in a row that didn't get through, by lead ID
+const loadUnansweredAttempts = async (leadIds) => {
+    if (leadIds.length === 0) return new Map();
+    const { data, error } = await supabase.rpc('unanswered_call_attempts', {
+        p_lead_ids: leadIds,
+        p_statuses: unansweredStatuses()
+    });
+
+    if (error) throw error;
+    return new Map(data.map(row => [row.lead_id, row.attempts]));
+};
+
+// Build the queue of open leads in scope, narrowed by the lead list filters, with upcoming
+// calls up to upcomingDays after today (today in timezone). Overdue calls are kept first when
+// there are more than MAX_QUEUE_CALLS.
+export const buildCallQueue = async ({ scope, filters, timezone, upcomingDays = DEFAULT_UPCOMING_DAYS }) => {
+    const today = todayIn(timezone);
+
+    let query = applyLeadScope(supabase.from('leads').select(QUEUE_COLUMNS), scope)
+        .not('current_status', 'in', `(${terminalStatuses().map(s => `"${s}"`).join(',')})`)
+        .lte('next_follow_up_date', addDays(today, upcomingDays));
+    query = applyLeadFilters(query, filters);
+
+    const { data: leads, error } = await query
+        .order('next_follow_up_date', { ascending: true })
+        .order('lead_id', { ascending: true })
+        .limit(MAX_QUEUE_CALLS + 1);
+
+    if (error) throw error;
+
+    const calls = leads.slice(0, MAX_QUEUE_CALLS);
+    const attempts = await loadUnansweredAttempts(calls.map(l => l.lead_id));
+    const queues = { overdue: [], today: [], upcoming: [] };
+
+    for (const lead of calls) {
+        const bucket = callBucket(lead.next_follow_up_date, today);
+        const priority = callPriority({
+            stage: lead.lead_stage,
+            daysOverdue: bucket === 'overdue' ? daysBetween(toDateOnly(lead.next_follow_up_date), today) : 0,
+            unansweredAttempts: attempts.get(lead.lead_id) || 0,
+            ageDays: Math.max(daysBetween(dateInTimezone(lead.created_at, timezone), today), 0)
+        });
+        queues[bucket].push({ ...toCamelCase(lead), priority });
+    }
+
+    for (const queue of Object.values(queues)) {
+        queue.sort((a, b) => b.priority.score - a.priority.score ||
+            a.nextFollowUpDate.localeCompare(b.nextFollowUpDate) ||
+            a.leadId.localeCompare(b.leadId));
+    }
+
+    return { date: today, timezone, queues, truncated: leads.length > MAX_QUEUE_CALLS };
+};
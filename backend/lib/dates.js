@@ -0,0 +1,73 @@
+// Dates and timezones. Two kinds of values are stored:
+//   - date-only fields (next_follow_up_date, cadence holidays): a calendar day, YYYY-MM-DD, with
+//     no time or timezone. Compare and shift them as strings; never pass them through new Date()
+//     and the server's local time.
+//   - timestamps (follow_up_date, last_follow_up_date, created_at, ...): an instant, stored in UTC.
+//     Turn them into a calendar day only in a specific timezone.
+// "Today" is always the day in a user's timezone (theirs if set, otherwise the org's), so the
+// dashboard, the call list and the calendar agree wherever the server runs.
+
+export const DEFAULT_ORG_TIMEZONE = 'Asia/Kolkata';
+
+export const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export const isValidTimezone = (timezone) => {
+    if (typeof timezone !== 'string' || !timezone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+export const ORG_TIMEZONE = (() => {
+    const timezone = process.env.ORG_TIMEZONE;
+    if (!timezone) return DEFAULT_ORG_TIMEZONE;
+    if (!isValidTimezone(timezone)) {
+        console.warn(`ORG_TIMEZONE '${timezone}' is not a valid timezone; using ${DEFAULT_ORG_TIMEZONE}.`);
+        return DEFAULT_ORG_TIMEZONE;
+    }
+    return timezone;
+})();
+
+// The timezone a user's "today" is counted in (public user or users row)
+export const userTimezone = (user) => user?.timezone || ORG_TIMEZONE;
+
+// The calendar day (YYYY-MM-DD) of a timestamp in a timezone
+export const dateInTimezone = (timestamp, timezone = ORG_TIMEZONE) => {
+    // en-CA formats dates as YYYY-MM-DD
+    return new Intl.DateTimeFormat('en-CA', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    }).format(new Date(timestamp));
+};
+
+export const todayIn = (timezone = ORG_TIMEZONE) => dateInTimezone(Date.now(), timezone);
+
+// The YYYY-MM-DD of a date-only field, whether the database returned it as a date or as a
+// midnight timestamp
+export const toDateOnly = (value) => (value ? String(value).slice(0, 10) : null);
+
+// Helper: Add days to a YYYY-MM-DD string
+export const addDays = (dateString, days) => {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+};
+
+// Whole days from one YYYY-MM-DD string to another (negative when to is earlier)
+export const daysBetween = (from, to) =>
+    Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+
+// Where a scheduled call stands relative to today: 'overdue', 'today' or 'upcoming'
+// (null without a date). Used by every view that counts due or overdue calls.
+export const callBucket = (nextFollowUpDate, today) => {
+    const date = toDateOnly(nextFollowUpDate);
+    if (!date) return null;
+    if (date < today) return 'overdue';
+    if (date === today) return 'today';
+    return 'upcoming';
+};
@@ -0,0 +1,93 @@
+import { supabase } from './supabaseClient.js';
+import { toCamelCase } from './leadFields.js';
+import { normalizePhone } from './phone.js';
+
+// Phones shorter than this are too ambiguous to flag as duplicates
+const MIN_PHONE_DIGITS = 7;
+
+// Fields combined by a merge, keyed by camelCase API name
+export const MERGE_FIELDS = {
+    restaurantName: 'restaurant_name',
+    phone: 'phone',
+    city: 'city',
+    contactPerson: 'contact_person',
+    source: 'source',
+    email: 'email',
+    address: 'address',
+    cuisineType: 'cuisine_type',
+    seatingCapacity: 'seating_capacity',
+    outletCount: 'outlet_count',
+    currentPosSystem: 'current_pos_system',
+    notes: 'notes',
+    dealPlan: 'deal_plan',
+    dealValue: 'deal_value',
+    expectedCloseDate: 'expected_close_date',
+    outcomeReason: 'outcome_reason',
+    currentStatus: 'current_status',
+    leadStage: 'lead_stage',
+    nextFollowUpDate: 'next_follow_up_date',
+    lastFollowUpDate: 'last_follow_up_date'
+};
+
+// Find existing leads that look like the same restaurant (same phone, or similar name in the same city)
+export const findDuplicateLeads = async ({ phone, restaurantName, city, excludeLeadId = null, limit = 5 }) => {
+    const phoneDigits = normalizePhone(phone);
+
+    const { data: matches, error: matchError } = await supabase.rpc('find_duplicate_leads', {
+        p_phone_digits: phoneDigits.length >= MIN_PHONE_DIGITS ? phoneDigits : '',
+        p_restaurant_name: restaurantName || '',
+        p_city: city || '',
+        p_exclude_lead_id: excludeLeadId,
+        p_limit: limit
+    });
+
+    if (matchError) throw matchError;
+    if (matches.length === 0) return [];
+
+    const { data: leads, error } = await supabase
+        .from('leads')
+        .select('*')
+        .in('lead_id', matches.map(m => m.lead_id));
+
+    if (error) throw error;
+
+    const leadsById = new Map(leads.map(lead => [lead.lead_id, lead]));
+    return matches
+        .filter(m => leadsById.has(m.lead_id))
+        .map(m => ({
+            ...toCamelCase(leadsById.get(m.lead_id)),
+            matchReason: m.match_reason,
+            score: Math.round(m.score * 100) / 100
+        }));
+};
+
+const isEmpty = (value) => value === null || value === undefined || value === '';
+
+// Helper: Decide each merged field value.
+// choices maps field names to 'target' or 'source'; by default the target's value wins
+// unless it is empty, and the most recent last follow-up date is kept.
+export const buildMerge = (target, source, choices = {}) => {
+    const merged = {};
+    const fieldSources = {};
+    const errors = [];
+
+    for (const [name, column] of Object.entries(MERGE_FIELDS)) {
+        let from = choices[name];
+        if (from !== undefined && !['target', 'source'].includes(from)) {
+            errors.push(`fields.${name} must be 'target' or 'source'`);
+            continue;
+        }
+        if (!from) {
+            if (name === 'lastFollowUpDate') {
+                from = !isEmpty(source[column]) && (isEmpty(target[column]) || source[column] > target[column]) ? 'source' : 'target';
+            } else {
+                from = isEmpty(target[column]) && !isEmpty(source[column]) ? 'source' : 'target';
+            }
+        }
+        const lead = from === 'source' ? source : target;
+        merged[column] = lead[column];
+        fieldSources[name] = lead.lead_id;
+    }
+
+    return { merged, fieldSources, errors };
+};
@@ -0,0 +1,84 @@
+import { trimOrNull, parseFollowUpDate } from './leadFields.js';
+import { isValidStatus, canTransitionStatus, DEFAULT_STATUS } from './pipeline.js';
+
+// Validation and row mapping for the follow_ups table.
+
+// Helper: Validate an edit body (status, notes, followUpDate, nextFollowUpDate) and build the
+// snake_case columns for the fields present. A status change drops the follow-up's cadence
+// step so the next follow-up doesn't continue a sequence it was wrongly counted in. Where the
+// follow-up sits in the lead's history is checked separately (validateHistoryPosition).
+export const parseFollowUpChanges = (body, existing, errors) => {
+    const columns = {};
+
+    if (body.status !== undefined) {
+        if (!isValidStatus(body.status)) {
+            errors.push(`Unknown status '${body.status}'`);
+        } else if (body.status !== existing.status) {
+            columns.status = body.status;
+            columns.cadence_sequence_id = null;
+            columns.cadence_step = null;
+        }
+    }
+
+    if (body.notes !== undefined) {
+        columns.notes = trimOrNull(body.notes);
+    }
+
+    if (body.followUpDate !== undefined) {
+        if (!body.followUpDate || Number.isNaN(Date.parse(body.followUpDate))) {
+            errors.push('followUpDate must be a valid date and time');
+        } else {
+            columns.follow_up_date = new Date(body.followUpDate).toISOString();
+        }
+    }
+
+    if (body.nextFollowUpDate !== undefined) {
+        const nextFollowUpDate = parseFollowUpDate(body.nextFollowUpDate);
+        if (nextFollowUpDate === undefined) errors.push('nextFollowUpDate must be a date in YYYY-MM-DD format');
+        else columns.next_follow_up_date = nextFollowUpDate;
+    }
+
+    return columns;
+};
+
+// Helper: Check that a corrected follow-up's status fits between its neighbours in the lead's
+// history, as the pipeline would have allowed when logging: previousStatus is the status of the
+// follow-up before it (undefined for the first, which starts from the default status) and
+// nextStatus that of the one after it (undefined for the latest).
+export const validateHistoryPosition = ({ previousStatus = DEFAULT_STATUS, status, nextStatus }, errors) => {
+    if (!canTransitionStatus(previousStatus, status)) {
+        errors.push(`Cannot change status from '${previousStatus}' to '${status}'`);
+    }
+    if (nextStatus !== undefined && !canTransitionStatus(status, nextStatus)) {
+        errors.push(`'${status}' cannot be followed by the next follow-up's '${nextStatus}'`);
+    }
+    return errors;
+};
+
+// Helper: Convert snake_case to camelCase
+export const toCamelCase = (followUp) => ({
+    followUpId: followUp.follow_up_id,
+    leadId: followUp.lead_id,
+    followUpDate: followUp.follow_up_date,
+    status: followUp.status,
+    notes: followUp.notes,
+    nextFollowUpDate: followUp.next_follow_up_date,
+    cadenceSequenceId: followUp.cadence_sequence_id,
+    cadenceStep: followUp.cadence_step,
+    createdBy: followUp.created_by,
+    editedAt: followUp.edited_at,
+    createdAt: followUp.created_at
+});
+
+// previous is the follow-up as it was before the change; changedByName needs the
+// changed_by_user:users(name) embed
+export const revisionToCamelCase = (revision) => ({
+    revisionId: revision.revision_id,
+    followUpId: revision.follow_up_id,
+    leadId: revision.lead_id,
+    action: revision.action,
+    previous: toCamelCase(revision.previous),
+    changedBy: revision.changed_by,
+    changedByName: revision.changed_by_user?.name ?? null,
+    changedAt: revision.changed_at
+});
@@ -0,0 +1,136 @@
+import { supabase } from './supabaseClient.js';
+import { applyLeadScope } from './access.js';
+import { applyLeadFilters } from './leadQuery.js';
+import { terminalStatuses, statusOutcome, stageProbability } from './pipeline.js';
+import { addDays, dateInTimezone, todayIn, toDateOnly } from './dates.js';
+
+// Revenue forecast: the monthly deal value of open leads, weighted by the chance their stage
+// is won (STAGES[].probability), rolled up by the month the lead is expected to close and by
+// owner. Leads without a deal value are left out. Months start with the current one (in the
+// user's timezone); deals expected to close earlier are past due, after the last month later,
+// and without a date unscheduled. Won and lost deals are counted in the month they closed.
+
+export const DEFAULT_FORECAST_MONTHS = 6;
+export const MAX_FORECAST_MONTHS = 24;
+const PAGE_SIZE = 1000;
+
+const OPEN_COLUMNS = 'lead_id, current_status, lead_stage, deal_value, expected_close_date, assigned_to';
+const CLOSED_COLUMNS = 'lead_id, current_status, deal_value, closed_at, assigned_to';
+
+// Helper: Shift a YYYY-MM month by a number of months
+const addMonths = (month, count) => {
+    const [year, monthIndex] = month.split('-').map(Number);
+    return new Date(Date.UTC(year, monthIndex - 1 + count, 1)).toISOString().slice(0, 7);
+};
+
+const emptyTotals = () => ({
+    openDeals: 0,
+    pipelineValue: 0,
+    weightedValue: 0,
+    wonDeals: 0,
+    wonValue: 0,
+    lostDeals: 0,
+    lostValue: 0
+});
+
+// Helper: Add an open deal, or a won or lost one, to a rollup
+const addOpenDeal = (totals, lead) => {
+    totals.openDeals += 1;
+    totals.pipelineValue += lead.deal_value;
+    totals.weightedValue += lead.deal_value * stageProbability(lead.lead_stage);
+};
+
+const addClosedDeal = (totals, lead, outcome) => {
+    totals[`${outcome}Deals`] += 1;
+    totals[`${outcome}Value`] += lead.deal_value;
+};
+
+// Helper: Weighted values are summed unrounded and rounded once; the forecast for a month is
+// what was already won plus what is still expected
+const finish = (totals) => {
+    const weightedValue = Math.round(totals.weightedValue);
+    return { ...totals, weightedValue, forecastValue: totals.wonValue + weightedValue };
+};
+
+// Helper: Every row of a query, fetched a page at a time
+const fetchAll = async (buildQuery) => {
+    const rows = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+        const { data, error } = await buildQuery()
+            .order('lead_id', { ascending: true })
+            .range(from, from + PAGE_SIZE - 1);
+
+        if (error) throw error;
+        rows.push(...data);
+        if (data.length < PAGE_SIZE) return rows;
+    }
+};
+
+// Build the forecast for the leads in scope, narrowed by the lead list filters
+export const buildForecast = async ({ scope, filters, timezone, months = DEFAULT_FORECAST_MONTHS }) => {
+    const today = todayIn(timezone);
+    const firstMonth = today.slice(0, 7);
+    const monthKeys = Array.from({ length: months }, (_, i) => addMonths(firstMonth, i));
+    const lastMonth = monthKeys[monthKeys.length - 1];
+    const closedStatuses = terminalStatuses().map(s => `"${s}"`).join(',');
+
+    const leadsQuery = (columns) => applyLeadFilters(
+        applyLeadScope(supabase.from('leads').select(columns), scope).not('deal_value', 'is', null),
+        filters
+    );
+
+    const openLeads = await fetchAll(() => leadsQuery(OPEN_COLUMNS)
+        .not('current_status', 'in', `(${closedStatuses})`));
+
+    // A day's margin either side of the month start covers any timezone; the exact month is
+    // then taken in the user's timezone
+    const closedLeads = await fetchAll(() => leadsQuery(CLOSED_COLUMNS)
+        .in('current_status', terminalStatuses())
+        .gte('closed_at', `${addDays(`${firstMonth}-01`, -1)}T00:00:00Z`));
+
+    const byMonth = new Map(monthKeys.map(month => [month, emptyTotals()]));
+    const pastDue = emptyTotals();
+    const later = emptyTotals();
+    const unscheduled = emptyTotals();
+    const byRep = new Map();
+    const totals = emptyTotals();
+
+    const repTotals = (assignedTo) => {
+        const key = assignedTo ?? null;
+        if (!byRep.has(key)) byRep.set(key, emptyTotals());
+        return byRep.get(key);
+    };
+
+    for (const lead of openLeads) {
+        const closeMonth = toDateOnly(lead.expected_close_date)?.slice(0, 7);
+        const bucket = !closeMonth ? unscheduled
+            : closeMonth < firstMonth ? pastDue
+                : closeMonth > lastMonth ? later
+                    : byMonth.get(closeMonth);
+        addOpenDeal(bucket, lead);
+        addOpenDeal(repTotals(lead.assigned_to), lead);
+        addOpenDeal(totals, lead);
+    }
+
+    for (const lead of closedLeads) {
+        const outcome = statusOutcome(lead.current_status);
+        const month = byMonth.get(dateInTimezone(lead.closed_at, timezone).slice(0, 7));
+        if (!outcome || !month) continue;
+        addClosedDeal(month, lead, outcome);
+        addClosedDeal(repTotals(lead.assigned_to), lead, outcome);
+        addClosedDeal(totals, lead, outcome);
+    }
+
+    return {
+        today,
+        timezone,
+        months: monthKeys.map(month => ({ month, ...finish(byMonth.get(month)) })),
+        pastDue: finish(pastDue),
+        later: finish(later),
+        unscheduled: finish(unscheduled),
+        reps: [...byRep.entries()]
+            .map(([assignedTo, rep]) => ({ assignedTo, ...finish(rep) }))
+            .sort((a, b) => b.forecastValue - a.forecastValue),
+        totals: finish(totals)
+    };
+};
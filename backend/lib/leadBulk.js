@@ -0,0 +1,205 @@
+import { supabase } from './supabaseClient.js';
+import { applyLeadScope } from './access.js';
+import { validatePipelineChange } from './pipeline.js';
+import { parseFollowUpDate, trimOrNull } from './leadFields.js';
+import { validateAssignee } from './assignment.js';
+import { planFollowUp } from './cadence.js';
+import { addDays, todayIn, toDateOnly, userTimezone } from './dates.js';
+import { rescoreLeadsAfterWrite } from './leadScoring.js';
+
+// Bulk actions on leads selected in the list: each lead is validated and changed on its own,
+// so one lead that can't move doesn't stop the rest.
+
+export const MAX_BULK_LEADS = 500;
+
+// Permission needed for each action on top of seeing the lead (undefined: any user)
+export const BULK_ACTIONS = {
+    status: undefined,
+    stage: undefined,
+    nextFollowUpDate: undefined,
+    assign: 'leads:assign',
+    delete: 'leads:delete'
+};
+
+const MAX_SHIFT_DAYS = 365;
+
+// Helper: Validate the action's options, pushing readable messages onto errors.
+// Returns the options the action needs.
+export const parseBulkRequest = async (body, user, scope, errors) => {
+    const { leadIds, action } = body;
+
+    if (!Array.isArray(leadIds) || leadIds.length === 0) {
+        errors.push('leadIds must be a non-empty array');
+    } else if (leadIds.length > MAX_BULK_LEADS) {
+        errors.push(`At most ${MAX_BULK_LEADS} leads can be changed at once`);
+    }
+
+    if (!Object.hasOwn(BULK_ACTIONS, action)) {
+        errors.push(`action must be one of ${Object.keys(BULK_ACTIONS).join(', ')}`);
+        return {};
+    }
+
+    switch (action) {
+        case 'status': {
+            if (!body.status) errors.push('status is required');
+            const options = { status: body.status, notes: trimOrNull(body.notes) };
+            // Without nextFollowUpDate each lead's date comes from its cadence sequence
+            if (body.nextFollowUpDate !== undefined) {
+                options.nextFollowUpDate = parseFollowUpDate(body.nextFollowUpDate);
+                if (options.nextFollowUpDate === undefined) errors.push('nextFollowUpDate must be a date in YYYY-MM-DD format');
+            }
+            return options;
+        }
+        case 'stage':
+            if (!body.stage) errors.push('stage is required');
+            return { stage: body.stage };
+        case 'nextFollowUpDate': {
+            // Either a date for every lead, or shiftDays to move each lead's own date
+            if (body.shiftDays !== undefined) {
+                const shiftDays = Number(body.shiftDays);
+                if (!Number.isInteger(shiftDays) || shiftDays === 0 || Math.abs(shiftDays) > MAX_SHIFT_DAYS) {
+                    errors.push(`shiftDays must be a whole number of days between -${MAX_SHIFT_DAYS} and ${MAX_SHIFT_DAYS}`);
+                }
+                return { shiftDays };
+            }
+            const nextFollowUpDate = parseFollowUpDate(body.nextFollowUpDate);
+            if (nextFollowUpDate === undefined) errors.push('nextFollowUpDate must be a date in YYYY-MM-DD format');
+            return { nextFollowUpDate: nextFollowUpDate ? nextFollowUpDate.slice(0, 10) : null };
+        }
+        case 'assign':
+            if (!body.assignedTo) {
+                errors.push('assignedTo is required');
+            } else {
+                await validateAssignee(user, scope, body.assignedTo, errors);
+            }
+            return { assignedTo: body.assignedTo };
+        default:
+            return {};
+    }
+};
+
+// Helper: Log a follow-up with the new status, as logging it from the lead page would
+const changeStatus = async (lead, { status, notes, nextFollowUpDate }, user) => {
+    const now = new Date().toISOString();
+    const plan = await planFollowUp({
+        leadId: lead.lead_id,
+        status,
+        stage: lead.lead_stage,
+        followUpDate: now,
+        timezone: userTimezone(user)
+    });
+    const scheduledDate = nextFollowUpDate === undefined ? plan?.nextFollowUpDate : nextFollowUpDate;
+
+    const { error } = await supabase.rpc('log_follow_up', {
+        p_follow_up: {
+            lead_id: lead.lead_id,
+            follow_up_date: now,
+            status,
+            notes,
+            next_follow_up_date: scheduledDate || null,
+            cadence_sequence_id: plan?.sequence.sequence_id ?? null,
+            cadence_step: plan?.step ?? null,
+            created_by: user.userId
+        },
+        p_lead_stage: null
+    });
+
+    if (error) throw error;
+    await rescoreLeadsAfterWrite([lead.lead_id]);
+};
+
+// Helper: The columns an action sets on one lead, or errors if it can't be applied to it
+const leadChanges = (lead, action, options) => {
+    const errors = [];
+
+    switch (action) {
+        case 'status':
+            validatePipelineChange({ fromStatus: lead.current_status, toStatus: options.status }, errors);
+            return { errors };
+        case 'stage':
+            validatePipelineChange({ fromStage: lead.lead_stage, toStage: options.stage }, errors);
+            return { errors, columns: { lead_stage: options.stage } };
+        case 'nextFollowUpDate': {
+            if (options.shiftDays === undefined) {
+                return { errors, columns: { next_follow_up_date: options.nextFollowUpDate } };
+            }
+            // Leads without a next call are shifted from the user's today
+            const from = toDateOnly(lead.next_follow_up_date) || options.today;
+            return { errors, columns: { next_follow_up_date: addDays(from, options.shiftDays) } };
+        }
+        case 'assign':
+            return { errors, columns: { assigned_to: options.assignedTo } };
+        case 'delete':
+            return { errors, columns: { deleted_at: new Date().toISOString(), deleted_by: options.userId } };
+        default:
+            return { errors: [`Unknown action '${action}'`] };
+    }
+};
+
+// Apply an action to each lead in leadIds that the user can see. Returns a per-lead report:
+// status 'updated', 'unchanged' (already had the value) or 'error' with its errors.
+export const runBulkAction = async ({ leadIds, action, options, user, scope }) => {
+    const uniqueIds = [...new Set(leadIds)];
+
+    const { data: leads, error } = await applyLeadScope(
+        supabase.from('leads').select('lead_id, restaurant_name, current_status, lead_stage, next_follow_up_date, assigned_to'),
+        scope
+    ).in('lead_id', uniqueIds);
+
+    if (error) throw error;
+
+    const leadsById = new Map(leads.map(lead => [lead.lead_id, lead]));
+    const results = [];
+
+    for (const leadId of uniqueIds) {
+        const lead = leadsById.get(leadId);
+        if (!lead) {
+            results.push({ leadId, status: 'error', errors: ['Lead not found'] });
+            continue;
+        }
+
+        const result = { leadId, restaurantName: lead.restaurant_name };
+        results.push(result);
+
+        const { errors, columns } = leadChanges(lead, action, { ...options, userId: user.userId, today: todayIn(userTimezone(user)) });
+        if (errors.length > 0) {
+            result.status = 'error';
+            result.errors = errors;
+            continue;
+        }
+
+        if (columns && Object.entries(columns).every(([column, value]) => column in lead && lead[column] === value)) {
+            result.status = 'unchanged';
+            continue;
+        }
+
+        try {
+            if (action === 'status') {
+                await changeStatus(lead, options, user);
+            } else {
+                const { error: updateError } = await applyLeadScope(supabase.from('leads').update({
+                    ...columns,
+                    updated_by: user.userId,
+                    updated_at: new Date().toISOString()
+                }), scope).eq('lead_id', leadId);
+
+                if (updateError) throw updateError;
+            }
+            result.status = 'updated';
+        } catch (err) {
+            result.status = 'error';
+            result.errors = [err.message];
+        }
+    }
+
+    const count = (status) => results.filter(r => r.status === status).length;
+
+    return {
+        action,
+        total: results.length,
+        updated: count('updated'),
+        unchanged: count('unchanged'),
+        failed: count('error'),
+        results
+    };
+};
@@ -0,0 +1,213 @@
+import ExcelJS from 'exceljs';
+import { supabase } from './supabaseClient.js';
+import { toCamelCase } from './leadFields.js';
+import { toCamelCase as followUpToCamelCase } from './followUpFields.js';
+import { applyLeadFilters, applyLeadSort } from './leadQuery.js';
+import { applyLeadScope } from './access.js';
+import { todayIn } from './dates.js';
+
+// Streaming export of leads (and optionally their follow-up history) as CSV, XLSX or JSON.
+
+export const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+
+// none: leads only; flat: one row per follow-up with the lead's columns repeated
+// (JSON nests them instead); sheet: follow-ups on a second XLSX sheet
+export const FOLLOW_UP_MODES = ['none', 'flat', 'sheet'];
+
+const BATCH_SIZE = 1000;
+
+const LEAD_COLUMNS = [
+    { key: 'leadId', label: 'Lead ID' },
+    { key: 'restaurantName', label: 'Restaurant Name' },
+    { key: 'phone', label: 'Phone' },
+    { key: 'city', label: 'City' },
+    { key: 'contactPerson', label: 'Contact Person' },
+    { key: 'email', label: 'Email' },
+    { key: 'source', label: 'Source' },
+    { key: 'address', label: 'Address' },
+    { key: 'cuisineType', label: 'Cuisine Type' },
+    { key: 'seatingCapacity', label: 'Seating Capacity' },
+    { key: 'outletCount', label: 'Outlets' },
+    { key: 'currentPosSystem', label: 'Current POS System' },
+    { key: 'notes', label: 'Notes' },
+    { key: 'dealPlan', label: 'Deal Plan' },
+    { key: 'dealValue', label: 'Monthly Value' },
+    { key: 'expectedCloseDate', label: 'Expected Close' },
+    { key: 'currentStatus', label: 'Status' },
+    { key: 'leadStage', label: 'Stage' },
+    { key: 'assignedToName', label: 'Owner' },
+    { key: 'nextFollowUpDate', label: 'Next Follow-up' },
+    { key: 'lastFollowUpDate', label: 'Last Follow-up' },
+    { key: 'outcomeReason', label: 'Outcome Reason' },
+    { key: 'closedAt', label: 'Closed At' },
+    { key: 'createdAt', label: 'Created At' },
+    { key: 'updatedAt', label: 'Updated At' }
+];
+
+const FOLLOW_UP_COLUMNS = [
+    { key: 'followUpId', label: 'Follow-up ID' },
+    { key: 'followUpDate', label: 'Follow-up Date' },
+    { key: 'status', label: 'Follow-up Status' },
+    { key: 'notes', label: 'Follow-up Notes' },
+    { key: 'nextFollowUpDate', label: 'Follow-up Next Date' }
+];
+
+// Flat rows prefix follow-up keys so they don't collide with lead keys (status, notes, ...)
+const FLAT_FOLLOW_UP_COLUMNS = FOLLOW_UP_COLUMNS.map(c => ({ key: `followUp.${c.key}`, label: c.label }));
+
+const flattenFollowUp = (followUp) => Object.fromEntries(
+    FOLLOW_UP_COLUMNS.map(c => [`followUp.${c.key}`, followUp ? followUp[c.key] : null])
+);
+
+// Helper: Quote a value for CSV when it contains a delimiter, quote or newline
+const csvCell = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (row, columns) => columns.map(c => csvCell(row[c.key])).join(',') + '\r\n';
+
+// Helper: Write to the response, waiting for the socket to drain when its buffer is full
+const write = (res, chunk) => (res.write(chunk) ? Promise.resolve() : new Promise(resolve => res.once('drain', resolve)));
+
+// Yield batches of camelCase leads matching the list filters, each with its follow-ups if requested
+async function* leadBatches({ filters, sort, order, scope, withFollowUps }) {
+    for (let from = 0; ; from += BATCH_SIZE) {
+        let query = supabase.from('leads').select('*');
+        query = applyLeadScope(query, scope);
+        query = applyLeadFilters(query, filters);
+        query = applyLeadSort(query, sort, order);
+
+        const { data, error } = await query.range(from, from + BATCH_SIZE - 1);
+        if (error && error.code !== 'PGRST103') throw error;
+        if (!data || data.length === 0) return;
+
+        const leads = data.map(toCamelCase);
+
+        const ownerIds = [...new Set(leads.map(l => l.assignedTo).filter(Boolean))];
+        if (ownerIds.length > 0) {
+            const { data: owners, error: ownerError } = await supabase
+                .from('users')
+                .select('user_id, name')
+                .in('user_id', ownerIds);
+
+            if (ownerError) throw ownerError;
+
+            const names = new Map(owners.map(o => [o.user_id, o.name]));
+            leads.forEach(l => { l.assignedToName = names.get(l.assignedTo) || null; });
+        }
+
+        if (withFollowUps) {
+            const { data: followUps, error: followUpError } = await supabase
+                .from('follow_ups')
+                .select('*')
+                .in('lead_id', leads.map(l => l.leadId))
+                .order('follow_up_date', { ascending: true });
+
+            if (followUpError) throw followUpError;
+
+            const byLead = new Map(leads.map(l => [l.leadId, []]));
+            followUps.forEach(f => byLead.get(f.lead_id)?.push(followUpToCamelCase(f)));
+            leads.forEach(l => { l.followUps = byLead.get(l.leadId); });
+        }
+
+        yield leads;
+        if (data.length < BATCH_SIZE) return;
+    }
+}
+
+const exportCsv = async (res, options) => {
+    const flat = options.followUps !== 'none';
+    const columns = flat ? [...LEAD_COLUMNS, ...FLAT_FOLLOW_UP_COLUMNS] : LEAD_COLUMNS;
+
+    await write(res, '﻿' + columns.map(c => csvCell(c.label)).join(',') + '\r\n');
+
+    for await (const leads of leadBatches({ ...options, withFollowUps: flat })) {
+        let chunk = '';
+        for (const lead of leads) {
+            if (!flat) {
+                chunk += csvLine(lead, columns);
+            } else if (lead.followUps.length === 0) {
+                chunk += csvLine({ ...lead, ...flattenFollowUp(null) }, columns);
+            } else {
+                lead.followUps.forEach(f => { chunk += csvLine({ ...lead, ...flattenFollowUp(f) }, columns); });
+            }
+        }
+        await write(res, chunk);
+    }
+    res.end();
+};
+
+const exportJson = async (res, options) => {
+    const withFollowUps = options.followUps !== 'none';
+    let first = true;
+
+    await write(res, '[');
+    for await (const leads of leadBatches({ ...options, withFollowUps })) {
+        const chunk = leads.map(lead => JSON.stringify(lead)).join(',');
+        await write(res, (first ? '' : ',') + chunk);
+        first = false;
+    }
+    res.end(']');
+};
+
+const exportXlsx = async (res, options) => {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const flat = options.followUps === 'flat';
+
+    const leadsSheet = workbook.addWorksheet('Leads');
+    const leadColumns = flat ? [...LEAD_COLUMNS, ...FLAT_FOLLOW_UP_COLUMNS] : LEAD_COLUMNS;
+    leadsSheet.columns = leadColumns.map(c => ({ header: c.label, key: c.key, width: 20 }));
+    leadsSheet.getRow(1).font = { bold: true };
+
+    for await (const leads of leadBatches({ ...options, withFollowUps: flat })) {
+        for (const lead of leads) {
+            if (!flat) {
+                leadsSheet.addRow(lead).commit();
+            } else if (lead.followUps.length === 0) {
+                leadsSheet.addRow({ ...lead, ...flattenFollowUp(null) }).commit();
+            } else {
+                lead.followUps.forEach(f => leadsSheet.addRow({ ...lead, ...flattenFollowUp(f) }).commit());
+            }
+        }
+    }
+    leadsSheet.commit();
+
+    // Follow-ups on their own sheet, keyed back to the lead; streamed worksheets are
+    // written one after another, so this is a second pass over the same leads
+    if (options.followUps === 'sheet') {
+        const followUpSheet = workbook.addWorksheet('Follow-ups');
+        followUpSheet.columns = [
+            { header: 'Lead ID', key: 'leadId', width: 38 },
+            { header: 'Restaurant Name', key: 'restaurantName', width: 30 },
+            ...FOLLOW_UP_COLUMNS.map(c => ({ header: c.label, key: c.key, width: 20 }))
+        ];
+        followUpSheet.getRow(1).font = { bold: true };
+
+        for await (const leads of leadBatches({ ...options, withFollowUps: true })) {
+            for (const lead of leads) {
+                lead.followUps.forEach(f => followUpSheet.addRow({ ...f, restaurantName: lead.restaurantName }).commit());
+            }
+        }
+        followUpSheet.commit();
+    }
+
+    await workbook.commit();
+};
+
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    json: 'application/json; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Stream the export to an Express response. options: { format, followUps, filters, sort, order, scope }
+export const streamLeadExport = async (res, options) => {
+    const date = todayIn();
+    res.setHeader('Content-Type', CONTENT_TYPES[options.format]);
+    res.setHeader('Content-Disposition', `attachment; filename="leads-${date}.${options.format}"`);
+
+    if (options.format === 'csv') return exportCsv(res, options);
+    if (options.format === 'json') return exportJson(res, options);
+    return exportXlsx(res, options);
+};
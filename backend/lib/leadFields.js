@@ -0,0 +1,196 @@
+import { validatePipelineChange, statusOutcome, DEFAULT_STATUS, DEFAULT_STAGE } from './pipeline.js';
+import { DATE_PATTERN, addDays } from './dates.js';
+
+// Shared lead field definitions, validation and row mapping used by the leads routes.
+
+// Helper: Trim string or return null
+export const trimOrNull = (value) => {
+    if (value === undefined || value === null) return null;
+    const trimmed = String(value).trim();
+    return trimmed.length > 0 ? trimmed : null;
+};
+
+export const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Optional profile fields, keyed by their camelCase API name
+export const PROFILE_FIELDS = {
+    contactPerson: { column: 'contact_person', type: 'text', maxLength: 120 },
+    source: { column: 'source', type: 'text', maxLength: 50, defaultValue: 'Manual' },
+    email: { column: 'email', type: 'email', maxLength: 254 },
+    address: { column: 'address', type: 'text', maxLength: 500 },
+    cuisineType: { column: 'cuisine_type', type: 'text', maxLength: 100 },
+    seatingCapacity: { column: 'seating_capacity', type: 'integer', max: 100000 },
+    outletCount: { column: 'outlet_count', type: 'integer', max: 10000 },
+    currentPosSystem: { column: 'current_pos_system', type: 'text', maxLength: 100 },
+    notes: { column: 'notes', type: 'text', maxLength: 5000 },
+    // Deal: dealValue is the plan's monthly value; outcomeReason is cleared when a closed lead reopens
+    dealPlan: { column: 'deal_plan', type: 'text', maxLength: 100 },
+    dealValue: { column: 'deal_value', type: 'integer', max: 100000000 },
+    expectedCloseDate: { column: 'expected_close_date', type: 'date' },
+    outcomeReason: { column: 'outcome_reason', type: 'text', maxLength: 500 }
+};
+
+// Helper: Validate a single profile value, returning the column value or pushing an error
+const parseProfileValue = (name, field, value, errors) => {
+    if (field.type === 'integer') {
+        if (value === undefined || value === null || String(value).trim() === '') return null;
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < 0 || number > field.max) {
+            errors.push(`${name} must be a whole number between 0 and ${field.max}`);
+            return undefined;
+        }
+        return number;
+    }
+
+    if (field.type === 'date') {
+        // Spreadsheet imports may pass a Date; only its calendar day is kept
+        const date = parseFollowUpDate(value);
+        if (date === undefined) {
+            errors.push(`${name} must be a date in YYYY-MM-DD format`);
+            return undefined;
+        }
+        return date;
+    }
+
+    const trimmed = trimOrNull(value);
+    if (trimmed === null) return field.defaultValue ?? null;
+    if (trimmed.length > field.maxLength) {
+        errors.push(`${name} must be at most ${field.maxLength} characters`);
+        return undefined;
+    }
+    if (field.type === 'email') {
+        const email = trimmed.toLowerCase();
+        if (!EMAIL_PATTERN.test(email)) {
+            errors.push(`${name} must be a valid email address`);
+            return undefined;
+        }
+        return email;
+    }
+    return trimmed;
+};
+
+// Helper: Build snake_case profile columns from the fields present in a request body
+export const parseProfileFields = (body, errors) => {
+    const columns = {};
+    for (const [name, field] of Object.entries(PROFILE_FIELDS)) {
+        if (body[name] === undefined) continue;
+        const parsed = parseProfileValue(name, field, body[name], errors);
+        if (parsed !== undefined) columns[field.column] = parsed;
+    }
+    return columns;
+};
+
+// Helper: An outcome reason only applies to a won or lost lead; the closed_at trigger (migration
+// 018) clears it on any other status, so it is rejected rather than dropped
+export const validateOutcomeReason = (outcomeReason, status, errors) => {
+    if (outcomeReason && !statusOutcome(status)) {
+        errors.push('outcomeReason is only allowed with a won or lost status');
+    }
+    return errors;
+};
+
+// Helper: Validate a date-only field such as the next follow-up date: a real calendar day in
+// YYYY-MM-DD format (or a Date, from spreadsheets). Timestamps are rejected, since the day they
+// fall on depends on the timezone. Returns null for blank, undefined for invalid.
+export const parseFollowUpDate = (value) => {
+    if (value instanceof Date) {
+        return Number.isNaN(value.getTime()) ? undefined : value.toISOString().slice(0, 10);
+    }
+    const trimmed = trimOrNull(value);
+    if (trimmed === null) return null;
+    if (!DATE_PATTERN.test(trimmed) || addDays(trimmed, 0) !== trimmed) return undefined;
+    return trimmed;
+};
+
+// Helper: Validate a timestamp (ISO 8601 string or Date), returning it in ISO format.
+// Returns null for blank, undefined for invalid.
+export const parseTimestamp = (value) => {
+    if (value instanceof Date) {
+        return Number.isNaN(value.getTime()) ? undefined : value.toISOString();
+    }
+    const trimmed = trimOrNull(value);
+    if (trimmed === null) return null;
+    const time = Date.parse(trimmed);
+    return Number.isNaN(time) ? undefined : new Date(time).toISOString();
+};
+
+// Helper: Validate a create request and build the snake_case row to insert.
+// Used by POST /api/leads and the spreadsheet import so both apply the same rules.
+export const parseNewLead = (body) => {
+    const errors = [];
+
+    const restaurantName = trimOrNull(body.restaurantName);
+    const phone = trimOrNull(body.phone);
+    const city = trimOrNull(body.city);
+
+    if (!restaurantName) {
+        errors.push('restaurantName is required');
+    }
+    if (!phone) {
+        errors.push('phone is required');
+    }
+    if (!city) {
+        errors.push('city is required');
+    }
+
+    const profile = parseProfileFields(body, errors);
+
+    const status = trimOrNull(body.currentStatus) || DEFAULT_STATUS;
+    const stage = trimOrNull(body.leadStage) || DEFAULT_STAGE;
+    validatePipelineChange({ toStatus: status, toStage: stage }, errors);
+    validateOutcomeReason(profile.outcome_reason, status, errors);
+
+    const nextFollowUpDate = parseFollowUpDate(body.nextFollowUpDate);
+    if (nextFollowUpDate === undefined) {
+        errors.push('nextFollowUpDate must be a date in YYYY-MM-DD format');
+    }
+
+    const lead = {
+        restaurant_name: restaurantName,
+        phone,
+        city,
+        current_status: status,
+        lead_stage: stage,
+        next_follow_up_date: nextFollowUpDate || null,
+        ...profile,
+        source: profile.source || 'Manual'
+    };
+
+    return { errors, lead };
+};
+
+// Helper: Convert snake_case to camelCase
+export const toCamelCase = (lead) => ({
+    leadId: lead.lead_id,
+    restaurantName: lead.restaurant_name,
+    phone: lead.phone,
+    city: lead.city,
+    contactPerson: lead.contact_person,
+    source: lead.source,
+    email: lead.email,
+    address: lead.address,
+    cuisineType: lead.cuisine_type,
+    seatingCapacity: lead.seating_capacity,
+    outletCount: lead.outlet_count,
+    currentPosSystem: lead.current_pos_system,
+    notes: lead.notes,
+    dealPlan: lead.deal_plan,
+    dealValue: lead.deal_value,
+    expectedCloseDate: lead.expected_close_date,
+    outcome: statusOutcome(lead.current_status),
+    outcomeReason: lead.outcome_reason,
+    closedAt: lead.closed_at,
+    currentStatus: lead.current_status,
+    leadStage: lead.lead_stage,
+    nextFollowUpDate: lead.next_follow_up_date,
+    lastFollowUpDate: lead.last_follow_up_date,
+    assignedTo: lead.assigned_to,
+    createdAt: lead.created_at,
+    updatedAt: lead.updated_at,
+    updatedBy: lead.updated_by,
+    deletedAt: lead.deleted_at,
+    deletedBy: lead.deleted_by,
+    score: lead.score,
+    scoreExplanation: lead.score_explanation,
+    scoredAt: lead.scored_at
+});
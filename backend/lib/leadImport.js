@@ -0,0 +1,176 @@
+import { supabase } from './supabaseClient.js';
+import { parseNewLead } from './leadFields.js';
+import { findDuplicateLeads } from './duplicates.js';
+import { normalizePhone } from './phone.js';
+import { isInScope } from './access.js';
+import { assignNewLeads } from './assignment.js';
+import { scheduleNewLeads } from './cadence.js';
+import { userTimezone } from './dates.js';
+import { newLeadScore } from './leadScoring.js';
+
+// Spreadsheet import of leads: column mapping, validation, duplicate checks and insertion.
+
+export const MAX_IMPORT_ROWS = 2000;
+const INSERT_BATCH_SIZE = 500;
+const DUPLICATE_CHECK_CONCURRENCY = 8;
+
+// Lead fields a column can be mapped to, with header spellings we recognise automatically
+export const IMPORT_FIELDS = {
+    restaurantName: ['restaurantname', 'restaurant', 'name', 'outlet', 'outletname', 'business', 'businessname'],
+    phone: ['phone', 'phonenumber', 'phoneno', 'mobile', 'mobilenumber', 'mobileno', 'contactnumber', 'contactno'],
+    city: ['city', 'town', 'location'],
+    contactPerson: ['contactperson', 'contact', 'contactname', 'owner', 'ownername', 'manager'],
+    email: ['email', 'emailaddress', 'mail'],
+    source: ['source', 'leadsource'],
+    address: ['address', 'fulladdress', 'streetaddress'],
+    cuisineType: ['cuisinetype', 'cuisine'],
+    seatingCapacity: ['seatingcapacity', 'seats', 'seating', 'covers'],
+    outletCount: ['outletcount', 'outlets', 'numberofoutlets', 'noofoutlets', 'branches'],
+    currentPosSystem: ['currentpossystem', 'possystem', 'pos', 'currentpos'],
+    notes: ['notes', 'note', 'remarks', 'comments'],
+    dealPlan: ['dealplan', 'plan', 'product'],
+    dealValue: ['dealvalue', 'monthlyvalue', 'value', 'mrr'],
+    expectedCloseDate: ['expectedclosedate', 'expectedclose', 'closedate'],
+    currentStatus: ['currentstatus', 'status'],
+    leadStage: ['leadstage', 'stage'],
+    nextFollowUpDate: ['nextfollowupdate', 'nextfollowup', 'followupdate', 'followup', 'nextcall']
+};
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Helper: Guess a field -> column mapping from the spreadsheet headers
+export const suggestMapping = (headers) => {
+    const mapping = {};
+    const used = new Set();
+    for (const [field, aliases] of Object.entries(IMPORT_FIELDS)) {
+        const header = headers.find(h => !used.has(h) && aliases.includes(normalizeHeader(h)));
+        if (header) {
+            mapping[field] = header;
+            used.add(header);
+        }
+    }
+    return mapping;
+};
+
+// Helper: Check a client-supplied mapping against the known fields and the file's headers
+export const validateMapping = (mapping, headers) => {
+    const errors = [];
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        return ['mapping must be an object of { field: columnHeader }'];
+    }
+    for (const [field, header] of Object.entries(mapping)) {
+        if (!IMPORT_FIELDS[field]) errors.push(`Unknown field '${field}' in mapping`);
+        else if (header && !headers.includes(header)) errors.push(`Column '${header}' not found in file`);
+    }
+    for (const field of ['restaurantName', 'phone', 'city']) {
+        if (!mapping[field]) errors.push(`${field} must be mapped to a column`);
+    }
+    return errors;
+};
+
+// Helper: Run an async function over items with a limited number in flight
+const mapWithConcurrency = async (items, limit, fn) => {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    const worker = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+};
+
+// Validate, de-duplicate and (unless dryRun) insert spreadsheet rows. Inserted leads are
+// distributed by the assignment rules as if `creator` had added them one by one. scope is the
+// creator's lead scope: matches outside it are reported without naming the lead.
+// Returns a per-row report; row numbers match the spreadsheet (header is row 1).
+export const runImport = async ({ rows, mapping, creator, scope = null, dryRun = true, allowDuplicates = false }) => {
+    const results = rows.map((row, index) => {
+        const body = { source: 'Import' };
+        for (const [field, header] of Object.entries(mapping)) {
+            if (header) body[field] = row[header];
+        }
+        const { errors, lead } = parseNewLead(body);
+        return {
+            row: index + 2,
+            restaurantName: lead.restaurant_name,
+            phone: lead.phone,
+            city: lead.city,
+            status: errors.length > 0 ? 'error' : 'valid',
+            errors,
+            lead
+        };
+    });
+
+    // Duplicates within the file: the first occurrence of a phone wins
+    const firstRowByPhone = new Map();
+    for (const result of results) {
+        if (result.status !== 'valid') continue;
+        const digits = normalizePhone(result.phone);
+        if (digits.length < 7) continue;
+        if (firstRowByPhone.has(digits)) {
+            result.status = 'duplicate';
+            result.duplicateOf = { row: firstRowByPhone.get(digits) };
+        } else {
+            firstRowByPhone.set(digits, result.row);
+        }
+    }
+
+    // Duplicates of leads already in the CRM
+    const toCheck = results.filter(r => r.status === 'valid');
+    await mapWithConcurrency(toCheck, DUPLICATE_CHECK_CONCURRENCY, async (result) => {
+        const [match] = await findDuplicateLeads({
+            phone: result.lead.phone,
+            restaurantName: result.lead.restaurant_name,
+            city: result.lead.city,
+            limit: 1
+        });
+        if (!match) return;
+        result.duplicateOf = isInScope({ assigned_to: match.assignedTo }, scope)
+            ? { leadId: match.leadId, restaurantName: match.restaurantName, matchReason: match.matchReason }
+            : { matchReason: match.matchReason };
+        if (!allowDuplicates) result.status = 'duplicate';
+    });
+
+    if (!dryRun) {
+        const toInsert = results.filter(r => r.status === 'valid');
+        await assignNewLeads(toInsert.map(r => r.lead), creator);
+        await scheduleNewLeads(toInsert.map(r => r.lead), userTimezone(creator));
+        toInsert.forEach(r => {
+            Object.assign(r.lead, newLeadScore(r.lead));
+            r.lead.updated_by = creator.userId;
+        });
+
+        for (let start = 0; start < toInsert.length; start += INSERT_BATCH_SIZE) {
+            const batch = toInsert.slice(start, start + INSERT_BATCH_SIZE);
+            const { data, error } = await supabase
+                .from('leads')
+                .insert(batch.map(r => r.lead))
+                .select('lead_id');
+
+            batch.forEach((result, index) => {
+                if (error) {
+                    result.status = 'error';
+                    result.errors = [error.message];
+                } else {
+                    result.status = 'created';
+                    result.leadId = data[index].lead_id;
+                }
+            });
+        }
+    }
+
+    const count = (status) => results.filter(r => r.status === status).length;
+
+    return {
+        dryRun,
+        totalRows: results.length,
+        valid: count('valid'),
+        created: count('created'),
+        duplicates: count('duplicate'),
+        failed: count('error'),
+        rows: results.map(({ lead, ...report }) => ({ ...report, assignedTo: lead.assigned_to || null }))
+    };
+};
@@ -0,0 +1,119 @@
+import { normalizePhone } from './phone.js';
+import { DATE_PATTERN, addDays } from './dates.js';
+
+// Parsing and application of the GET /api/leads list parameters (filters, sort, paging).
+// Shared by every endpoint that works on "the leads matching the current list filters".
+
+export const DEFAULT_PAGE_SIZE = 25;
+export const MAX_PAGE_SIZE = 200;
+
+// Sortable fields, keyed by their camelCase API name
+export const SORT_FIELDS = {
+    restaurantName: 'restaurant_name',
+    city: 'city',
+    currentStatus: 'current_status',
+    leadStage: 'lead_stage',
+    nextFollowUpDate: 'next_follow_up_date',
+    lastFollowUpDate: 'last_follow_up_date',
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    score: 'score'
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Helper: Strip characters that have meaning in PostgREST filter syntax
+export const sanitizeSearchTerm = (value) => String(value).replace(/[,()*%\\]/g, ' ').trim();
+
+// Helper: Parse a positive integer query parameter
+const parsePositiveInt = (value, name, errors) => {
+    if (value === undefined || value === '') return undefined;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        errors.push(`${name} must be a positive whole number`);
+        return undefined;
+    }
+    return number;
+};
+
+// Parse list filters only (no paging), for endpoints like export that use the same filters.
+// assignedTo takes a user ID, 'me' (resolved against user) or 'unassigned'.
+export const parseLeadFilters = (query, errors, user) => {
+    const filters = {};
+
+    for (const name of ['status', 'stage', 'city', 'q']) {
+        const value = typeof query[name] === 'string' ? query[name].trim() : '';
+        if (value) filters[name] = value;
+    }
+
+    for (const name of ['followUpFrom', 'followUpTo']) {
+        const value = query[name];
+        if (value === undefined || value === '') continue;
+        if (!DATE_PATTERN.test(value)) {
+            errors.push(`${name} must be a date in YYYY-MM-DD format`);
+        } else {
+            filters[name] = value;
+        }
+    }
+
+    const assignedTo = typeof query.assignedTo === 'string' ? query.assignedTo.trim() : '';
+    if (assignedTo === 'me' && user) {
+        filters.assignedTo = user.userId;
+    } else if (assignedTo === 'unassigned' || UUID_PATTERN.test(assignedTo)) {
+        filters.assignedTo = assignedTo;
+    } else if (assignedTo) {
+        errors.push("assignedTo must be a user ID, 'me' or 'unassigned'");
+    }
+
+    return filters;
+};
+
+// Parse the full list query: filters, sort and paging
+export const parseLeadListQuery = (query, user) => {
+    const errors = [];
+    const filters = parseLeadFilters(query, errors, user);
+
+    const page = parsePositiveInt(query.page, 'page', errors) || 1;
+    let pageSize = parsePositiveInt(query.pageSize, 'pageSize', errors) || DEFAULT_PAGE_SIZE;
+    if (pageSize > MAX_PAGE_SIZE) pageSize = MAX_PAGE_SIZE;
+
+    const sort = query.sort || 'nextFollowUpDate';
+    if (!SORT_FIELDS[sort]) {
+        errors.push(`sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`);
+    }
+
+    const order = query.order || 'asc';
+    if (!['asc', 'desc'].includes(order)) {
+        errors.push('order must be asc or desc');
+    }
+
+    return { errors, filters, page, pageSize, sort, order };
+};
+
+// Apply parsed filters to a Supabase query on the leads table
+export const applyLeadFilters = (query, filters) => {
+    if (filters.status) query = query.eq('current_status', filters.status);
+    if (filters.stage) query = query.eq('lead_stage', filters.stage);
+    if (filters.assignedTo === 'unassigned') query = query.is('assigned_to', null);
+    else if (filters.assignedTo) query = query.eq('assigned_to', filters.assignedTo);
+    if (filters.city) query = query.ilike('city', `%${sanitizeSearchTerm(filters.city)}%`);
+    if (filters.followUpFrom) query = query.gte('next_follow_up_date', filters.followUpFrom);
+    // Upper bound is inclusive of the whole day, whether the column holds a date or a timestamp
+    if (filters.followUpTo) query = query.lt('next_follow_up_date', addDays(filters.followUpTo, 1));
+    if (filters.q) {
+        const term = sanitizeSearchTerm(filters.q);
+        if (term) {
+            const conditions = [`restaurant_name.ilike.%${term}%`, `phone.ilike.%${term}%`, `city.ilike.%${term}%`];
+            // Match phones regardless of spacing or country code
+            const digits = normalizePhone(term);
+            if (digits.length >= 4) conditions.push(`phone_digits.like.%${digits}%`);
+            query = query.or(conditions.join(','));
+        }
+    }
+    return query;
+};
+
+// Apply sort with a stable tie-breaker so pages don't overlap
+export const applyLeadSort = (query, sort, order) => query
+    .order(SORT_FIELDS[sort], { ascending: order === 'asc', nullsFirst: false })
+    .order('lead_id', { ascending: true });
@@ -0,0 +1,222 @@
+import { supabase } from './supabaseClient.js';
+import { STATUSES, unansweredStatuses } from './pipeline.js';
+import { dateInTimezone, daysBetween, todayIn } from './dates.js';
+
+// Lead scoring: a 0-100 score per lead from its follow-up history and profile, so leads are
+// graded the same way whoever works them. Each rule gives up to maxPoints; the score is their
+// sum (capped at 100), and the explanation lists what every rule gave and why. A lead in a
+// won or lost status gets that outcome's fixed score instead.
+//
+// Scores are stored on the lead (migration 017) and recomputed (best effort) when a follow-up
+// is logged, edited or deleted and when the lead is created or edited. Recency changes with time alone,
+// so run `npm run rescore-leads` daily to keep it current.
+
+// Tune the rules here. Text matches (source, city) ignore case.
+export const SCORING_RULES = {
+    outcomes: { won: 100, lost: 0 },
+    // Best status the lead has reached in its follow-ups (or currently has)
+    statusHistory: {
+        label: 'Status history',
+        maxPoints: 25,
+        points: { 'On going': 25, 'Follow up': 15, 'Sent details on WhatsApp': 10 }
+    },
+    // Share of calls that got through (follow-ups not in an unanswered status)
+    responseRate: {
+        label: 'Response rate',
+        maxPoints: 20,
+        minAttempts: 2
+    },
+    // Days since the last follow-up; the first step the lead is within applies
+    recency: {
+        label: 'Recency of contact',
+        maxPoints: 15,
+        steps: [{ withinDays: 7, points: 15 }, { withinDays: 30, points: 8 }, { withinDays: 90, points: 3 }]
+    },
+    source: {
+        label: 'Source',
+        maxPoints: 10,
+        points: { referral: 10, website: 8, 'walk-in': 8, zomato: 6, swiggy: 6 },
+        otherPoints: 3
+    },
+    cityTier: {
+        label: 'City tier',
+        maxPoints: 10,
+        tiers: [
+            { name: 'Tier 1', points: 10, cities: ['mumbai', 'delhi', 'new delhi', 'bengaluru', 'bangalore', 'chennai', 'hyderabad', 'kolkata', 'pune', 'ahmedabad'] },
+            { name: 'Tier 2', points: 6, cities: ['jaipur', 'lucknow', 'chandigarh', 'indore', 'kochi', 'coimbatore', 'nagpur', 'surat', 'vadodara', 'bhopal', 'visakhapatnam', 'goa', 'gurgaon', 'gurugram', 'noida'] }
+        ],
+        otherPoints: 3
+    },
+    // The first step the value reaches applies
+    outletCount: {
+        label: 'Outlets',
+        maxPoints: 15,
+        steps: [{ min: 5, points: 15 }, { min: 2, points: 8 }, { min: 1, points: 3 }]
+    },
+    seatingCapacity: {
+        label: 'Seating capacity',
+        maxPoints: 5,
+        steps: [{ min: 80, points: 5 }, { min: 30, points: 3 }]
+    }
+};
+
+const SCORE_COLUMNS = 'lead_id, current_status, source, city, outlet_count, seating_capacity, last_follow_up_date';
+const FOLLOW_UP_PAGE_SIZE = 1000;
+const LEAD_BATCH_SIZE = 200;
+
+// Helper: Points of the first step whose threshold the value reaches
+const stepPoints = (steps, value) => steps.find(step => value >= step.min)?.points ?? 0;
+
+// Rules, in the order they are explained. Each returns { points, detail }.
+const RULES = {
+    statusHistory: (lead, followUps, rule) => {
+        const reached = [lead.current_status, ...followUps.map(f => f.status)]
+            .filter(status => rule.points[status] !== undefined)
+            .sort((a, b) => rule.points[b] - rule.points[a])[0];
+        return reached
+            ? { points: rule.points[reached], detail: `Reached '${reached}'` }
+            : { points: 0, detail: 'No progress past the first calls yet' };
+    },
+    responseRate: (lead, followUps, rule) => {
+        if (followUps.length < rule.minAttempts) {
+            return { points: 0, detail: `Fewer than ${rule.minAttempts} calls logged` };
+        }
+        const unanswered = unansweredStatuses();
+        const answered = followUps.filter(f => !unanswered.includes(f.status)).length;
+        return {
+            points: Math.round(rule.maxPoints * answered / followUps.length),
+            detail: `${answered} of ${followUps.length} calls answered`
+        };
+    },
+    recency: (lead, followUps, rule, today) => {
+        if (!lead.last_follow_up_date) return { points: 0, detail: 'Never contacted' };
+        const days = Math.max(daysBetween(dateInTimezone(lead.last_follow_up_date), today), 0);
+        const step = rule.steps.find(s => days <= s.withinDays);
+        return { points: step?.points ?? 0, detail: `Last contacted ${days} day(s) ago` };
+    },
+    source: (lead, followUps, rule) => {
+        const source = (lead.source || '').trim().toLowerCase();
+        const points = rule.points[source] ?? rule.otherPoints;
+        return { points, detail: lead.source ? `Source '${lead.source}'` : 'No source' };
+    },
+    cityTier: (lead, followUps, rule) => {
+        const city = (lead.city || '').trim().toLowerCase();
+        const tier = rule.tiers.find(t => t.cities.includes(city));
+        return tier
+            ? { points: tier.points, detail: `${lead.city} is ${tier.name}` }
+            : { points: rule.otherPoints, detail: `${lead.city || 'City'} is not in a listed tier` };
+    },
+    outletCount: (lead, followUps, rule) => (
+        lead.outlet_count === null || lead.outlet_count === undefined
+            ? { points: 0, detail: 'Outlet count unknown' }
+            : { points: stepPoints(rule.steps, lead.outlet_count), detail: `${lead.outlet_count} outlet(s)` }
+    ),
+    seatingCapacity: (lead, followUps, rule) => (
+        lead.seating_capacity === null || lead.seating_capacity === undefined
+            ? { points: 0, detail: 'Seating capacity unknown' }
+            : { points: stepPoints(rule.steps, lead.seating_capacity), detail: `${lead.seating_capacity} seats` }
+    )
+};
+
+// Score a lead (snake_case row) with its follow-ups ({ status } rows). Returns
+// { score, explanation: [{ rule, label, points, maxPoints, detail }] }.
+export const scoreLead = (lead, followUps = [], today = todayIn()) => {
+    const outcome = STATUSES.find(s => s.value === lead.current_status)?.outcome;
+    if (outcome) {
+        const score = SCORING_RULES.outcomes[outcome];
+        return {
+            score,
+            explanation: [{ rule: 'outcome', label: 'Outcome', points: score, maxPoints: 100, detail: `'${lead.current_status}' is ${outcome === 'won' ? 'a win' : 'a loss'}` }]
+        };
+    }
+
+    const explanation = Object.entries(RULES).map(([name, apply]) => {
+        const rule = SCORING_RULES[name];
+        const { points, detail } = apply(lead, followUps, rule, today);
+        return { rule: name, label: rule.label, points: Math.min(points, rule.maxPoints), maxPoints: rule.maxPoints, detail };
+    });
+    const total = explanation.reduce((sum, item) => sum + item.points, 0);
+
+    return { score: Math.min(Math.max(Math.round(total), 0), 100), explanation };
+};
+
+// Helper: Follow-up statuses of the given leads, by lead ID
+const loadFollowUps = async (leadIds) => {
+    const byLead = new Map(leadIds.map(id => [id, []]));
+    for (let from = 0; ; from += FOLLOW_UP_PAGE_SIZE) {
+        const { data, error } = await supabase
+            .from('follow_ups')
+            .select('lead_id, status')
+            .in('lead_id', leadIds)
+            .order('follow_up_id', { ascending: true })
+            .range(from, from + FOLLOW_UP_PAGE_SIZE - 1);
+
+        if (error) throw error;
+        data.forEach(f => byLead.get(f.lead_id)?.push(f));
+        if (data.length < FOLLOW_UP_PAGE_SIZE) return byLead;
+    }
+};
+
+// Score columns for a lead being created (it has no follow-ups yet)
+export const newLeadScore = (lead) => {
+    const { score, explanation } = scoreLead(lead);
+    return { score, score_explanation: explanation, scored_at: new Date().toISOString() };
+};
+
+// Recompute and store the scores of the given leads. Returns the new score columns
+// ({ score, score_explanation }) by lead ID.
+export const rescoreLeads = async (leadIds) => {
+    const today = todayIn();
+    const scored = new Map();
+
+    for (let start = 0; start < leadIds.length; start += LEAD_BATCH_SIZE) {
+        const batch = leadIds.slice(start, start + LEAD_BATCH_SIZE);
+        const { data: leads, error } = await supabase
+            .from('leads')
+            .select(SCORE_COLUMNS)
+            .in('lead_id', batch);
+
+        if (error) throw error;
+        if (leads.length === 0) continue;
+
+        const followUps = await loadFollowUps(leads.map(l => l.lead_id));
+        const scores = leads.map(lead => {
+            const { score, explanation } = scoreLead(lead, followUps.get(lead.lead_id), today);
+            return { lead_id: lead.lead_id, score, score_explanation: explanation };
+        });
+
+        const { error: updateError } = await supabase.rpc('set_lead_scores', { p_scores: scores });
+        if (updateError) throw updateError;
+        scores.forEach(({ lead_id: leadId, ...columns }) => scored.set(leadId, columns));
+    }
+
+    return scored;
+};
+
+// Rescore leads after a write has been saved. Scores are derived data, so a failure here is
+// logged rather than failing a request whose change is already committed (a retry would repeat
+// it); the stale scores are fixed by the next rescore. Returns the new scores, or an empty Map.
+export const rescoreLeadsAfterWrite = async (leadIds) => {
+    try {
+        return await rescoreLeads(leadIds);
+    } catch (error) {
+        console.error('Error rescoring leads:', error);
+        return new Map();
+    }
+};
+
+// Recompute every lead's score (including leads in the trash). Returns the number scored.
+export const rescoreAllLeads = async () => {
+    let scored = 0;
+    for (let from = 0; ; from += LEAD_BATCH_SIZE) {
+        const { data, error } = await supabase
+            .from('leads')
+            .select('lead_id')
+            .order('lead_id', { ascending: true })
+            .range(from, from + LEAD_BATCH_SIZE - 1);
+
+        if (error) throw error;
+        scored += (await rescoreLeads(data.map(l => l.lead_id))).size;
+        if (data.length < LEAD_BATCH_SIZE) return scored;
+    }
+};
@@ -0,0 +1,12 @@
+// Phone number normalization shared by search and duplicate detection.
+// Must stay in sync with the leads.phone_digits generated column (migration 004).
+
+export const PHONE_DIGITS = 10;
+
+// Helper: Strip formatting and any country code, keeping the last 10 digits
+// e.g. "+91 98765 43210" and "098765-43210" both become "9876543210"
+export const normalizePhone = (value) => {
+    if (value === undefined || value === null) return '';
+    const digits = String(value).replace(/\D/g, '');
+    return digits.length > PHONE_DIGITS ? digits.slice(-PHONE_DIGITS) : digits;
+};
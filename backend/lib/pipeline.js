@@ -0,0 +1,95 @@
+// Pipeline configuration: the single source of truth for lead statuses, stages and
+// the transitions allowed between them. Served to the frontend via GET /api/pipeline.
+
+// outcome marks terminal statuses as a win or a loss for reporting. wipLimit is how many
+// leads a column of the pipeline board should hold before it is flagged (null: no limit).
+// unanswered marks statuses logged when the call didn't get through (see lib/callQueue.js).
+export const STATUSES = [
+    { value: 'New', badge: 'new', terminal: false, outcome: null, wipLimit: null, unanswered: false },
+    { value: 'Call not picked up', badge: 'cold', terminal: false, outcome: null, wipLimit: null, unanswered: true },
+    { value: 'Sent details on WhatsApp', badge: 'cold', terminal: false, outcome: null, wipLimit: null, unanswered: false },
+    { value: 'Follow up', badge: 'pending', terminal: false, outcome: null, wipLimit: 100, unanswered: false },
+    { value: 'On going', badge: 'warm', terminal: false, outcome: null, wipLimit: 50, unanswered: false },
+    { value: 'Converted', badge: 'converted', terminal: true, outcome: 'won', wipLimit: null, unanswered: false },
+    { value: 'Fake lead', badge: 'not-interested', terminal: true, outcome: 'lost', wipLimit: null, unanswered: false },
+    { value: 'Reject', badge: 'not-interested', terminal: true, outcome: 'lost', wipLimit: null, unanswered: false }
+];
+
+// callPriority is the stage's share of a call's priority score in the call queue.
+// probability is the chance an open deal in the stage is won, used to weight the revenue
+// forecast (see lib/forecast.js).
+export const STAGES = [
+    { value: 'Cold', badge: 'cold', terminal: false, wipLimit: null, callPriority: 10, probability: 0.1 },
+    { value: 'Warm', badge: 'warm', terminal: false, wipLimit: 75, callPriority: 25, probability: 0.4 },
+    { value: 'Hot', badge: 'hot', terminal: false, wipLimit: 25, callPriority: 40, probability: 0.7 },
+    { value: 'Closed', badge: 'closed', terminal: true, wipLimit: null, callPriority: 0, probability: 0 }
+];
+
+export const DEFAULT_STATUS = 'New';
+export const DEFAULT_STAGE = 'Cold';
+
+const ACTIVE_STATUSES = ['Call not picked up', 'Sent details on WhatsApp', 'Follow up', 'On going', 'Converted', 'Fake lead', 'Reject'];
+
+// Allowed moves from each status. Keeping the same status is always allowed.
+export const STATUS_TRANSITIONS = {
+    'New': ACTIVE_STATUSES,
+    'Call not picked up': ACTIVE_STATUSES,
+    'Sent details on WhatsApp': ACTIVE_STATUSES,
+    'Follow up': ACTIVE_STATUSES,
+    'On going': ACTIVE_STATUSES,
+    'Converted': [],
+    'Fake lead': [],
+    'Reject': ['Follow up']
+};
+
+// Allowed moves from each stage. Keeping the same stage is always allowed.
+export const STAGE_TRANSITIONS = {
+    'Cold': ['Warm', 'Hot', 'Closed'],
+    'Warm': ['Cold', 'Hot', 'Closed'],
+    'Hot': ['Cold', 'Warm', 'Closed'],
+    'Closed': ['Cold']
+};
+
+export const isValidStatus = (status) => STATUSES.some(s => s.value === status);
+export const isValidStage = (stage) => STAGES.some(s => s.value === stage);
+
+export const terminalStatuses = () => STATUSES.filter(s => s.terminal).map(s => s.value);
+export const unansweredStatuses = () => STATUSES.filter(s => s.unanswered).map(s => s.value);
+export const statusesWithOutcome = (outcome) => STATUSES.filter(s => s.outcome === outcome).map(s => s.value);
+export const statusOutcome = (status) => STATUSES.find(s => s.value === status)?.outcome ?? null;
+export const stageProbability = (stage) => STAGES.find(s => s.value === stage)?.probability ?? 0;
+
+export const canTransitionStatus = (from, to) =>
+    from === to || !from || (STATUS_TRANSITIONS[from] || []).includes(to);
+
+export const canTransitionStage = (from, to) =>
+    from === to || !from || (STAGE_TRANSITIONS[from] || []).includes(to);
+
+// Helper: Validate a status/stage change, pushing readable messages onto errors.
+// Pass the lead's current values as from* (omit them when creating a lead).
+export const validatePipelineChange = ({ fromStatus, toStatus, fromStage, toStage }, errors) => {
+    if (toStatus !== undefined) {
+        if (!isValidStatus(toStatus)) {
+            errors.push(`Unknown status '${toStatus}'`);
+        } else if (!canTransitionStatus(fromStatus, toStatus)) {
+            errors.push(`Cannot change status from '${fromStatus}' to '${toStatus}'`);
+        }
+    }
+    if (toStage !== undefined) {
+        if (!isValidStage(toStage)) {
+            errors.push(`Unknown stage '${toStage}'`);
+        } else if (!canTransitionStage(fromStage, toStage)) {
+            errors.push(`Cannot change stage from '${fromStage}' to '${toStage}'`);
+        }
+    }
+    return errors;
+};
+
+export const getPipelineConfig = () => ({
+    statuses: STATUSES,
+    stages: STAGES,
+    defaultStatus: DEFAULT_STATUS,
+    defaultStage: DEFAULT_STAGE,
+    statusTransitions: STATUS_TRANSITIONS,
+    stageTransitions: STAGE_TRANSITIONS
+});
@@ -0,0 +1,88 @@
+import ExcelJS from 'exceljs';
+import { parse } from 'csv-parse/sync';
+
+// Reading uploaded CSV / XLSX files into header + row objects.
+
+export const SPREADSHEET_EXTENSIONS = ['.csv', '.xlsx'];
+
+export const getExtension = (fileName = '') => {
+    const dot = fileName.lastIndexOf('.');
+    return dot === -1 ? '' : fileName.slice(dot).toLowerCase();
+};
+
+// Helper: Convert an ExcelJS cell value to a plain value (string, number, boolean or Date)
+const cellToValue = (value) => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value;
+    if (typeof value === 'object') {
+        if (value.richText) return value.richText.map(part => part.text).join('');
+        if (value.text !== undefined) return value.text; // hyperlinks
+        if (value.result !== undefined) return cellToValue(value.result); // formulas
+        if (value.error) return '';
+    }
+    return value;
+};
+
+// Helper: De-duplicate and fill in blank header names so every column is addressable
+const normalizeHeaders = (headers) => {
+    const seen = new Map();
+    return headers.map((header, index) => {
+        const base = String(header ?? '').trim() || `Column ${index + 1}`;
+        const count = seen.get(base) || 0;
+        seen.set(base, count + 1);
+        return count === 0 ? base : `${base} (${count + 1})`;
+    });
+};
+
+const readCsv = (buffer) => {
+    const records = parse(buffer, {
+        bom: true,
+        skip_empty_lines: true,
+        relax_column_count: true,
+        trim: true
+    });
+    const [headerRow = [], ...dataRows] = records;
+    return { headerRow, dataRows };
+};
+
+const readXlsx = async (buffer) => {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return { headerRow: [], dataRows: [] };
+
+    const records = [];
+    sheet.eachRow({ includeEmpty: false }, (row) => {
+        // row.values is 1-based
+        records.push(row.values.slice(1).map(cellToValue));
+    });
+    const [headerRow = [], ...dataRows] = records;
+    return { headerRow, dataRows };
+};
+
+// Parse the first sheet of a CSV or XLSX file. The first row holds the column headers.
+// Returns { headers, rows } where each row maps header -> cell value.
+export const readSpreadsheet = async (buffer, fileName) => {
+    const extension = getExtension(fileName);
+    if (!SPREADSHEET_EXTENSIONS.includes(extension)) {
+        const error = new Error(`Unsupported file type. Upload one of: ${SPREADSHEET_EXTENSIONS.join(', ')}`);
+        error.status = 400;
+        throw error;
+    }
+
+    let parsed;
+    try {
+        parsed = extension === '.csv' ? readCsv(buffer) : await readXlsx(buffer);
+    } catch (err) {
+        const error = new Error(`Could not read ${extension.slice(1).toUpperCase()} file: ${err.message}`);
+        error.status = 400;
+        throw error;
+    }
+
+    const headers = normalizeHeaders(parsed.headerRow);
+    const rows = parsed.dataRows
+        .filter(cells => cells.some(cell => String(cell ?? '').trim() !== ''))
+        .map(cells => Object.fromEntries(headers.map((header, index) => [header, cells[index] ?? ''])));
+
+    return { headers, rows };
+};
@@ -0,0 +1,24 @@
+import { supabase } from './supabaseClient.js';
+
+// Lead trash: deleted leads keep their row (deleted_at set) and can be restored until they
+// have been in the trash for the retention period, after which an admin can purge them.
+
+export const TRASH_RETENTION_DAYS = Number(process.env.LEAD_TRASH_RETENTION_DAYS) || 30;
+
+// When a lead deleted at deletedAt becomes eligible for purging
+export const purgeableAt = (deletedAt) =>
+    new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+// Permanently delete leads that have been in the trash longer than the retention period.
+// Returns the number of leads purged.
+export const purgeTrash = async (actorId = null) => {
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+    const { data: purged, error } = await supabase.rpc('purge_deleted_leads', {
+        p_deleted_before: cutoff,
+        p_actor: actorId
+    });
+
+    if (error) throw error;
+    return purged;
+};
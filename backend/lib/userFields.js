@@ -0,0 +1,59 @@
+import { trimOrNull, EMAIL_PATTERN } from './leadFields.js';
+import { normalizeEmail, MIN_PASSWORD_LENGTH } from './auth.js';
+import { ROLES } from './access.js';
+import { isValidTimezone } from './dates.js';
+
+// Validation for the user management endpoints (admins only).
+
+// Helper: Validate a create/update body and build the snake_case columns (without the
+// password hash). On update only the fields present in the body are checked.
+export const parseUserFields = (body, errors, { isNew = false } = {}) => {
+    const columns = {};
+
+    if (isNew || body.email !== undefined) {
+        const email = normalizeEmail(body.email);
+        if (!EMAIL_PATTERN.test(email)) errors.push('email must be a valid email address');
+        else columns.email = email;
+    }
+
+    if (isNew || body.name !== undefined) {
+        const name = trimOrNull(body.name);
+        if (!name) errors.push('name is required');
+        else columns.name = name;
+    }
+
+    if (isNew || body.role !== undefined) {
+        const role = body.role ?? 'rep';
+        if (!ROLES.includes(role)) errors.push(`role must be one of: ${ROLES.join(', ')}`);
+        else columns.role = role;
+    }
+
+    if (body.managerId !== undefined) {
+        columns.manager_id = body.managerId || null;
+    }
+
+    if (body.inRoundRobin !== undefined) {
+        if (typeof body.inRoundRobin !== 'boolean') errors.push('inRoundRobin must be true or false');
+        else columns.in_round_robin = body.inRoundRobin;
+    }
+
+    if (body.isActive !== undefined) {
+        if (typeof body.isActive !== 'boolean') errors.push('isActive must be true or false');
+        else columns.is_active = body.isActive;
+    }
+
+    // Blank falls back to the org timezone
+    if (body.timezone !== undefined) {
+        const timezone = trimOrNull(body.timezone);
+        if (timezone && !isValidTimezone(timezone)) errors.push('timezone must be an IANA timezone such as Asia/Kolkata');
+        else columns.timezone = timezone;
+    }
+
+    if (isNew || body.password !== undefined) {
+        if (typeof body.password !== 'string' || body.password.length < MIN_PASSWORD_LENGTH) {
+            errors.push(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+    }
+
+    return columns;
+};
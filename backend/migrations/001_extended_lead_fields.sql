@@ -0,0 +1,11 @@
+-- Extended lead profile: contact person, source and restaurant details
+ALTER TABLE leads
+    ADD COLUMN IF NOT EXISTS contact_person TEXT,
+    ADD COLUMN IF NOT EXISTS source TEXT NOT NULL DEFAULT 'Manual',
+    ADD COLUMN IF NOT EXISTS email TEXT,
+    ADD COLUMN IF NOT EXISTS address TEXT,
+    ADD COLUMN IF NOT EXISTS cuisine_type TEXT,
+    ADD COLUMN IF NOT EXISTS seating_capacity INTEGER CHECK (seating_capacity >= 0),
+    ADD COLUMN IF NOT EXISTS outlet_count INTEGER CHECK (outlet_count >= 0),
+    ADD COLUMN IF NOT EXISTS current_pos_system TEXT,
+    ADD COLUMN IF NOT EXISTS notes TEXT;
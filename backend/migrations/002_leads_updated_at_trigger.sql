@@ -0,0 +1,14 @@
+-- Keep leads.updated_at current on every write so PUT /api/leads/:id can detect conflicting edits
+CREATE OR REPLACE FUNCTION set_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS leads_set_updated_at ON leads;
+CREATE TRIGGER leads_set_updated_at
+    BEFORE UPDATE ON leads
+    FOR EACH ROW
+    EXECUTE FUNCTION set_updated_at();
@@ -0,0 +1,6 @@
+-- Indexes backing the filters and sort options of GET /api/leads
+CREATE INDEX IF NOT EXISTS leads_next_follow_up_date_idx ON leads (next_follow_up_date, lead_id);
+CREATE INDEX IF NOT EXISTS leads_current_status_idx ON leads (current_status);
+CREATE INDEX IF NOT EXISTS leads_lead_stage_idx ON leads (lead_stage);
+CREATE INDEX IF NOT EXISTS leads_city_lower_idx ON leads (LOWER(city));
+CREATE INDEX IF NOT EXISTS leads_created_at_idx ON leads (created_at);
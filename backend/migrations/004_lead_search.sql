@@ -0,0 +1,52 @@
+-- Fuzzy lead search backing GET /api/leads/search
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Phone with formatting and country code stripped (see normalizePhone in lib/phone.js)
+ALTER TABLE leads
+    ADD COLUMN IF NOT EXISTS phone_digits TEXT
+    GENERATED ALWAYS AS (RIGHT(regexp_replace(phone, '\D', '', 'g'), 10)) STORED;
+
+CREATE INDEX IF NOT EXISTS leads_phone_digits_trgm_idx ON leads USING GIN (phone_digits gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS leads_restaurant_name_trgm_idx ON leads USING GIN (restaurant_name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS leads_contact_person_trgm_idx ON leads USING GIN (contact_person gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS leads_city_trgm_idx ON leads USING GIN (city gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS follow_ups_notes_trgm_idx ON follow_ups USING GIN (notes gin_trgm_ops);
+
+-- Returns the best-matching leads with a 0-1 relevance score and the field that matched best.
+-- Matches on name rank above contact person, city and follow-up notes; phone matches rank highest.
+CREATE OR REPLACE FUNCTION search_leads(search_term TEXT, phone_term TEXT DEFAULT '', result_limit INT DEFAULT 20)
+RETURNS TABLE (lead_id leads.lead_id%TYPE, score REAL, matched_field TEXT)
+LANGUAGE sql STABLE
+SET pg_trgm.word_similarity_threshold = 0.4
+AS $$
+    WITH matches AS (
+        SELECT l.lead_id, 1.0::REAL AS score, 'phone' AS matched_field
+        FROM leads l
+        WHERE phone_term <> '' AND l.phone_digits LIKE '%' || phone_term || '%'
+        UNION ALL
+        SELECT l.lead_id, word_similarity(search_term, l.restaurant_name), 'restaurantName'
+        FROM leads l
+        WHERE search_term <% l.restaurant_name
+        UNION ALL
+        SELECT l.lead_id, word_similarity(search_term, l.contact_person) * 0.9, 'contactPerson'
+        FROM leads l
+        WHERE search_term <% l.contact_person
+        UNION ALL
+        SELECT l.lead_id, word_similarity(search_term, l.city) * 0.8, 'city'
+        FROM leads l
+        WHERE search_term <% l.city
+        UNION ALL
+        SELECT f.lead_id, word_similarity(search_term, f.notes) * 0.7, 'notes'
+        FROM follow_ups f
+        WHERE search_term <% f.notes
+    ),
+    best AS (
+        SELECT DISTINCT ON (m.lead_id) m.lead_id, m.score, m.matched_field
+        FROM matches m
+        ORDER BY m.lead_id, m.score DESC
+    )
+    SELECT b.lead_id, b.score, b.matched_field
+    FROM best b
+    ORDER BY b.score DESC, b.lead_id
+    LIMIT result_limit;
+$$;
@@ -0,0 +1,104 @@
+-- Duplicate lead detection and merging
+
+-- Leads that look like the given restaurant: same normalized phone, or a similar name in the same city
+CREATE OR REPLACE FUNCTION find_duplicate_leads(
+    p_phone_digits TEXT,
+    p_restaurant_name TEXT,
+    p_city TEXT,
+    p_exclude_lead_id UUID DEFAULT NULL,
+    p_limit INT DEFAULT 5
+)
+RETURNS TABLE (lead_id UUID, match_reason TEXT, score REAL)
+LANGUAGE sql STABLE
+SET pg_trgm.similarity_threshold = 0.5
+AS $$
+    SELECT l.lead_id,
+        CASE WHEN p_phone_digits <> '' AND l.phone_digits = p_phone_digits THEN 'phone' ELSE 'name_city' END,
+        CASE WHEN p_phone_digits <> '' AND l.phone_digits = p_phone_digits THEN 1.0::REAL
+             ELSE similarity(l.restaurant_name, p_restaurant_name) END AS score
+    FROM leads l
+    WHERE (p_exclude_lead_id IS NULL OR l.lead_id <> p_exclude_lead_id)
+      AND (
+          (p_phone_digits <> '' AND l.phone_digits = p_phone_digits)
+          OR (
+              l.restaurant_name % p_restaurant_name
+              AND (LOWER(l.city) = LOWER(p_city) OR similarity(LOWER(l.city), LOWER(p_city)) >= 0.6)
+          )
+      )
+    ORDER BY score DESC
+    LIMIT p_limit;
+$$;
+
+CREATE INDEX IF NOT EXISTS leads_phone_digits_idx ON leads (phone_digits);
+
+-- One row per merge: which lead survived, a snapshot of the lead that was merged away,
+-- and which lead each field value was taken from
+CREATE TABLE IF NOT EXISTS lead_merges (
+    merge_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    target_lead_id UUID NOT NULL REFERENCES leads(lead_id) ON DELETE CASCADE,
+    source_lead_id UUID NOT NULL,
+    source_snapshot JSONB NOT NULL,
+    field_sources JSONB NOT NULL,
+    follow_ups_moved INTEGER NOT NULL DEFAULT 0,
+    merged_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS lead_merges_target_lead_id_idx ON lead_merges (target_lead_id);
+
+-- Merge p_source_id into p_target_id in one transaction: re-parent follow-ups, apply the
+-- merged field values (snake_case keys) to the target, record the merge, delete the source
+CREATE OR REPLACE FUNCTION merge_leads(p_target_id UUID, p_source_id UUID, p_merged JSONB, p_field_sources JSONB)
+RETURNS lead_merges
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_source leads%ROWTYPE;
+    v_moved INTEGER;
+    v_merge lead_merges%ROWTYPE;
+BEGIN
+    IF p_target_id = p_source_id THEN
+        RAISE EXCEPTION 'Cannot merge a lead into itself' USING ERRCODE = '22023';
+    END IF;
+
+    PERFORM 1 FROM leads WHERE lead_id = p_target_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Target lead not found' USING ERRCODE = 'P0002';
+    END IF;
+
+    SELECT * INTO v_source FROM leads WHERE lead_id = p_source_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Source lead not found' USING ERRCODE = 'P0002';
+    END IF;
+
+    UPDATE follow_ups SET lead_id = p_target_id WHERE lead_id = p_source_id;
+    GET DIAGNOSTICS v_moved = ROW_COUNT;
+
+    UPDATE leads t SET
+        restaurant_name = m.restaurant_name,
+        phone = m.phone,
+        city = m.city,
+        contact_person = m.contact_person,
+        source = m.source,
+        email = m.email,
+        address = m.address,
+        cuisine_type = m.cuisine_type,
+        seating_capacity = m.seating_capacity,
+        outlet_count = m.outlet_count,
+        current_pos_system = m.current_pos_system,
+        notes = m.notes,
+        current_status = m.current_status,
+        lead_stage = m.lead_stage,
+        next_follow_up_date = m.next_follow_up_date,
+        last_follow_up_date = m.last_follow_up_date
+    FROM jsonb_populate_record(NULL::leads, p_merged) m
+    WHERE t.lead_id = p_target_id;
+
+    INSERT INTO lead_merges (target_lead_id, source_lead_id, source_snapshot, field_sources, follow_ups_moved)
+    VALUES (p_target_id, p_source_id, to_jsonb(v_source), p_field_sources, v_moved)
+    RETURNING * INTO v_merge;
+
+    DELETE FROM leads WHERE lead_id = p_source_id;
+
+    RETURN v_merge;
+END;
+$$;
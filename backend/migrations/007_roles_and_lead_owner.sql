@@ -0,0 +1,69 @@
+-- Role-based access: user roles, manager teams and lead ownership
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns WHERE table_name = 'users' AND column_name = 'role'
+    ) THEN
+        ALTER TABLE users ADD COLUMN role TEXT NOT NULL DEFAULT 'rep' CHECK (role IN ('admin', 'manager', 'rep'));
+        -- Accounts created before roles existed had full access; they start out as admins
+        UPDATE users SET role = 'admin';
+    END IF;
+END $$;
+
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS manager_id UUID REFERENCES users(user_id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS users_manager_id_idx ON users (manager_id);
+
+-- The rep who owns a lead. Reps see only their own leads, managers their team's
+ALTER TABLE leads
+    ADD COLUMN IF NOT EXISTS assigned_to UUID REFERENCES users(user_id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS leads_assigned_to_idx ON leads (assigned_to);
+
+-- search_leads gains an owner filter (NULL = all leads)
+DROP FUNCTION IF EXISTS search_leads(TEXT, TEXT, INT);
+CREATE OR REPLACE FUNCTION search_leads(
+    search_term TEXT,
+    phone_term TEXT DEFAULT '',
+    result_limit INT DEFAULT 20,
+    owner_ids UUID[] DEFAULT NULL
+)
+RETURNS TABLE (lead_id leads.lead_id%TYPE, score REAL, matched_field TEXT)
+LANGUAGE sql STABLE
+SET pg_trgm.word_similarity_threshold = 0.4
+AS $$
+    WITH matches AS (
+        SELECT l.lead_id, 1.0::REAL AS score, 'phone' AS matched_field
+        FROM leads l
+        WHERE phone_term <> '' AND l.phone_digits LIKE '%' || phone_term || '%'
+        UNION ALL
+        SELECT l.lead_id, word_similarity(search_term, l.restaurant_name), 'restaurantName'
+        FROM leads l
+        WHERE search_term <% l.restaurant_name
+        UNION ALL
+        SELECT l.lead_id, word_similarity(search_term, l.contact_person) * 0.9, 'contactPerson'
+        FROM leads l
+        WHERE search_term <% l.contact_person
+        UNION ALL
+        SELECT l.lead_id, word_similarity(search_term, l.city) * 0.8, 'city'
+        FROM leads l
+        WHERE search_term <% l.city
+        UNION ALL
+        SELECT f.lead_id, word_similarity(search_term, f.notes) * 0.7, 'notes'
+        FROM follow_ups f
+        WHERE search_term <% f.notes
+    ),
+    best AS (
+        SELECT DISTINCT ON (m.lead_id) m.lead_id, m.score, m.matched_field
+        FROM matches m
+        JOIN leads l ON l.lead_id = m.lead_id
+        WHERE owner_ids IS NULL OR l.assigned_to = ANY(owner_ids)
+        ORDER BY m.lead_id, m.score DESC
+    )
+    SELECT b.lead_id, b.score, b.matched_field
+    FROM best b
+    ORDER BY b.score DESC, b.lead_id
+    LIMIT result_limit;
+$$;
@@ -0,0 +1,54 @@
+-- Automatic distribution of new leads: round-robin across reps, or by city
+
+-- Reps can be taken out of the round-robin rotation (e.g. while on leave)
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS in_round_robin BOOLEAN NOT NULL DEFAULT TRUE;
+
+-- Single-row settings: the distribution mode and the rotation cursor
+CREATE TABLE IF NOT EXISTS assignment_settings (
+    id BOOLEAN PRIMARY KEY DEFAULT TRUE CHECK (id),
+    mode TEXT NOT NULL DEFAULT 'manual' CHECK (mode IN ('manual', 'round_robin', 'city')),
+    last_assigned_user_id UUID REFERENCES users(user_id) ON DELETE SET NULL,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO assignment_settings (id) VALUES (TRUE) ON CONFLICT DO NOTHING;
+
+-- In city mode, leads from these cities go to the given user (cities stored lowercased)
+CREATE TABLE IF NOT EXISTS assignment_city_rules (
+    city TEXT PRIMARY KEY CHECK (city = LOWER(city)),
+    user_id UUID NOT NULL REFERENCES users(user_id) ON DELETE CASCADE
+);
+
+-- The next p_count owners in the rotation (active reps in round-robin, oldest account first).
+-- Locks the settings row so concurrent creates don't hand out the same turn twice.
+CREATE OR REPLACE FUNCTION next_round_robin_assignees(p_count INT)
+RETURNS UUID[]
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_last UUID;
+    v_pool UUID[];
+    v_start INT;
+    v_result UUID[] := '{}';
+BEGIN
+    SELECT last_assigned_user_id INTO v_last FROM assignment_settings WHERE id FOR UPDATE;
+
+    SELECT ARRAY_AGG(user_id ORDER BY created_at, user_id) INTO v_pool
+    FROM users
+    WHERE role = 'rep' AND is_active AND in_round_robin;
+
+    IF v_pool IS NULL OR p_count < 1 THEN
+        RETURN v_result;
+    END IF;
+
+    v_start := COALESCE(array_position(v_pool, v_last), 0);
+    FOR i IN 1..p_count LOOP
+        v_result := v_result || v_pool[((v_start + i - 1) % array_length(v_pool, 1)) + 1];
+    END LOOP;
+
+    UPDATE assignment_settings SET last_assigned_user_id = v_result[p_count] WHERE id;
+
+    RETURN v_result;
+END;
+$$;
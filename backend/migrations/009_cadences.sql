@@ -0,0 +1,45 @@
+-- Follow-up cadences: named sequences of gaps (in days) between follow-ups, picked by the
+-- follow-up's status or the lead's stage, plus holidays that scheduled dates skip.
+
+CREATE TABLE IF NOT EXISTS cadence_sequences (
+    sequence_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL UNIQUE,
+    trigger_type TEXT NOT NULL CHECK (trigger_type IN ('status', 'stage')),
+    trigger_values TEXT[] NOT NULL CHECK (cardinality(trigger_values) > 0),
+    gaps INTEGER[] NOT NULL CHECK (cardinality(gaps) > 0),
+    -- Gap used once every step of the sequence has been used; NULL ends the sequence
+    repeat_gap INTEGER CHECK (repeat_gap > 0),
+    skip_weekends BOOLEAN NOT NULL DEFAULT FALSE,
+    skip_holidays BOOLEAN NOT NULL DEFAULT TRUE,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+DROP TRIGGER IF EXISTS cadence_sequences_set_updated_at ON cadence_sequences;
+CREATE TRIGGER cadence_sequences_set_updated_at
+    BEFORE UPDATE ON cadence_sequences
+    FOR EACH ROW
+    EXECUTE FUNCTION set_updated_at();
+
+CREATE TABLE IF NOT EXISTS cadence_holidays (
+    holiday_date DATE PRIMARY KEY,
+    name TEXT NOT NULL
+);
+
+-- Which sequence step produced a follow-up's next date, so the following follow-up
+-- continues from the next step
+ALTER TABLE follow_ups
+    ADD COLUMN IF NOT EXISTS cadence_sequence_id UUID REFERENCES cadence_sequences(sequence_id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS cadence_step INTEGER;
+
+-- The drip sequence the lead page used to apply in the browser
+INSERT INTO cadence_sequences (name, trigger_type, trigger_values, gaps, repeat_gap)
+VALUES (
+    'No response drip',
+    'status',
+    ARRAY['Call not picked up', 'Sent details on WhatsApp'],
+    ARRAY[2, 3, 7, 9, 7, 8, 8, 8, 29],
+    30
+)
+ON CONFLICT (name) DO NOTHING;
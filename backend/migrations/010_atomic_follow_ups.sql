@@ -0,0 +1,79 @@
+-- Logging a follow-up writes the follow_ups row and the lead's denormalized fields
+-- (current_status, last/next follow-up date, stage) in one transaction.
+-- p_follow_up holds follow_ups columns; p_lead_stage is optional.
+CREATE OR REPLACE FUNCTION log_follow_up(p_follow_up JSONB, p_lead_stage TEXT DEFAULT NULL)
+RETURNS follow_ups
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_follow_up follow_ups%ROWTYPE;
+BEGIN
+    INSERT INTO follow_ups (lead_id, follow_up_date, status, notes, next_follow_up_date, cadence_sequence_id, cadence_step)
+    SELECT f.lead_id, f.follow_up_date, f.status, f.notes, f.next_follow_up_date, f.cadence_sequence_id, f.cadence_step
+    FROM jsonb_populate_record(NULL::follow_ups, p_follow_up) f
+    RETURNING * INTO v_follow_up;
+
+    UPDATE leads SET
+        last_follow_up_date = v_follow_up.follow_up_date,
+        current_status = v_follow_up.status,
+        next_follow_up_date = COALESCE(v_follow_up.next_follow_up_date, next_follow_up_date),
+        lead_stage = COALESCE(p_lead_stage, lead_stage)
+    WHERE lead_id = v_follow_up.lead_id;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Lead not found' USING ERRCODE = 'P0002';
+    END IF;
+
+    RETURN v_follow_up;
+END;
+$$;
+
+-- Leads whose last_follow_up_date is older than their latest follow-up, i.e. the lead update
+-- after logging that follow-up never happened. With p_apply they are repaired from the latest
+-- follow-up. Leads edited by hand after their latest follow-up are not reported.
+-- Returns each lead's current values next to the expected ones (the values before any repair).
+CREATE OR REPLACE FUNCTION reconcile_lead_follow_ups(p_apply BOOLEAN DEFAULT FALSE)
+RETURNS TABLE (
+    lead_id leads.lead_id%TYPE,
+    restaurant_name leads.restaurant_name%TYPE,
+    follow_up_id follow_ups.follow_up_id%TYPE,
+    current_status leads.current_status%TYPE,
+    expected_status follow_ups.status%TYPE,
+    last_follow_up_date leads.last_follow_up_date%TYPE,
+    expected_last_follow_up_date follow_ups.follow_up_date%TYPE,
+    next_follow_up_date leads.next_follow_up_date%TYPE,
+    expected_next_follow_up_date leads.next_follow_up_date%TYPE
+)
+LANGUAGE sql
+AS $$
+    WITH latest AS (
+        SELECT DISTINCT ON (f.lead_id) f.lead_id, f.follow_up_id, f.follow_up_date, f.status, f.next_follow_up_date
+        FROM follow_ups f
+        ORDER BY f.lead_id, f.follow_up_date DESC, f.created_at DESC
+    ),
+    stale AS (
+        SELECT
+            l.lead_id,
+            l.restaurant_name,
+            latest.follow_up_id,
+            l.current_status,
+            latest.status AS expected_status,
+            l.last_follow_up_date,
+            latest.follow_up_date AS expected_last_follow_up_date,
+            l.next_follow_up_date,
+            COALESCE(latest.next_follow_up_date, l.next_follow_up_date) AS expected_next_follow_up_date
+        FROM leads l
+        JOIN latest ON latest.lead_id = l.lead_id
+        WHERE l.last_follow_up_date IS NULL OR l.last_follow_up_date < latest.follow_up_date
+    ),
+    repaired AS (
+        UPDATE leads l SET
+            current_status = s.expected_status,
+            last_follow_up_date = s.expected_last_follow_up_date,
+            next_follow_up_date = s.expected_next_follow_up_date
+        FROM stale s
+        WHERE p_apply AND l.lead_id = s.lead_id
+        RETURNING l.lead_id
+    )
+    SELECT * FROM stale ORDER BY restaurant_name;
+$$;
@@ -0,0 +1,117 @@
+-- Editing and deleting follow-ups. The version before each change is kept in
+-- follow_up_revisions, and the lead's denormalized fields are recomputed from what's left.
+
+ALTER TABLE follow_ups
+    ADD COLUMN IF NOT EXISTS edited_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS follow_up_revisions (
+    revision_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    -- No foreign keys to follow_ups/leads so the history outlives deleted rows
+    follow_up_id UUID NOT NULL,
+    lead_id UUID NOT NULL,
+    action TEXT NOT NULL CHECK (action IN ('edit', 'delete')),
+    previous JSONB NOT NULL,
+    changed_by UUID REFERENCES users(user_id) ON DELETE SET NULL,
+    changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS follow_up_revisions_follow_up_idx ON follow_up_revisions (follow_up_id, changed_at);
+CREATE INDEX IF NOT EXISTS follow_up_revisions_lead_idx ON follow_up_revisions (lead_id, changed_at);
+
+-- Replay a lead's follow-ups onto it: status and last follow-up date from the latest one,
+-- next follow-up date from the latest one that set it. Without follow-ups only the last
+-- follow-up date is cleared.
+CREATE OR REPLACE FUNCTION refresh_lead_follow_up_fields(p_lead_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_latest follow_ups%ROWTYPE;
+    v_next follow_ups.next_follow_up_date%TYPE;
+BEGIN
+    SELECT * INTO v_latest
+    FROM follow_ups
+    WHERE lead_id = p_lead_id
+    ORDER BY follow_up_date DESC, created_at DESC
+    LIMIT 1;
+
+    IF NOT FOUND THEN
+        UPDATE leads SET last_follow_up_date = NULL WHERE lead_id = p_lead_id;
+        RETURN;
+    END IF;
+
+    SELECT next_follow_up_date INTO v_next
+    FROM follow_ups
+    WHERE lead_id = p_lead_id AND next_follow_up_date IS NOT NULL
+    ORDER BY follow_up_date DESC, created_at DESC
+    LIMIT 1;
+
+    UPDATE leads SET
+        current_status = v_latest.status,
+        last_follow_up_date = v_latest.follow_up_date,
+        next_follow_up_date = COALESCE(v_next, next_follow_up_date)
+    WHERE lead_id = p_lead_id;
+END;
+$$;
+
+-- Apply p_changes (follow_ups columns) to a follow-up, keeping the previous version
+CREATE OR REPLACE FUNCTION edit_follow_up(p_follow_up_id UUID, p_changes JSONB, p_changed_by UUID)
+RETURNS follow_ups
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_old follow_ups%ROWTYPE;
+    v_new follow_ups%ROWTYPE;
+BEGIN
+    SELECT * INTO v_old FROM follow_ups WHERE follow_up_id = p_follow_up_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Follow-up not found' USING ERRCODE = 'P0002';
+    END IF;
+
+    INSERT INTO follow_up_revisions (follow_up_id, lead_id, action, previous, changed_by)
+    VALUES (v_old.follow_up_id, v_old.lead_id, 'edit', to_jsonb(v_old), p_changed_by);
+
+    v_new := jsonb_populate_record(v_old, p_changes);
+
+    UPDATE follow_ups SET
+        follow_up_date = v_new.follow_up_date,
+        status = v_new.status,
+        notes = v_new.notes,
+        next_follow_up_date = v_new.next_follow_up_date,
+        cadence_sequence_id = v_new.cadence_sequence_id,
+        cadence_step = v_new.cadence_step,
+        edited_at = NOW()
+    WHERE follow_up_id = p_follow_up_id
+    RETURNING * INTO v_new;
+
+    PERFORM refresh_lead_follow_up_fields(v_old.lead_id);
+
+    RETURN v_new;
+END;
+$$;
+
+-- Delete a follow-up, keeping it as a revision
+CREATE OR REPLACE FUNCTION delete_follow_up(p_follow_up_id UUID, p_changed_by UUID)
+RETURNS follow_up_revisions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_old follow_ups%ROWTYPE;
+    v_revision follow_up_revisions%ROWTYPE;
+BEGIN
+    SELECT * INTO v_old FROM follow_ups WHERE follow_up_id = p_follow_up_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Follow-up not found' USING ERRCODE = 'P0002';
+    END IF;
+
+    INSERT INTO follow_up_revisions (follow_up_id, lead_id, action, previous, changed_by)
+    VALUES (v_old.follow_up_id, v_old.lead_id, 'delete', to_jsonb(v_old), p_changed_by)
+    RETURNING * INTO v_revision;
+
+    DELETE FROM follow_ups WHERE follow_up_id = p_follow_up_id;
+
+    PERFORM refresh_lead_follow_up_fields(v_old.lead_id);
+
+    RETURN v_revision;
+END;
+$$;
@@ -0,0 +1,339 @@
+-- Field-level audit log for leads. A trigger on leads records one row per changed field on
+-- every insert, update and delete, whichever code path made the change.
+--
+-- The actor is leads.updated_by, which the API sets on every write (database functions take
+-- it as a parameter). Functions that change a lead as a side effect label their changes by
+-- setting app.audit_action (and app.audit_follow_up_id) for the transaction.
+
+ALTER TABLE leads
+    ADD COLUMN IF NOT EXISTS updated_by UUID REFERENCES users(user_id) ON DELETE SET NULL;
+
+ALTER TABLE follow_ups
+    ADD COLUMN IF NOT EXISTS created_by UUID REFERENCES users(user_id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS lead_audit (
+    audit_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    -- No foreign key so the log outlives deleted leads
+    lead_id UUID NOT NULL,
+    action TEXT NOT NULL CHECK (action IN ('create', 'update', 'delete', 'follow_up', 'merge')),
+    field TEXT NOT NULL,
+    old_value JSONB,
+    new_value JSONB,
+    actor_id UUID REFERENCES users(user_id) ON DELETE SET NULL,
+    follow_up_id UUID,
+    changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS lead_audit_lead_idx ON lead_audit (lead_id, changed_at DESC);
+
+CREATE OR REPLACE FUNCTION audit_lead_changes()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_old JSONB := '{}';
+    v_new JSONB := '{}';
+    v_lead_id UUID;
+    v_actor UUID;
+    v_action TEXT;
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        v_new := to_jsonb(NEW);
+        v_lead_id := NEW.lead_id;
+        v_actor := NEW.updated_by;
+        v_action := 'create';
+    ELSIF TG_OP = 'UPDATE' THEN
+        v_old := to_jsonb(OLD);
+        v_new := to_jsonb(NEW);
+        v_lead_id := NEW.lead_id;
+        v_actor := NEW.updated_by;
+        v_action := COALESCE(NULLIF(current_setting('app.audit_action', true), ''), 'update');
+    ELSE
+        v_old := to_jsonb(OLD);
+        v_lead_id := OLD.lead_id;
+        v_actor := OLD.updated_by;
+        v_action := 'delete';
+    END IF;
+
+    -- On create and delete only fields with a value are recorded
+    INSERT INTO lead_audit (lead_id, action, field, old_value, new_value, actor_id, follow_up_id)
+    SELECT v_lead_id, v_action, k.field, v_old -> k.field, v_new -> k.field, v_actor,
+        NULLIF(current_setting('app.audit_follow_up_id', true), '')::UUID
+    FROM (SELECT jsonb_object_keys(v_old || v_new) AS field) k
+    WHERE k.field NOT IN ('lead_id', 'created_at', 'updated_at', 'updated_by', 'phone_digits')
+      AND (v_old -> k.field) IS DISTINCT FROM (v_new -> k.field)
+      AND (COALESCE(v_old -> k.field, 'null') <> 'null' OR COALESCE(v_new -> k.field, 'null') <> 'null');
+
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS leads_audit ON leads;
+CREATE TRIGGER leads_audit
+    AFTER INSERT OR UPDATE OR DELETE ON leads
+    FOR EACH ROW
+    EXECUTE FUNCTION audit_lead_changes();
+
+-- Deleting a lead with its actor recorded, so the audit log knows who deleted it
+CREATE OR REPLACE FUNCTION delete_lead(p_lead_id UUID, p_actor UUID)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    -- Only updated_by changes here, so this update adds nothing to the audit log
+    UPDATE leads SET updated_by = p_actor WHERE lead_id = p_lead_id;
+    DELETE FROM leads WHERE lead_id = p_lead_id;
+    RETURN FOUND;
+END;
+$$;
+
+-- The functions below now record their actor; the old signatures are replaced
+
+DROP FUNCTION IF EXISTS merge_leads(UUID, UUID, JSONB, JSONB);
+CREATE OR REPLACE FUNCTION merge_leads(p_target_id UUID, p_source_id UUID, p_merged JSONB, p_field_sources JSONB, p_actor UUID DEFAULT NULL)
+RETURNS lead_merges
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_source leads%ROWTYPE;
+    v_moved INTEGER;
+    v_merge lead_merges%ROWTYPE;
+BEGIN
+    IF p_target_id = p_source_id THEN
+        RAISE EXCEPTION 'Cannot merge a lead into itself' USING ERRCODE = '22023';
+    END IF;
+
+    PERFORM 1 FROM leads WHERE lead_id = p_target_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Target lead not found' USING ERRCODE = 'P0002';
+    END IF;
+
+    SELECT * INTO v_source FROM leads WHERE lead_id = p_source_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Source lead not found' USING ERRCODE = 'P0002';
+    END IF;
+
+    UPDATE follow_ups SET lead_id = p_target_id WHERE lead_id = p_source_id;
+    GET DIAGNOSTICS v_moved = ROW_COUNT;
+
+    PERFORM set_config('app.audit_action', 'merge', true);
+
+    UPDATE leads t SET
+        restaurant_name = m.restaurant_name,
+        phone = m.phone,
+        city = m.city,
+        contact_person = m.contact_person,
+        source = m.source,
+        email = m.email,
+        address = m.address,
+        cuisine_type = m.cuisine_type,
+        seating_capacity = m.seating_capacity,
+        outlet_count = m.outlet_count,
+        current_pos_system = m.current_pos_system,
+        notes = m.notes,
+        current_status = m.current_status,
+        lead_stage = m.lead_stage,
+        next_follow_up_date = m.next_follow_up_date,
+        last_follow_up_date = m.last_follow_up_date,
+        updated_by = p_actor
+    FROM jsonb_populate_record(NULL::leads, p_merged) m
+    WHERE t.lead_id = p_target_id;
+
+    INSERT INTO lead_merges (target_lead_id, source_lead_id, source_snapshot, field_sources, follow_ups_moved)
+    VALUES (p_target_id, p_source_id, to_jsonb(v_source), p_field_sources, v_moved)
+    RETURNING * INTO v_merge;
+
+    UPDATE leads SET updated_by = p_actor WHERE lead_id = p_source_id;
+    DELETE FROM leads WHERE lead_id = p_source_id;
+
+    PERFORM set_config('app.audit_action', '', true);
+
+    RETURN v_merge;
+END;
+$$;
+
+-- log_follow_up keeps its signature; the actor is the follow-up's created_by
+CREATE OR REPLACE FUNCTION log_follow_up(p_follow_up JSONB, p_lead_stage TEXT DEFAULT NULL)
+RETURNS follow_ups
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_follow_up follow_ups%ROWTYPE;
+BEGIN
+    INSERT INTO follow_ups (lead_id, follow_up_date, status, notes, next_follow_up_date, cadence_sequence_id, cadence_step, created_by)
+    SELECT f.lead_id, f.follow_up_date, f.status, f.notes, f.next_follow_up_date, f.cadence_sequence_id, f.cadence_step, f.created_by
+    FROM jsonb_populate_record(NULL::follow_ups, p_follow_up) f
+    RETURNING * INTO v_follow_up;
+
+    PERFORM set_config('app.audit_action', 'follow_up', true);
+    PERFORM set_config('app.audit_follow_up_id', v_follow_up.follow_up_id::TEXT, true);
+
+    UPDATE leads SET
+        last_follow_up_date = v_follow_up.follow_up_date,
+        current_status = v_follow_up.status,
+        next_follow_up_date = COALESCE(v_follow_up.next_follow_up_date, next_follow_up_date),
+        lead_stage = COALESCE(p_lead_stage, lead_stage),
+        updated_by = v_follow_up.created_by
+    WHERE lead_id = v_follow_up.lead_id;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Lead not found' USING ERRCODE = 'P0002';
+    END IF;
+
+    PERFORM set_config('app.audit_action', '', true);
+    PERFORM set_config('app.audit_follow_up_id', '', true);
+
+    RETURN v_follow_up;
+END;
+$$;
+
+DROP FUNCTION IF EXISTS refresh_lead_follow_up_fields(UUID);
+CREATE OR REPLACE FUNCTION refresh_lead_follow_up_fields(p_lead_id UUID, p_actor UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_latest follow_ups%ROWTYPE;
+    v_next follow_ups.next_follow_up_date%TYPE;
+BEGIN
+    SELECT * INTO v_latest
+    FROM follow_ups
+    WHERE lead_id = p_lead_id
+    ORDER BY follow_up_date DESC, created_at DESC
+    LIMIT 1;
+
+    IF NOT FOUND THEN
+        UPDATE leads SET last_follow_up_date = NULL, updated_by = p_actor WHERE lead_id = p_lead_id;
+        RETURN;
+    END IF;
+
+    SELECT next_follow_up_date INTO v_next
+    FROM follow_ups
+    WHERE lead_id = p_lead_id AND next_follow_up_date IS NOT NULL
+    ORDER BY follow_up_date DESC, created_at DESC
+    LIMIT 1;
+
+    UPDATE leads SET
+        current_status = v_latest.status,
+        last_follow_up_date = v_latest.follow_up_date,
+        next_follow_up_date = COALESCE(v_next, next_follow_up_date),
+        updated_by = p_actor
+    WHERE lead_id = p_lead_id;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION edit_follow_up(p_follow_up_id UUID, p_changes JSONB, p_changed_by UUID)
+RETURNS follow_ups
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_old follow_ups%ROWTYPE;
+    v_new follow_ups%ROWTYPE;
+BEGIN
+    SELECT * INTO v_old FROM follow_ups WHERE follow_up_id = p_follow_up_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Follow-up not found' USING ERRCODE = 'P0002';
+    END IF;
+
+    INSERT INTO follow_up_revisions (follow_up_id, lead_id, action, previous, changed_by)
+    VALUES (v_old.follow_up_id, v_old.lead_id, 'edit', to_jsonb(v_old), p_changed_by);
+
+    v_new := jsonb_populate_record(v_old, p_changes);
+
+    UPDATE follow_ups SET
+        follow_up_date = v_new.follow_up_date,
+        status = v_new.status,
+        notes = v_new.notes,
+        next_follow_up_date = v_new.next_follow_up_date,
+        cadence_sequence_id = v_new.cadence_sequence_id,
+        cadence_step = v_new.cadence_step,
+        edited_at = NOW()
+    WHERE follow_up_id = p_follow_up_id
+    RETURNING * INTO v_new;
+
+    PERFORM set_config('app.audit_action', 'follow_up', true);
+    PERFORM set_config('app.audit_follow_up_id', p_follow_up_id::TEXT, true);
+    PERFORM refresh_lead_follow_up_fields(v_old.lead_id, p_changed_by);
+    PERFORM set_config('app.audit_action', '', true);
+    PERFORM set_config('app.audit_follow_up_id', '', true);
+
+    RETURN v_new;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION delete_follow_up(p_follow_up_id UUID, p_changed_by UUID)
+RETURNS follow_up_revisions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_old follow_ups%ROWTYPE;
+    v_revision follow_up_revisions%ROWTYPE;
+BEGIN
+    SELECT * INTO v_old FROM follow_ups WHERE follow_up_id = p_follow_up_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Follow-up not found' USING ERRCODE = 'P0002';
+    END IF;
+
+    INSERT INTO follow_up_revisions (follow_up_id, lead_id, action, previous, changed_by)
+    VALUES (v_old.follow_up_id, v_old.lead_id, 'delete', to_jsonb(v_old), p_changed_by)
+    RETURNING * INTO v_revision;
+
+    DELETE FROM follow_ups WHERE follow_up_id = p_follow_up_id;
+
+    PERFORM set_config('app.audit_action', 'follow_up', true);
+    PERFORM set_config('app.audit_follow_up_id', p_follow_up_id::TEXT, true);
+    PERFORM refresh_lead_follow_up_fields(v_old.lead_id, p_changed_by);
+    PERFORM set_config('app.audit_action', '', true);
+    PERFORM set_config('app.audit_follow_up_id', '', true);
+
+    RETURN v_revision;
+END;
+$$;
+
+DROP FUNCTION IF EXISTS reconcile_lead_follow_ups(BOOLEAN);
+CREATE OR REPLACE FUNCTION reconcile_lead_follow_ups(p_apply BOOLEAN DEFAULT FALSE, p_actor UUID DEFAULT NULL)
+RETURNS TABLE (
+    lead_id leads.lead_id%TYPE,
+    restaurant_name leads.restaurant_name%TYPE,
+    follow_up_id follow_ups.follow_up_id%TYPE,
+    current_status leads.current_status%TYPE,
+    expected_status follow_ups.status%TYPE,
+    last_follow_up_date leads.last_follow_up_date%TYPE,
+    expected_last_follow_up_date follow_ups.follow_up_date%TYPE,
+    next_follow_up_date leads.next_follow_up_date%TYPE,
+    expected_next_follow_up_date leads.next_follow_up_date%TYPE
+)
+LANGUAGE sql
+AS $$
+    WITH latest AS (
+        SELECT DISTINCT ON (f.lead_id) f.lead_id, f.follow_up_id, f.follow_up_date, f.status, f.next_follow_up_date
+        FROM follow_ups f
+        ORDER BY f.lead_id, f.follow_up_date DESC, f.created_at DESC
+    ),
+    stale AS (
+        SELECT
+            l.lead_id,
+            l.restaurant_name,
+            latest.follow_up_id,
+            l.current_status,
+            latest.status AS expected_status,
+            l.last_follow_up_date,
+            latest.follow_up_date AS expected_last_follow_up_date,
+            l.next_follow_up_date,
+            COALESCE(latest.next_follow_up_date, l.next_follow_up_date) AS expected_next_follow_up_date
+        FROM leads l
+        JOIN latest ON latest.lead_id = l.lead_id
+        WHERE l.last_follow_up_date IS NULL OR l.last_follow_up_date < latest.follow_up_date
+    ),
+    repaired AS (
+        UPDATE leads l SET
+            current_status = s.expected_status,
+            last_follow_up_date = s.expected_last_follow_up_date,
+            next_follow_up_date = s.expected_next_follow_up_date,
+            updated_by = p_actor
+        FROM stale s
+        WHERE p_apply AND l.lead_id = s.lead_id
+        RETURNING l.lead_id
+    )
+    SELECT * FROM stale ORDER BY restaurant_name;
+$$;
@@ -0,0 +1,164 @@
+-- Soft delete: deleting a lead moves it to the trash (deleted_at set). Trashed leads are
+-- left out of lists, search, duplicate checks, stats and follow-ups until restored, and are
+-- purged for good after the retention period.
+
+ALTER TABLE leads
+    ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS deleted_by UUID REFERENCES users(user_id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS leads_deleted_at_idx ON leads (deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- Audit actions: moving to the trash is 'delete', taking a lead out of it 'restore' and
+-- removing it for good 'purge'
+ALTER TABLE lead_audit DROP CONSTRAINT IF EXISTS lead_audit_action_check;
+ALTER TABLE lead_audit ADD CONSTRAINT lead_audit_action_check
+    CHECK (action IN ('create', 'update', 'delete', 'restore', 'purge', 'follow_up', 'merge'));
+
+CREATE OR REPLACE FUNCTION audit_lead_changes()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_old JSONB := '{}';
+    v_new JSONB := '{}';
+    v_lead_id UUID;
+    v_actor UUID;
+    v_action TEXT;
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        v_new := to_jsonb(NEW);
+        v_lead_id := NEW.lead_id;
+        v_actor := NEW.updated_by;
+        v_action := 'create';
+    ELSIF TG_OP = 'UPDATE' THEN
+        v_old := to_jsonb(OLD);
+        v_new := to_jsonb(NEW);
+        v_lead_id := NEW.lead_id;
+        v_actor := NEW.updated_by;
+        v_action := CASE
+            WHEN OLD.deleted_at IS NULL AND NEW.deleted_at IS NOT NULL THEN 'delete'
+            WHEN OLD.deleted_at IS NOT NULL AND NEW.deleted_at IS NULL THEN 'restore'
+            ELSE COALESCE(NULLIF(current_setting('app.audit_action', true), ''), 'update')
+        END;
+    ELSE
+        v_old := to_jsonb(OLD);
+        v_lead_id := OLD.lead_id;
+        v_actor := OLD.updated_by;
+        -- merge_leads removes the source lead with its action set to 'merge'
+        v_action := COALESCE(NULLIF(current_setting('app.audit_action', true), ''), 'purge');
+    END IF;
+
+    -- On create and purge only fields with a value are recorded
+    INSERT INTO lead_audit (lead_id, action, field, old_value, new_value, actor_id, follow_up_id)
+    SELECT v_lead_id, v_action, k.field, v_old -> k.field, v_new -> k.field, v_actor,
+        NULLIF(current_setting('app.audit_follow_up_id', true), '')::UUID
+    FROM (SELECT jsonb_object_keys(v_old || v_new) AS field) k
+    WHERE k.field NOT IN ('lead_id', 'created_at', 'updated_at', 'updated_by', 'phone_digits')
+      AND (v_old -> k.field) IS DISTINCT FROM (v_new -> k.field)
+      AND (COALESCE(v_old -> k.field, 'null') <> 'null' OR COALESCE(v_new -> k.field, 'null') <> 'null');
+
+    RETURN NULL;
+END;
+$$;
+
+-- Hard deletes now only happen through the purge
+DROP FUNCTION IF EXISTS delete_lead(UUID, UUID);
+
+-- Permanently delete leads that have been in the trash since before p_deleted_before.
+-- Follow-ups go with them. Returns the number of leads purged.
+CREATE OR REPLACE FUNCTION purge_deleted_leads(p_deleted_before TIMESTAMPTZ, p_actor UUID DEFAULT NULL)
+RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_purged INTEGER;
+BEGIN
+    -- Record the actor first so the audit log knows who purged them
+    UPDATE leads SET updated_by = p_actor
+    WHERE deleted_at IS NOT NULL AND deleted_at < p_deleted_before;
+
+    DELETE FROM follow_ups f
+    USING leads l
+    WHERE f.lead_id = l.lead_id AND l.deleted_at IS NOT NULL AND l.deleted_at < p_deleted_before;
+
+    DELETE FROM leads WHERE deleted_at IS NOT NULL AND deleted_at < p_deleted_before;
+    GET DIAGNOSTICS v_purged = ROW_COUNT;
+
+    RETURN v_purged;
+END;
+$$;
+
+-- search_leads and find_duplicate_leads skip trashed leads
+CREATE OR REPLACE FUNCTION search_leads(
+    search_term TEXT,
+    phone_term TEXT DEFAULT '',
+    result_limit INT DEFAULT 20,
+    owner_ids UUID[] DEFAULT NULL
+)
+RETURNS TABLE (lead_id leads.lead_id%TYPE, score REAL, matched_field TEXT)
+LANGUAGE sql STABLE
+SET pg_trgm.word_similarity_threshold = 0.4
+AS $$
+    WITH matches AS (
+        SELECT l.lead_id, 1.0::REAL AS score, 'phone' AS matched_field
+        FROM leads l
+        WHERE phone_term <> '' AND l.phone_digits LIKE '%' || phone_term || '%'
+        UNION ALL
+        SELECT l.lead_id, word_similarity(search_term, l.restaurant_name), 'restaurantName'
+        FROM leads l
+        WHERE search_term <% l.restaurant_name
+        UNION ALL
+        SELECT l.lead_id, word_similarity(search_term, l.contact_person) * 0.9, 'contactPerson'
+        FROM leads l
+        WHERE search_term <% l.contact_person
+        UNION ALL
+        SELECT l.lead_id, word_similarity(search_term, l.city) * 0.8, 'city'
+        FROM leads l
+        WHERE search_term <% l.city
+        UNION ALL
+        SELECT f.lead_id, word_similarity(search_term, f.notes) * 0.7, 'notes'
+        FROM follow_ups f
+        WHERE search_term <% f.notes
+    ),
+    best AS (
+        SELECT DISTINCT ON (m.lead_id) m.lead_id, m.score, m.matched_field
+        FROM matches m
+        JOIN leads l ON l.lead_id = m.lead_id
+        WHERE l.deleted_at IS NULL
+          AND (owner_ids IS NULL OR l.assigned_to = ANY(owner_ids))
+        ORDER BY m.lead_id, m.score DESC
+    )
+    SELECT b.lead_id, b.score, b.matched_field
+    FROM best b
+    ORDER BY b.score DESC, b.lead_id
+    LIMIT result_limit;
+$$;
+
+CREATE OR REPLACE FUNCTION find_duplicate_leads(
+    p_phone_digits TEXT,
+    p_restaurant_name TEXT,
+    p_city TEXT,
+    p_exclude_lead_id UUID DEFAULT NULL,
+    p_limit INT DEFAULT 5
+)
+RETURNS TABLE (lead_id UUID, match_reason TEXT, score REAL)
+LANGUAGE sql STABLE
+SET pg_trgm.similarity_threshold = 0.5
+AS $$
+    SELECT l.lead_id,
+        CASE WHEN p_phone_digits <> '' AND l.phone_digits = p_phone_digits THEN 'phone' ELSE 'name_city' END,
+        CASE WHEN p_phone_digits <> '' AND l.phone_digits = p_phone_digits THEN 1.0::REAL
+             ELSE similarity(l.restaurant_name, p_restaurant_name) END AS score
+    FROM leads l
+    WHERE l.deleted_at IS NULL
+      AND (p_exclude_lead_id IS NULL OR l.lead_id <> p_exclude_lead_id)
+      AND (
+          (p_phone_digits <> '' AND l.phone_digits = p_phone_digits)
+          OR (
+              l.restaurant_name % p_restaurant_name
+              AND (LOWER(l.city) = LOWER(p_city) OR similarity(LOWER(l.city), LOWER(p_city)) >= 0.6)
+          )
+      )
+    ORDER BY score DESC
+    LIMIT p_limit;
+$$;
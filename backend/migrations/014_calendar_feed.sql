@@ -0,0 +1,6 @@
+-- Calendar feed: each user can subscribe to their scheduled calls from a phone or desktop
+-- calendar at /api/calendar.ics?token=<calendar_token>. Calendar apps can't send a login
+-- header, so the feed has its own secret, created on first use and replaced on reset.
+
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS calendar_token TEXT UNIQUE;
@@ -0,0 +1,6 @@
+-- User timezones: "today" (calls due, overdue, the dashboard) is counted in the user's
+-- timezone, or the org's (ORG_TIMEZONE) when this is NULL. Values are IANA names such as
+-- 'Asia/Kolkata', validated by the API.
+
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS timezone TEXT;
@@ -0,0 +1,22 @@
+-- Call queue: how many times in a row each lead's calls have gone unanswered, counted from its
+-- latest follow-up back to the last one with another status. Used to rank the call queue.
+
+CREATE OR REPLACE FUNCTION unanswered_call_attempts(
+    p_lead_ids UUID[],
+    p_statuses TEXT[]
+)
+RETURNS TABLE (lead_id UUID, attempts INT)
+LANGUAGE sql STABLE
+AS $$
+    SELECT f.lead_id, COUNT(*)::INT
+    FROM follow_ups f
+    WHERE f.lead_id = ANY(p_lead_ids)
+      AND f.status = ANY(p_statuses)
+      AND f.follow_up_date > COALESCE((
+          SELECT MAX(a.follow_up_date)
+          FROM follow_ups a
+          WHERE a.lead_id = f.lead_id
+            AND NOT (a.status = ANY(p_statuses))
+      ), '-infinity')
+    GROUP BY f.lead_id;
+$$;
@@ -0,0 +1,100 @@
+-- Lead scores: a 0-100 score per lead computed by lib/leadScoring.js from its follow-up
+-- history and profile, with the points each rule gave (score_explanation). Scores are
+-- derived data: rescoring is not an edit, so it is left out of the audit log and doesn't
+-- move updated_at (which would make open edits of the lead fail as conflicting).
+
+ALTER TABLE leads
+    ADD COLUMN IF NOT EXISTS score INT CHECK (score BETWEEN 0 AND 100),
+    ADD COLUMN IF NOT EXISTS score_explanation JSONB,
+    ADD COLUMN IF NOT EXISTS scored_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS leads_score_idx ON leads (score, lead_id);
+
+-- Write scores for many leads in one call: p_scores is [{ lead_id, score, score_explanation }]
+CREATE OR REPLACE FUNCTION set_lead_scores(p_scores JSONB)
+RETURNS INT
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_updated INT;
+BEGIN
+    UPDATE leads l
+    SET score = s.score,
+        score_explanation = s.score_explanation,
+        scored_at = NOW()
+    FROM jsonb_to_recordset(p_scores) AS s(lead_id UUID, score INT, score_explanation JSONB)
+    WHERE l.lead_id = s.lead_id;
+
+    GET DIAGNOSTICS v_updated = ROW_COUNT;
+    RETURN v_updated;
+END;
+$$;
+
+-- Keep updated_at when only the score columns change
+CREATE OR REPLACE FUNCTION set_lead_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF to_jsonb(NEW) - ARRAY['score', 'score_explanation', 'scored_at', 'updated_at']
+        = to_jsonb(OLD) - ARRAY['score', 'score_explanation', 'scored_at', 'updated_at'] THEN
+        NEW.updated_at = OLD.updated_at;
+    ELSE
+        NEW.updated_at = NOW();
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS leads_set_updated_at ON leads;
+CREATE TRIGGER leads_set_updated_at
+    BEFORE UPDATE ON leads
+    FOR EACH ROW
+    EXECUTE FUNCTION set_lead_updated_at();
+
+-- Same as 013, with the score columns left out of the audit log
+CREATE OR REPLACE FUNCTION audit_lead_changes()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_old JSONB := '{}';
+    v_new JSONB := '{}';
+    v_lead_id UUID;
+    v_actor UUID;
+    v_action TEXT;
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        v_new := to_jsonb(NEW);
+        v_lead_id := NEW.lead_id;
+        v_actor := NEW.updated_by;
+        v_action := 'create';
+    ELSIF TG_OP = 'UPDATE' THEN
+        v_old := to_jsonb(OLD);
+        v_new := to_jsonb(NEW);
+        v_lead_id := NEW.lead_id;
+        v_actor := NEW.updated_by;
+        v_action := CASE
+            WHEN OLD.deleted_at IS NULL AND NEW.deleted_at IS NOT NULL THEN 'delete'
+            WHEN OLD.deleted_at IS NOT NULL AND NEW.deleted_at IS NULL THEN 'restore'
+            ELSE COALESCE(NULLIF(current_setting('app.audit_action', true), ''), 'update')
+        END;
+    ELSE
+        v_old := to_jsonb(OLD);
+        v_lead_id := OLD.lead_id;
+        v_actor := OLD.updated_by;
+        -- merge_leads removes the source lead with its action set to 'merge'
+        v_action := COALESCE(NULLIF(current_setting('app.audit_action', true), ''), 'purge');
+    END IF;
+
+    -- On create and purge only fields with a value are recorded
+    INSERT INTO lead_audit (lead_id, action, field, old_value, new_value, actor_id, follow_up_id)
+    SELECT v_lead_id, v_action, k.field, v_old -> k.field, v_new -> k.field, v_actor,
+        NULLIF(current_setting('app.audit_follow_up_id', true), '')::UUID
+    FROM (SELECT jsonb_object_keys(v_old || v_new) AS field) k
+    WHERE k.field NOT IN ('lead_id', 'created_at', 'updated_at', 'updated_by', 'phone_digits',
+                          'score', 'score_explanation', 'scored_at')
+      AND (v_old -> k.field) IS DISTINCT FROM (v_new -> k.field)
+      AND (COALESCE(v_old -> k.field, 'null') <> 'null' OR COALESCE(v_new -> k.field, 'null') <> 'null');
+
+    RETURN NULL;
+END;
+$$;
@@ -0,0 +1,110 @@
+-- Deals: what a lead is worth if it converts. deal_value is the monthly value of the plan in
+-- whole currency units; expected_close_date is a date-only field. A lead's outcome (won or
+-- lost) comes from its status; outcome_reason says why, and closed_at is when the lead
+-- entered that status. The revenue forecast (lib/forecast.js) is built from these columns.
+
+ALTER TABLE leads
+    ADD COLUMN IF NOT EXISTS deal_plan TEXT,
+    ADD COLUMN IF NOT EXISTS deal_value INT CHECK (deal_value >= 0),
+    ADD COLUMN IF NOT EXISTS expected_close_date DATE,
+    ADD COLUMN IF NOT EXISTS outcome_reason TEXT,
+    ADD COLUMN IF NOT EXISTS closed_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS leads_expected_close_date_idx ON leads (expected_close_date) WHERE deal_value IS NOT NULL;
+CREATE INDEX IF NOT EXISTS leads_closed_at_idx ON leads (closed_at) WHERE closed_at IS NOT NULL;
+
+-- Set closed_at when a lead enters a terminal status, and clear it with the outcome reason
+-- when the lead is reopened. Keep the list in sync with terminal statuses in lib/pipeline.js.
+CREATE OR REPLACE FUNCTION set_lead_closed_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.current_status IN ('Converted', 'Fake lead', 'Reject') THEN
+        IF TG_OP = 'INSERT' OR OLD.current_status IS DISTINCT FROM NEW.current_status THEN
+            NEW.closed_at = COALESCE(NEW.closed_at, NOW());
+        END IF;
+    ELSE
+        NEW.closed_at = NULL;
+        NEW.outcome_reason = NULL;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS leads_set_closed_at ON leads;
+CREATE TRIGGER leads_set_closed_at
+    BEFORE INSERT OR UPDATE ON leads
+    FOR EACH ROW
+    EXECUTE FUNCTION set_lead_closed_at();
+
+-- Leads closed before this migration: the last follow-up is the best guess at when
+UPDATE leads
+SET closed_at = COALESCE(last_follow_up_date, updated_at)
+WHERE current_status IN ('Converted', 'Fake lead', 'Reject')
+  AND closed_at IS NULL;
+
+-- Same as 012, with the deal fields merged too
+CREATE OR REPLACE FUNCTION merge_leads(p_target_id UUID, p_source_id UUID, p_merged JSONB, p_field_sources JSONB, p_actor UUID DEFAULT NULL)
+RETURNS lead_merges
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_source leads%ROWTYPE;
+    v_moved INTEGER;
+    v_merge lead_merges%ROWTYPE;
+BEGIN
+    IF p_target_id = p_source_id THEN
+        RAISE EXCEPTION 'Cannot merge a lead into itself' USING ERRCODE = '22023';
+    END IF;
+
+    PERFORM 1 FROM leads WHERE lead_id = p_target_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Target lead not found' USING ERRCODE = 'P0002';
+    END IF;
+
+    SELECT * INTO v_source FROM leads WHERE lead_id = p_source_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Source lead not found' USING ERRCODE = 'P0002';
+    END IF;
+
+    UPDATE follow_ups SET lead_id = p_target_id WHERE lead_id = p_source_id;
+    GET DIAGNOSTICS v_moved = ROW_COUNT;
+
+    PERFORM set_config('app.audit_action', 'merge', true);
+
+    UPDATE leads t SET
+        restaurant_name = m.restaurant_name,
+        phone = m.phone,
+        city = m.city,
+        contact_person = m.contact_person,
+        source = m.source,
+        email = m.email,
+        address = m.address,
+        cuisine_type = m.cuisine_type,
+        seating_capacity = m.seating_capacity,
+        outlet_count = m.outlet_count,
+        current_pos_system = m.current_pos_system,
+        notes = m.notes,
+        deal_plan = m.deal_plan,
+        deal_value = m.deal_value,
+        expected_close_date = m.expected_close_date,
+        outcome_reason = m.outcome_reason,
+        current_status = m.current_status,
+        lead_stage = m.lead_stage,
+        next_follow_up_date = m.next_follow_up_date,
+        last_follow_up_date = m.last_follow_up_date,
+        updated_by = p_actor
+    FROM jsonb_populate_record(NULL::leads, p_merged) m
+    WHERE t.lead_id = p_target_id;
+
+    INSERT INTO lead_merges (target_lead_id, source_lead_id, source_snapshot, field_sources, follow_ups_moved)
+    VALUES (p_target_id, p_source_id, to_jsonb(v_source), p_field_sources, v_moved)
+    RETURNING * INTO v_merge;
+
+    UPDATE leads SET updated_by = p_actor WHERE lead_id = p_source_id;
+    DELETE FROM leads WHERE lead_id = p_source_id;
+
+    PERFORM set_config('app.audit_action', '', true);
+
+    RETURN v_merge;
+END;
+$$;
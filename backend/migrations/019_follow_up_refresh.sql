@@ -0,0 +1,140 @@
+-- Recomputing a lead after a follow-up is corrected or deleted (edit_follow_up and
+-- delete_follow_up):
+--   - with no follow-ups left, the lead goes back to the initial status ('New', DEFAULT_STATUS
+--     in lib/pipeline.js); its next follow-up date is kept, as the first call is still to make
+--   - the next follow-up date is only recomputed when the corrected or deleted follow-up's
+--     next date changed and it is the date the lead has now. A date set on the lead itself
+--     (calendar, snooze, bulk reschedule, creation) is left alone; a removed follow-up's date
+--     falls back to the latest remaining follow-up's, or NULL when none set one
+--   - a correction to the notes alone leaves the lead as it is
+
+DROP FUNCTION IF EXISTS refresh_lead_follow_up_fields(UUID, UUID);
+CREATE OR REPLACE FUNCTION refresh_lead_follow_up_fields(
+    p_lead_id UUID,
+    p_actor UUID,
+    p_next_changed BOOLEAN DEFAULT FALSE,
+    p_old_next DATE DEFAULT NULL
+)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_latest follow_ups%ROWTYPE;
+    v_next follow_ups.next_follow_up_date%TYPE;
+BEGIN
+    SELECT * INTO v_latest
+    FROM follow_ups
+    WHERE lead_id = p_lead_id
+    ORDER BY follow_up_date DESC, created_at DESC
+    LIMIT 1;
+
+    IF NOT FOUND THEN
+        UPDATE leads SET
+            current_status = 'New',
+            last_follow_up_date = NULL,
+            updated_by = p_actor
+        WHERE lead_id = p_lead_id;
+        RETURN;
+    END IF;
+
+    SELECT next_follow_up_date INTO v_next
+    FROM follow_ups
+    WHERE lead_id = p_lead_id AND next_follow_up_date IS NOT NULL
+    ORDER BY follow_up_date DESC, created_at DESC
+    LIMIT 1;
+
+    UPDATE leads SET
+        current_status = v_latest.status,
+        last_follow_up_date = v_latest.follow_up_date,
+        next_follow_up_date = CASE
+            WHEN p_next_changed AND next_follow_up_date IS NOT DISTINCT FROM p_old_next THEN v_next
+            ELSE next_follow_up_date
+        END,
+        updated_by = p_actor
+    WHERE lead_id = p_lead_id;
+END;
+$$;
+
+-- Same as 012, skipping the lead for notes-only corrections and passing the old next date
+CREATE OR REPLACE FUNCTION edit_follow_up(p_follow_up_id UUID, p_changes JSONB, p_changed_by UUID)
+RETURNS follow_ups
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_old follow_ups%ROWTYPE;
+    v_new follow_ups%ROWTYPE;
+BEGIN
+    SELECT * INTO v_old FROM follow_ups WHERE follow_up_id = p_follow_up_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Follow-up not found' USING ERRCODE = 'P0002';
+    END IF;
+
+    INSERT INTO follow_up_revisions (follow_up_id, lead_id, action, previous, changed_by)
+    VALUES (v_old.follow_up_id, v_old.lead_id, 'edit', to_jsonb(v_old), p_changed_by);
+
+    v_new := jsonb_populate_record(v_old, p_changes);
+
+    UPDATE follow_ups SET
+        follow_up_date = v_new.follow_up_date,
+        status = v_new.status,
+        notes = v_new.notes,
+        next_follow_up_date = v_new.next_follow_up_date,
+        cadence_sequence_id = v_new.cadence_sequence_id,
+        cadence_step = v_new.cadence_step,
+        edited_at = NOW()
+    WHERE follow_up_id = p_follow_up_id
+    RETURNING * INTO v_new;
+
+    IF v_new.follow_up_date IS DISTINCT FROM v_old.follow_up_date
+        OR v_new.status IS DISTINCT FROM v_old.status
+        OR v_new.next_follow_up_date IS DISTINCT FROM v_old.next_follow_up_date THEN
+        PERFORM set_config('app.audit_action', 'follow_up', true);
+        PERFORM set_config('app.audit_follow_up_id', p_follow_up_id::TEXT, true);
+        PERFORM refresh_lead_follow_up_fields(
+            v_old.lead_id,
+            p_changed_by,
+            v_new.next_follow_up_date IS DISTINCT FROM v_old.next_follow_up_date,
+            v_old.next_follow_up_date
+        );
+        PERFORM set_config('app.audit_action', '', true);
+        PERFORM set_config('app.audit_follow_up_id', '', true);
+    END IF;
+
+    RETURN v_new;
+END;
+$$;
+
+-- Same as 012, passing the removed follow-up's next date
+CREATE OR REPLACE FUNCTION delete_follow_up(p_follow_up_id UUID, p_changed_by UUID)
+RETURNS follow_up_revisions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_old follow_ups%ROWTYPE;
+    v_revision follow_up_revisions%ROWTYPE;
+BEGIN
+    SELECT * INTO v_old FROM follow_ups WHERE follow_up_id = p_follow_up_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Follow-up not found' USING ERRCODE = 'P0002';
+    END IF;
+
+    INSERT INTO follow_up_revisions (follow_up_id, lead_id, action, previous, changed_by)
+    VALUES (v_old.follow_up_id, v_old.lead_id, 'delete', to_jsonb(v_old), p_changed_by)
+    RETURNING * INTO v_revision;
+
+    DELETE FROM follow_ups WHERE follow_up_id = p_follow_up_id;
+
+    PERFORM set_config('app.audit_action', 'follow_up', true);
+    PERFORM set_config('app.audit_follow_up_id', p_follow_up_id::TEXT, true);
+    PERFORM refresh_lead_follow_up_fields(
+        v_old.lead_id,
+        p_changed_by,
+        v_old.next_follow_up_date IS NOT NULL,
+        v_old.next_follow_up_date
+    );
+    PERFORM set_config('app.audit_action', '', true);
+    PERFORM set_config('app.audit_follow_up_id', '', true);
+
+    RETURN v_revision;
+END;
+$$;
@@ -0,0 +1,38 @@
+-- log_follow_up takes the won/lost reason too, so it is saved on the lead in the same
+-- transaction as the follow-up. NULL keeps the lead's reason; the leads_set_closed_at trigger
+-- (018) clears it when the status isn't terminal. Same as 012 otherwise.
+DROP FUNCTION IF EXISTS log_follow_up(JSONB, TEXT);
+CREATE OR REPLACE FUNCTION log_follow_up(p_follow_up JSONB, p_lead_stage TEXT DEFAULT NULL, p_outcome_reason TEXT DEFAULT NULL)
+RETURNS follow_ups
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_follow_up follow_ups%ROWTYPE;
+BEGIN
+    INSERT INTO follow_ups (lead_id, follow_up_date, status, notes, next_follow_up_date, cadence_sequence_id, cadence_step, created_by)
+    SELECT f.lead_id, f.follow_up_date, f.status, f.notes, f.next_follow_up_date, f.cadence_sequence_id, f.cadence_step, f.created_by
+    FROM jsonb_populate_record(NULL::follow_ups, p_follow_up) f
+    RETURNING * INTO v_follow_up;
+
+    PERFORM set_config('app.audit_action', 'follow_up', true);
+    PERFORM set_config('app.audit_follow_up_id', v_follow_up.follow_up_id::TEXT, true);
+
+    UPDATE leads SET
+        last_follow_up_date = v_follow_up.follow_up_date,
+        current_status = v_follow_up.status,
+        next_follow_up_date = COALESCE(v_follow_up.next_follow_up_date, next_follow_up_date),
+        lead_stage = COALESCE(p_lead_stage, lead_stage),
+        outcome_reason = COALESCE(p_outcome_reason, outcome_reason),
+        updated_by = v_follow_up.created_by
+    WHERE lead_id = v_follow_up.lead_id;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Lead not found' USING ERRCODE = 'P0002';
+    END IF;
+
+    PERFORM set_config('app.audit_action', '', true);
+    PERFORM set_config('app.audit_follow_up_id', '', true);
+
+    RETURN v_follow_up;
+END;
+$$;
@@ -0,0 +1,126 @@
+import express from 'express';
+import { supabase } from '../lib/supabaseClient.js';
+import { requirePermission } from '../lib/access.js';
+import { getAssignees, getAssignmentSettings, ASSIGNMENT_MODES } from '../lib/assignment.js';
+
+// Lead assignment: who leads can be assigned to and the rules for distributing new leads.
+// Mounted behind requireAuth and loadLeadScope in server.js.
+const router = express.Router();
+
+// GET users the logged-in user can assign leads to (empty for reps)
+router.get('/assignees', async (req, res, next) => {
+    try {
+        res.json(await getAssignees(req.user, req.leadScope));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET distribution settings and the current round-robin rotation (admins only)
+router.get('/settings', requirePermission('users:manage'), async (req, res, next) => {
+    try {
+        const settings = await getAssignmentSettings();
+
+        const { data: rotation, error } = await supabase
+            .from('users')
+            .select('user_id, name')
+            .eq('role', 'rep')
+            .eq('is_active', true)
+            .eq('in_round_robin', true)
+            .order('created_at', { ascending: true });
+
+        if (error) throw error;
+
+        res.json({
+            ...settings,
+            roundRobinUsers: rotation.map(u => ({ userId: u.user_id, name: u.name }))
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// PUT distribution settings (admins only)
+// Body: { mode, cityRules: [{ city, userId }] }. cityRules replaces the existing rules.
+router.put('/settings', requirePermission('users:manage'), async (req, res, next) => {
+    try {
+        const { mode, cityRules } = req.body;
+        const errors = [];
+
+        if (!ASSIGNMENT_MODES.includes(mode)) {
+            errors.push(`mode must be one of: ${ASSIGNMENT_MODES.join(', ')}`);
+        }
+
+        const rules = new Map();
+        if (cityRules !== undefined && !Array.isArray(cityRules)) {
+            errors.push('cityRules must be an array');
+        } else {
+            for (const rule of cityRules || []) {
+                const city = String(rule?.city || '').trim().toLowerCase();
+                if (!city || !rule.userId) {
+                    errors.push('Each city rule needs a city and a userId');
+                    break;
+                }
+                rules.set(city, rule.userId);
+            }
+        }
+
+        if (rules.size > 0) {
+            const { data: users, error: usersError } = await supabase
+                .from('users')
+                .select('user_id')
+                .eq('is_active', true)
+                .in('user_id', [...rules.values()]);
+
+            if (usersError) throw usersError;
+
+            const known = new Set(users.map(u => u.user_id));
+            if ([...rules.values()].some(userId => !known.has(userId))) {
+                errors.push('City rules must point to active users');
+            }
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join(', ') });
+        }
+
+        const { error: settingsError } = await supabase
+            .from('assignment_settings')
+            .update({ mode, updated_at: new Date().toISOString() })
+            .eq('id', true);
+
+        if (settingsError) throw settingsError;
+
+        if (cityRules !== undefined) {
+            const { data: existing, error: existingError } = await supabase
+                .from('assignment_city_rules')
+                .select('city');
+
+            if (existingError) throw existingError;
+
+            const removed = existing.map(r => r.city).filter(city => !rules.has(city));
+            if (removed.length > 0) {
+                const { error: deleteError } = await supabase
+                    .from('assignment_city_rules')
+                    .delete()
+                    .in('city', removed);
+
+                if (deleteError) throw deleteError;
+            }
+
+            if (rules.size > 0) {
+                const { error: upsertError } = await supabase
+                    .from('assignment_city_rules')
+                    .upsert([...rules].map(([city, userId]) => ({ city, user_id: userId })), { onConflict: 'city' });
+
+                if (upsertError) throw upsertError;
+            }
+        }
+
+        res.json(await getAssignmentSettings());
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
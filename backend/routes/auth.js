@@ -0,0 +1,112 @@
+import express from 'express';
+import { supabase } from '../lib/supabaseClient.js';
+import {
+    authenticate,
+    hashPassword,
+    requireAuth,
+    signToken,
+    toPublicUser,
+    MIN_PASSWORD_LENGTH
+} from '../lib/auth.js';
+import { permissionsFor } from '../lib/access.js';
+import { newCalendarToken } from '../lib/calendarFeed.js';
+import { ORG_TIMEZONE } from '../lib/dates.js';
+
+const router = express.Router();
+
+// Helper: The logged-in user with the permissions the UI uses to hide actions and the org
+// timezone their "today" falls back to
+const withPermissions = (user) => ({ ...user, permissions: permissionsFor(user), orgTimezone: ORG_TIMEZONE });
+
+// POST log in with email and password
+router.post('/login', async (req, res, next) => {
+    try {
+        const { email, password } = req.body;
+
+        if (!email || !password) {
+            return res.status(400).json({ error: 'Email and password are required' });
+        }
+
+        const user = await authenticate(email, password);
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid email or password' });
+        }
+
+        res.json({ token: signToken(user), user: withPermissions(toPublicUser(user)) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET the logged-in user
+router.get('/me', requireAuth, (req, res) => {
+    res.json(withPermissions(req.user));
+});
+
+// PUT change the logged-in user's password
+router.put('/password', requireAuth, async (req, res, next) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        if (typeof newPassword !== 'string' || newPassword.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ error: `New password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+        }
+
+        const user = await authenticate(req.user.email, currentPassword);
+        if (!user) {
+            return res.status(400).json({ error: 'Current password is incorrect' });
+        }
+
+        const { error } = await supabase
+            .from('users')
+            .update({ password_hash: await hashPassword(newPassword) })
+            .eq('user_id', user.user_id);
+
+        if (error) throw error;
+
+        res.json({ message: 'Password updated' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Helper: Store a new calendar token for a user, replacing any existing one
+const resetCalendarToken = async (userId) => {
+    const token = newCalendarToken();
+    const { error } = await supabase
+        .from('users')
+        .update({ calendar_token: token })
+        .eq('user_id', userId);
+
+    if (error) throw error;
+    return token;
+};
+
+// GET the logged-in user's calendar feed token, creating it on first use
+// The feed is served at /api/calendar.ics?token=<token>
+router.get('/calendar-feed', requireAuth, async (req, res, next) => {
+    try {
+        const { data: user, error } = await supabase
+            .from('users')
+            .select('calendar_token')
+            .eq('user_id', req.user.userId)
+            .single();
+
+        if (error) throw error;
+
+        res.json({ token: user.calendar_token || await resetCalendarToken(req.user.userId) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST replace the logged-in user's calendar feed token; subscriptions using the old one stop updating
+router.post('/calendar-feed/reset', requireAuth, async (req, res, next) => {
+    try {
+        res.json({ token: await resetCalendarToken(req.user.userId) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
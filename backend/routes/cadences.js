@@ -0,0 +1,196 @@
+import express from 'express';
+import { supabase } from '../lib/supabaseClient.js';
+import { requirePermission } from '../lib/access.js';
+import { findTriggerConflicts } from '../lib/cadence.js';
+import { parseSequenceFields, parseHoliday, toCamelCase, holidayToCamelCase } from '../lib/cadenceFields.js';
+
+// Follow-up cadence sequences and holidays. Anyone logged in can read them; changes need
+// cadences:manage. Mounted behind requireAuth in server.js.
+const router = express.Router();
+const canManage = requirePermission('cadences:manage');
+
+// Helper: Map unique name violations to a readable 409
+const isDuplicateName = (error) => error.code === '23505';
+
+// Helper: Reject an active sequence whose statuses/stages another active sequence already uses
+const validateTriggers = async (sequence, errors) => {
+    if (!sequence.is_active) return;
+
+    const { data: sequences, error } = await supabase
+        .from('cadence_sequences')
+        .select('sequence_id, name, trigger_type, trigger_values, is_active')
+        .eq('is_active', true);
+
+    if (error) throw error;
+
+    const conflicts = findTriggerConflicts(sequences, sequence);
+    if (conflicts.length > 0) {
+        errors.push(`Another active sequence already covers these ${sequence.trigger_type === 'stage' ? 'stages' : 'statuses'}: ${conflicts.map(s => s.name).join(', ')}`);
+    }
+};
+
+// GET all sequences and holidays
+router.get('/', async (req, res, next) => {
+    try {
+        const { data: sequences, error } = await supabase
+            .from('cadence_sequences')
+            .select('*')
+            .order('name', { ascending: true });
+
+        if (error) throw error;
+
+        const { data: holidays, error: holidaysError } = await supabase
+            .from('cadence_holidays')
+            .select('*')
+            .order('holiday_date', { ascending: true });
+
+        if (holidaysError) throw holidaysError;
+
+        res.json({
+            sequences: sequences.map(toCamelCase),
+            holidays: holidays.map(holidayToCamelCase)
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST create sequence
+// Body: { name, triggerType, triggerValues, gaps, repeatGap, skipWeekends, skipHolidays, isActive }
+router.post('/', canManage, async (req, res, next) => {
+    try {
+        const errors = [];
+        const newSequence = parseSequenceFields(req.body, errors);
+
+        if (errors.length === 0) {
+            await validateTriggers({ is_active: true, ...newSequence }, errors);
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join(', ') });
+        }
+
+        const { data, error } = await supabase
+            .from('cadence_sequences')
+            .insert([newSequence])
+            .select()
+            .single();
+
+        if (error && isDuplicateName(error)) {
+            return res.status(409).json({ error: 'A sequence with this name already exists' });
+        }
+        if (error) throw error;
+
+        res.status(201).json(toCamelCase(data));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST add or rename a holiday
+// Body: { date, name }
+router.post('/holidays', canManage, async (req, res, next) => {
+    try {
+        const errors = [];
+        const holiday = parseHoliday(req.body, errors);
+
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join(', ') });
+        }
+
+        const { data, error } = await supabase
+            .from('cadence_holidays')
+            .upsert([holiday], { onConflict: 'holiday_date' })
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        res.status(201).json(holidayToCamelCase(data));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// DELETE holiday
+router.delete('/holidays/:date', canManage, async (req, res, next) => {
+    try {
+        const { data, error } = await supabase
+            .from('cadence_holidays')
+            .delete()
+            .eq('holiday_date', req.params.date)
+            .select('holiday_date');
+
+        if (error) throw error;
+        if (data.length === 0) return res.status(404).json({ error: 'Holiday not found' });
+
+        res.json({ message: 'Holiday deleted successfully' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// PUT update sequence (any of the POST fields)
+router.put('/:id', canManage, async (req, res, next) => {
+    try {
+        const { data: existing, error: fetchError } = await supabase
+            .from('cadence_sequences')
+            .select('*')
+            .eq('sequence_id', req.params.id)
+            .maybeSingle();
+
+        if (fetchError) throw fetchError;
+        if (!existing) return res.status(404).json({ error: 'Sequence not found' });
+
+        const errors = [];
+        const updatedSequence = parseSequenceFields(req.body, errors, { existing });
+
+        if (errors.length === 0) {
+            await validateTriggers({ ...existing, ...updatedSequence }, errors);
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join(', ') });
+        }
+
+        if (Object.keys(updatedSequence).length === 0) {
+            return res.status(400).json({ error: 'No valid fields to update' });
+        }
+
+        const { data, error } = await supabase
+            .from('cadence_sequences')
+            .update(updatedSequence)
+            .eq('sequence_id', req.params.id)
+            .select()
+            .single();
+
+        if (error && isDuplicateName(error)) {
+            return res.status(409).json({ error: 'A sequence with this name already exists' });
+        }
+        if (error) throw error;
+
+        res.json(toCamelCase(data));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// DELETE sequence. Follow-ups scheduled by it keep their dates.
+router.delete('/:id', canManage, async (req, res, next) => {
+    try {
+        const { data, error } = await supabase
+            .from('cadence_sequences')
+            .delete()
+            .eq('sequence_id', req.params.id)
+            .select('sequence_id');
+
+        if (error) throw error;
+        if (data.length === 0) return res.status(404).json({ error: 'Sequence not found' });
+
+        res.json({ message: 'Sequence deleted successfully' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
@@ -0,0 +1,38 @@
+import express from 'express';
+import { supabase } from '../lib/supabaseClient.js';
+import { buildCalendarFeed } from '../lib/calendarFeed.js';
+
+const router = express.Router();
+
+// GET the logged-in user's scheduled calls as an iCalendar feed
+// Query: token (the user's calendar token; calendar apps can't send a login header)
+router.get('/', async (req, res, next) => {
+    try {
+        const { token } = req.query;
+        if (typeof token !== 'string' || !token) {
+            return res.status(401).json({ error: 'Calendar token required' });
+        }
+
+        const { data: user, error } = await supabase
+            .from('users')
+            .select('user_id, name, is_active')
+            .eq('calendar_token', token)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!user || !user.is_active) {
+            return res.status(404).json({ error: 'Calendar not found' });
+        }
+
+        const feed = await buildCalendarFeed(user);
+
+        res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+        res.setHeader('Content-Disposition', 'inline; filename="restroiq-calls.ics"');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.send(feed);
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
@@ -1,45 +1,53 @@
 import express from 'express';
 import { supabase } from '../lib/supabaseClient.js';
+import { terminalStatuses, statusesWithOutcome } from '../lib/pipeline.js';
+import { applyLeadScope } from '../lib/access.js';
+import { parseLeadFilters, applyLeadFilters } from '../lib/leadQuery.js';
+import { todayIn, userTimezone, callBucket } from '../lib/dates.js';
+import { buildForecast, DEFAULT_FORECAST_MONTHS, MAX_FORECAST_MONTHS } from '../lib/forecast.js';
 
 const router = express.Router();
 
-// Helper: Get today's date in local timezone (YYYY-MM-DD format)
-const getLocalDateString = (date) => {
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
-};
-
-// GET dashboard statistics
+// GET dashboard statistics for the leads the user can see
+// Query: assignedTo (user ID, 'me' or 'unassigned') to narrow to one owner
 router.get('/stats', async (req, res, next) => {
     try {
-        const { data: leads, error } = await supabase
-            .from('leads')
-            .select('*');
+        const errors = [];
+        const filters = parseLeadFilters({ assignedTo: req.query.assignedTo }, errors, req.user);
+
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join(', ') });
+        }
+
+        let query = applyLeadScope(supabase.from('leads').select('*'), req.leadScope);
+        query = applyLeadFilters(query, filters);
+
+        const { data: leads, error } = await query;
 
         if (error) throw error;
 
-        // Use local timezone for date comparison
-        const today = getLocalDateString(new Date());
+        // "Today" is the user's, not the server's, so this matches the call list
+        const timezone = userTimezone(req.user);
+        const today = todayIn(timezone);
+        const closedStatuses = terminalStatuses();
+        const wonStatuses = statusesWithOutcome('won');
 
         const totalLeads = leads.length;
-        const callsDueToday = leads.filter(l => {
-            if (!l.next_follow_up_date) return false;
-            // Parse the follow-up date and get local date string
-            const followUpDate = getLocalDateString(new Date(l.next_follow_up_date));
-            return followUpDate === today &&
-                !['Converted', 'Not Interested'].includes(l.current_status);
-        }).length;
+        const openLeads = leads.filter(l => !closedStatuses.includes(l.current_status));
+        const callsDueToday = openLeads.filter(l => callBucket(l.next_follow_up_date, today) === 'today').length;
+        const callsOverdue = openLeads.filter(l => callBucket(l.next_follow_up_date, today) === 'overdue').length;
 
         const cold = leads.filter(l => l.lead_stage === 'Cold').length;
         const warm = leads.filter(l => l.lead_stage === 'Warm').length;
         const hot = leads.filter(l => l.lead_stage === 'Hot').length;
-        const converted = leads.filter(l => l.current_status === 'Converted').length;
+        const converted = leads.filter(l => wonStatuses.includes(l.current_status)).length;
 
         res.json({
             totalLeads,
             callsDueToday,
+            callsOverdue,
+            today,
+            timezone,
             cold,
             warm,
             hot,
@@ -50,4 +58,38 @@ router.get('/stats', async (req, res, next) => {
     }
 });
 
+// GET the revenue forecast: weighted pipeline by expected close month and by owner, with won
+// and lost deals by the month they closed (see lib/forecast.js)
+// Query: months (how many months from the current one, default 6) and assignedTo (user ID,
+// 'me' or 'unassigned') to narrow to one owner
+router.get('/forecast', async (req, res, next) => {
+    try {
+        const errors = [];
+        let months = DEFAULT_FORECAST_MONTHS;
+        if (req.query.months !== undefined) {
+            months = Number(req.query.months);
+            if (!Number.isInteger(months) || months < 1 || months > MAX_FORECAST_MONTHS) {
+                errors.push(`months must be a whole number from 1 to ${MAX_FORECAST_MONTHS}`);
+            }
+        }
+
+        const filters = parseLeadFilters({ assignedTo: req.query.assignedTo }, errors, req.user);
+
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join(', ') });
+        }
+
+        const forecast = await buildForecast({
+            scope: req.leadScope,
+            filters,
+            timezone: userTimezone(req.user),
+            months
+        });
+
+        res.json(forecast);
+    } catch (error) {
+        next(error);
+    }
+});
+
 export default router;
@@ -1,22 +1,30 @@
 import express from 'express';
 import { supabase } from '../lib/supabaseClient.js';
+import { validatePipelineChange, terminalStatuses, statusOutcome } from '../lib/pipeline.js';
+import { toCamelCase, revisionToCamelCase, parseFollowUpChanges, validateHistoryPosition } from '../lib/followUpFields.js';
+import { applyLeadScope, requirePermission } from '../lib/access.js';
+import { planFollowUp } from '../lib/cadence.js';
+import { toCamelCase as leadToCamelCase, trimOrNull, parseFollowUpDate, parseTimestamp, PROFILE_FIELDS } from '../lib/leadFields.js';
+import { parseLeadFilters, applyLeadFilters } from '../lib/leadQuery.js';
+import { DATE_PATTERN, userTimezone } from '../lib/dates.js';
+import { buildCallQueue, DEFAULT_UPCOMING_DAYS, MAX_UPCOMING_DAYS } from '../lib/callQueue.js';
+import { rescoreLeadsAfterWrite } from '../lib/leadScoring.js';
 
 const router = express.Router();
 
-// Helper: Convert snake_case to camelCase
-const toCamelCase = (followUp) => ({
-    followUpId: followUp.follow_up_id,
-    leadId: followUp.lead_id,
-    followUpDate: followUp.follow_up_date,
-    status: followUp.status,
-    notes: followUp.notes,
-    nextFollowUpDate: followUp.next_follow_up_date,
-    createdAt: followUp.created_at
-});
-
 // GET all follow-ups for a lead
 router.get('/lead/:leadId', async (req, res, next) => {
     try {
+        const leadQuery = supabase
+            .from('leads')
+            .select('lead_id')
+            .eq('lead_id', req.params.leadId);
+
+        const { data: lead, error: leadError } = await applyLeadScope(leadQuery, req.leadScope).maybeSingle();
+
+        if (leadError) throw leadError;
+        if (!lead) return res.status(404).json({ error: 'Lead not found' });
+
         const { data, error } = await supabase
             .from('follow_ups')
             .select('*')
@@ -31,10 +39,161 @@ router.get('/lead/:leadId', async (req, res, next) => {
     }
 });
 
+// Helper: Load a lead's pipeline fields if it is in the user's scope
+const findScopedLead = async (req, leadId) => {
+    const leadQuery = supabase
+        .from('leads')
+        .select('lead_id, current_status, lead_stage')
+        .eq('lead_id', leadId);
+
+    const { data, error } = await applyLeadScope(leadQuery, req.leadScope).maybeSingle();
+    if (error) throw error;
+    return data;
+};
+
+const SCHEDULE_COLUMNS = 'lead_id, restaurant_name, phone, city, current_status, lead_stage, next_follow_up_date, assigned_to, updated_at';
+const MAX_SCHEDULE_DAYS = 62;
+const MAX_SCHEDULED_CALLS = 2000;
+const MAX_OVERDUE_CALLS = 500;
+
+// Helper: Open leads (not in a terminal status) the user can see, narrowed by the list filters
+const scheduledCallsQuery = (req, filters) => {
+    const query = applyLeadScope(supabase.from('leads').select(SCHEDULE_COLUMNS), req.leadScope)
+        .not('current_status', 'in', `(${terminalStatuses().map(s => `"${s}"`).join(',')})`);
+    return applyLeadFilters(query, filters);
+};
+
+// GET calls scheduled between two dates (leads' next follow-up dates), for the calendar
+// Query: from, to (YYYY-MM-DD, inclusive, at most 62 days apart), overdueBefore (YYYY-MM-DD,
+// usually the user's today: also return open calls scheduled before it) and the lead list
+// filters (status, stage, city, q, assignedTo). Leads in a terminal status are left out.
+router.get('/scheduled', async (req, res, next) => {
+    try {
+        const { from, to, overdueBefore } = req.query;
+        const errors = [];
+
+        if (!DATE_PATTERN.test(from || '') || !DATE_PATTERN.test(to || '')) {
+            errors.push('from and to must be dates in YYYY-MM-DD format');
+        } else if (to < from) {
+            errors.push('to must not be before from');
+        } else if ((Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000) >= MAX_SCHEDULE_DAYS) {
+            errors.push(`from and to must be at most ${MAX_SCHEDULE_DAYS} days apart`);
+        }
+        if (overdueBefore !== undefined && !DATE_PATTERN.test(overdueBefore)) {
+            errors.push('overdueBefore must be a date in YYYY-MM-DD format');
+        }
+
+        const { followUpFrom: _from, followUpTo: _to, ...listQuery } = req.query;
+        const filters = parseLeadFilters(listQuery, errors, req.user);
+
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join(', ') });
+        }
+
+        const { data: calls, error } = await scheduledCallsQuery(req, { ...filters, followUpFrom: from, followUpTo: to })
+            .order('next_follow_up_date', { ascending: true })
+            .order('lead_id', { ascending: true })
+            .limit(MAX_SCHEDULED_CALLS + 1);
+
+        if (error) throw error;
+
+        let overdue = [];
+        if (overdueBefore) {
+            const { data, error: overdueError } = await scheduledCallsQuery(req, filters)
+                .lt('next_follow_up_date', overdueBefore)
+                .order('next_follow_up_date', { ascending: true })
+                .order('lead_id', { ascending: true })
+                .limit(MAX_OVERDUE_CALLS);
+
+            if (overdueError) throw overdueError;
+            overdue = data;
+        }
+
+        res.json({
+            from,
+            to,
+            calls: calls.slice(0, MAX_SCHEDULED_CALLS).map(leadToCamelCase),
+            truncated: calls.length > MAX_SCHEDULED_CALLS,
+            overdue: overdue.map(leadToCamelCase)
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET the call queue: open calls split into overdue, today (the user's) and upcoming, each
+// ordered by priority score (see lib/callQueue.js)
+// Query: days (upcoming calls up to this many days ahead, default 7) and the lead list
+// filters (status, stage, city, q, assignedTo)
+router.get('/queue', async (req, res, next) => {
+    try {
+        const errors = [];
+        let upcomingDays = DEFAULT_UPCOMING_DAYS;
+        if (req.query.days !== undefined) {
+            upcomingDays = Number(req.query.days);
+            if (!Number.isInteger(upcomingDays) || upcomingDays < 0 || upcomingDays > MAX_UPCOMING_DAYS) {
+                errors.push(`days must be a whole number from 0 to ${MAX_UPCOMING_DAYS}`);
+            }
+        }
+
+        const { followUpFrom: _from, followUpTo: _to, ...listQuery } = req.query;
+        const filters = parseLeadFilters(listQuery, errors, req.user);
+
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join(', ') });
+        }
+
+        const queue = await buildCallQueue({
+            scope: req.leadScope,
+            filters,
+            timezone: userTimezone(req.user),
+            upcomingDays
+        });
+
+        res.json(queue);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET the next follow-up date the cadence engine would schedule for a follow-up logged now
+// Query: leadId, status, stage (defaults to the lead's current stage)
+router.get('/next-date', async (req, res, next) => {
+    try {
+        const { leadId, status, stage } = req.query;
+        if (!leadId || !status) {
+            return res.status(400).json({ error: 'leadId and status are required' });
+        }
+
+        const lead = await findScopedLead(req, leadId);
+        if (!lead) return res.status(404).json({ error: 'Lead not found' });
+
+        const plan = await planFollowUp({
+            leadId,
+            status,
+            stage: stage || lead.lead_stage,
+            followUpDate: new Date().toISOString(),
+            timezone: userTimezone(req.user)
+        });
+
+        res.json({
+            nextFollowUpDate: plan?.nextFollowUpDate ?? null,
+            sequenceName: plan?.sequence.name ?? null,
+            step: plan?.step ?? null
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
 // POST create follow-up and update lead
+// Without nextFollowUpDate the date comes from the cadence sequence matching the status or
+// stage; send null to log a follow-up with no next date. outcomeReason (why the lead was won
+// or lost) is saved on the lead and only accepted with a won or lost status.
 router.post('/', async (req, res, next) => {
     try {
         const { leadId, followUpDate, status, notes, nextFollowUpDate, leadStage } = req.body;
+        const outcomeReason = trimOrNull(req.body.outcomeReason);
 
         // Validate required fields
         if (!leadId) {
@@ -44,62 +203,235 @@ router.post('/', async (req, res, next) => {
             return res.status(400).json({ error: 'status is required' });
         }
 
-        // Check if lead exists before creating follow-up
-        const { data: existingLead, error: leadCheckError } = await supabase
-            .from('leads')
-            .select('lead_id')
-            .eq('lead_id', leadId)
-            .single();
+        const dateErrors = [];
+        const loggedAt = parseTimestamp(followUpDate);
+        if (loggedAt === undefined) {
+            dateErrors.push('followUpDate must be a valid date and time');
+        }
+        const nextDate = nextFollowUpDate === undefined ? undefined : parseFollowUpDate(nextFollowUpDate);
+        if (nextFollowUpDate !== undefined && nextDate === undefined) {
+            dateErrors.push('nextFollowUpDate must be a date in YYYY-MM-DD format');
+        }
+        if (dateErrors.length > 0) {
+            return res.status(400).json({ error: dateErrors.join(', ') });
+        }
 
-        if (leadCheckError || !existingLead) {
+        // Check if lead exists before creating follow-up
+        const existingLead = await findScopedLead(req, leadId);
+        if (!existingLead) {
             return res.status(404).json({ error: 'Lead not found' });
         }
 
-        const now = new Date().toISOString();
+        const pipelineErrors = validatePipelineChange({
+            fromStatus: existingLead.current_status,
+            toStatus: status,
+            fromStage: existingLead.lead_stage,
+            toStage: leadStage || undefined
+        }, []);
+
+        if (outcomeReason !== null) {
+            const { maxLength } = PROFILE_FIELDS.outcomeReason;
+            if (!statusOutcome(status)) {
+                pipelineErrors.push('outcomeReason is only allowed with a won or lost status');
+            } else if (outcomeReason.length > maxLength) {
+                pipelineErrors.push(`outcomeReason must be at most ${maxLength} characters`);
+            }
+        }
+
+        if (pipelineErrors.length > 0) {
+            return res.status(400).json({ error: pipelineErrors.join(', ') });
+        }
+
+        const followUpAt = loggedAt || new Date().toISOString();
+
+        // Record the cadence step even when the client picked its own date, so the
+        // next follow-up continues the sequence
+        const plan = await planFollowUp({
+            leadId,
+            status,
+            stage: leadStage || existingLead.lead_stage,
+            followUpDate: followUpAt,
+            timezone: userTimezone(req.user)
+        });
+        const scheduledDate = nextFollowUpDate === undefined ? plan?.nextFollowUpDate : nextDate;
 
         const newFollowUp = {
             lead_id: leadId,
-            follow_up_date: followUpDate || now,
+            follow_up_date: followUpAt,
             status: status,
             notes: notes || null,
-            next_follow_up_date: nextFollowUpDate || null
+            next_follow_up_date: scheduledDate || null,
+            cadence_sequence_id: plan?.sequence.sequence_id ?? null,
+            cadence_step: plan?.step ?? null,
+            created_by: req.user.userId
         };
 
-        // Build lead update object
-        const leadUpdate = {
-            last_follow_up_date: newFollowUp.follow_up_date,
-            current_status: status
-        };
+        // Insert the follow-up and update the lead (with the outcome reason) in one transaction
+        const { data: followUpResult, error: followUpError } = await supabase.rpc('log_follow_up', {
+            p_follow_up: newFollowUp,
+            p_lead_stage: leadStage || null,
+            p_outcome_reason: outcomeReason
+        });
 
-        if (nextFollowUpDate) {
-            leadUpdate.next_follow_up_date = nextFollowUpDate;
-        }
+        if (followUpError) throw followUpError;
+        await rescoreLeadsAfterWrite([leadId]);
 
-        if (leadStage) {
-            leadUpdate.lead_stage = leadStage;
-        }
+        res.status(201).json(toCamelCase(followUpResult));
+    } catch (error) {
+        next(error);
+    }
+});
 
-        // Insert follow-up
-        const { data: followUpResult, error: followUpError } = await supabase
+// Helper: Load a follow-up if its lead is in the user's scope
+const findScopedFollowUp = async (req, followUpId) => {
+    const { data: followUp, error } = await supabase
+        .from('follow_ups')
+        .select('*')
+        .eq('follow_up_id', followUpId)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!followUp) return null;
+
+    const lead = await findScopedLead(req, followUp.lead_id);
+    return lead ? followUp : null;
+};
+
+// GET earlier versions of a follow-up, oldest first
+router.get('/:id/revisions', async (req, res, next) => {
+    try {
+        const followUp = await findScopedFollowUp(req, req.params.id);
+        if (!followUp) return res.status(404).json({ error: 'Follow-up not found' });
+
+        const { data, error } = await supabase
+            .from('follow_up_revisions')
+            .select('*, changed_by_user:users(name)')
+            .eq('follow_up_id', req.params.id)
+            .order('changed_at', { ascending: true });
+
+        if (error) throw error;
+
+        res.json(data.map(revisionToCamelCase));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Helper: Statuses of the lead's follow-ups just before and after a date, leaving out the
+// follow-up being corrected ({ previousStatus, nextStatus }, undefined where there is none)
+const findNeighbourStatuses = async (followUp, followUpDate) => {
+    const neighbour = (before) => {
+        const query = supabase
             .from('follow_ups')
-            .insert([newFollowUp])
-            .select()
-            .single();
+            .select('status')
+            .eq('lead_id', followUp.lead_id)
+            .neq('follow_up_id', followUp.follow_up_id);
+        return (before ? query.lt('follow_up_date', followUpDate) : query.gt('follow_up_date', followUpDate))
+            .order('follow_up_date', { ascending: !before })
+            .limit(1)
+            .maybeSingle();
+    };
 
-        if (followUpError) throw followUpError;
+    const [previous, next] = await Promise.all([neighbour(true), neighbour(false)]);
 
-        // Update the lead
-        const { error: leadError } = await supabase
-            .from('leads')
-            .update(leadUpdate)
-            .eq('lead_id', leadId);
+    if (previous.error) throw previous.error;
+    if (next.error) throw next.error;
+    return { previousStatus: previous.data?.status, nextStatus: next.data?.status };
+};
+
+// PUT correct a follow-up (status, notes, followUpDate, nextFollowUpDate)
+// The previous version is kept and the lead's status and follow-up dates are recomputed.
+router.put('/:id', async (req, res, next) => {
+    try {
+        const followUp = await findScopedFollowUp(req, req.params.id);
+        if (!followUp) return res.status(404).json({ error: 'Follow-up not found' });
+
+        const errors = [];
+        const changes = parseFollowUpChanges(req.body, followUp, errors);
 
-        if (leadError) {
-            // Log error but still return the follow-up since it was created
-            console.error('Error updating lead after follow-up:', leadError);
+        // A new status or date must still make a history the pipeline allows, at the new position
+        if (errors.length === 0 && (changes.status || changes.follow_up_date)) {
+            const followUpDate = changes.follow_up_date ?? followUp.follow_up_date;
+            const neighbours = await findNeighbourStatuses(followUp, followUpDate);
+            validateHistoryPosition({ ...neighbours, status: changes.status ?? followUp.status }, errors);
         }
 
-        res.status(201).json(toCamelCase(followUpResult));
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join(', ') });
+        }
+
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({ error: 'No valid fields to update' });
+        }
+
+        const { data, error } = await supabase.rpc('edit_follow_up', {
+            p_follow_up_id: followUp.follow_up_id,
+            p_changes: changes,
+            p_changed_by: req.user.userId
+        });
+
+        if (error) throw error;
+        await rescoreLeadsAfterWrite([followUp.lead_id]);
+
+        res.json(toCamelCase(data));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// DELETE follow-up. It is kept as a revision and the lead is recomputed from the rest.
+router.delete('/:id', async (req, res, next) => {
+    try {
+        const followUp = await findScopedFollowUp(req, req.params.id);
+        if (!followUp) return res.status(404).json({ error: 'Follow-up not found' });
+
+        const { error } = await supabase.rpc('delete_follow_up', {
+            p_follow_up_id: followUp.follow_up_id,
+            p_changed_by: req.user.userId
+        });
+
+        if (error) throw error;
+        await rescoreLeadsAfterWrite([followUp.lead_id]);
+
+        res.json({ success: true, message: 'Follow-up deleted successfully' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Helper: Convert a reconcile_lead_follow_ups row to camelCase
+const toReconcileResult = (row) => ({
+    leadId: row.lead_id,
+    restaurantName: row.restaurant_name,
+    followUpId: row.follow_up_id,
+    currentStatus: row.current_status,
+    expectedStatus: row.expected_status,
+    lastFollowUpDate: row.last_follow_up_date,
+    expectedLastFollowUpDate: row.expected_last_follow_up_date,
+    nextFollowUpDate: row.next_follow_up_date,
+    expectedNextFollowUpDate: row.expected_next_follow_up_date
+});
+
+// POST find (and unless dryRun, repair) leads whose status and follow-up dates are behind
+// their latest follow-up. Body: { dryRun } (default true). Admins only.
+router.post('/reconcile', requirePermission('leads:reconcile'), async (req, res, next) => {
+    try {
+        const dryRun = req.body.dryRun !== false;
+
+        const { data, error } = await supabase.rpc('reconcile_lead_follow_ups', {
+            p_apply: !dryRun,
+            p_actor: req.user.userId
+        });
+
+        if (error) throw error;
+        if (!dryRun) await rescoreLeadsAfterWrite(data.map(row => row.lead_id));
+
+        res.json({
+            dryRun,
+            outOfSync: data.length,
+            repaired: dryRun ? 0 : data.length,
+            leads: data.map(toReconcileResult)
+        });
     } catch (error) {
         next(error);
     }
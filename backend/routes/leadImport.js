@@ -0,0 +1,97 @@
+import express from 'express';
+import multer from 'multer';
+import { readSpreadsheet, getExtension, SPREADSHEET_EXTENSIONS } from '../lib/spreadsheet.js';
+import { suggestMapping, validateMapping, runImport, IMPORT_FIELDS, MAX_IMPORT_ROWS } from '../lib/leadImport.js';
+
+const router = express.Router();
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+        cb(null, SPREADSHEET_EXTENSIONS.includes(getExtension(file.originalname)));
+    }
+});
+
+// Helper: Accept a single "file" upload and turn multer errors into 400 responses
+const uploadFile = (req, res, next) => {
+    upload.single('file')(req, res, (err) => {
+        if (err) {
+            const message = err.code === 'LIMIT_FILE_SIZE' ? 'File is larger than 5 MB' : err.message;
+            return res.status(400).json({ error: message });
+        }
+        if (!req.file) {
+            return res.status(400).json({ error: `Upload a ${SPREADSHEET_EXTENSIONS.join(' or ')} file in the "file" field` });
+        }
+        next();
+    });
+};
+
+// Helper: Read the uploaded spreadsheet, enforcing the row limit
+const readUpload = async (req, res) => {
+    const sheet = await readSpreadsheet(req.file.buffer, req.file.originalname);
+    if (sheet.rows.length === 0) {
+        res.status(400).json({ error: 'The file has no data rows' });
+        return null;
+    }
+    if (sheet.rows.length > MAX_IMPORT_ROWS) {
+        res.status(400).json({ error: `Files are limited to ${MAX_IMPORT_ROWS} rows; this one has ${sheet.rows.length}` });
+        return null;
+    }
+    return sheet;
+};
+
+// POST read a file's columns and suggest how they map to lead fields
+router.post('/columns', uploadFile, async (req, res, next) => {
+    try {
+        const sheet = await readUpload(req, res);
+        if (!sheet) return;
+
+        res.json({
+            headers: sheet.headers,
+            fields: Object.keys(IMPORT_FIELDS),
+            suggestedMapping: suggestMapping(sheet.headers),
+            totalRows: sheet.rows.length,
+            sampleRows: sheet.rows.slice(0, 5)
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST import leads from a CSV / XLSX file
+// Multipart fields: file, mapping (JSON { field: columnHeader }), dryRun ('true' to only validate),
+// allowDuplicates ('true' to import rows that match existing leads)
+router.post('/', uploadFile, async (req, res, next) => {
+    try {
+        const sheet = await readUpload(req, res);
+        if (!sheet) return;
+
+        let mapping;
+        try {
+            mapping = req.body.mapping ? JSON.parse(req.body.mapping) : suggestMapping(sheet.headers);
+        } catch {
+            return res.status(400).json({ error: 'mapping must be valid JSON' });
+        }
+
+        const mappingErrors = validateMapping(mapping, sheet.headers);
+        if (mappingErrors.length > 0) {
+            return res.status(400).json({ error: mappingErrors.join(', ') });
+        }
+
+        const report = await runImport({
+            rows: sheet.rows,
+            mapping,
+            dryRun: req.body.dryRun !== 'false',
+            allowDuplicates: req.body.allowDuplicates === 'true',
+            creator: req.user,
+            scope: req.leadScope
+        });
+
+        res.status(report.dryRun ? 200 : 201).json(report);
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
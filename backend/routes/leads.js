@@ -1,40 +1,203 @@
 import express from 'express';
 import { supabase } from '../lib/supabaseClient.js';
+import { toCamelCase, trimOrNull, parseProfileFields, parseNewLead, parseFollowUpDate, parseTimestamp, validateOutcomeReason } from '../lib/leadFields.js';
+import { validatePipelineChange } from '../lib/pipeline.js';
+import { parseLeadListQuery, parseLeadFilters, applyLeadFilters, applyLeadSort, SORT_FIELDS } from '../lib/leadQuery.js';
+import { streamLeadExport, EXPORT_FORMATS, FOLLOW_UP_MODES } from '../lib/leadExport.js';
+import { normalizePhone } from '../lib/phone.js';
+import { findDuplicateLeads, buildMerge } from '../lib/duplicates.js';
+import { applyLeadScope, isInScope, can, requirePermission } from '../lib/access.js';
+import { assignNewLeads, validateAssignee } from '../lib/assignment.js';
+import { scheduleNewLeads } from '../lib/cadence.js';
+import { userTimezone } from '../lib/dates.js';
+import { toCamelCase as auditToCamelCase } from '../lib/auditFields.js';
+import { purgeTrash, purgeableAt, TRASH_RETENTION_DAYS } from '../lib/trash.js';
+import { parseBulkRequest, runBulkAction, BULK_ACTIONS } from '../lib/leadBulk.js';
+import { newLeadScore, rescoreLeadsAfterWrite } from '../lib/leadScoring.js';
 
 const router = express.Router();
 
-// Helper: Convert snake_case to camelCase
-const toCamelCase = (lead) => ({
-    leadId: lead.lead_id,
-    restaurantName: lead.restaurant_name,
-    phone: lead.phone,
-    city: lead.city,
-    currentStatus: lead.current_status,
-    leadStage: lead.lead_stage,
-    nextFollowUpDate: lead.next_follow_up_date,
-    lastFollowUpDate: lead.last_follow_up_date,
-    createdAt: lead.created_at,
-    updatedAt: lead.updated_at
-});
+// Every route expects req.user and req.leadScope (requireAuth and loadLeadScope in server.js);
+// leads outside the user's scope behave as if they don't exist
 
-// Helper: Trim string or return null
-const trimOrNull = (value) => {
-    if (value === undefined || value === null) return null;
-    const trimmed = String(value).trim();
-    return trimmed.length > 0 ? trimmed : null;
-};
+// Helper: Select from the leads the logged-in user can access
+const scopedLeads = (req, columns = '*') => applyLeadScope(supabase.from('leads').select(columns), req.leadScope);
 
-// GET all leads
+// GET leads (paginated)
+// Query: page, pageSize, sort, order, status, stage, city, q, followUpFrom, followUpTo, assignedTo
 router.get('/', async (req, res, next) => {
     try {
-        const { data, error } = await supabase
+        const { errors, filters, page, pageSize, sort, order } = parseLeadListQuery(req.query, req.user);
+
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join(', ') });
+        }
+
+        const from = (page - 1) * pageSize;
+        let query = supabase
+            .from('leads')
+            .select('*', { count: 'exact' });
+
+        query = applyLeadScope(query, req.leadScope);
+        query = applyLeadFilters(query, filters);
+        query = applyLeadSort(query, sort, order);
+
+        const { data, error, count } = await query.range(from, from + pageSize - 1);
+
+        // PGRST103: requested page is past the last row
+        if (error && error.code !== 'PGRST103') throw error;
+
+        const total = count ?? 0;
+        res.json({
+            data: (data || []).map(toCamelCase),
+            total,
+            page,
+            pageSize,
+            totalPages: Math.max(1, Math.ceil(total / pageSize))
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET fuzzy search across name, contact person, city, phone and follow-up notes
+// Query: q (required), limit (default 10, max 50). Results are ordered by relevance.
+router.get('/search', async (req, res, next) => {
+    try {
+        const q = trimOrNull(req.query.q);
+        if (!q) {
+            return res.status(400).json({ error: 'q is required' });
+        }
+        if (q.length > 100) {
+            return res.status(400).json({ error: 'q must be at most 100 characters' });
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+        const phoneDigits = normalizePhone(q);
+
+        const { data: matches, error: searchError } = await supabase.rpc('search_leads', {
+            search_term: q,
+            phone_term: phoneDigits.length >= 4 ? phoneDigits : '',
+            result_limit: limit,
+            owner_ids: req.leadScope
+        });
+
+        if (searchError) throw searchError;
+        if (matches.length === 0) return res.json([]);
+
+        const { data: leads, error } = await supabase
             .from('leads')
             .select('*')
-            .order('next_follow_up_date', { ascending: true, nullsFirst: false });
+            .in('lead_id', matches.map(m => m.lead_id));
+
+        if (error) throw error;
+
+        const leadsById = new Map(leads.map(lead => [lead.lead_id, lead]));
+        const results = matches
+            .filter(m => leadsById.has(m.lead_id))
+            .map(m => ({
+                ...toCamelCase(leadsById.get(m.lead_id)),
+                score: Math.round(m.score * 100) / 100,
+                matchedField: m.matched_field
+            }));
+
+        res.json(results);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET export leads matching the list filters as a file download
+// Query: format (csv | xlsx | json), followUps (none | flat | sheet), sort, order and any GET /api/leads filter
+router.get('/export', async (req, res, next) => {
+    try {
+        const errors = [];
+        const filters = parseLeadFilters(req.query, errors, req.user);
+
+        const format = req.query.format || 'csv';
+        const followUps = req.query.followUps || 'none';
+        const sort = req.query.sort || 'nextFollowUpDate';
+        const order = req.query.order || 'asc';
+
+        if (!EXPORT_FORMATS.includes(format)) {
+            errors.push(`format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+        }
+        if (!FOLLOW_UP_MODES.includes(followUps)) {
+            errors.push(`followUps must be one of: ${FOLLOW_UP_MODES.join(', ')}`);
+        } else if (followUps === 'sheet' && format !== 'xlsx') {
+            errors.push('followUps=sheet is only available for xlsx exports');
+        }
+        if (!SORT_FIELDS[sort]) {
+            errors.push(`sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`);
+        }
+        if (!['asc', 'desc'].includes(order)) {
+            errors.push('order must be asc or desc');
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join(', ') });
+        }
+
+        await streamLeadExport(res, { format, followUps, filters, sort, order, scope: req.leadScope });
+    } catch (error) {
+        // Once the file has started streaming the status can't change; abort the download instead
+        if (res.headersSent) {
+            console.error('Error during lead export:', error);
+            return res.destroy(error);
+        }
+        next(error);
+    }
+});
+
+// GET leads in the trash, most recently deleted first
+router.get('/trash', requirePermission('leads:delete'), async (req, res, next) => {
+    try {
+        const { data, error } = await applyLeadScope(supabase.from('leads').select('*, deleted_by_user:users!leads_deleted_by_fkey(name)'), req.leadScope, { trashed: true })
+            .order('deleted_at', { ascending: false })
+            .limit(500);
+
+        if (error) throw error;
+
+        res.json({
+            retentionDays: TRASH_RETENTION_DAYS,
+            leads: data.map(lead => ({
+                ...toCamelCase(lead),
+                deletedByName: lead.deleted_by_user?.name ?? null,
+                purgeableAt: purgeableAt(lead.deleted_at)
+            }))
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST permanently delete leads that have been in the trash longer than the retention period (admins only)
+router.post('/trash/purge', requirePermission('leads:purge'), async (req, res, next) => {
+    try {
+        const purged = await purgeTrash(req.user.userId);
+        res.json({ purged, retentionDays: TRASH_RETENTION_DAYS });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST restore a lead from the trash
+router.post('/:id/restore', requirePermission('leads:delete'), async (req, res, next) => {
+    try {
+        const { data, error } = await applyLeadScope(supabase.from('leads').update({
+            deleted_at: null,
+            deleted_by: null,
+            updated_by: req.user.userId,
+            updated_at: new Date().toISOString()
+        }), req.leadScope, { trashed: true })
+            .eq('lead_id', req.params.id)
+            .select()
+            .maybeSingle();
 
         if (error) throw error;
+        if (!data) return res.status(404).json({ error: 'Lead not found in trash' });
 
-        res.json(data.map(toCamelCase));
+        res.json(toCamelCase(data));
     } catch (error) {
         next(error);
     }
@@ -43,11 +206,9 @@ router.get('/', async (req, res, next) => {
 // GET single lead by ID
 router.get('/:id', async (req, res, next) => {
     try {
-        const { data, error } = await supabase
-            .from('leads')
-            .select('*')
+        const { data, error } = await scopedLeads(req)
             .eq('lead_id', req.params.id)
-            .single();
+            .maybeSingle();
 
         if (error) throw error;
         if (!data) return res.status(404).json({ error: 'Lead not found' });
@@ -59,39 +220,45 @@ router.get('/:id', async (req, res, next) => {
 });
 
 // POST create new lead
+// Admins and managers may pass assignedTo; otherwise the lead is distributed by the assignment rules
 router.post('/', async (req, res, next) => {
     try {
-        const { restaurantName, phone, city, currentStatus, leadStage, nextFollowUpDate } = req.body;
-
-        // Validate required fields
-        const errors = [];
-
-        const trimmedRestaurantName = trimOrNull(restaurantName);
-        const trimmedPhone = trimOrNull(phone);
-        const trimmedCity = trimOrNull(city);
+        const { errors, lead: newLead } = parseNewLead(req.body);
 
-        if (!trimmedRestaurantName) {
-            errors.push('restaurantName is required');
-        }
-        if (!trimmedPhone) {
-            errors.push('phone is required');
-        }
-        if (!trimmedCity) {
-            errors.push('city is required');
+        if (req.body.assignedTo) {
+            if (!can(req.user, 'leads:assign')) {
+                return res.status(403).json({ error: 'You do not have permission to assign leads' });
+            }
+            await validateAssignee(req.user, req.leadScope, req.body.assignedTo, errors);
+            newLead.assigned_to = req.body.assignedTo;
         }
 
         if (errors.length > 0) {
             return res.status(400).json({ error: errors.join(', ') });
         }
 
-        const newLead = {
-            restaurant_name: trimmedRestaurantName,
-            phone: trimmedPhone,
-            city: trimmedCity,
-            current_status: trimOrNull(currentStatus) || 'New',
-            lead_stage: trimOrNull(leadStage) || 'Cold',
-            next_follow_up_date: nextFollowUpDate || null
-        };
+        // Warn about likely duplicates unless the client has confirmed this is a new restaurant
+        if (!req.body.allowDuplicate) {
+            const duplicates = await findDuplicateLeads({
+                phone: newLead.phone,
+                restaurantName: newLead.restaurant_name,
+                city: newLead.city
+            });
+            if (duplicates.length > 0) {
+                // Matches the user can't see are only counted, so their details don't leak
+                const visible = duplicates.filter(d => isInScope({ assigned_to: d.assignedTo }, req.leadScope));
+                return res.status(409).json({
+                    error: 'This restaurant may already exist. Review the matching leads or set allowDuplicate to save anyway.',
+                    duplicates: visible,
+                    hiddenDuplicates: duplicates.length - visible.length
+                });
+            }
+        }
+
+        await assignNewLeads([newLead], req.user);
+        await scheduleNewLeads([newLead], userTimezone(req.user));
+        Object.assign(newLead, newLeadScore(newLead));
+        newLead.updated_by = req.user.userId;
 
         const { data, error } = await supabase
             .from('leads')
@@ -107,37 +274,274 @@ router.post('/', async (req, res, next) => {
     }
 });
 
+// GET possible duplicates of an existing lead
+router.get('/:id/duplicates', async (req, res, next) => {
+    try {
+        const { data: lead, error } = await scopedLeads(req, 'lead_id, restaurant_name, phone, city')
+            .eq('lead_id', req.params.id)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!lead) return res.status(404).json({ error: 'Lead not found' });
+
+        const duplicates = await findDuplicateLeads({
+            phone: lead.phone,
+            restaurantName: lead.restaurant_name,
+            city: lead.city,
+            excludeLeadId: lead.lead_id
+        });
+
+        res.json(duplicates.filter(d => isInScope({ assigned_to: d.assignedTo }, req.leadScope)));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// GET field-level change history of a lead, newest first
+// Query: limit (default 200, max 1000)
+router.get('/:id/audit', async (req, res, next) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 200, 1), 1000);
+
+        const { data: lead, error: leadError } = await scopedLeads(req, 'lead_id')
+            .eq('lead_id', req.params.id)
+            .maybeSingle();
+
+        if (leadError) throw leadError;
+        if (!lead) return res.status(404).json({ error: 'Lead not found' });
+
+        const { data, error } = await supabase
+            .from('lead_audit')
+            .select('*, actor:users(name)')
+            .eq('lead_id', req.params.id)
+            .order('changed_at', { ascending: false })
+            .limit(limit);
+
+        if (error) throw error;
+
+        res.json(data.map(auditToCamelCase));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST merge another lead into this one
+// Body: { sourceLeadId, fields: { fieldName: 'target' | 'source' } }. The source lead's
+// follow-ups move to this lead and the source lead is removed.
+router.post('/:id/merge', requirePermission('leads:merge'), async (req, res, next) => {
+    try {
+        const { sourceLeadId, fields } = req.body;
+
+        if (!sourceLeadId) {
+            return res.status(400).json({ error: 'sourceLeadId is required' });
+        }
+        if (sourceLeadId === req.params.id) {
+            return res.status(400).json({ error: 'Cannot merge a lead into itself' });
+        }
+
+        const { data: leads, error: fetchError } = await scopedLeads(req)
+            .in('lead_id', [req.params.id, sourceLeadId]);
+
+        if (fetchError) throw fetchError;
+
+        const target = leads.find(l => l.lead_id === req.params.id);
+        const source = leads.find(l => l.lead_id === sourceLeadId);
+        if (!target || !source) {
+            return res.status(404).json({ error: 'Lead not found' });
+        }
+
+        const { merged, fieldSources, errors } = buildMerge(target, source, fields || {});
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join(', ') });
+        }
+
+        const { data: merge, error: mergeError } = await supabase.rpc('merge_leads', {
+            p_target_id: target.lead_id,
+            p_source_id: source.lead_id,
+            p_merged: merged,
+            p_field_sources: fieldSources,
+            p_actor: req.user.userId
+        });
+
+        if (mergeError) throw mergeError;
+        await rescoreLeadsAfterWrite([target.lead_id]);
+
+        const { data: mergedLead, error: leadError } = await supabase
+            .from('leads')
+            .select('*')
+            .eq('lead_id', target.lead_id)
+            .single();
+
+        if (leadError) throw leadError;
+
+        res.json({
+            lead: toCamelCase(mergedLead),
+            merge: {
+                mergeId: merge.merge_id,
+                targetLeadId: merge.target_lead_id,
+                sourceLeadId: merge.source_lead_id,
+                fieldSources: merge.field_sources,
+                followUpsMoved: merge.follow_ups_moved,
+                mergedAt: merge.merged_at
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST assign several leads to one user (admins and managers)
+// Body: { leadIds: [...], assignedTo }. Leads outside the user's scope are skipped.
+router.post('/assign', requirePermission('leads:assign'), async (req, res, next) => {
+    try {
+        const { leadIds, assignedTo } = req.body;
+        const errors = [];
+
+        if (!Array.isArray(leadIds) || leadIds.length === 0) {
+            errors.push('leadIds must be a non-empty array');
+        } else if (leadIds.length > 500) {
+            errors.push('At most 500 leads can be assigned at once');
+        }
+        if (!assignedTo) {
+            errors.push('assignedTo is required');
+        } else {
+            await validateAssignee(req.user, req.leadScope, assignedTo, errors);
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join(', ') });
+        }
+
+        const query = supabase
+            .from('leads')
+            .update({ assigned_to: assignedTo, updated_by: req.user.userId, updated_at: new Date().toISOString() })
+            .in('lead_id', leadIds);
+
+        const { data, error } = await applyLeadScope(query, req.leadScope).select('lead_id');
+
+        if (error) throw error;
+
+        res.json({ updated: data.length, leadIds: data.map(l => l.lead_id) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST change several leads at once, reporting the outcome for each lead
+// Body: { leadIds: [...], action, ...options } with action one of
+//   status           { status, notes, nextFollowUpDate } - logs a follow-up on each lead
+//   stage            { stage }
+//   nextFollowUpDate { nextFollowUpDate } or { shiftDays }
+//   assign           { assignedTo } (admins and managers)
+//   delete           moves the leads to the trash (admins and managers)
+// Leads outside the user's scope are reported as not found.
+router.post('/bulk', async (req, res, next) => {
+    try {
+        const permission = BULK_ACTIONS[req.body.action];
+        if (permission && !can(req.user, permission)) {
+            return res.status(403).json({ error: 'You do not have permission to do this' });
+        }
+
+        const errors = [];
+        const options = await parseBulkRequest(req.body, req.user, req.leadScope, errors);
+
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join(', ') });
+        }
+
+        const report = await runBulkAction({
+            leadIds: req.body.leadIds,
+            action: req.body.action,
+            options,
+            user: req.user,
+            scope: req.leadScope
+        });
+
+        res.json(report);
+    } catch (error) {
+        next(error);
+    }
+});
+
 // PUT update lead
+// Pass expectedUpdatedAt (the updatedAt the client last saw) to reject stale writes with 409
 router.put('/:id', async (req, res, next) => {
     try {
-        const { restaurantName, phone, city, currentStatus, leadStage, nextFollowUpDate, lastFollowUpDate } = req.body;
+        const { restaurantName, phone, city, currentStatus, leadStage, nextFollowUpDate, lastFollowUpDate, assignedTo, expectedUpdatedAt } = req.body;
 
         // Build update object with only provided fields
+        const errors = [];
         const updatedLead = {};
 
-        if (restaurantName !== undefined) {
-            const trimmed = trimOrNull(restaurantName);
-            if (trimmed) updatedLead.restaurant_name = trimmed;
-        }
-        if (phone !== undefined) {
-            const trimmed = trimOrNull(phone);
-            if (trimmed) updatedLead.phone = trimmed;
+        const requiredFields = [
+            ['restaurantName', 'restaurant_name', restaurantName],
+            ['phone', 'phone', phone],
+            ['city', 'city', city]
+        ];
+        for (const [name, column, value] of requiredFields) {
+            if (value === undefined) continue;
+            const trimmed = trimOrNull(value);
+            if (trimmed) {
+                updatedLead[column] = trimmed;
+            } else {
+                errors.push(`${name} cannot be blank`);
+            }
         }
-        if (city !== undefined) {
-            const trimmed = trimOrNull(city);
-            if (trimmed) updatedLead.city = trimmed;
-        }
-        if (currentStatus !== undefined) {
-            updatedLead.current_status = currentStatus;
+
+        Object.assign(updatedLead, parseProfileFields(req.body, errors));
+
+        // Reassignment: admins and managers only; only admins can leave a lead unassigned
+        if (assignedTo !== undefined) {
+            if (!can(req.user, 'leads:assign')) {
+                return res.status(403).json({ error: 'You do not have permission to assign leads' });
+            }
+            if (assignedTo) {
+                await validateAssignee(req.user, req.leadScope, assignedTo, errors);
+            } else if (req.leadScope) {
+                errors.push('assignedTo is required');
+            }
+            updatedLead.assigned_to = assignedTo || null;
         }
-        if (leadStage !== undefined) {
-            updatedLead.lead_stage = leadStage;
+
+        // An outcome reason is checked against the status the lead will have after the update
+        if (currentStatus !== undefined || leadStage !== undefined || updatedLead.outcome_reason) {
+            const { data: currentLead, error: currentError } = await scopedLeads(req, 'current_status, lead_stage')
+                .eq('lead_id', req.params.id)
+                .maybeSingle();
+
+            if (currentError) throw currentError;
+            if (!currentLead) return res.status(404).json({ error: 'Lead not found' });
+
+            validatePipelineChange({
+                fromStatus: currentLead.current_status,
+                toStatus: currentStatus,
+                fromStage: currentLead.lead_stage,
+                toStage: leadStage
+            }, errors);
+            validateOutcomeReason(updatedLead.outcome_reason, currentStatus ?? currentLead.current_status, errors);
+
+            if (currentStatus !== undefined) {
+                updatedLead.current_status = currentStatus;
+            }
+            if (leadStage !== undefined) {
+                updatedLead.lead_stage = leadStage;
+            }
         }
+
+        // nextFollowUpDate is a calendar day; lastFollowUpDate is when the last call was made
         if (nextFollowUpDate !== undefined) {
-            updatedLead.next_follow_up_date = nextFollowUpDate || null;
+            const parsed = parseFollowUpDate(nextFollowUpDate);
+            if (parsed === undefined) errors.push('nextFollowUpDate must be a date in YYYY-MM-DD format');
+            else updatedLead.next_follow_up_date = parsed;
         }
         if (lastFollowUpDate !== undefined) {
-            updatedLead.last_follow_up_date = lastFollowUpDate || null;
+            const parsed = parseTimestamp(lastFollowUpDate);
+            if (parsed === undefined) errors.push('lastFollowUpDate must be a valid date and time');
+            else updatedLead.last_follow_up_date = parsed;
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join(', ') });
         }
 
         // Check if there's anything to update
@@ -145,45 +549,61 @@ router.put('/:id', async (req, res, next) => {
             return res.status(400).json({ error: 'No valid fields to update' });
         }
 
-        const { data, error } = await supabase
-            .from('leads')
-            .update(updatedLead)
-            .eq('lead_id', req.params.id)
-            .select()
-            .single();
+        updatedLead.updated_at = new Date().toISOString();
+        updatedLead.updated_by = req.user.userId;
+
+        let query = applyLeadScope(supabase.from('leads').update(updatedLead), req.leadScope)
+            .eq('lead_id', req.params.id);
+
+        if (expectedUpdatedAt) {
+            query = query.eq('updated_at', expectedUpdatedAt);
+        }
+
+        const { data, error } = await query.select().maybeSingle();
 
         if (error) throw error;
-        if (!data) return res.status(404).json({ error: 'Lead not found' });
 
-        res.json(toCamelCase(data));
+        if (!data) {
+            // Distinguish a missing lead from one that changed since the client loaded it
+            const { data: currentLead, error: currentError } = await scopedLeads(req)
+                .eq('lead_id', req.params.id)
+                .maybeSingle();
+
+            if (currentError) throw currentError;
+            if (!currentLead) return res.status(404).json({ error: 'Lead not found' });
+
+            return res.status(409).json({
+                error: 'Lead was modified by someone else. Reload to see the latest version.',
+                lead: toCamelCase(currentLead)
+            });
+        }
+
+        // The profile fields the score depends on may have changed
+        const scores = await rescoreLeadsAfterWrite([data.lead_id]);
+        res.json(toCamelCase({ ...data, ...scores.get(data.lead_id) }));
     } catch (error) {
         next(error);
     }
 });
 
-// DELETE lead
-router.delete('/:id', async (req, res, next) => {
+// DELETE lead: moves it to the trash, where it can be restored until it is purged
+router.delete('/:id', requirePermission('leads:delete'), async (req, res, next) => {
     try {
-        // First check if lead exists
-        const { data: existingLead, error: checkError } = await supabase
-            .from('leads')
-            .select('lead_id')
-            .eq('lead_id', req.params.id)
-            .single();
+        const now = new Date().toISOString();
 
-        if (checkError || !existingLead) {
-            return res.status(404).json({ error: 'Lead not found' });
-        }
-
-        // Delete the lead
-        const { error } = await supabase
-            .from('leads')
-            .delete()
-            .eq('lead_id', req.params.id);
+        const { data, error } = await applyLeadScope(supabase.from('leads').update({
+            deleted_at: now,
+            deleted_by: req.user.userId,
+            updated_by: req.user.userId,
+            updated_at: now
+        }), req.leadScope)
+            .eq('lead_id', req.params.id)
+            .select('lead_id');
 
         if (error) throw error;
+        if (data.length === 0) return res.status(404).json({ error: 'Lead not found' });
 
-        res.json({ success: true, message: 'Lead deleted successfully' });
+        res.json({ success: true, message: 'Lead moved to trash' });
     } catch (error) {
         next(error);
     }
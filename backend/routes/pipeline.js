@@ -0,0 +1,11 @@
+import express from 'express';
+import { getPipelineConfig } from '../lib/pipeline.js';
+
+const router = express.Router();
+
+// GET pipeline configuration (statuses, stages and allowed transitions)
+router.get('/', (req, res) => {
+    res.json(getPipelineConfig());
+});
+
+export default router;
@@ -0,0 +1,137 @@
+import express from 'express';
+import { supabase } from '../lib/supabaseClient.js';
+import { hashPassword, toPublicUser } from '../lib/auth.js';
+import { parseUserFields } from '../lib/userFields.js';
+
+// User management. Mounted behind requirePermission('users:manage') in server.js.
+const router = express.Router();
+
+// Helper: Check that managerId (if set) is an existing manager other than the user themselves
+const validateManager = async (managerId, userId, errors) => {
+    if (!managerId) return;
+    if (managerId === userId) {
+        errors.push('A user cannot be their own manager');
+        return;
+    }
+
+    const { data: manager, error } = await supabase
+        .from('users')
+        .select('role')
+        .eq('user_id', managerId)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!manager || manager.role !== 'manager') {
+        errors.push('managerId must be a user with the manager role');
+    }
+};
+
+// Helper: Map unique email violations to a readable 409
+const isDuplicateEmail = (error) => error.code === '23505';
+
+// GET all users
+router.get('/', async (req, res, next) => {
+    try {
+        const { data, error } = await supabase
+            .from('users')
+            .select('*')
+            .order('name', { ascending: true });
+
+        if (error) throw error;
+
+        res.json(data.map(toPublicUser));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// POST create user
+// Body: { email, name, password, role, managerId }
+router.post('/', async (req, res, next) => {
+    try {
+        const errors = [];
+        const newUser = parseUserFields(req.body, errors, { isNew: true });
+        await validateManager(newUser.manager_id, null, errors);
+
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join(', ') });
+        }
+
+        newUser.password_hash = await hashPassword(req.body.password);
+
+        const { data, error } = await supabase
+            .from('users')
+            .insert([newUser])
+            .select()
+            .single();
+
+        if (error && isDuplicateEmail(error)) {
+            return res.status(409).json({ error: 'A user with this email already exists' });
+        }
+        if (error) throw error;
+
+        res.status(201).json(toPublicUser(data));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// PUT update user (name, email, role, managerId, isActive, password)
+router.put('/:id', async (req, res, next) => {
+    try {
+        const errors = [];
+        const updatedUser = parseUserFields(req.body, errors);
+        await validateManager(updatedUser.manager_id, req.params.id, errors);
+
+        // Admins can't lock themselves out
+        if (req.params.id === req.user.userId) {
+            if (updatedUser.role && updatedUser.role !== 'admin') {
+                errors.push('You cannot remove your own admin role');
+            }
+            if (updatedUser.is_active === false) {
+                errors.push('You cannot deactivate your own account');
+            }
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join(', ') });
+        }
+
+        if (req.body.password !== undefined) {
+            updatedUser.password_hash = await hashPassword(req.body.password);
+        }
+
+        if (Object.keys(updatedUser).length === 0) {
+            return res.status(400).json({ error: 'No valid fields to update' });
+        }
+
+        const { data, error } = await supabase
+            .from('users')
+            .update(updatedUser)
+            .eq('user_id', req.params.id)
+            .select()
+            .maybeSingle();
+
+        if (error && isDuplicateEmail(error)) {
+            return res.status(409).json({ error: 'A user with this email already exists' });
+        }
+        if (error) throw error;
+        if (!data) return res.status(404).json({ error: 'User not found' });
+
+        // A user who is no longer a manager can't keep a team
+        if (data.role !== 'manager') {
+            const { error: teamError } = await supabase
+                .from('users')
+                .update({ manager_id: null })
+                .eq('manager_id', data.user_id);
+
+            if (teamError) throw teamError;
+        }
+
+        res.json(toPublicUser(data));
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
@@ -0,0 +1,50 @@
+// Create a login, or reset the password of an existing one.
+// Usage: npm run create-user -- <email> "<name>" [password] [--role=admin|manager|rep]
+// The password is prompted for when it isn't passed on the command line. Role defaults to rep;
+// use --role=admin for the first account so it can add everyone else from the Users screen.
+import readline from 'readline/promises';
+import { supabase } from '../lib/supabaseClient.js';
+import { hashPassword, normalizeEmail, MIN_PASSWORD_LENGTH } from '../lib/auth.js';
+import { EMAIL_PATTERN } from '../lib/leadFields.js';
+import { ROLES } from '../lib/access.js';
+
+const args = process.argv.slice(2);
+const [email, name, passwordArg] = args.filter(arg => !arg.startsWith('--'));
+const roleArg = args.find(arg => arg.startsWith('--role='));
+const role = roleArg ? roleArg.slice('--role='.length) : 'rep';
+
+if (!email || !name || !EMAIL_PATTERN.test(email) || !ROLES.includes(role)) {
+    console.error('Usage: npm run create-user -- <email> "<name>" [password] [--role=admin|manager|rep]');
+    process.exit(1);
+}
+
+let password = passwordArg;
+if (!password) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    password = await rl.question('Password: ');
+    rl.close();
+}
+
+if (password.length < MIN_PASSWORD_LENGTH) {
+    console.error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    process.exit(1);
+}
+
+const { data, error } = await supabase
+    .from('users')
+    .upsert({
+        email: normalizeEmail(email),
+        name: name.trim(),
+        password_hash: await hashPassword(password),
+        role,
+        is_active: true
+    }, { onConflict: 'email' })
+    .select('user_id, email, role')
+    .single();
+
+if (error) {
+    console.error('Failed to save user:', error.message);
+    process.exit(1);
+}
+
+console.log(`Saved ${data.role} ${data.email} (${data.user_id})`);
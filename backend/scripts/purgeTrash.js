@@ -0,0 +1,12 @@
+// Permanently delete leads that have been in the trash longer than LEAD_TRASH_RETENTION_DAYS
+// (default 30). Safe to run on a schedule (e.g. nightly cron).
+// Usage: npm run purge-trash
+import { purgeTrash, TRASH_RETENTION_DAYS } from '../lib/trash.js';
+
+try {
+    const purged = await purgeTrash();
+    console.log(`Purged ${purged} lead(s) in the trash for more than ${TRASH_RETENTION_DAYS} day(s)`);
+} catch (error) {
+    console.error('Failed to purge trash:', error.message);
+    process.exit(1);
+}
@@ -0,0 +1,22 @@
+// Report leads whose status and follow-up dates are behind their latest follow-up, and with
+// --apply repair them. Safe to run on a schedule (e.g. nightly cron).
+// Usage: npm run reconcile-follow-ups -- [--apply]
+import { supabase } from '../lib/supabaseClient.js';
+import { rescoreLeads } from '../lib/leadScoring.js';
+
+const apply = process.argv.slice(2).includes('--apply');
+
+const { data, error } = await supabase.rpc('reconcile_lead_follow_ups', { p_apply: apply });
+
+if (error) {
+    console.error('Failed to reconcile leads:', error.message);
+    process.exit(1);
+}
+
+if (apply) await rescoreLeads(data.map(row => row.lead_id));
+
+data.forEach(row => {
+    console.log(`${row.restaurant_name} (${row.lead_id}): status '${row.current_status}' -> '${row.expected_status}', last follow-up ${row.last_follow_up_date || 'none'} -> ${row.expected_last_follow_up_date}`);
+});
+
+console.log(apply ? `Repaired ${data.length} lead(s)` : `${data.length} lead(s) out of sync; run with --apply to repair`);
@@ -0,0 +1,13 @@
+// Recompute every lead's score. Scores are updated as follow-ups are logged, but recency of
+// contact changes with time alone, so run this daily (e.g. nightly cron) and after changing
+// SCORING_RULES in lib/leadScoring.js.
+// Usage: npm run rescore-leads
+import { rescoreAllLeads } from '../lib/leadScoring.js';
+
+try {
+    const scored = await rescoreAllLeads();
+    console.log(`Scored ${scored} lead(s)`);
+} catch (error) {
+    console.error('Failed to score leads:', error.message);
+    process.exit(1);
+}
@@ -2,8 +2,17 @@ import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import leadsRouter from './routes/leads.js';
+import leadImportRouter from './routes/leadImport.js';
 import followUpsRouter from './routes/followUps.js';
 import dashboardRouter from './routes/dashboard.js';
+import pipelineRouter from './routes/pipeline.js';
+import authRouter from './routes/auth.js';
+import usersRouter from './routes/users.js';
+import assignmentRouter from './routes/assignment.js';
+import cadencesRouter from './routes/cadences.js';
+import calendarFeedRouter from './routes/calendarFeed.js';
+import { requireAuth } from './lib/auth.js';
+import { loadLeadScope, requirePermission } from './lib/access.js';
 
 dotenv.config();
 
@@ -17,14 +26,24 @@ app.use(cors({
         'http://localhost:5173',
         process.env.FRONTEND_URL
     ].filter(Boolean),
-    credentials: true
+    credentials: true,
+    // Lets the browser read the export file name
+    exposedHeaders: ['Content-Disposition']
 }));
 app.use(express.json());
 
 // Routes
-app.use('/api/leads', leadsRouter);
-app.use('/api/follow-ups', followUpsRouter);
-app.use('/api/dashboard', dashboardRouter);
+app.use('/api/auth', authRouter);
+app.use('/api/leads/import', requireAuth, loadLeadScope, leadImportRouter);
+app.use('/api/leads', requireAuth, loadLeadScope, leadsRouter);
+app.use('/api/follow-ups', requireAuth, loadLeadScope, followUpsRouter);
+app.use('/api/dashboard', requireAuth, loadLeadScope, dashboardRouter);
+app.use('/api/users', requireAuth, requirePermission('users:manage'), usersRouter);
+app.use('/api/assignment', requireAuth, loadLeadScope, assignmentRouter);
+app.use('/api/cadences', requireAuth, cadencesRouter);
+app.use('/api/pipeline', pipelineRouter);
+// Authenticated by the token in the URL instead of a login header
+app.use('/api/calendar.ics', calendarFeedRouter);
 
 // Root route
 app.get('/', (req, res) => {
@@ -128,7 +147,7 @@ app.get('/api/health', (req, res) => {
 // Error handling middleware
 app.use((err, req, res, next) => {
     console.error('Error:', err);
-    res.status(500).json({ error: err.message || 'Internal server error' });
+    res.status(err.status || 500).json({ error: err.message || 'Internal server error' });
 });
 
 app.listen(PORT, () => {
@@ -1,24 +1,43 @@
 import React from 'react';
 import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
 import Layout from './components/Layout';
+import RequireAuth from './components/RequireAuth';
+import Login from './routes/Login';
 import Dashboard from './routes/Dashboard';
 import Leads from './routes/Leads';
 import LeadDetail from './routes/LeadDetail';
 import AddLead from './routes/AddLead';
+import ImportLeads from './routes/ImportLeads';
 import TodaysCalls from './routes/TodaysCalls';
+import PowerDialer from './routes/PowerDialer';
+import Users from './routes/Users';
+import Cadences from './routes/Cadences';
+import Trash from './routes/Trash';
+import LeadBoard from './routes/LeadBoard';
+import Calendar from './routes/Calendar';
 
 function App() {
   return (
     <BrowserRouter>
       <Routes>
-        <Route path="/" element={<Layout />}>
-          <Route index element={<Dashboard />} />
-          <Route path="leads" element={<Leads />} />
-          <Route path="leads/new" element={<AddLead />} />
-          <Route path="leads/:id" element={<LeadDetail />} />
-          <Route path="today" element={<TodaysCalls />} />
-          {/* Fallback */}
-          <Route path="*" element={<Navigate to="/" replace />} />
+        <Route path="/login" element={<Login />} />
+        <Route element={<RequireAuth />}>
+          <Route path="/" element={<Layout />}>
+            <Route index element={<Dashboard />} />
+            <Route path="leads" element={<Leads />} />
+            <Route path="leads/new" element={<AddLead />} />
+            <Route path="leads/import" element={<ImportLeads />} />
+            <Route path="leads/board" element={<LeadBoard />} />
+            <Route path="leads/trash" element={<Trash />} />
+            <Route path="leads/:id" element={<LeadDetail />} />
+            <Route path="today" element={<TodaysCalls />} />
+            <Route path="today/dialer" element={<PowerDialer />} />
+            <Route path="calendar" element={<Calendar />} />
+            <Route path="users" element={<Users />} />
+            <Route path="cadences" element={<Cadences />} />
+            {/* Fallback */}
+            <Route path="*" element={<Navigate to="/" replace />} />
+          </Route>
         </Route>
       </Routes>
     </BrowserRouter>
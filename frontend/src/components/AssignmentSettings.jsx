@@ -0,0 +1,119 @@
+import React, { useEffect, useState } from 'react';
+import { Plus, Save, X } from 'lucide-react';
+import { getAssignmentSettings, updateAssignmentSettings } from '../lib/db';
+
+const MODES = [
+    { value: 'manual', label: 'Manual - new leads stay with whoever adds them' },
+    { value: 'round_robin', label: 'Round-robin across sales reps' },
+    { value: 'city', label: 'By city, round-robin for other cities' }
+];
+
+// Admin card for how new leads are distributed. users: the user list from the Users page,
+// reloadKey: bumped when users change so the round-robin rotation is refreshed.
+export default function AssignmentSettings({ users, reloadKey }) {
+    const [mode, setMode] = useState('manual');
+    const [cityRules, setCityRules] = useState([]);
+    const [rotation, setRotation] = useState([]);
+    const [saving, setSaving] = useState(false);
+    const [message, setMessage] = useState('');
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        let active = true;
+        getAssignmentSettings()
+            .then(settings => {
+                if (!active) return;
+                setMode(settings.mode);
+                setCityRules(settings.cityRules);
+                setRotation(settings.roundRobinUsers);
+            })
+            .catch(err => {
+                if (active) setError(err.message || 'Failed to load assignment settings.');
+            });
+        return () => { active = false; };
+    }, [reloadKey]);
+
+    const activeUsers = users.filter(u => u.isActive);
+
+    const updateRule = (index, changes) => {
+        setCityRules(cityRules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+        setMessage('');
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setError('');
+        setMessage('');
+        try {
+            const saved = await updateAssignmentSettings({ mode, cityRules });
+            setMode(saved.mode);
+            setCityRules(saved.cityRules);
+            setMessage('Assignment settings saved.');
+        } catch (err) {
+            setError(err.message || 'Failed to save assignment settings.');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSave} className="card" style={{ marginBottom: 'var(--space-6)' }}>
+            <h3>Lead Assignment</h3>
+            <p className="text-muted" style={{ fontSize: '0.875rem', marginBottom: 'var(--space-4)' }}>
+                How leads added by admins and managers, including imports, are distributed. Leads added by sales reps stay with them.
+            </p>
+
+            <div style={{ maxWidth: '420px', marginBottom: 'var(--space-4)' }}>
+                <label className="label">Mode</label>
+                <select className="input" value={mode} onChange={e => { setMode(e.target.value); setMessage(''); }}>
+                    {MODES.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+                </select>
+            </div>
+
+            {mode !== 'manual' && (
+                <div className="text-muted" style={{ fontSize: '0.875rem', marginBottom: 'var(--space-4)' }}>
+                    Round-robin rotation: {rotation.length > 0 ? rotation.map(u => u.name).join(', ') : 'no sales reps are in the rotation, so leads stay with whoever adds them'}
+                </div>
+            )}
+
+            {mode === 'city' && (
+                <div className="flex flex-col gap-2" style={{ marginBottom: 'var(--space-4)' }}>
+                    <label className="label">City Rules</label>
+                    {cityRules.map((rule, index) => (
+                        <div key={index} className="flex gap-2 items-center">
+                            <input
+                                required
+                                type="text"
+                                className="input"
+                                placeholder="City"
+                                style={{ maxWidth: '200px' }}
+                                value={rule.city}
+                                onChange={e => updateRule(index, { city: e.target.value })}
+                            />
+                            <select required className="input" style={{ maxWidth: '220px' }} value={rule.userId} onChange={e => updateRule(index, { userId: e.target.value })}>
+                                <option value="">Select owner...</option>
+                                {activeUsers.map(u => <option key={u.userId} value={u.userId}>{u.name}</option>)}
+                            </select>
+                            <button type="button" className="btn btn-secondary btn-sm" onClick={() => setCityRules(cityRules.filter((_, i) => i !== index))} title="Remove rule">
+                                <X size={14} />
+                            </button>
+                        </div>
+                    ))}
+                    <div>
+                        <button type="button" className="btn btn-secondary btn-sm" onClick={() => setCityRules([...cityRules, { city: '', userId: '' }])}>
+                            <Plus size={14} /> Add City Rule
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {error && <div className="alert-error" style={{ marginBottom: 'var(--space-4)' }}>{error}</div>}
+            {message && <div className="text-muted" style={{ marginBottom: 'var(--space-4)' }}>{message}</div>}
+
+            <button type="submit" className="btn" disabled={saving}>
+                <Save size={16} /> {saving ? 'Saving...' : 'Save Settings'}
+            </button>
+        </form>
+    );
+}
@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import { bulkUpdateLeads } from '../lib/db';
+import { usePipeline } from '../lib/pipeline';
+
+// Ways to move the next call; 'date' picks one date for every lead
+const RESCHEDULE_OPTIONS = [
+    { value: '1', label: 'Push 1 day' },
+    { value: '3', label: 'Push 3 days' },
+    { value: '7', label: 'Push 1 week' },
+    { value: '14', label: 'Push 2 weeks' },
+    { value: 'date', label: 'Set date...' }
+];
+
+const EMPTY_VALUES = { status: '', notes: '', stage: '', reschedule: '7', date: '', assignedTo: '' };
+
+// Build the bulk request options for an action from the form values; null until complete
+const optionsFor = (action, values) => {
+    switch (action) {
+        case 'status':
+            return values.status ? { status: values.status, notes: values.notes } : null;
+        case 'stage':
+            return values.stage ? { stage: values.stage } : null;
+        case 'nextFollowUpDate':
+            if (values.reschedule !== 'date') return { shiftDays: Number(values.reschedule) };
+            return values.date ? { nextFollowUpDate: values.date } : null;
+        case 'assign':
+            return values.assignedTo ? { assignedTo: values.assignedTo } : null;
+        case 'delete':
+            return {};
+        default:
+            return null;
+    }
+};
+
+// Actions for the leads selected in the list. Assigning is offered when assignees is non-empty.
+// onDone(failedIds) is called after a change so the list reloads; leads that failed stay selected.
+export default function BulkActionsBar({ leadIds, assignees, canDelete, onDone, onClear }) {
+    const pipeline = usePipeline();
+    const [action, setAction] = useState('status');
+    const [values, setValues] = useState(EMPTY_VALUES);
+    const [report, setReport] = useState(null);
+    const [error, setError] = useState('');
+    const [working, setWorking] = useState(false);
+
+    const options = optionsFor(action, values);
+
+    const handleChange = (e) => {
+        setValues({ ...values, [e.target.name]: e.target.value });
+    };
+
+    const handleApply = async () => {
+        if (action === 'delete' && !window.confirm(`Move ${leadIds.length} lead(s) to the trash? They can be restored from the Trash page.`)) {
+            return;
+        }
+        setWorking(true);
+        setError('');
+        setReport(null);
+        try {
+            const result = await bulkUpdateLeads(leadIds, action, options);
+            setReport(result);
+            setValues(EMPTY_VALUES);
+            onDone(result.results.filter(r => r.status === 'error').map(r => r.leadId));
+        } catch (err) {
+            setError(err.message || 'Failed to update leads.');
+        } finally {
+            setWorking(false);
+        }
+    };
+
+    const failures = report ? report.results.filter(r => r.status === 'error') : [];
+
+    return (
+        <div style={{ padding: 'var(--space-3) var(--space-4)', borderBottom: '1px solid var(--color-border)', backgroundColor: '#f1f5f9' }}>
+            <div className="flex items-center gap-4" style={{ flexWrap: 'wrap' }}>
+                <strong style={{ fontSize: '0.875rem' }}>{leadIds.length} selected</strong>
+                <div className="flex items-center gap-2" style={{ flexWrap: 'wrap' }}>
+                    <select className="input" style={{ width: '170px' }} value={action} onChange={e => setAction(e.target.value)} aria-label="Bulk action">
+                        <option value="status">Change status</option>
+                        <option value="stage">Change stage</option>
+                        <option value="nextFollowUpDate">Reschedule</option>
+                        {assignees.length > 0 && <option value="assign">Assign</option>}
+                        {canDelete && <option value="delete">Move to trash</option>}
+                    </select>
+                    {action === 'status' && (
+                        <>
+                            <select name="status" className="input" style={{ width: '200px' }} value={values.status} onChange={handleChange} aria-label="New status">
+                                <option value="">Status...</option>
+                                {pipeline.statuses.map(status => <option key={status.value} value={status.value}>{status.value}</option>)}
+                            </select>
+                            <input name="notes" className="input" style={{ width: '220px' }} placeholder="Note for each lead (optional)" value={values.notes} onChange={handleChange} />
+                        </>
+                    )}
+                    {action === 'stage' && (
+                        <select name="stage" className="input" style={{ width: '160px' }} value={values.stage} onChange={handleChange} aria-label="New stage">
+                            <option value="">Stage...</option>
+                            {pipeline.stages.map(stage => <option key={stage.value} value={stage.value}>{stage.value}</option>)}
+                        </select>
+                    )}
+                    {action === 'nextFollowUpDate' && (
+                        <>
+                            <select name="reschedule" className="input" style={{ width: '160px' }} value={values.reschedule} onChange={handleChange} aria-label="Reschedule">
+                                {RESCHEDULE_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                            </select>
+                            {values.reschedule === 'date' && (
+                                <input type="date" name="date" className="input" style={{ width: '160px' }} value={values.date} onChange={handleChange} aria-label="Next follow-up date" />
+                            )}
+                        </>
+                    )}
+                    {action === 'assign' && (
+                        <select name="assignedTo" className="input" style={{ width: '200px' }} value={values.assignedTo} onChange={handleChange} aria-label="Assign to">
+                            <option value="">Assign to...</option>
+                            {assignees.map(a => <option key={a.userId} value={a.userId}>{a.name}</option>)}
+                        </select>
+                    )}
+                    <button type="button" className="btn btn-sm" disabled={!options || working} onClick={handleApply}>
+                        {working ? 'Applying...' : 'Apply'}
+                    </button>
+                </div>
+                <button type="button" className="btn btn-secondary btn-sm" onClick={onClear}>Clear selection</button>
+                {error && <span className="field-error">{error}</span>}
+            </div>
+            {action === 'status' && (
+                <div className="text-muted" style={{ fontSize: '0.75rem', marginTop: 'var(--space-2)' }}>
+                    A follow-up is logged on each lead; the next call is scheduled by its cadence.
+                </div>
+            )}
+            {report && (
+                <div style={{ fontSize: '0.875rem', marginTop: 'var(--space-2)' }}>
+                    {report.updated} updated{report.unchanged > 0 && `, ${report.unchanged} already up to date`}
+                    {report.failed > 0 && `, ${report.failed} failed (still selected):`}
+                    {failures.length > 0 && (
+                        <ul style={{ margin: 'var(--space-1) 0 0', paddingLeft: 'var(--space-4)' }}>
+                            {failures.map(f => (
+                                <li key={f.leadId} className="field-error">{f.restaurantName || f.leadId}: {f.errors.join(', ')}</li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,157 @@
+import React, { useState } from 'react';
+import { Save, Trash2 } from 'lucide-react';
+import { addCadence, updateCadence, deleteCadence } from '../lib/db';
+import { usePipeline } from '../lib/pipeline';
+
+const EMPTY_SEQUENCE = {
+    name: '',
+    triggerType: 'status',
+    triggerValues: [],
+    gaps: [],
+    repeatGap: null,
+    skipWeekends: true,
+    skipHolidays: true,
+    isActive: true
+};
+
+// Form values: gaps and the repeat gap are edited as text
+const valuesFromSequence = (sequence) => ({
+    ...sequence,
+    gaps: sequence.gaps.join(', '),
+    repeatGap: sequence.repeatGap ? String(sequence.repeatGap) : ''
+});
+
+// Helper: "2, 3, 7" -> [2, 3, 7]; anything that isn't a whole number is left for the server to reject
+const parseGaps = (text) => text.split(/[\s,]+/).filter(Boolean).map(Number);
+
+// Editor for one cadence sequence; without a sequence it creates a new one.
+// onSaved(sequence) after a save, onDeleted(sequenceId) after a delete.
+export default function CadenceSequenceForm({ sequence, onSaved, onDeleted }) {
+    const pipeline = usePipeline();
+    const [values, setValues] = useState(() => valuesFromSequence(sequence || EMPTY_SEQUENCE));
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const options = values.triggerType === 'stage' ? pipeline.stages : pipeline.statuses;
+
+    const handleChange = (e) => {
+        const { name, type, value, checked } = e.target;
+        setValues({ ...values, [name]: type === 'checkbox' ? checked : value });
+    };
+
+    const handleTriggerTypeChange = (e) => {
+        setValues({ ...values, triggerType: e.target.value, triggerValues: [] });
+    };
+
+    const toggleTriggerValue = (value) => {
+        const triggerValues = values.triggerValues.includes(value)
+            ? values.triggerValues.filter(v => v !== value)
+            : [...values.triggerValues, value];
+        setValues({ ...values, triggerValues });
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setError('');
+        const body = {
+            name: values.name,
+            triggerType: values.triggerType,
+            triggerValues: values.triggerValues,
+            gaps: parseGaps(values.gaps),
+            repeatGap: values.repeatGap ? Number(values.repeatGap) : null,
+            skipWeekends: values.skipWeekends,
+            skipHolidays: values.skipHolidays,
+            isActive: values.isActive
+        };
+        try {
+            const saved = sequence ? await updateCadence(sequence.sequenceId, body) : await addCadence(body);
+            if (!sequence) setValues(valuesFromSequence(EMPTY_SEQUENCE));
+            onSaved(saved);
+        } catch (err) {
+            setError(err.message || 'Failed to save sequence.');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async () => {
+        if (!window.confirm(`Delete the "${sequence.name}" sequence? Follow-ups it already scheduled keep their dates.`)) {
+            return;
+        }
+        try {
+            await deleteCadence(sequence.sequenceId);
+            onDeleted(sequence.sequenceId);
+        } catch (err) {
+            setError(err.message || 'Failed to delete sequence.');
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="card" style={{ opacity: values.isActive ? 1 : 0.7 }}>
+            <div className="flex flex-col gap-4">
+                <div className="flex gap-4" style={{ flexWrap: 'wrap' }}>
+                    <div style={{ flex: 1, minWidth: '200px' }}>
+                        <label className="label">Name *</label>
+                        <input required type="text" name="name" className="input" value={values.name} onChange={handleChange} placeholder="e.g. No response drip" />
+                    </div>
+                    <div style={{ width: '160px' }}>
+                        <label className="label">Applies To</label>
+                        <select name="triggerType" className="input" value={values.triggerType} onChange={handleTriggerTypeChange}>
+                            <option value="status">Follow-up status</option>
+                            <option value="stage">Lead stage</option>
+                        </select>
+                    </div>
+                </div>
+
+                <div>
+                    <label className="label">{values.triggerType === 'stage' ? 'Stages' : 'Statuses'} *</label>
+                    <div className="flex gap-4" style={{ flexWrap: 'wrap' }}>
+                        {options.map(option => (
+                            <label key={option.value} className="flex items-center gap-2" style={{ fontSize: '0.875rem' }}>
+                                <input type="checkbox" checked={values.triggerValues.includes(option.value)} onChange={() => toggleTriggerValue(option.value)} />
+                                {option.value}
+                            </label>
+                        ))}
+                    </div>
+                </div>
+
+                <div className="flex gap-4" style={{ flexWrap: 'wrap' }}>
+                    <div style={{ flex: 1, minWidth: '220px' }}>
+                        <label className="label">Days Between Follow-ups *</label>
+                        <input required type="text" name="gaps" className="input" value={values.gaps} onChange={handleChange} placeholder="2, 3, 7, 9" />
+                    </div>
+                    <div style={{ width: '200px' }}>
+                        <label className="label">Then Every (days)</label>
+                        <input type="number" name="repeatGap" min="1" max="365" className="input" value={values.repeatGap} onChange={handleChange} placeholder="Stop" />
+                    </div>
+                </div>
+
+                <div className="flex gap-4" style={{ flexWrap: 'wrap', fontSize: '0.875rem' }}>
+                    <label className="flex items-center gap-2">
+                        <input type="checkbox" name="skipWeekends" checked={values.skipWeekends} onChange={handleChange} /> Skip weekends
+                    </label>
+                    <label className="flex items-center gap-2">
+                        <input type="checkbox" name="skipHolidays" checked={values.skipHolidays} onChange={handleChange} /> Skip holidays
+                    </label>
+                    <label className="flex items-center gap-2">
+                        <input type="checkbox" name="isActive" checked={values.isActive} onChange={handleChange} /> Active
+                    </label>
+                </div>
+
+                {error && <div className="alert-error">{error}</div>}
+
+                <div className="flex gap-2">
+                    <button type="submit" className="btn" disabled={saving}>
+                        <Save size={16} /> {saving ? 'Saving...' : sequence ? 'Save Sequence' : 'Add Sequence'}
+                    </button>
+                    {sequence && (
+                        <button type="button" className="btn btn-secondary" onClick={handleDelete}>
+                            <Trash2 size={16} /> Delete
+                        </button>
+                    )}
+                </div>
+            </div>
+        </form>
+    );
+}
@@ -0,0 +1,67 @@
+import React, { useEffect, useState } from 'react';
+import { Copy, RefreshCw } from 'lucide-react';
+import { getCalendarFeed, resetCalendarFeed, calendarFeedUrl } from '../lib/db';
+
+// Subscription link for the logged-in user's calls in a phone or desktop calendar app
+export default function CalendarFeedPanel() {
+    const [token, setToken] = useState(null);
+    const [copied, setCopied] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        let active = true;
+        getCalendarFeed()
+            .then(data => {
+                if (active) setToken(data.token);
+            })
+            .catch(err => {
+                if (active) setError(err.message || 'Failed to load the calendar link.');
+            });
+        return () => { active = false; };
+    }, []);
+
+    const url = token ? calendarFeedUrl(token) : '';
+
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(url);
+            setCopied(true);
+        } catch {
+            setError('Could not copy; select the link and copy it instead.');
+        }
+    };
+
+    const handleReset = async () => {
+        if (!window.confirm('Create a new link? Calendars subscribed with the current link will stop updating.')) {
+            return;
+        }
+        setError('');
+        try {
+            const data = await resetCalendarFeed();
+            setToken(data.token);
+            setCopied(false);
+        } catch (err) {
+            setError(err.message || 'Failed to reset the calendar link.');
+        }
+    };
+
+    return (
+        <div className="card" style={{ marginBottom: 'var(--space-4)', padding: 'var(--space-4)' }}>
+            <div style={{ fontWeight: 600, marginBottom: 'var(--space-1)' }}>Subscribe in your calendar</div>
+            <p className="text-muted" style={{ fontSize: '0.875rem', marginBottom: 'var(--space-3)' }}>
+                Add this link to Google Calendar ("From URL"), Apple Calendar or Outlook to see your scheduled calls
+                there. It updates as follow-ups are logged. Keep it private: anyone with the link can see your calls.
+            </p>
+            <div className="flex items-center gap-2">
+                <input className="input" readOnly value={url} onFocus={e => e.target.select()} aria-label="Calendar feed link" />
+                <button type="button" className="btn btn-secondary btn-sm" onClick={handleCopy} disabled={!token}>
+                    <Copy size={14} /> {copied ? 'Copied' : 'Copy'}
+                </button>
+                <button type="button" className="btn btn-secondary btn-sm" onClick={handleReset} disabled={!token} title="Create a new link">
+                    <RefreshCw size={14} /> Reset
+                </button>
+            </div>
+            {error && <div className="field-error">{error}</div>}
+        </div>
+    );
+}
@@ -0,0 +1,116 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Search } from 'lucide-react';
+import { searchLeads } from '../lib/db';
+
+const MATCH_LABELS = {
+    phone: 'Phone',
+    restaurantName: 'Name',
+    contactPerson: 'Contact',
+    city: 'City',
+    notes: 'Notes'
+};
+
+// As-you-type lead search opened with Ctrl/Cmd+K or the sidebar search button
+export default function CommandPalette({ open, onClose }) {
+    const navigate = useNavigate();
+    const inputRef = useRef(null);
+    const [query, setQuery] = useState('');
+    const [results, setResults] = useState([]);
+    const [activeIndex, setActiveIndex] = useState(0);
+    const [searching, setSearching] = useState(false);
+
+    useEffect(() => {
+        if (open) inputRef.current?.focus();
+    }, [open]);
+
+    useEffect(() => {
+        const term = query.trim();
+        if (term.length < 2) return;
+
+        let active = true;
+        const timer = setTimeout(async () => {
+            setSearching(true);
+            const data = await searchLeads(term, 10);
+            if (!active) return;
+            setResults(data);
+            setActiveIndex(0);
+            setSearching(false);
+        }, 200);
+
+        return () => {
+            active = false;
+            clearTimeout(timer);
+        };
+    }, [query]);
+
+    if (!open) return null;
+
+    const visibleResults = query.trim().length < 2 ? [] : results;
+
+    const close = () => {
+        setQuery('');
+        setResults([]);
+        onClose();
+    };
+
+    const openLead = (lead) => {
+        close();
+        navigate(`/leads/${lead.leadId}`);
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Escape') {
+            close();
+        } else if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            setActiveIndex(i => Math.min(i + 1, visibleResults.length - 1));
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            setActiveIndex(i => Math.max(i - 1, 0));
+        } else if (e.key === 'Enter' && visibleResults[activeIndex]) {
+            e.preventDefault();
+            openLead(visibleResults[activeIndex]);
+        }
+    };
+
+    return (
+        <div className="palette-overlay" onClick={close}>
+            <div className="palette" onClick={e => e.stopPropagation()} role="dialog" aria-label="Search leads">
+                <div className="flex items-center gap-2" style={{ padding: 'var(--space-3) var(--space-4)', borderBottom: '1px solid var(--color-border)' }}>
+                    <Search size={18} className="text-muted" />
+                    <input
+                        ref={inputRef}
+                        className="palette-input"
+                        placeholder="Search restaurants, contacts, phones, notes..."
+                        value={query}
+                        onChange={e => setQuery(e.target.value)}
+                        onKeyDown={handleKeyDown}
+                    />
+                </div>
+                <div style={{ maxHeight: '360px', overflowY: 'auto' }}>
+                    {visibleResults.map((lead, index) => (
+                        <button
+                            key={lead.leadId}
+                            type="button"
+                            className={`palette-item ${index === activeIndex ? 'active' : ''}`}
+                            onMouseEnter={() => setActiveIndex(index)}
+                            onClick={() => openLead(lead)}
+                        >
+                            <div>
+                                <div style={{ fontWeight: 500 }}>{lead.restaurantName}</div>
+                                <div className="text-muted" style={{ fontSize: '0.75rem' }}>
+                                    {[lead.contactPerson, lead.city, lead.phone].filter(Boolean).join(' • ')}
+                                </div>
+                            </div>
+                            <span className="badge badge-cold">{MATCH_LABELS[lead.matchedField] || lead.matchedField}</span>
+                        </button>
+                    ))}
+                    {query.trim().length >= 2 && !searching && visibleResults.length === 0 && (
+                        <div className="text-muted" style={{ padding: 'var(--space-4)', fontSize: '0.875rem' }}>No matching leads.</div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
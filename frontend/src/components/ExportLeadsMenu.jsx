@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import { Download } from 'lucide-react';
+import { exportLeads } from '../lib/db';
+import { downloadBlob } from '../lib/download';
+
+const FORMATS = [
+    { value: 'csv', label: 'CSV' },
+    { value: 'xlsx', label: 'Excel (XLSX)' },
+    { value: 'json', label: 'JSON' }
+];
+
+const FOLLOW_UP_OPTIONS = [
+    { value: 'none', label: 'Leads only' },
+    { value: 'flat', label: 'With follow-up history' },
+    { value: 'sheet', label: 'Follow-ups on a second sheet', formats: ['xlsx'] }
+];
+
+// Export button for the leads list; `params` are the list's current filters and sort
+export default function ExportLeadsMenu({ params }) {
+    const [open, setOpen] = useState(false);
+    const [format, setFormat] = useState('csv');
+    const [followUps, setFollowUps] = useState('none');
+    const [error, setError] = useState('');
+    const [exporting, setExporting] = useState(false);
+
+    const followUpOptions = FOLLOW_UP_OPTIONS.filter(option => !option.formats || option.formats.includes(format));
+
+    const handleFormatChange = (e) => {
+        setFormat(e.target.value);
+        if (followUps === 'sheet' && e.target.value !== 'xlsx') setFollowUps('flat');
+    };
+
+    const handleExport = async () => {
+        setExporting(true);
+        setError('');
+        try {
+            const { blob, fileName } = await exportLeads({ ...params, format, followUps });
+            downloadBlob(blob, fileName);
+            setOpen(false);
+        } catch (err) {
+            setError(err.message || 'Export failed.');
+        } finally {
+            setExporting(false);
+        }
+    };
+
+    return (
+        <div style={{ position: 'relative' }}>
+            <button type="button" className="btn btn-secondary" onClick={() => setOpen(!open)}>
+                <Download size={16} /> Export
+            </button>
+
+            {open && (
+                <div className="card" style={{ position: 'absolute', right: 0, top: 'calc(100% + var(--space-2))', width: '280px', zIndex: 10 }}>
+                    <div style={{ marginBottom: 'var(--space-4)' }}>
+                        <label className="label">Format</label>
+                        <select className="input" value={format} onChange={handleFormatChange}>
+                            {FORMATS.map(option => (
+                                <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div style={{ marginBottom: 'var(--space-4)' }}>
+                        <label className="label">Follow-ups</label>
+                        <select className="input" value={followUps} onChange={e => setFollowUps(e.target.value)}>
+                            {followUpOptions.map(option => (
+                                <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="text-muted" style={{ fontSize: '0.75rem', marginBottom: 'var(--space-4)' }}>
+                        Exports every lead matching the current filters, in the current sort order.
+                    </div>
+
+                    {error && <div className="alert-error" style={{ marginBottom: 'var(--space-4)' }}>{error}</div>}
+
+                    <button type="button" className="btn" style={{ width: '100%' }} onClick={handleExport} disabled={exporting}>
+                        {exporting ? 'Exporting...' : 'Download'}
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+}
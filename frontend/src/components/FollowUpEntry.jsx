@@ -0,0 +1,146 @@
+import React, { useState } from 'react';
+import { format } from 'date-fns';
+import { Pencil, Trash2 } from 'lucide-react';
+import { updateFollowUp, deleteFollowUp, getFollowUpRevisions } from '../lib/db';
+import { usePipeline } from '../lib/pipeline';
+import { formatDateOnly } from '../lib/dates';
+
+// Form values for correcting a follow-up
+const valuesFromFollowUp = (followUp) => ({
+    status: followUp.status,
+    notes: followUp.notes || '',
+    nextFollowUpDate: followUp.nextFollowUpDate ? followUp.nextFollowUpDate.slice(0, 10) : ''
+});
+
+// One entry in the lead timeline, with inline edit/delete and the versions it replaced.
+// onChanged() runs after an edit or delete so the page can reload the lead and its history.
+export default function FollowUpEntry({ followUp, onChanged }) {
+    const pipeline = usePipeline();
+    const [editing, setEditing] = useState(false);
+    const [values, setValues] = useState(() => valuesFromFollowUp(followUp));
+    const [revisions, setRevisions] = useState(null);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleChange = (e) => {
+        setValues({ ...values, [e.target.name]: e.target.value });
+    };
+
+    const startEditing = () => {
+        setValues(valuesFromFollowUp(followUp));
+        setError('');
+        setEditing(true);
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setError('');
+        try {
+            await updateFollowUp(followUp.followUpId, { ...values, nextFollowUpDate: values.nextFollowUpDate || null });
+            setEditing(false);
+            setRevisions(null);
+            onChanged();
+        } catch (err) {
+            setError(err.message || 'Failed to update interaction.');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async () => {
+        if (!window.confirm('Delete this interaction? The lead\'s status and follow-up dates will be recalculated.')) {
+            return;
+        }
+        try {
+            await deleteFollowUp(followUp.followUpId);
+            onChanged();
+        } catch (err) {
+            setError(err.message || 'Failed to delete interaction.');
+        }
+    };
+
+    const toggleRevisions = async () => {
+        if (revisions) {
+            setRevisions(null);
+            return;
+        }
+        try {
+            setRevisions(await getFollowUpRevisions(followUp.followUpId));
+        } catch (err) {
+            setError(err.message || 'Failed to load earlier versions.');
+        }
+    };
+
+    if (editing) {
+        return (
+            <form onSubmit={handleSave} className="card flex flex-col gap-2" style={{ padding: 'var(--space-4)' }}>
+                <select name="status" className="input" value={values.status} onChange={handleChange} required>
+                    {pipeline.statuses.map(status => (
+                        <option key={status.value} value={status.value}>{status.value}</option>
+                    ))}
+                </select>
+                <textarea name="notes" className="input" rows="3" value={values.notes} onChange={handleChange}></textarea>
+                <div>
+                    <label className="label">Next Follow-up Date</label>
+                    <input type="date" name="nextFollowUpDate" className="input" value={values.nextFollowUpDate} onChange={handleChange} />
+                </div>
+                {error && <div className="alert-error">{error}</div>}
+                <div className="flex gap-2">
+                    <button type="submit" className="btn btn-sm" disabled={saving}>{saving ? 'Saving...' : 'Save'}</button>
+                    <button type="button" className="btn btn-secondary btn-sm" onClick={() => setEditing(false)}>Cancel</button>
+                </div>
+            </form>
+        );
+    }
+
+    return (
+        <div className="card" style={{ padding: 'var(--space-4)' }}>
+            <div className="flex justify-between items-start" style={{ marginBottom: 'var(--space-2)' }}>
+                <span style={{ fontWeight: 600 }}>{followUp.status}</span>
+                <span className="flex items-center gap-2" style={{ fontSize: '0.75rem', color: 'var(--color-text-muted)' }}>
+                    {format(new Date(followUp.followUpDate), 'MMM d, h:mm a')}
+                    {followUp.editedAt && (
+                        <button
+                            type="button"
+                            onClick={toggleRevisions}
+                            title={`Edited ${format(new Date(followUp.editedAt), 'MMM d, h:mm a')} - show earlier versions`}
+                            style={{ background: 'none', border: 'none', padding: 0, cursor: 'pointer', color: 'inherit', fontSize: 'inherit', fontStyle: 'italic', textDecoration: 'underline' }}
+                        >
+                            edited
+                        </button>
+                    )}
+                    <button type="button" className="btn btn-secondary btn-sm" style={{ border: 'none', padding: '2px' }} onClick={startEditing} title="Edit interaction">
+                        <Pencil size={12} />
+                    </button>
+                    <button type="button" className="btn btn-secondary btn-sm" style={{ border: 'none', padding: '2px' }} onClick={handleDelete} title="Delete interaction">
+                        <Trash2 size={12} />
+                    </button>
+                </span>
+            </div>
+            <p style={{ fontSize: '0.875rem', color: 'var(--color-text-main)', whiteSpace: 'pre-wrap' }}>{followUp.notes}</p>
+            {followUp.nextFollowUpDate && (
+                <div style={{ marginTop: 'var(--space-2)', fontSize: '0.75rem', color: 'var(--color-info)' }}>
+                    Next: {formatDateOnly(followUp.nextFollowUpDate, 'MMM d')}
+                </div>
+            )}
+            {error && <div className="alert-error" style={{ marginTop: 'var(--space-2)' }}>{error}</div>}
+            {revisions && (
+                <div className="flex flex-col gap-2" style={{ marginTop: 'var(--space-2)', paddingTop: 'var(--space-2)', borderTop: '1px solid var(--color-border)', fontSize: '0.75rem' }}>
+                    {revisions.map(revision => (
+                        <div key={revision.revisionId} className="text-muted">
+                            <div>
+                                Before {revision.changedByName ? `${revision.changedByName}'s` : 'an'} edit on {format(new Date(revision.changedAt), 'MMM d, h:mm a')}:
+                            </div>
+                            <div>
+                                <span style={{ fontWeight: 600 }}>{revision.previous.status}</span>
+                                {revision.previous.nextFollowUpDate && ` - Next: ${formatDateOnly(revision.previous.nextFollowUpDate, 'MMM d')}`}
+                            </div>
+                            {revision.previous.notes && <div style={{ whiteSpace: 'pre-wrap' }}>{revision.previous.notes}</div>}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -1,14 +1,23 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { NavLink, Outlet } from 'react-router-dom';
-import { LayoutDashboard, Users, Phone, PlusCircle } from 'lucide-react';
+import { LayoutDashboard, Users, Phone, PlusCircle, Search, Upload, LogOut, UserCog, Repeat, Trash2, Kanban, CalendarDays } from 'lucide-react';
+import CommandPalette from './CommandPalette';
+import { useAuth, can, logOut } from '../lib/auth';
+
+const Sidebar = ({ onSearch }) => {
+    const { user } = useAuth();
 
-const Sidebar = () => {
     return (
         <div className="sidebar">
             <div style={{ padding: '1.5rem', borderBottom: '1px solid var(--color-border)' }}>
                 <h2 style={{ margin: 0, fontSize: '1.25rem', color: 'var(--color-primary)' }}>RestroIQ</h2>
             </div>
             <nav style={{ padding: '1rem 0' }}>
+                <button type="button" className="nav-item nav-search" onClick={onSearch}>
+                    <Search size={20} />
+                    <span>Search</span>
+                    <span className="kbd">Ctrl K</span>
+                </button>
                 <NavLink to="/" className={({ isActive }) => `nav-item ${isActive ? 'active' : ''}`}>
                     <LayoutDashboard size={20} />
                     <span>Dashboard</span>
@@ -17,24 +26,79 @@ const Sidebar = () => {
                     <Phone size={20} />
                     <span>Today's Calls</span>
                 </NavLink>
+                <NavLink to="/calendar" className={({ isActive }) => `nav-item ${isActive ? 'active' : ''}`}>
+                    <CalendarDays size={20} />
+                    <span>Calendar</span>
+                </NavLink>
                 <NavLink to="/leads" className={({ isActive }) => `nav-item ${isActive ? 'active' : ''}`}>
                     <Users size={20} />
                     <span>Leads</span>
                 </NavLink>
+                <NavLink to="/leads/board" className={({ isActive }) => `nav-item ${isActive ? 'active' : ''}`}>
+                    <Kanban size={20} />
+                    <span>Pipeline Board</span>
+                </NavLink>
                 <div style={{ margin: '1rem', borderTop: '1px solid var(--color-border)' }}></div>
                 <NavLink to="/leads/new" className={({ isActive }) => `nav-item ${isActive ? 'active' : ''}`}>
                     <PlusCircle size={20} />
                     <span>Add Lead</span>
                 </NavLink>
+                <NavLink to="/leads/import" className={({ isActive }) => `nav-item ${isActive ? 'active' : ''}`}>
+                    <Upload size={20} />
+                    <span>Import Leads</span>
+                </NavLink>
+                {can(user, 'leads:delete') && (
+                    <NavLink to="/leads/trash" className={({ isActive }) => `nav-item ${isActive ? 'active' : ''}`}>
+                        <Trash2 size={20} />
+                        <span>Trash</span>
+                    </NavLink>
+                )}
+                {can(user, 'cadences:manage') && (
+                    <NavLink to="/cadences" className={({ isActive }) => `nav-item ${isActive ? 'active' : ''}`}>
+                        <Repeat size={20} />
+                        <span>Cadences</span>
+                    </NavLink>
+                )}
+                {can(user, 'users:manage') && (
+                    <NavLink to="/users" className={({ isActive }) => `nav-item ${isActive ? 'active' : ''}`}>
+                        <UserCog size={20} />
+                        <span>Users</span>
+                    </NavLink>
+                )}
             </nav>
+            <div className="sidebar-footer">
+                <div style={{ padding: '0 var(--space-4)', fontSize: '0.875rem' }}>
+                    <div style={{ fontWeight: 600 }}>{user.name}</div>
+                    <div className="text-muted" style={{ overflow: 'hidden', textOverflow: 'ellipsis' }}>{user.email}</div>
+                </div>
+                <button type="button" className="nav-item nav-button" onClick={logOut}>
+                    <LogOut size={20} />
+                    <span>Log Out</span>
+                </button>
+            </div>
         </div>
     );
 };
 
 export default function Layout() {
+    const [paletteOpen, setPaletteOpen] = useState(false);
+
+    // Ctrl/Cmd+K opens the lead search palette from anywhere
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+                e.preventDefault();
+                setPaletteOpen(true);
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, []);
+
     return (
         <div>
-            <Sidebar />
+            <Sidebar onSearch={() => setPaletteOpen(true)} />
+            <CommandPalette open={paletteOpen} onClose={() => setPaletteOpen(false)} />
             <div className="main-content">
                 <Outlet />
             </div>
@@ -0,0 +1,102 @@
+import React, { useEffect, useState } from 'react';
+import { format } from 'date-fns';
+import { getLeadAudit } from '../lib/db';
+import { FIELD_LABELS } from '../lib/leadFields';
+import { useAuth } from '../lib/auth';
+import { useAssignees, ownerName } from '../lib/assignees';
+import { formatDateOnly } from '../lib/dates';
+
+const ACTION_LABELS = {
+    create: 'created the lead',
+    update: 'edited the lead',
+    delete: 'deleted the lead',
+    follow_up: 'logged or corrected an interaction',
+    merge: 'merged a duplicate into this lead'
+};
+
+const FIELD_NAMES = { ...FIELD_LABELS, assignedTo: 'Owner', closedAt: 'Closed' };
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+
+// Entries written by the same change (same time, actor and action) are shown together
+const groupChanges = (entries) => {
+    const groups = [];
+    for (const entry of entries) {
+        const last = groups[groups.length - 1];
+        if (last && last.changedAt === entry.changedAt && last.actorId === entry.actorId && last.action === entry.action) {
+            last.entries.push(entry);
+        } else {
+            groups.push({ ...entry, entries: [entry] });
+        }
+    }
+    return groups;
+};
+
+// Field-level audit log of a lead (GET /api/leads/:id/audit). reloadKey: bump to refetch.
+export default function LeadChanges({ leadId, reloadKey }) {
+    const { user } = useAuth();
+    const assignees = useAssignees();
+    const [entries, setEntries] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        let active = true;
+        getLeadAudit(leadId)
+            .then(data => {
+                if (active) setEntries(data);
+            })
+            .catch(err => {
+                if (active) setError(err.message || 'Failed to load changes.');
+            })
+            .finally(() => {
+                if (active) setLoading(false);
+            });
+        return () => { active = false; };
+    }, [leadId, reloadKey]);
+
+    const formatValue = (field, value) => {
+        if (value === null || value === undefined || value === '') return 'empty';
+        if (field === 'assignedTo') return ownerName(assignees, user, value);
+        if (typeof value === 'string' && DATE_PATTERN.test(value) && field.endsWith('Date')) {
+            return value.length > 10 ? format(new Date(value), 'MMM d, yyyy h:mm a') : formatDateOnly(value);
+        }
+        return String(value);
+    };
+
+    if (loading) return <div className="text-muted">Loading...</div>;
+    if (error) return <div className="alert-error">{error}</div>;
+    if (entries.length === 0) return <div className="text-muted" style={{ fontStyle: 'italic' }}>No changes recorded yet.</div>;
+
+    return (
+        <div className="flex flex-col gap-4">
+            {groupChanges(entries).map(group => (
+                <div key={group.auditId} className="card" style={{ padding: 'var(--space-4)' }}>
+                    <div className="flex justify-between items-start" style={{ marginBottom: 'var(--space-2)' }}>
+                        <span style={{ fontWeight: 600 }}>
+                            {group.actorId === user?.userId ? 'You' : group.actorName || 'System'} {ACTION_LABELS[group.action] || group.action}
+                        </span>
+                        <span style={{ fontSize: '0.75rem', color: 'var(--color-text-muted)' }}>
+                            {format(new Date(group.changedAt), 'MMM d, h:mm a')}
+                        </span>
+                    </div>
+                    <ul style={{ listStyle: 'none', fontSize: '0.875rem', display: 'flex', flexDirection: 'column', gap: 'var(--space-1)' }}>
+                        {group.entries.map(entry => (
+                            <li key={entry.auditId}>
+                                <span style={{ fontWeight: 500 }}>{FIELD_NAMES[entry.field] || entry.field}</span>
+                                {group.action === 'create' ? (
+                                    <>: {formatValue(entry.field, entry.newValue)}</>
+                                ) : (
+                                    <>
+                                        : <span className="text-muted" style={{ textDecoration: 'line-through' }}>{formatValue(entry.field, entry.oldValue)}</span>
+                                        {' '}&rarr; {formatValue(entry.field, entry.newValue)}
+                                    </>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            ))}
+        </div>
+    );
+}
@@ -0,0 +1,135 @@
+import React, { useState } from 'react';
+import { updateLead } from '../lib/db';
+import { profileFromLead, validateLead, REQUIRED_FIELDS } from '../lib/leadFields';
+import { usePipeline, allowedStatuses, allowedStages, statusOutcome } from '../lib/pipeline';
+import LeadProfileFields from './LeadProfileFields';
+
+// Form values for every editable lead field
+const valuesFromLead = (lead) => ({
+    restaurantName: lead.restaurantName || '',
+    phone: lead.phone || '',
+    city: lead.city || '',
+    currentStatus: lead.currentStatus || '',
+    leadStage: lead.leadStage || '',
+    nextFollowUpDate: lead.nextFollowUpDate ? lead.nextFollowUpDate.slice(0, 10) : '',
+    ...profileFromLead(lead)
+});
+
+export default function LeadEditForm({ lead, onSaved, onCancel }) {
+    const pipeline = usePipeline();
+    const [values, setValues] = useState(() => valuesFromLead(lead));
+    const [baseUpdatedAt, setBaseUpdatedAt] = useState(lead.updatedAt);
+    const [fieldErrors, setFieldErrors] = useState({});
+    const [formError, setFormError] = useState('');
+    const [conflict, setConflict] = useState(null);
+    const [saving, setSaving] = useState(false);
+
+    const handleChange = (e) => {
+        setValues({ ...values, [e.target.name]: e.target.value });
+        if (fieldErrors[e.target.name]) {
+            setFieldErrors({ ...fieldErrors, [e.target.name]: undefined });
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setFormError('');
+
+        const errors = validateLead(values);
+        setFieldErrors(errors);
+        if (Object.keys(errors).length > 0) return;
+
+        setSaving(true);
+        try {
+            // The outcome reason is hidden for open statuses, and the server only takes it with an outcome
+            const outcomeReason = statusOutcome(pipeline, values.currentStatus) ? values.outcomeReason : '';
+            const updated = await updateLead({ leadId: lead.leadId, ...values, outcomeReason, expectedUpdatedAt: baseUpdatedAt });
+            setConflict(null);
+            onSaved(updated);
+        } catch (error) {
+            if (error.status === 409 && error.data?.lead) {
+                setConflict(error.data.lead);
+            } else {
+                setFormError(error.message || 'Failed to update lead.');
+            }
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    // Throw away local edits and continue from the other user's version
+    const discardMine = () => {
+        setValues(valuesFromLead(conflict));
+        setBaseUpdatedAt(conflict.updatedAt);
+        setConflict(null);
+    };
+
+    // Keep local edits; the next save overwrites the other user's version
+    const keepMine = () => {
+        setBaseUpdatedAt(conflict.updatedAt);
+        setConflict(null);
+    };
+
+    return (
+        <form onSubmit={handleSubmit} noValidate className="flex flex-col gap-4">
+            {conflict && (
+                <div className="alert-error">
+                    <div style={{ marginBottom: 'var(--space-2)' }}>
+                        This lead was changed by someone else while you were editing
+                        {conflict.updatedAt ? ` (saved ${new Date(conflict.updatedAt).toLocaleString()})` : ''}.
+                    </div>
+                    <div className="flex gap-2">
+                        <button type="button" className="btn btn-secondary btn-sm" onClick={discardMine}>Load their version</button>
+                        <button type="button" className="btn btn-sm" onClick={keepMine}>Keep my changes</button>
+                    </div>
+                </div>
+            )}
+            {formError && <div className="alert-error">{formError}</div>}
+
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: 'var(--space-4)' }}>
+                {REQUIRED_FIELDS.map(field => (
+                    <div key={field.name}>
+                        <label className="label">{field.label} *</label>
+                        <input
+                            type={field.name === 'phone' ? 'tel' : 'text'}
+                            name={field.name}
+                            className="input"
+                            value={values[field.name]}
+                            onChange={handleChange}
+                        />
+                        {fieldErrors[field.name] && <div className="field-error">{fieldErrors[field.name]}</div>}
+                    </div>
+                ))}
+                <div>
+                    <label className="label">Status</label>
+                    <select name="currentStatus" className="input" value={values.currentStatus} onChange={handleChange}>
+                        {allowedStatuses(pipeline, lead.currentStatus).map(status => (
+                            <option key={status.value} value={status.value}>{status.value}</option>
+                        ))}
+                    </select>
+                </div>
+                <div>
+                    <label className="label">Stage</label>
+                    <select name="leadStage" className="input" value={values.leadStage} onChange={handleChange}>
+                        {allowedStages(pipeline, lead.leadStage).map(stage => (
+                            <option key={stage.value} value={stage.value}>{stage.value}</option>
+                        ))}
+                    </select>
+                </div>
+                <div>
+                    <label className="label">Next Follow-up Date</label>
+                    <input type="date" name="nextFollowUpDate" className="input" value={values.nextFollowUpDate} onChange={handleChange} />
+                </div>
+            </div>
+
+            <LeadProfileFields values={values} onChange={handleChange} errors={fieldErrors} outcome={statusOutcome(pipeline, values.currentStatus)} />
+
+            <div className="flex gap-4">
+                <button type="button" className="btn btn-secondary" onClick={onCancel}>Cancel</button>
+                <button type="submit" className="btn" disabled={saving}>
+                    {saving ? 'Saving...' : 'Save Changes'}
+                </button>
+            </div>
+        </form>
+    );
+}
@@ -0,0 +1,82 @@
+import React from 'react';
+import { usePipeline } from '../lib/pipeline';
+import { useAuth, can } from '../lib/auth';
+import { useAssignees } from '../lib/assignees';
+
+// Filter card for lead views. filters comes from useLeadFilters(); hidden lists filter keys
+// the view doesn't offer (e.g. 'stage' on a board grouped by stage).
+export default function LeadFilters({ filters, hidden = [] }) {
+    const { searchParams, textFilters, handleFilterChange, handleTextFilterChange, clearFilters, hasFilters } = filters;
+    const pipeline = usePipeline();
+    const { user } = useAuth();
+    const canAssign = can(user, 'leads:assign');
+    const assignees = useAssignees();
+
+    return (
+        <div className="card" style={{ marginBottom: 'var(--space-6)' }}>
+            <div className="flex gap-4" style={{ flexWrap: 'wrap', alignItems: 'flex-end' }}>
+                <div style={{ flex: 1, minWidth: '200px' }}>
+                    <label className="label">Search</label>
+                    <input
+                        type="text"
+                        name="q"
+                        className="input"
+                        placeholder="Name, Phone, City..."
+                        value={textFilters.q}
+                        onChange={handleTextFilterChange}
+                    />
+                </div>
+                {!hidden.includes('status') && (
+                    <div style={{ width: '200px' }}>
+                        <label className="label">Status</label>
+                        <select name="status" className="input" value={searchParams.get('status') || ''} onChange={handleFilterChange}>
+                            <option value="">All Statuses</option>
+                            {pipeline.statuses.map(status => (
+                                <option key={status.value} value={status.value}>{status.value}</option>
+                            ))}
+                        </select>
+                    </div>
+                )}
+                {!hidden.includes('stage') && (
+                    <div style={{ width: '200px' }}>
+                        <label className="label">Stage</label>
+                        <select name="stage" className="input" value={searchParams.get('stage') || ''} onChange={handleFilterChange}>
+                            <option value="">All Stages</option>
+                            {pipeline.stages.map(stage => (
+                                <option key={stage.value} value={stage.value}>{stage.value}</option>
+                            ))}
+                        </select>
+                    </div>
+                )}
+                <div style={{ width: '160px' }}>
+                    <label className="label">City</label>
+                    <input type="text" name="city" className="input" value={textFilters.city} onChange={handleTextFilterChange} />
+                </div>
+                <div style={{ width: '160px' }}>
+                    <label className="label">Follow-up From</label>
+                    <input type="date" name="followUpFrom" className="input" value={searchParams.get('followUpFrom') || ''} onChange={handleFilterChange} />
+                </div>
+                <div style={{ width: '160px' }}>
+                    <label className="label">Follow-up To</label>
+                    <input type="date" name="followUpTo" className="input" value={searchParams.get('followUpTo') || ''} onChange={handleFilterChange} />
+                </div>
+                {canAssign && (
+                    <div style={{ width: '180px' }}>
+                        <label className="label">Owner</label>
+                        <select name="assignedTo" className="input" value={searchParams.get('assignedTo') || ''} onChange={handleFilterChange}>
+                            <option value="">All Owners</option>
+                            <option value="me">Me</option>
+                            <option value="unassigned">Unassigned</option>
+                            {assignees.filter(a => a.userId !== user.userId).map(a => (
+                                <option key={a.userId} value={a.userId}>{a.name}</option>
+                            ))}
+                        </select>
+                    </div>
+                )}
+                {hasFilters && (
+                    <button type="button" className="btn btn-secondary" onClick={clearFilters}>Clear</button>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,50 @@
+import React from 'react';
+import { PROFILE_FIELDS } from '../lib/leadFields';
+
+// Keep values that predate the option list (e.g. imported sources) selectable
+const withCurrent = (options, value) => (value && !options.includes(value) ? [...options, value] : options);
+
+const renderFields = (fields, values, onChange, errors) => (
+    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: 'var(--space-4)' }}>
+        {fields.map(field => (
+            <div key={field.name} style={field.type === 'textarea' ? { gridColumn: '1 / -1' } : undefined}>
+                <label className="label">{field.label}</label>
+                {field.type === 'select' ? (
+                    <select name={field.name} className="input" value={values[field.name]} onChange={onChange}>
+                        {withCurrent(field.options, values[field.name]).map(option => (
+                            <option key={option} value={option}>{option}</option>
+                        ))}
+                    </select>
+                ) : field.type === 'textarea' ? (
+                    <textarea name={field.name} className="input" rows="3" maxLength={field.maxLength} value={values[field.name]} onChange={onChange}></textarea>
+                ) : (
+                    <input
+                        type={field.type}
+                        name={field.name}
+                        className="input"
+                        min={field.type === 'number' ? 0 : undefined}
+                        max={field.max}
+                        maxLength={field.maxLength}
+                        value={values[field.name]}
+                        onChange={onChange}
+                    />
+                )}
+                {errors[field.name] && <div className="field-error">{errors[field.name]}</div>}
+            </div>
+        ))}
+    </div>
+);
+
+// Renders inputs for the extended lead profile and the deal in two-column grids. outcome is
+// the form's status outcome ('won', 'lost' or null): the outcome reason is only shown with one.
+export default function LeadProfileFields({ values, onChange, errors = {}, outcome = null }) {
+    const profileFields = PROFILE_FIELDS.filter(field => !field.group);
+    const dealFields = PROFILE_FIELDS.filter(field => field.group === 'deal' && (!field.outcomeOnly || outcome));
+    return (
+        <>
+            {renderFields(profileFields, values, onChange, errors)}
+            <h3 style={{ margin: 0 }}>Deal</h3>
+            {renderFields(dealFields, values, onChange, errors)}
+        </>
+    );
+}
@@ -0,0 +1,48 @@
+import React, { useState } from 'react';
+
+// Badge class for a score: hot from 70, warm from 40
+const scoreBadgeClass = (score) => `badge ${score >= 70 ? 'badge-hot' : score >= 40 ? 'badge-warm' : 'badge-cold'}`;
+
+// One line per scoring rule, for tooltips
+const explanationText = (explanation = []) =>
+    explanation.map(item => `${item.label}: ${item.points}/${item.maxPoints} (${item.detail})`).join('\n');
+
+// A lead's 0-100 score (computed on the server) with why it got it: in a tooltip, or with
+// detailed as a breakdown that can be opened
+export default function LeadScore({ lead, detailed = false }) {
+    const [open, setOpen] = useState(false);
+
+    if (lead.score === null || lead.score === undefined) {
+        return <span className="text-muted" title="Not scored yet">-</span>;
+    }
+
+    const badge = (
+        <span className={scoreBadgeClass(lead.score)} title={explanationText(lead.scoreExplanation)}>
+            Score {lead.score}
+        </span>
+    );
+    if (!detailed) return badge;
+
+    return (
+        <span>
+            <button
+                type="button"
+                onClick={() => setOpen(!open)}
+                style={{ background: 'none', border: 'none', padding: 0, cursor: 'pointer' }}
+                aria-expanded={open}
+            >
+                {badge}
+            </button>
+            {open && (
+                <div className="card" style={{ marginTop: 'var(--space-2)', padding: 'var(--space-3)', fontSize: '0.875rem' }}>
+                    {(lead.scoreExplanation || []).map(item => (
+                        <div key={item.rule} className="flex justify-between gap-4">
+                            <span>{item.label} <span className="text-muted">- {item.detail}</span></span>
+                            <span style={{ fontWeight: 600, whiteSpace: 'nowrap' }}>{item.points} / {item.maxPoints}</span>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </span>
+    );
+}
@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { mergeLeads } from '../lib/db';
+import { FIELD_LABELS } from '../lib/leadFields';
+
+// Fields combined by a merge (mirrors MERGE_FIELDS in backend/lib/duplicates.js)
+const MERGE_FIELDS = Object.entries(FIELD_LABELS).map(([name, label]) => ({ name, label }));
+
+const isEmpty = (value) => value === null || value === undefined || value === '';
+
+const display = (value) => (isEmpty(value) ? '—' : String(value));
+
+// Same defaults as the backend: keep this lead's value unless it is empty
+const defaultChoices = (target, source) => Object.fromEntries(MERGE_FIELDS.map(({ name }) => {
+    if (name === 'lastFollowUpDate') {
+        return [name, !isEmpty(source[name]) && (isEmpty(target[name]) || source[name] > target[name]) ? 'source' : 'target'];
+    }
+    return [name, isEmpty(target[name]) && !isEmpty(source[name]) ? 'source' : 'target'];
+}));
+
+// Side-by-side field picker for merging `source` into `target`
+export default function MergeLeadsPanel({ target, source, onMerged, onCancel }) {
+    const [choices, setChoices] = useState(() => defaultChoices(target, source));
+    const [error, setError] = useState('');
+    const [merging, setMerging] = useState(false);
+
+    // Only fields where the two leads differ need a decision
+    const differing = MERGE_FIELDS.filter(({ name }) => display(target[name]) !== display(source[name]));
+
+    const handleMerge = async () => {
+        setMerging(true);
+        setError('');
+        try {
+            const result = await mergeLeads(target.leadId, source.leadId, choices);
+            onMerged(result.lead);
+        } catch (err) {
+            setError(err.message || 'Failed to merge leads.');
+        } finally {
+            setMerging(false);
+        }
+    };
+
+    return (
+        <div className="card" style={{ marginBottom: 'var(--space-6)' }}>
+            <h3>Merge "{source.restaurantName}" into this lead</h3>
+            <p className="text-muted" style={{ fontSize: '0.875rem', marginBottom: 'var(--space-4)' }}>
+                Pick which value to keep for each field that differs. All interaction history from the other lead
+                moves to this one and the other lead is removed.
+            </p>
+
+            {differing.length === 0 ? (
+                <div className="text-muted" style={{ marginBottom: 'var(--space-4)' }}>Both leads have identical details.</div>
+            ) : (
+                <table className="table" style={{ marginBottom: 'var(--space-4)' }}>
+                    <thead>
+                        <tr>
+                            <th>Field</th>
+                            <th>This lead</th>
+                            <th>{source.restaurantName}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {differing.map(({ name, label }) => (
+                            <tr key={name}>
+                                <td style={{ fontWeight: 500 }}>{label}</td>
+                                {['target', 'source'].map(side => (
+                                    <td key={side}>
+                                        <label className="flex items-center gap-2" style={{ cursor: 'pointer' }}>
+                                            <input
+                                                type="radio"
+                                                name={`merge-${name}`}
+                                                checked={choices[name] === side}
+                                                onChange={() => setChoices({ ...choices, [name]: side })}
+                                            />
+                                            {display((side === 'target' ? target : source)[name])}
+                                        </label>
+                                    </td>
+                                ))}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+
+            {error && <div className="alert-error" style={{ marginBottom: 'var(--space-4)' }}>{error}</div>}
+
+            <div className="flex gap-4">
+                <button type="button" className="btn btn-secondary" onClick={onCancel}>Cancel</button>
+                <button type="button" className="btn" onClick={handleMerge} disabled={merging}>
+                    {merging ? 'Merging...' : 'Merge Leads'}
+                </button>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,22 @@
+import React from 'react';
+import { useAuth, can } from '../lib/auth';
+import { useAssignees } from '../lib/assignees';
+
+// "Whose leads" picker for managers and admins: value is 'me', '' (everyone they can see) or a user ID.
+// Renders nothing for reps, who only ever see their own leads.
+export default function OwnerScopeSelect({ value, onChange }) {
+    const { user } = useAuth();
+    const assignees = useAssignees();
+
+    if (!can(user, 'leads:assign')) return null;
+
+    return (
+        <select className="input" style={{ width: '200px' }} value={value} onChange={e => onChange(e.target.value)} aria-label="Show leads for">
+            <option value="me">My leads</option>
+            <option value="">{user.role === 'admin' ? 'Everyone' : 'My team'}</option>
+            {assignees.filter(a => a.userId !== user.userId).map(a => (
+                <option key={a.userId} value={a.userId}>{a.name}</option>
+            ))}
+        </select>
+    );
+}
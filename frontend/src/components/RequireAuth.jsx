@@ -0,0 +1,14 @@
+import React from 'react';
+import { Navigate, Outlet, useLocation } from 'react-router-dom';
+import { useAuth } from '../lib/auth';
+
+// Route guard: renders the child routes for a logged-in user, otherwise sends them to /login
+export default function RequireAuth() {
+    const { user, ready } = useAuth();
+    const location = useLocation();
+
+    if (!ready) return <div className="container">Loading...</div>;
+    if (!user) return <Navigate to="/login" state={{ from: location }} replace />;
+
+    return <Outlet />;
+}
@@ -0,0 +1,29 @@
+import { useEffect, useState } from 'react';
+import { getAssignees } from './db';
+import { useAuth, can } from './auth';
+
+// Users the logged-in user can assign leads to, for owner pickers, filters and owner names.
+// Empty for reps, who can't reassign leads.
+export function useAssignees() {
+    const { user } = useAuth();
+    const canAssign = can(user, 'leads:assign');
+    const [assignees, setAssignees] = useState([]);
+
+    useEffect(() => {
+        if (!canAssign) return;
+        let active = true;
+        getAssignees().then(data => {
+            if (active) setAssignees(data);
+        });
+        return () => { active = false; };
+    }, [canAssign]);
+
+    return canAssign ? assignees : [];
+}
+
+// Display name for a lead owner
+export function ownerName(assignees, user, userId) {
+    if (!userId) return 'Unassigned';
+    if (userId === user?.userId) return 'You';
+    return assignees.find(a => a.userId === userId)?.name || 'Another user';
+}
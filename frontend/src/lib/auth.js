@@ -0,0 +1,52 @@
+import { useSyncExternalStore } from 'react';
+import { login, getCurrentUser, getAuthToken, setAuthToken, onUnauthorized } from './db';
+
+// Login session: the token lives in localStorage (see db.js), the user is loaded from
+// GET /api/auth/me once per page load and shared with every component through useAuth().
+
+let session = { user: null, ready: !getAuthToken() };
+const listeners = new Set();
+
+function setSession(next) {
+    session = { ...session, ...next };
+    listeners.forEach(listener => listener());
+}
+
+function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+// Any API call rejected with 401 ends the session
+onUnauthorized(() => setSession({ user: null, ready: true }));
+
+if (getAuthToken()) {
+    getCurrentUser()
+        .then(user => setSession({ user, ready: true }))
+        .catch(error => {
+            console.error('Error restoring session:', error);
+            setSession({ user: null, ready: true });
+        });
+}
+
+// Returns { user, ready }; user is null when logged out, ready is false while a stored session loads
+export function useAuth() {
+    return useSyncExternalStore(subscribe, () => session);
+}
+
+export async function logIn(email, password) {
+    const { token, user } = await login(email, password);
+    setAuthToken(token);
+    setSession({ user, ready: true });
+    return user;
+}
+
+// Whether the user may take a role-restricted action, e.g. can(user, 'leads:delete')
+export function can(user, permission) {
+    return Boolean(user?.permissions?.includes(permission));
+}
+
+export function logOut() {
+    setAuthToken(null);
+    setSession({ user: null, ready: true });
+}
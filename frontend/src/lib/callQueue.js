@@ -0,0 +1,22 @@
+// Call queue helpers shared by Today's Calls and the dialer.
+
+// Skipped calls stay due but are set aside for the rest of the day, on this browser
+const SKIPPED_KEY = 'skippedCalls';
+
+// Lead IDs skipped on date (the queue's today)
+export function loadSkipped(date) {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SKIPPED_KEY));
+        return stored?.date === date ? stored.leadIds : [];
+    } catch {
+        return [];
+    }
+}
+
+export function saveSkipped(date, leadIds) {
+    localStorage.setItem(SKIPPED_KEY, JSON.stringify({ date, leadIds }));
+}
+
+// Why a call has its place in the queue, for the score's tooltip
+export const priorityTitle = ({ score, daysOverdue, unansweredAttempts, ageDays }) =>
+    `Priority ${score}: ${daysOverdue} day(s) overdue, ${unansweredAttempts} unanswered attempt(s) in a row, lead ${ageDays} day(s) old`;
@@ -0,0 +1,52 @@
+import { format, parseISO } from 'date-fns';
+import { useAuth } from './auth';
+
+// Dates and timezones, mirroring backend/lib/dates.js. Date-only fields (nextFollowUpDate,
+// cadence holidays) are YYYY-MM-DD calendar days: compare them as strings and format them with
+// formatDateOnly, never new Date(value), which reads them as UTC midnight and can show the
+// day before. Timestamps (followUpDate, createdAt, ...) are instants shown in the browser's time.
+
+// The timezone the user's "today" is counted in: theirs if set, otherwise the org's
+export const effectiveTimezone = (user) => user?.timezone || user?.orgTimezone || undefined;
+
+// The calendar day (YYYY-MM-DD) of a timestamp in a timezone (the browser's when undefined)
+export const dateInTimezone = (timestamp, timezone) => {
+    // en-CA formats dates as YYYY-MM-DD
+    return new Intl.DateTimeFormat('en-CA', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    }).format(new Date(timestamp));
+};
+
+export const todayIn = (timezone) => dateInTimezone(Date.now(), timezone);
+
+// Today (YYYY-MM-DD) for the logged-in user, matching the server's "due today"
+export function useToday() {
+    const { user } = useAuth();
+    return todayIn(effectiveTimezone(user));
+}
+
+// The YYYY-MM-DD of a date-only field
+export const toDateOnly = (value) => (value ? String(value).slice(0, 10) : null);
+
+// Format a date-only field as that calendar day
+export const formatDateOnly = (value, pattern = 'MMM d, yyyy') => format(parseISO(toDateOnly(value)), pattern);
+
+// Add days to a YYYY-MM-DD string
+export const addDays = (dateString, days) => {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+};
+
+// Where a scheduled call stands relative to today: 'overdue', 'today' or 'upcoming'
+// (null without a date). Same definition as the dashboard stats.
+export const callBucket = (nextFollowUpDate, today) => {
+    const date = toDateOnly(nextFollowUpDate);
+    if (!date) return null;
+    if (date < today) return 'overdue';
+    if (date === today) return 'today';
+    return 'upcoming';
+};
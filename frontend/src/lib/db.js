@@ -3,21 +3,151 @@ const API_BASE_URL = import.meta.env.VITE_API_URL ||
         ? 'https://restro-iq-lead-crm-pdy3.vercel.app/api'
         : 'http://localhost:5000/api');
 
+const TOKEN_KEY = 'restroiq.authToken';
+
+let unauthorizedHandler = () => {};
+
+export const getAuthToken = () => localStorage.getItem(TOKEN_KEY);
+
+export function setAuthToken(token) {
+    if (token) localStorage.setItem(TOKEN_KEY, token);
+    else localStorage.removeItem(TOKEN_KEY);
+}
+
+// Register a callback for when the API rejects the stored token (expired or revoked session)
+export function onUnauthorized(handler) {
+    unauthorizedHandler = handler;
+}
+
+// fetch against the API with the login token attached
+async function apiFetch(path, options = {}) {
+    const token = getAuthToken();
+    const headers = { ...options.headers };
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    const response = await fetch(`${API_BASE_URL}${path}`, { ...options, headers });
+    if (response.status === 401 && token) {
+        setAuthToken(null);
+        unauthorizedHandler();
+    }
+    return response;
+}
+
 async function handleResponse(response) {
     if (!response.ok) {
-        const error = await response.json().catch(() => ({ error: 'Unknown error' }));
-        throw new Error(error.error || `HTTP error! status: ${response.status}`);
+        const body = await response.json().catch(() => ({ error: 'Unknown error' }));
+        const error = new Error(body.error || `HTTP error! status: ${response.status}`);
+        error.status = response.status;
+        error.data = body;
+        throw error;
     }
     return response.json();
 }
 
-// Get all leads
-export async function getLeads() {
+// Build a query string from an object, skipping empty values
+function toQueryString(params = {}) {
+    const search = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') search.set(key, value);
+    });
+    const query = search.toString();
+    return query ? `?${query}` : '';
+}
+
+// Log in; returns { token, user }
+export async function login(email, password) {
+    const response = await apiFetch('/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email, password })
+    });
+    return await handleResponse(response);
+}
+
+// Get the logged-in user
+export async function getCurrentUser() {
+    const response = await apiFetch('/auth/me');
+    return await handleResponse(response);
+}
+
+// Change the logged-in user's password
+export async function changePassword(currentPassword, newPassword) {
+    const response = await apiFetch('/auth/password', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ currentPassword, newPassword })
+    });
+    return await handleResponse(response);
+}
+
+// Get all users (admins only)
+export async function getUsers() {
+    const response = await apiFetch('/users');
+    return await handleResponse(response);
+}
+
+// Create a user (admins only): { email, name, password, role, managerId }
+export async function addUser(userData) {
+    const response = await apiFetch('/users', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(userData)
+    });
+    return await handleResponse(response);
+}
+
+// Update a user (admins only); send only the fields to change
+export async function updateUser(userId, changes) {
+    const response = await apiFetch(`/users/${userId}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+    });
+    return await handleResponse(response);
+}
+
+// Users the logged-in user can assign leads to (empty for reps)
+export async function getAssignees() {
     try {
-        const response = await fetch(`${API_BASE_URL}/leads`);
+        const response = await apiFetch('/assignment/assignees');
         return await handleResponse(response);
     } catch (error) {
-        console.error('Error fetching leads:', error);
+        console.error('Error fetching assignees:', error);
+        return [];
+    }
+}
+
+// Lead distribution settings (admins only): { mode, cityRules, roundRobinUsers }
+export async function getAssignmentSettings() {
+    const response = await apiFetch('/assignment/settings');
+    return await handleResponse(response);
+}
+
+// Save lead distribution settings (admins only): { mode, cityRules: [{ city, userId }] }
+export async function updateAssignmentSettings(settings) {
+    const response = await apiFetch('/assignment/settings', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(settings)
+    });
+    return await handleResponse(response);
+}
+
+// Get a page of leads
+// params: page, pageSize, sort, order, status, stage, city, q, followUpFrom, followUpTo,
+// assignedTo (user ID, 'me' or 'unassigned'). Throws when the request fails.
+export async function getLeads(params = {}) {
+    const response = await apiFetch(`/leads${toQueryString(params)}`);
+    return await handleResponse(response);
+}
+
+// Fuzzy search leads by name, contact, city, phone or follow-up notes (ranked by relevance)
+export async function searchLeads(q, limit = 10) {
+    try {
+        const response = await apiFetch(`/leads/search${toQueryString({ q, limit })}`);
+        return await handleResponse(response);
+    } catch (error) {
+        console.error('Error searching leads:', error);
         return [];
     }
 }
@@ -25,7 +155,7 @@ export async function getLeads() {
 // Get a single lead by ID
 export async function getLead(id) {
     try {
-        const response = await fetch(`${API_BASE_URL}/leads/${id}`);
+        const response = await apiFetch(`/leads/${id}`);
         return await handleResponse(response);
     } catch (error) {
         console.error('Error fetching lead:', error);
@@ -34,8 +164,10 @@ export async function getLead(id) {
 }
 
 // Add a new lead
+// Fails with status 409 and error.data.duplicates when the restaurant may already exist;
+// resend with allowDuplicate: true to save anyway
 export async function addLead(leadData) {
-    const response = await fetch(`${API_BASE_URL}/leads`, {
+    const response = await apiFetch('/leads', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(leadData)
@@ -44,8 +176,9 @@ export async function addLead(leadData) {
 }
 
 // Update an existing lead
+// Include expectedUpdatedAt to get a 409 (error.status) instead of overwriting newer changes
 export async function updateLead(lead) {
-    const response = await fetch(`${API_BASE_URL}/leads/${lead.leadId}`, {
+    const response = await apiFetch(`/leads/${lead.leadId}`, {
         method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(lead)
@@ -53,18 +186,117 @@ export async function updateLead(lead) {
     return await handleResponse(response);
 }
 
-// Delete a lead
+// Field-level change history of a lead, newest first
+export async function getLeadAudit(leadId) {
+    const response = await apiFetch(`/leads/${leadId}/audit`);
+    return await handleResponse(response);
+}
+
+// Get leads that look like duplicates of an existing lead
+export async function getDuplicates(leadId) {
+    try {
+        const response = await apiFetch(`/leads/${leadId}/duplicates`);
+        return await handleResponse(response);
+    } catch (error) {
+        console.error('Error fetching duplicates:', error);
+        return [];
+    }
+}
+
+// Merge sourceLeadId into targetLeadId; fields maps field names to 'target' or 'source'
+export async function mergeLeads(targetLeadId, sourceLeadId, fields) {
+    const response = await apiFetch(`/leads/${targetLeadId}/merge`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sourceLeadId, fields })
+    });
+    return await handleResponse(response);
+}
+
+// Apply one action to several leads: action is 'status' ({ status, notes, nextFollowUpDate }),
+// 'stage' ({ stage }), 'nextFollowUpDate' ({ nextFollowUpDate } or { shiftDays }), 'assign'
+// ({ assignedTo }) or 'delete'. Returns { updated, unchanged, failed, results } with one result per lead.
+export async function bulkUpdateLeads(leadIds, action, options = {}) {
+    const response = await apiFetch('/leads/bulk', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ leadIds, action, ...options })
+    });
+    return await handleResponse(response);
+}
+
+// Move a lead to the trash
 export async function deleteLead(leadId) {
-    const response = await fetch(`${API_BASE_URL}/leads/${leadId}`, {
+    const response = await apiFetch(`/leads/${leadId}`, {
         method: 'DELETE'
     });
     return await handleResponse(response);
 }
 
+// Leads in the trash and how many days they are kept there: { leads, retentionDays }
+export async function getTrash() {
+    const response = await apiFetch('/leads/trash');
+    return await handleResponse(response);
+}
+
+export async function restoreLead(leadId) {
+    const response = await apiFetch(`/leads/${leadId}/restore`, {
+        method: 'POST'
+    });
+    return await handleResponse(response);
+}
+
+// Permanently delete leads past the retention period: { purged, retentionDays }
+export async function purgeTrash() {
+    const response = await apiFetch('/leads/trash/purge', {
+        method: 'POST'
+    });
+    return await handleResponse(response);
+}
+
+// Read a spreadsheet's columns and the suggested column -> field mapping
+export async function getImportColumns(file) {
+    const body = new FormData();
+    body.append('file', file);
+    const response = await apiFetch('/leads/import/columns', {
+        method: 'POST',
+        body
+    });
+    return await handleResponse(response);
+}
+
+// Import leads from a spreadsheet; with dryRun only validates and reports
+export async function importLeads(file, { mapping, dryRun, allowDuplicates }) {
+    const body = new FormData();
+    body.append('file', file);
+    body.append('mapping', JSON.stringify(mapping));
+    body.append('dryRun', String(dryRun));
+    body.append('allowDuplicates', String(allowDuplicates));
+    const response = await apiFetch('/leads/import', {
+        method: 'POST',
+        body
+    });
+    return await handleResponse(response);
+}
+
+// Export the leads matching the list filters as a file
+// params: format (csv, xlsx, json), followUps (none, flat, sheet), sort, order and the getLeads filters
+export async function exportLeads(params = {}) {
+    const response = await apiFetch(`/leads/export${toQueryString(params)}`);
+    if (!response.ok) await handleResponse(response);
+
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const match = disposition.match(/filename="([^"]+)"/);
+    return {
+        blob: await response.blob(),
+        fileName: match ? match[1] : `leads.${params.format || 'csv'}`
+    };
+}
+
 // Get all follow-ups for a specific lead
 export async function getFollowUps(leadId) {
     try {
-        const response = await fetch(`${API_BASE_URL}/follow-ups/lead/${leadId}`);
+        const response = await apiFetch(`/follow-ups/lead/${leadId}`);
         return await handleResponse(response);
     } catch (error) {
         console.error('Error fetching follow-ups:', error);
@@ -74,7 +306,7 @@ export async function getFollowUps(leadId) {
 
 // Add a follow-up and update the lead
 export async function addFollowUp(followUpData) {
-    const response = await fetch(`${API_BASE_URL}/follow-ups`, {
+    const response = await apiFetch('/follow-ups', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(followUpData)
@@ -82,16 +314,130 @@ export async function addFollowUp(followUpData) {
     return await handleResponse(response);
 }
 
+// Correct a follow-up: any of { status, notes, followUpDate, nextFollowUpDate }
+export async function updateFollowUp(followUpId, changes) {
+    const response = await apiFetch(`/follow-ups/${followUpId}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+    });
+    return await handleResponse(response);
+}
+
+export async function deleteFollowUp(followUpId) {
+    const response = await apiFetch(`/follow-ups/${followUpId}`, {
+        method: 'DELETE'
+    });
+    return await handleResponse(response);
+}
+
+// Earlier versions of an edited follow-up, oldest first
+export async function getFollowUpRevisions(followUpId) {
+    const response = await apiFetch(`/follow-ups/${followUpId}/revisions`);
+    return await handleResponse(response);
+}
+
+// The logged-in user's calendar feed token: { token }. Created on first use.
+export async function getCalendarFeed() {
+    const response = await apiFetch('/auth/calendar-feed');
+    return await handleResponse(response);
+}
+
+// Replace the calendar feed token; calendars subscribed with the old URL stop updating
+export async function resetCalendarFeed() {
+    const response = await apiFetch('/auth/calendar-feed/reset', {
+        method: 'POST'
+    });
+    return await handleResponse(response);
+}
+
+// Subscription URL of the calendar feed for a token
+export const calendarFeedUrl = (token) => `${API_BASE_URL}/calendar.ics?token=${encodeURIComponent(token)}`;
+
+// Calls scheduled in a date range: { from, to, calls, truncated, overdue }. params: from, to,
+// overdueBefore (YYYY-MM-DD) and the lead list filters
+export async function getScheduledCalls(params) {
+    const response = await apiFetch(`/follow-ups/scheduled${toQueryString(params)}`);
+    return await handleResponse(response);
+}
+
+// Call queue: { date, timezone, queues: { overdue, today, upcoming }, truncated }, each call
+// with its priority { score, daysOverdue, unansweredAttempts, ageDays }. params: days and the
+// lead list filters
+export async function getCallQueue(params) {
+    const response = await apiFetch(`/follow-ups/queue${toQueryString(params)}`);
+    return await handleResponse(response);
+}
+
+// Next follow-up date the cadence engine would schedule: { nextFollowUpDate, sequenceName, step }
+// (all null when no sequence matches the status or stage)
+export async function getNextFollowUpDate(leadId, status, stage) {
+    const response = await apiFetch(`/follow-ups/next-date${toQueryString({ leadId, status, stage })}`);
+    return await handleResponse(response);
+}
+
+// Get cadence sequences and holidays: { sequences, holidays }
+export async function getCadences() {
+    const response = await apiFetch('/cadences');
+    return await handleResponse(response);
+}
+
+// Create a cadence sequence (admins only)
+export async function addCadence(sequence) {
+    const response = await apiFetch('/cadences', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(sequence)
+    });
+    return await handleResponse(response);
+}
+
+// Update a cadence sequence (admins only); send only the fields to change
+export async function updateCadence(sequenceId, changes) {
+    const response = await apiFetch(`/cadences/${sequenceId}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+    });
+    return await handleResponse(response);
+}
+
+export async function deleteCadence(sequenceId) {
+    const response = await apiFetch(`/cadences/${sequenceId}`, {
+        method: 'DELETE'
+    });
+    return await handleResponse(response);
+}
+
+// Add a holiday that cadence dates skip: { date, name }
+export async function addHoliday(holiday) {
+    const response = await apiFetch('/cadences/holidays', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(holiday)
+    });
+    return await handleResponse(response);
+}
+
+export async function deleteHoliday(date) {
+    const response = await apiFetch(`/cadences/holidays/${date}`, {
+        method: 'DELETE'
+    });
+    return await handleResponse(response);
+}
+
 // Get dashboard statistics
-export async function getDashboardStats() {
+// params: assignedTo (user ID, 'me' or 'unassigned'; default every lead the user can see)
+export async function getDashboardStats(params = {}) {
     try {
-        const response = await fetch(`${API_BASE_URL}/dashboard/stats`);
+        const response = await apiFetch(`/dashboard/stats${toQueryString(params)}`);
         return await handleResponse(response);
     } catch (error) {
         console.error('Error fetching dashboard stats:', error);
         return {
             totalLeads: 0,
             callsDueToday: 0,
+            callsOverdue: 0,
             cold: 0,
             warm: 0,
             hot: 0,
@@ -99,3 +445,18 @@ export async function getDashboardStats() {
         };
     }
 }
+
+// Get the revenue forecast: { today, timezone, months: [{ month, ...totals }], pastDue, later,
+// unscheduled, reps: [{ assignedTo, ...totals }], totals }, where totals are open deal counts,
+// pipeline and weighted value, won and lost deals and the forecast value.
+// params: months (default 6) and assignedTo
+export async function getForecast(params = {}) {
+    const response = await apiFetch(`/dashboard/forecast${toQueryString(params)}`);
+    return await handleResponse(response);
+}
+
+// Get pipeline configuration (statuses, stages, transitions)
+export async function getPipeline() {
+    const response = await apiFetch('/pipeline');
+    return await handleResponse(response);
+}
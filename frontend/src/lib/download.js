@@ -0,0 +1,28 @@
+// Client-side file downloads (e.g. the import report, lead exports).
+
+// Quote a value for CSV when it contains a delimiter, quote or newline
+const csvCell = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build CSV text from rows of objects; columns is [{ key, label }]
+export const toCsv = (rows, columns) => [
+    columns.map(column => csvCell(column.label)).join(','),
+    ...rows.map(row => columns.map(column => csvCell(row[column.key])).join(','))
+].join('\r\n');
+
+// Trigger a browser download of a Blob
+export const downloadBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+// Trigger a browser download of text content
+export const downloadText = (content, fileName, type = 'text/csv') => {
+    downloadBlob(new Blob([content], { type }), fileName);
+};
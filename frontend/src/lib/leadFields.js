@@ -0,0 +1,90 @@
+// Lead profile fields shared by the add and edit forms.
+// Names and limits mirror PROFILE_FIELDS in backend/lib/leadFields.js.
+
+export const LEAD_SOURCES = ['Manual', 'WhatsApp', 'Referral', 'Event', 'Aggregator', 'Website', 'Import'];
+
+export const PROFILE_FIELDS = [
+    { name: 'contactPerson', label: 'Contact Person', type: 'text', maxLength: 120 },
+    { name: 'email', label: 'Email', type: 'email', maxLength: 254 },
+    { name: 'source', label: 'Source', type: 'select', options: LEAD_SOURCES },
+    { name: 'cuisineType', label: 'Cuisine Type', type: 'text', maxLength: 100 },
+    { name: 'seatingCapacity', label: 'Seating Capacity', type: 'number', max: 100000 },
+    { name: 'outletCount', label: 'Number of Outlets', type: 'number', max: 10000 },
+    { name: 'currentPosSystem', label: 'Current POS System', type: 'text', maxLength: 100 },
+    { name: 'address', label: 'Address', type: 'textarea', maxLength: 500 },
+    { name: 'notes', label: 'Notes', type: 'textarea', maxLength: 5000 },
+    // Deal fields; outcomeReason only applies once the lead is won or lost
+    { name: 'dealPlan', label: 'Plan', type: 'text', maxLength: 100, group: 'deal' },
+    { name: 'dealValue', label: 'Monthly Value', type: 'number', max: 100000000, group: 'deal' },
+    { name: 'expectedCloseDate', label: 'Expected Close', type: 'date', group: 'deal' },
+    { name: 'outcomeReason', label: 'Outcome Reason', type: 'textarea', maxLength: 500, group: 'deal', outcomeOnly: true }
+];
+
+// Format a deal value (whole rupees, as stored)
+const MONEY_FORMAT = new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR', maximumFractionDigits: 0 });
+export const formatMoney = (value) => MONEY_FORMAT.format(value ?? 0);
+
+// Empty form values for every profile field
+export const emptyProfile = () => Object.fromEntries(
+    PROFILE_FIELDS.map(field => [field.name, field.name === 'source' ? 'Manual' : ''])
+);
+
+// Form values for an existing lead (null becomes '' so inputs stay controlled)
+export const profileFromLead = (lead) => Object.fromEntries(
+    PROFILE_FIELDS.map(field => [field.name, lead[field.name] ?? (field.name === 'source' ? 'Manual' : '')])
+);
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Required core fields; blanks are rejected the same way the backend's trimOrNull check does
+export const REQUIRED_FIELDS = [
+    { name: 'restaurantName', label: 'Restaurant Name' },
+    { name: 'phone', label: 'Phone' },
+    { name: 'city', label: 'City' }
+];
+
+// Display labels for every lead field, in form order
+export const FIELD_LABELS = {
+    ...Object.fromEntries(REQUIRED_FIELDS.map(field => [field.name, field.label])),
+    ...Object.fromEntries(PROFILE_FIELDS.map(field => [field.name, field.label])),
+    currentStatus: 'Status',
+    leadStage: 'Stage',
+    nextFollowUpDate: 'Next Follow-up',
+    lastFollowUpDate: 'Last Follow-up'
+};
+
+// Trim string or return null (same rule as the backend)
+export const trimOrNull = (value) => {
+    if (value === undefined || value === null) return null;
+    const trimmed = String(value).trim();
+    return trimmed.length > 0 ? trimmed : null;
+};
+
+// Validate lead form values, returning { fieldName: message } for each invalid field
+export const validateLead = (values) => {
+    const errors = {};
+
+    for (const field of REQUIRED_FIELDS) {
+        if (!trimOrNull(values[field.name])) {
+            errors[field.name] = `${field.label} is required`;
+        }
+    }
+
+    for (const field of PROFILE_FIELDS) {
+        const value = trimOrNull(values[field.name]);
+        if (value === null) continue;
+
+        if (field.type === 'number') {
+            const number = Number(value);
+            if (!Number.isInteger(number) || number < 0 || number > field.max) {
+                errors[field.name] = `Enter a whole number between 0 and ${field.max}`;
+            }
+        } else if (field.maxLength && value.length > field.maxLength) {
+            errors[field.name] = `Must be at most ${field.maxLength} characters`;
+        } else if (field.type === 'email' && !EMAIL_PATTERN.test(value)) {
+            errors[field.name] = 'Enter a valid email address';
+        }
+    }
+
+    return errors;
+};
@@ -0,0 +1,80 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+
+// Lead list filters (GET /api/leads parameters) kept in the URL so views can be bookmarked
+// and shared. Used by the lead table and the pipeline board so both filter the same way.
+
+export const FILTER_KEYS = ['q', 'status', 'stage', 'city', 'followUpFrom', 'followUpTo', 'assignedTo'];
+const TEXT_FILTER_KEYS = ['q', 'city'];
+
+const textFiltersFrom = (params) => Object.fromEntries(TEXT_FILTER_KEYS.map(key => [key, params.get(key) || '']));
+
+// Filter state for a page. onQueryChange runs (during render) whenever the URL query changes
+// from outside the text inputs, e.g. to clear a selection.
+export function useLeadFilters({ onQueryChange } = {}) {
+    const [searchParams, setSearchParams] = useSearchParams();
+    const [textFilters, setTextFilters] = useState(() => textFiltersFrom(searchParams));
+    const [syncedQuery, setSyncedQuery] = useState(searchParams.toString());
+    const queryString = searchParams.toString();
+
+    // Pick up URL changes made outside the text inputs (back/forward, shared links)
+    if (queryString !== syncedQuery) {
+        setSyncedQuery(queryString);
+        onQueryChange?.();
+        const fromUrl = textFiltersFrom(searchParams);
+        if (TEXT_FILTER_KEYS.some(key => textFilters[key].trim() !== fromUrl[key])) {
+            setTextFilters(fromUrl);
+        }
+    }
+
+    // Update URL params; any change other than paging goes back to page 1
+    const updateParams = useCallback((changes) => {
+        const next = new URLSearchParams(searchParams);
+        Object.entries(changes).forEach(([key, value]) => {
+            if (value) next.set(key, value);
+            else next.delete(key);
+        });
+        if (!('page' in changes)) next.delete('page');
+        if (next.toString() !== searchParams.toString()) {
+            setSearchParams(next);
+        }
+    }, [searchParams, setSearchParams]);
+
+    // Debounce free-text filters before they hit the URL and the API
+    useEffect(() => {
+        const changes = {};
+        TEXT_FILTER_KEYS.forEach(key => {
+            const value = textFilters[key].trim();
+            if (value !== (searchParams.get(key) || '')) changes[key] = value;
+        });
+        if (Object.keys(changes).length === 0) return;
+        const timer = setTimeout(() => updateParams(changes), 300);
+        return () => clearTimeout(timer);
+    }, [textFilters, searchParams, updateParams]);
+
+    const handleFilterChange = (e) => {
+        updateParams({ [e.target.name]: e.target.value });
+    };
+
+    const handleTextFilterChange = (e) => {
+        setTextFilters({ ...textFilters, [e.target.name]: e.target.value });
+    };
+
+    const clearFilters = () => {
+        setTextFilters(textFiltersFrom(new URLSearchParams()));
+        updateParams(Object.fromEntries(FILTER_KEYS.map(key => [key, ''])));
+    };
+
+    return {
+        searchParams,
+        queryString,
+        textFilters,
+        updateParams,
+        handleFilterChange,
+        handleTextFilterChange,
+        clearFilters,
+        hasFilters: FILTER_KEYS.some(key => searchParams.get(key)),
+        // Active filters as GET /api/leads parameters
+        filterParams: Object.fromEntries(FILTER_KEYS.filter(key => searchParams.get(key)).map(key => [key, searchParams.get(key)]))
+    };
+}
@@ -0,0 +1,78 @@
+import { useEffect, useState } from 'react';
+import { getPipeline } from './db';
+
+// Pipeline configuration is owned by the backend (GET /api/pipeline); this module
+// loads it once per session and provides helpers for rendering filters, badges and forms.
+
+const EMPTY_PIPELINE = {
+    statuses: [],
+    stages: [],
+    defaultStatus: '',
+    defaultStage: '',
+    statusTransitions: {},
+    stageTransitions: {}
+};
+
+let cachedPipeline = null;
+let pipelineRequest = null;
+
+function loadPipeline() {
+    if (!pipelineRequest) {
+        pipelineRequest = getPipeline()
+            .then(pipeline => {
+                cachedPipeline = pipeline;
+                return pipeline;
+            })
+            .catch(error => {
+                console.error('Error fetching pipeline:', error);
+                pipelineRequest = null; // retry on next mount
+                return EMPTY_PIPELINE;
+            });
+    }
+    return pipelineRequest;
+}
+
+// Returns the pipeline configuration, or EMPTY_PIPELINE until it has loaded
+export function usePipeline() {
+    const [pipeline, setPipeline] = useState(cachedPipeline || EMPTY_PIPELINE);
+
+    useEffect(() => {
+        if (cachedPipeline) return;
+        let active = true;
+        loadPipeline().then(loaded => {
+            if (active) setPipeline(loaded);
+        });
+        return () => { active = false; };
+    }, []);
+
+    return pipeline;
+}
+
+// CSS class for a status badge
+export const statusBadgeClass = (pipeline, status) => {
+    const entry = pipeline.statuses.find(s => s.value === status);
+    return `badge badge-${entry ? entry.badge : 'cold'}`;
+};
+
+// CSS class for a stage badge
+export const stageBadgeClass = (pipeline, stage) => {
+    const entry = pipeline.stages.find(s => s.value === stage);
+    return `badge badge-${entry ? entry.badge : 'cold'}`;
+};
+
+export const isTerminalStatus = (pipeline, status) =>
+    pipeline.statuses.some(s => s.value === status && s.terminal);
+
+// 'won', 'lost' or null for a status
+export const statusOutcome = (pipeline, status) =>
+    pipeline.statuses.find(s => s.value === status)?.outcome ?? null;
+
+// Statuses a lead currently in `from` may move to (including staying put)
+export const allowedStatuses = (pipeline, from) => pipeline.statuses.filter(s =>
+    !from || s.value === from || (pipeline.statusTransitions[from] || []).includes(s.value)
+);
+
+// Stages a lead currently in `from` may move to (including staying put)
+export const allowedStages = (pipeline, from) => pipeline.stages.filter(s =>
+    !from || s.value === from || (pipeline.stageTransitions[from] || []).includes(s.value)
+);
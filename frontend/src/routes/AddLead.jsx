@@ -1,37 +1,57 @@
 import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
 import { addLead } from '../lib/db';
+import { emptyProfile } from '../lib/leadFields';
+import LeadProfileFields from '../components/LeadProfileFields';
+import { useAssignees } from '../lib/assignees';
+import { useToday } from '../lib/dates';
 
 export default function AddLead() {
     const navigate = useNavigate();
     const [loading, setLoading] = useState(false);
+    const [duplicates, setDuplicates] = useState([]);
+    const [hiddenDuplicates, setHiddenDuplicates] = useState(0);
+    const assignees = useAssignees();
+    const today = useToday();
     const [formData, setFormData] = useState({
         restaurantName: '',
-        contactPerson: '',
         phone: '',
         city: '',
-        source: 'Manual',
-        nextFollowUpDate: new Date().toISOString().split('T')[0]
+        ...emptyProfile(),
+        nextFollowUpDate: today,
+        assignedTo: ''
     });
 
     const handleChange = (e) => {
         setFormData({ ...formData, [e.target.name]: e.target.value });
+        setDuplicates([]);
+        setHiddenDuplicates(0);
     };
 
-    const handleSubmit = async (e) => {
-        e.preventDefault();
+    const saveLead = async (allowDuplicate) => {
         setLoading(true);
         try {
-            await addLead(formData);
+            // Without an owner the lead is distributed by the assignment rules
+            await addLead({ ...formData, assignedTo: formData.assignedTo || undefined, allowDuplicate });
             navigate('/leads');
         } catch (error) {
+            if (error.status === 409 && error.data?.duplicates) {
+                setDuplicates(error.data.duplicates);
+                setHiddenDuplicates(error.data.hiddenDuplicates || 0);
+                return;
+            }
             console.error("Failed to add lead", error);
-            alert("Error adding lead");
+            alert(error.message || "Error adding lead");
         } finally {
             setLoading(false);
         }
     };
 
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        saveLead(false);
+    };
+
     return (
         <div className="container" style={{ maxWidth: '600px' }}>
             <h1 style={{ marginBottom: 'var(--space-6)' }}>Add New Lead</h1>
@@ -43,36 +63,54 @@ export default function AddLead() {
                         <input required type="text" name="restaurantName" className="input" value={formData.restaurantName} onChange={handleChange} />
                     </div>
 
-                    <div>
-                        <label className="label">Contact Person</label>
-                        <input type="text" name="contactPerson" className="input" value={formData.contactPerson} onChange={handleChange} />
-                    </div>
-
                     <div className="flex gap-4">
                         <div style={{ flex: 1 }}>
                             <label className="label">Phone *</label>
                             <input required type="tel" name="phone" className="input" value={formData.phone} onChange={handleChange} />
                         </div>
                         <div style={{ flex: 1 }}>
-                            <label className="label">City</label>
-                            <input type="text" name="city" className="input" value={formData.city} onChange={handleChange} />
+                            <label className="label">City *</label>
+                            <input required type="text" name="city" className="input" value={formData.city} onChange={handleChange} />
                         </div>
                     </div>
 
-                    <div className="flex gap-4">
-                        <div style={{ flex: 1 }}>
-                            <label className="label">Source</label>
-                            <select name="source" className="input" value={formData.source} onChange={handleChange}>
-                                <option value="Manual">Manual</option>
-                                <option value="WhatsApp">WhatsApp</option>
-                                <option value="Referral">Referral</option>
+                    <div>
+                        <label className="label">Next Follow-up Date</label>
+                        <input type="date" name="nextFollowUpDate" className="input" value={formData.nextFollowUpDate} onChange={handleChange} />
+                    </div>
+
+                    {assignees.length > 0 && (
+                        <div>
+                            <label className="label">Assign To</label>
+                            <select name="assignedTo" className="input" value={formData.assignedTo} onChange={handleChange}>
+                                <option value="">Automatic (assignment rules)</option>
+                                {assignees.map(a => <option key={a.userId} value={a.userId}>{a.name}</option>)}
                             </select>
                         </div>
-                        <div style={{ flex: 1 }}>
-                            <label className="label">Next Follow-up Date</label>
-                            <input type="date" name="nextFollowUpDate" className="input" value={formData.nextFollowUpDate} onChange={handleChange} />
+                    )}
+
+                    <LeadProfileFields values={formData} onChange={handleChange} />
+
+                    {(duplicates.length > 0 || hiddenDuplicates > 0) && (
+                        <div className="alert-warning">
+                            <div style={{ fontWeight: 600, marginBottom: 'var(--space-2)' }}>This restaurant may already be in the CRM:</div>
+                            <ul style={{ listStyle: 'none', display: 'flex', flexDirection: 'column', gap: 'var(--space-1)' }}>
+                                {duplicates.map(dup => (
+                                    <li key={dup.leadId}>
+                                        <Link to={`/leads/${dup.leadId}`} style={{ textDecoration: 'underline', fontWeight: 500 }}>{dup.restaurantName}</Link>
+                                        {' '}— {dup.city}, {dup.phone}
+                                        <span className="text-muted"> ({dup.matchReason === 'phone' ? 'same phone' : 'similar name in same city'})</span>
+                                    </li>
+                                ))}
+                            </ul>
+                            {hiddenDuplicates > 0 && (
+                                <div className="text-muted">{hiddenDuplicates} matching lead(s) belonging to other reps.</div>
+                            )}
+                            <button type="button" className="btn btn-secondary btn-sm" style={{ marginTop: 'var(--space-3)' }} disabled={loading} onClick={() => saveLead(true)}>
+                                Not a duplicate, save anyway
+                            </button>
                         </div>
-                    </div>
+                    )}
 
                     <div style={{ marginTop: 'var(--space-4)', display: 'flex', gap: 'var(--space-4)' }}>
                         <button type="button" className="btn btn-secondary" onClick={() => navigate(-1)} style={{ flex: 1 }}>Cancel</button>
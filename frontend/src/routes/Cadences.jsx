@@ -0,0 +1,125 @@
+import React, { useEffect, useState } from 'react';
+import { Navigate } from 'react-router-dom';
+import { format } from 'date-fns';
+import { CalendarPlus, X } from 'lucide-react';
+import { getCadences, addHoliday, deleteHoliday } from '../lib/db';
+import { useAuth, can } from '../lib/auth';
+import CadenceSequenceForm from '../components/CadenceSequenceForm';
+
+const EMPTY_HOLIDAY = { date: '', name: '' };
+
+export default function Cadences() {
+    const { user } = useAuth();
+    const [sequences, setSequences] = useState([]);
+    const [holidays, setHolidays] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [newHoliday, setNewHoliday] = useState(EMPTY_HOLIDAY);
+    const [error, setError] = useState('');
+
+    const allowed = can(user, 'cadences:manage');
+
+    useEffect(() => {
+        if (!allowed) return;
+        let active = true;
+        getCadences()
+            .then(data => {
+                if (!active) return;
+                setSequences(data.sequences);
+                setHolidays(data.holidays);
+            })
+            .catch(err => {
+                if (active) setError(err.message || 'Failed to load cadences.');
+            })
+            .finally(() => {
+                if (active) setLoading(false);
+            });
+        return () => { active = false; };
+    }, [allowed]);
+
+    if (!allowed) return <Navigate to="/" replace />;
+
+    const handleSaved = (saved) => {
+        const exists = sequences.some(s => s.sequenceId === saved.sequenceId);
+        setSequences(exists ? sequences.map(s => (s.sequenceId === saved.sequenceId ? saved : s)) : [...sequences, saved]);
+    };
+
+    const handleAddHoliday = async (e) => {
+        e.preventDefault();
+        setError('');
+        try {
+            const saved = await addHoliday(newHoliday);
+            setHolidays([...holidays.filter(h => h.date !== saved.date), saved].sort((a, b) => a.date.localeCompare(b.date)));
+            setNewHoliday(EMPTY_HOLIDAY);
+        } catch (err) {
+            setError(err.message || 'Failed to add holiday.');
+        }
+    };
+
+    const handleDeleteHoliday = async (date) => {
+        setError('');
+        try {
+            await deleteHoliday(date);
+            setHolidays(holidays.filter(h => h.date !== date));
+        } catch (err) {
+            setError(err.message || 'Failed to delete holiday.');
+        }
+    };
+
+    return (
+        <div className="container">
+            <h1>Follow-up Cadences</h1>
+            <p className="text-muted" style={{ marginBottom: 'var(--space-6)' }}>
+                When a follow-up is logged without a next date, the sequence matching its status (or else the lead's stage)
+                schedules the next call. Each repeat of the sequence moves to the next gap.
+            </p>
+
+            {error && <div className="alert-error" style={{ marginBottom: 'var(--space-6)' }}>{error}</div>}
+
+            <div className="flex flex-col gap-4" style={{ marginBottom: 'var(--space-6)' }}>
+                {loading && <div className="text-muted">Loading...</div>}
+                {sequences.map(sequence => (
+                    <CadenceSequenceForm
+                        key={sequence.sequenceId}
+                        sequence={sequence}
+                        onSaved={handleSaved}
+                        onDeleted={sequenceId => setSequences(sequences.filter(s => s.sequenceId !== sequenceId))}
+                    />
+                ))}
+                <h3 style={{ marginTop: 'var(--space-4)' }}>New Sequence</h3>
+                <CadenceSequenceForm onSaved={handleSaved} />
+            </div>
+
+            <div className="card">
+                <h3>Holidays</h3>
+                <form onSubmit={handleAddHoliday} className="flex gap-4" style={{ flexWrap: 'wrap', alignItems: 'flex-end', marginBottom: 'var(--space-4)' }}>
+                    <div style={{ width: '180px' }}>
+                        <label className="label">Date *</label>
+                        <input required type="date" className="input" value={newHoliday.date} onChange={e => setNewHoliday({ ...newHoliday, date: e.target.value })} />
+                    </div>
+                    <div style={{ flex: 1, minWidth: '200px' }}>
+                        <label className="label">Name *</label>
+                        <input required type="text" className="input" value={newHoliday.name} onChange={e => setNewHoliday({ ...newHoliday, name: e.target.value })} placeholder="e.g. Diwali" />
+                    </div>
+                    <button type="submit" className="btn">
+                        <CalendarPlus size={16} /> Add Holiday
+                    </button>
+                </form>
+
+                {holidays.length === 0 && <div className="text-muted" style={{ fontStyle: 'italic' }}>No holidays configured.</div>}
+                <div className="flex flex-col gap-2">
+                    {holidays.map(holiday => (
+                        <div key={holiday.date} className="flex justify-between items-center">
+                            <span>
+                                <span style={{ fontWeight: 500 }}>{format(new Date(`${holiday.date}T00:00:00`), 'EEE, MMM d, yyyy')}</span>
+                                <span className="text-muted"> - {holiday.name}</span>
+                            </span>
+                            <button type="button" className="btn btn-secondary btn-sm" onClick={() => handleDeleteHoliday(holiday.date)} title="Remove holiday">
+                                <X size={14} />
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,276 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import {
+    format, parseISO, addDays, addMonths, addWeeks, startOfMonth, endOfMonth, startOfWeek, endOfWeek,
+    eachDayOfInterval, isSameMonth
+} from 'date-fns';
+import { ChevronLeft, ChevronRight, Rss } from 'lucide-react';
+import { getScheduledCalls, updateLead } from '../lib/db';
+import { usePipeline, statusBadgeClass, stageBadgeClass } from '../lib/pipeline';
+import { useAuth, can } from '../lib/auth';
+import { useAssignees, ownerName } from '../lib/assignees';
+import OwnerScopeSelect from '../components/OwnerScopeSelect';
+import CalendarFeedPanel from '../components/CalendarFeedPanel';
+import { useToday, toDateOnly, callBucket, formatDateOnly } from '../lib/dates';
+
+const VIEWS = [
+    { value: 'month', label: 'Month' },
+    { value: 'week', label: 'Week' },
+    { value: 'day', label: 'Day' }
+];
+
+// Calls listed in a month cell before "+N more"
+const CALLS_PER_MONTH_CELL = 3;
+
+// First and last day shown by a view around the anchor date
+const visibleRange = (view, anchor) => {
+    if (view === 'day') return { start: anchor, end: anchor };
+    if (view === 'week') return { start: startOfWeek(anchor), end: endOfWeek(anchor) };
+    return { start: startOfWeek(startOfMonth(anchor)), end: endOfWeek(endOfMonth(anchor)) };
+};
+
+// The anchor date one step before or after in a view
+const stepAnchor = (view, anchor, direction) => {
+    if (view === 'day') return addDays(anchor, direction);
+    if (view === 'week') return addWeeks(anchor, direction);
+    return addMonths(anchor, direction);
+};
+
+const toDateString = (date) => format(date, 'yyyy-MM-dd');
+
+export default function Calendar() {
+    // View, date and owner live in the URL so a view can be bookmarked
+    const [searchParams, setSearchParams] = useSearchParams();
+    const pipeline = usePipeline();
+    const { user } = useAuth();
+    const canAssign = can(user, 'leads:assign');
+    const assignees = useAssignees();
+    const [schedule, setSchedule] = useState({ calls: [], overdue: [], truncated: false });
+    const [loading, setLoading] = useState(true);
+    const [reloadKey, setReloadKey] = useState(0);
+    const [dragging, setDragging] = useState(null);
+    const [dropTarget, setDropTarget] = useState(null);
+    const [error, setError] = useState('');
+    const [showFeed, setShowFeed] = useState(false);
+
+    const today = useToday();
+    const view = VIEWS.some(v => v.value === searchParams.get('view')) ? searchParams.get('view') : 'month';
+    const dateParam = searchParams.get('date');
+    const anchor = dateParam && !Number.isNaN(parseISO(dateParam).getTime()) ? parseISO(dateParam) : parseISO(today);
+    // Everyone starts with their own calls; managers and admins can switch to a rep or their team
+    const owner = searchParams.get('assignedTo') ?? 'me';
+
+    const { start, end } = visibleRange(view, anchor);
+    const from = toDateString(start);
+    const to = toDateString(end);
+
+    useEffect(() => {
+        let active = true;
+        getScheduledCalls({ from, to, overdueBefore: today, assignedTo: owner })
+            .then(data => {
+                if (!active) return;
+                setSchedule(data);
+                setError('');
+            })
+            .catch(err => {
+                if (active) setError(err.message || 'Failed to load scheduled calls.');
+            })
+            .finally(() => {
+                if (active) setLoading(false);
+            });
+        return () => { active = false; };
+    }, [from, to, today, owner, reloadKey]);
+
+    const updateParams = (changes) => {
+        const next = new URLSearchParams(searchParams);
+        Object.entries(changes).forEach(([key, value]) => {
+            if (value === null) next.delete(key);
+            else next.set(key, value);
+        });
+        setSearchParams(next);
+    };
+
+    const callsByDay = new Map();
+    schedule.calls.forEach(call => {
+        const day = toDateOnly(call.nextFollowUpDate);
+        if (!callsByDay.has(day)) callsByDay.set(day, []);
+        callsByDay.get(day).push(call);
+    });
+
+    // Dropping a call on a day reschedules the lead's next follow-up
+    const handleDrop = async (e, day) => {
+        e.preventDefault();
+        const call = dragging;
+        setDragging(null);
+        setDropTarget(null);
+        if (!call || toDateOnly(call.nextFollowUpDate) === day) return;
+
+        setError('');
+        try {
+            await updateLead({ leadId: call.leadId, nextFollowUpDate: day, expectedUpdatedAt: call.updatedAt });
+        } catch (err) {
+            setError(err.message || `Failed to reschedule ${call.restaurantName}.`);
+        }
+        setReloadKey(key => key + 1);
+    };
+
+    const dayDropProps = (day) => ({
+        onDragOver: (e) => {
+            if (!dragging) return;
+            e.preventDefault();
+            setDropTarget(day);
+        },
+        onDragLeave: () => setDropTarget(null),
+        onDrop: (e) => handleDrop(e, day)
+    });
+
+    const renderCall = (call, { detailed = false } = {}) => {
+        const overdue = callBucket(call.nextFollowUpDate, today) === 'overdue';
+        return (
+            <Link
+                key={call.leadId}
+                to={`/leads/${call.leadId}`}
+                className={`calendar-call ${overdue ? 'overdue' : ''}`}
+                draggable
+                onDragStart={(e) => {
+                    e.dataTransfer.effectAllowed = 'move';
+                    e.dataTransfer.setData('text/plain', call.leadId);
+                    setDragging(call);
+                }}
+                onDragEnd={() => {
+                    setDragging(null);
+                    setDropTarget(null);
+                }}
+                title={`${call.restaurantName} - ${call.currentStatus}${overdue ? ' (overdue)' : ''}`}
+                style={detailed ? { whiteSpace: 'normal', padding: 'var(--space-2) var(--space-3)' } : undefined}
+            >
+                <span style={{ fontWeight: 600 }}>{call.restaurantName}</span>
+                {detailed ? (
+                    <div className="flex items-center gap-2" style={{ flexWrap: 'wrap', marginTop: 'var(--space-1)' }}>
+                        <span className="text-muted">{call.city}</span>
+                        <span className="text-muted">{call.phone}</span>
+                        <span className={statusBadgeClass(pipeline, call.currentStatus)}>{call.currentStatus}</span>
+                        <span className={stageBadgeClass(pipeline, call.leadStage)}>{call.leadStage}</span>
+                        {canAssign && <span className="text-muted">{ownerName(assignees, user, call.assignedTo)}</span>}
+                        {overdue && <span style={{ color: 'var(--color-danger)' }}>Due {formatDateOnly(call.nextFollowUpDate, 'MMM d')}</span>}
+                    </div>
+                ) : (
+                    canAssign && owner !== 'me' && <span className="text-muted"> · {ownerName(assignees, user, call.assignedTo)}</span>
+                )}
+            </Link>
+        );
+    };
+
+    const days = eachDayOfInterval({ start, end });
+    const title = view === 'month'
+        ? format(anchor, 'MMMM yyyy')
+        : view === 'week'
+            ? `${format(start, 'MMM d')} - ${format(end, 'MMM d, yyyy')}`
+            : format(anchor, 'EEEE, MMMM d, yyyy');
+
+    return (
+        <div className="container">
+            <div className="flex justify-between items-center" style={{ flexWrap: 'wrap', gap: 'var(--space-4)', marginBottom: 'var(--space-6)' }}>
+                <h1 style={{ margin: 0 }}>Calendar</h1>
+                <div className="flex items-center gap-2" style={{ flexWrap: 'wrap' }}>
+                    <button type="button" className="btn btn-secondary btn-sm" onClick={() => setShowFeed(!showFeed)}>
+                        <Rss size={14} /> Subscribe
+                    </button>
+                    <OwnerScopeSelect value={owner} onChange={value => updateParams({ assignedTo: value })} />
+                    {VIEWS.map(v => (
+                        <button
+                            key={v.value}
+                            type="button"
+                            className={`btn btn-sm ${view === v.value ? '' : 'btn-secondary'}`}
+                            onClick={() => updateParams({ view: v.value })}
+                        >
+                            {v.label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <div className="flex justify-between items-center" style={{ marginBottom: 'var(--space-4)' }}>
+                <div className="flex items-center gap-2">
+                    <button type="button" className="btn btn-secondary btn-sm" onClick={() => updateParams({ date: toDateString(stepAnchor(view, anchor, -1)) })} aria-label="Previous">
+                        <ChevronLeft size={16} />
+                    </button>
+                    <button type="button" className="btn btn-secondary btn-sm" onClick={() => updateParams({ date: null })}>Today</button>
+                    <button type="button" className="btn btn-secondary btn-sm" onClick={() => updateParams({ date: toDateString(stepAnchor(view, anchor, 1)) })} aria-label="Next">
+                        <ChevronRight size={16} />
+                    </button>
+                </div>
+                <h2 style={{ margin: 0, fontSize: '1.125rem' }}>{title}</h2>
+                <span className="text-muted" style={{ fontSize: '0.875rem' }}>
+                    {loading ? 'Loading...' : `${schedule.calls.length} call(s)`}
+                </span>
+            </div>
+
+            {showFeed && <CalendarFeedPanel />}
+            {error && <div className="alert-error" style={{ marginBottom: 'var(--space-4)' }}>{error}</div>}
+            {schedule.truncated && (
+                <div className="alert-warning" style={{ marginBottom: 'var(--space-4)' }}>
+                    Too many calls to show them all; switch to the week or day view or pick one rep.
+                </div>
+            )}
+
+            {schedule.overdue.length > 0 && (
+                <div className="card" style={{ marginBottom: 'var(--space-4)', padding: 'var(--space-4)' }}>
+                    <div style={{ fontWeight: 600, marginBottom: 'var(--space-2)', color: 'var(--color-danger)' }}>
+                        {schedule.overdue.length} overdue call(s) - drag one onto a day to reschedule it
+                    </div>
+                    <div className="flex gap-2" style={{ flexWrap: 'wrap', fontSize: '0.75rem' }}>
+                        {schedule.overdue.map(call => (
+                            <div key={call.leadId} style={{ maxWidth: '220px' }}>{renderCall(call)}</div>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            {view === 'day' ? (
+                <div className="card flex flex-col gap-2" style={dropTarget === from ? { backgroundColor: '#eff6ff' } : undefined} {...dayDropProps(from)}>
+                    {(callsByDay.get(from) || []).map(call => renderCall(call, { detailed: true }))}
+                    {!loading && !callsByDay.has(from) && <div className="text-muted">No calls scheduled.</div>}
+                </div>
+            ) : (
+                <div className="calendar-grid">
+                    {days.slice(0, 7).map(day => (
+                        <div key={`weekday-${day}`} className="calendar-weekday">{format(day, 'EEE')}</div>
+                    ))}
+                    {days.map(day => {
+                        const dayString = toDateString(day);
+                        const calls = callsByDay.get(dayString) || [];
+                        const shown = view === 'month' ? calls.slice(0, CALLS_PER_MONTH_CELL) : calls;
+                        const classes = ['calendar-day'];
+                        if (view === 'month' && !isSameMonth(day, anchor)) classes.push('outside');
+                        if (dayString === today) classes.push('today');
+                        if (dropTarget === dayString) classes.push('drop-target');
+
+                        return (
+                            <div key={dayString} className={classes.join(' ')} style={view === 'week' ? { minHeight: '320px' } : undefined} {...dayDropProps(dayString)}>
+                                <button
+                                    type="button"
+                                    onClick={() => updateParams({ view: 'day', date: dayString })}
+                                    style={{ background: 'none', border: 'none', padding: 0, cursor: 'pointer', color: 'inherit', textAlign: 'left', fontWeight: 600 }}
+                                >
+                                    {format(day, view === 'month' ? 'd' : 'MMM d')}
+                                </button>
+                                {shown.map(call => renderCall(call))}
+                                {calls.length > shown.length && (
+                                    <button
+                                        type="button"
+                                        className="text-muted"
+                                        onClick={() => updateParams({ view: 'day', date: dayString })}
+                                        style={{ background: 'none', border: 'none', padding: 0, cursor: 'pointer', textAlign: 'left', fontSize: 'inherit' }}
+                                    >
+                                        +{calls.length - shown.length} more
+                                    </button>
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+        </div>
+    );
+}
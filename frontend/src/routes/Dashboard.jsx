@@ -1,6 +1,12 @@
 import React, { useEffect, useState } from 'react';
-import { getDashboardStats } from '../lib/db';
-import { Users, Phone, Flame, CheckCircle } from 'lucide-react';
+import { format, parseISO } from 'date-fns';
+import { getDashboardStats, getForecast } from '../lib/db';
+import OwnerScopeSelect from '../components/OwnerScopeSelect';
+import { usePipeline } from '../lib/pipeline';
+import { formatMoney } from '../lib/leadFields';
+import { useAuth } from '../lib/auth';
+import { useAssignees, ownerName } from '../lib/assignees';
+import { Users, Phone, PhoneMissed, Flame, CheckCircle, TrendingUp, Trophy, IndianRupee } from 'lucide-react';
 
 const StatCard = ({ title, value, icon: Icon, color }) => (
     <div className="card">
@@ -16,31 +22,100 @@ const StatCard = ({ title, value, icon: Icon, color }) => (
     </div>
 );
 
+// Rows of the forecast table: deals past their expected close, each month, then later and
+// undated deals (the last three only when there are any)
+const forecastRows = (forecast) => [
+    { key: 'pastDue', label: 'Past due', ...forecast.pastDue, hideEmpty: true },
+    ...forecast.months.map(month => ({ key: month.month, label: format(parseISO(`${month.month}-01`), 'MMM yyyy'), ...month })),
+    { key: 'later', label: 'Later', ...forecast.later, hideEmpty: true },
+    { key: 'unscheduled', label: 'No close date', ...forecast.unscheduled, hideEmpty: true }
+].filter(row => !row.hideEmpty || row.openDeals > 0);
+
+const ForecastTable = ({ firstColumn, rows }) => (
+    <div className="card" style={{ padding: 0, overflow: 'hidden' }}>
+        <div style={{ overflowX: 'auto' }}>
+            <table className="table">
+                <thead>
+                    <tr>
+                        <th>{firstColumn}</th>
+                        <th>Open Deals</th>
+                        <th>Pipeline</th>
+                        <th>Weighted</th>
+                        <th>Won</th>
+                        <th>Lost</th>
+                        <th>Forecast</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {rows.map(row => (
+                        <tr key={row.key}>
+                            <td style={{ fontWeight: 500 }}>{row.label}</td>
+                            <td>{row.openDeals}</td>
+                            <td>{formatMoney(row.pipelineValue)}</td>
+                            <td>{formatMoney(row.weightedValue)}</td>
+                            <td>{row.wonDeals > 0 ? `${formatMoney(row.wonValue)} (${row.wonDeals})` : '-'}</td>
+                            <td>{row.lostDeals > 0 ? `${formatMoney(row.lostValue)} (${row.lostDeals})` : '-'}</td>
+                            <td style={{ fontWeight: 600 }}>{formatMoney(row.forecastValue)}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    </div>
+);
+
 export default function Dashboard() {
     const [stats, setStats] = useState({
         totalLeads: 0,
         callsDueToday: 0,
+        callsOverdue: 0,
         cold: 0,
         warm: 0,
         hot: 0,
         converted: 0
     });
 
+    const [forecast, setForecast] = useState(null);
+    const [forecastError, setForecastError] = useState('');
+    const pipeline = usePipeline();
+    const { user } = useAuth();
+    const assignees = useAssignees();
+
+    // Managers and admins start with their own numbers and can widen to their team
+    const [owner, setOwner] = useState('me');
+
     useEffect(() => {
-        loadStats();
-    }, []);
+        let active = true;
+        getDashboardStats({ assignedTo: owner }).then(data => {
+            if (active) setStats(data);
+        });
+        getForecast({ assignedTo: owner })
+            .then(data => {
+                if (!active) return;
+                setForecast(data);
+                setForecastError('');
+            })
+            .catch(err => {
+                if (active) setForecastError(err.message || 'Failed to load the forecast.');
+            });
+        return () => { active = false; };
+    }, [owner]);
 
-    const loadStats = async () => {
-        const data = await getDashboardStats();
-        setStats(data);
-    };
+    const probabilities = pipeline.stages
+        .filter(stage => stage.probability > 0)
+        .map(stage => `${stage.value} ${Math.round(stage.probability * 100)}%`)
+        .join(', ');
 
     return (
         <div className="container">
-            <h1>Dashboard</h1>
+            <div className="flex justify-between items-center" style={{ marginBottom: 'var(--space-6)' }}>
+                <h1 style={{ marginBottom: 0 }}>Dashboard</h1>
+                <OwnerScopeSelect value={owner} onChange={setOwner} />
+            </div>
 
             <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(240px, 1fr))', gap: 'var(--space-6)', marginBottom: 'var(--space-8)' }}>
                 <StatCard title="Calls Due Today" value={stats.callsDueToday} icon={Phone} color="#ef4444" />
+                <StatCard title="Overdue Calls" value={stats.callsOverdue} icon={PhoneMissed} color="#b91c1c" />
                 <StatCard title="Total Leads" value={stats.totalLeads} icon={Users} color="#3b82f6" />
                 <StatCard title="Converted" value={stats.converted} icon={CheckCircle} color="#10b981" />
             </div>
@@ -51,6 +126,38 @@ export default function Dashboard() {
                 <StatCard title="Warm Leads" value={stats.warm} icon={Flame} color="#f59e0b" />
                 <StatCard title="Hot Leads" value={stats.hot} icon={Flame} color="#b91c1c" />
             </div>
+
+            <h2 style={{ marginTop: 'var(--space-8)' }}>Revenue Forecast</h2>
+            {forecastError ? (
+                <div className="alert-error">{forecastError}</div>
+            ) : !forecast ? (
+                <div className="text-muted">Loading...</div>
+            ) : (
+                <>
+                    <p className="text-muted" style={{ marginBottom: 'var(--space-4)' }}>
+                        Monthly deal values of open leads, weighted by the chance their stage is won
+                        {probabilities && ` (${probabilities})`}. Forecast is what has been won plus what is still expected.
+                    </p>
+                    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(240px, 1fr))', gap: 'var(--space-6)', marginBottom: 'var(--space-6)' }}>
+                        <StatCard title="Forecast This Month" value={formatMoney(forecast.months[0].forecastValue)} icon={TrendingUp} color="#3b82f6" />
+                        <StatCard title="Won This Month" value={formatMoney(forecast.months[0].wonValue)} icon={Trophy} color="#10b981" />
+                        <StatCard title="Weighted Pipeline" value={formatMoney(forecast.totals.weightedValue)} icon={IndianRupee} color="#f59e0b" />
+                    </div>
+
+                    <h3>By Expected Close Month</h3>
+                    <ForecastTable firstColumn="Month" rows={forecastRows(forecast)} />
+
+                    {forecast.reps.length > 0 && (
+                        <>
+                            <h3 style={{ marginTop: 'var(--space-6)' }}>By Owner</h3>
+                            <ForecastTable
+                                firstColumn="Owner"
+                                rows={forecast.reps.map(rep => ({ key: rep.assignedTo ?? 'unassigned', label: ownerName(assignees, user, rep.assignedTo), ...rep }))}
+                            />
+                        </>
+                    )}
+                </>
+            )}
         </div>
     );
 }
@@ -0,0 +1,198 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Upload, Download } from 'lucide-react';
+import { getImportColumns, importLeads } from '../lib/db';
+import { FIELD_LABELS } from '../lib/leadFields';
+import { toCsv, downloadText } from '../lib/download';
+
+const REQUIRED = ['restaurantName', 'phone', 'city'];
+
+const STATUS_BADGES = {
+    valid: 'badge-new',
+    created: 'badge-converted',
+    duplicate: 'badge-pending',
+    error: 'badge-not-interested'
+};
+
+const REPORT_COLUMNS = [
+    { key: 'row', label: 'Row' },
+    { key: 'restaurantName', label: 'Restaurant Name' },
+    { key: 'phone', label: 'Phone' },
+    { key: 'city', label: 'City' },
+    { key: 'status', label: 'Result' },
+    { key: 'details', label: 'Details' },
+    { key: 'leadId', label: 'Lead ID' }
+];
+
+// Human-readable explanation for a report row
+const rowDetails = (row) => {
+    if (row.errors.length > 0) return row.errors.join('; ');
+    if (row.duplicateOf?.row) return `Same phone as row ${row.duplicateOf.row}`;
+    if (row.duplicateOf?.leadId) return `Matches existing lead "${row.duplicateOf.restaurantName}"`;
+    if (row.duplicateOf) return 'Matches an existing lead owned by another rep';
+    return '';
+};
+
+export default function ImportLeads() {
+    const [file, setFile] = useState(null);
+    const [columns, setColumns] = useState(null);
+    const [mapping, setMapping] = useState({});
+    const [allowDuplicates, setAllowDuplicates] = useState(false);
+    const [report, setReport] = useState(null);
+    const [error, setError] = useState('');
+    const [busy, setBusy] = useState(false);
+
+    const handleFileChange = async (e) => {
+        const selected = e.target.files[0];
+        setFile(selected || null);
+        setColumns(null);
+        setReport(null);
+        setError('');
+        if (!selected) return;
+
+        setBusy(true);
+        try {
+            const data = await getImportColumns(selected);
+            setColumns(data);
+            setMapping(data.suggestedMapping);
+        } catch (err) {
+            setError(err.message || 'Could not read file.');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleMappingChange = (field, header) => {
+        setMapping({ ...mapping, [field]: header || undefined });
+        setReport(null);
+    };
+
+    const runImport = async (dryRun) => {
+        setBusy(true);
+        setError('');
+        try {
+            const data = await importLeads(file, { mapping, dryRun, allowDuplicates });
+            setReport(data);
+        } catch (err) {
+            setError(err.message || 'Import failed.');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const downloadReport = () => {
+        const rows = report.rows.map(row => ({
+            ...row,
+            details: rowDetails(row),
+            leadId: row.leadId || row.duplicateOf?.leadId || ''
+        }));
+        downloadText(toCsv(rows, REPORT_COLUMNS), `import-report-${report.dryRun ? 'preview' : 'result'}.csv`);
+    };
+
+    const missingRequired = REQUIRED.filter(field => !mapping[field]);
+    const imported = report && !report.dryRun;
+
+    return (
+        <div className="container">
+            <h1>Import Leads</h1>
+
+            <div className="card" style={{ marginBottom: 'var(--space-6)' }}>
+                <label className="label">Spreadsheet (CSV or XLSX, first row is the header)</label>
+                <input type="file" accept=".csv,.xlsx" onChange={handleFileChange} disabled={busy} />
+                {columns && (
+                    <div className="text-muted" style={{ fontSize: '0.875rem', marginTop: 'var(--space-2)' }}>
+                        {columns.totalRows} rows, {columns.headers.length} columns
+                    </div>
+                )}
+            </div>
+
+            {error && <div className="alert-error" style={{ marginBottom: 'var(--space-6)' }}>{error}</div>}
+
+            {columns && (
+                <div className="card" style={{ marginBottom: 'var(--space-6)' }}>
+                    <h3>Map Columns</h3>
+                    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: 'var(--space-4)', marginBottom: 'var(--space-4)' }}>
+                        {columns.fields.map(field => (
+                            <div key={field}>
+                                <label className="label">{FIELD_LABELS[field] || field}{REQUIRED.includes(field) ? ' *' : ''}</label>
+                                <select className="input" value={mapping[field] || ''} onChange={e => handleMappingChange(field, e.target.value)}>
+                                    <option value="">— Skip —</option>
+                                    {columns.headers.map(header => (
+                                        <option key={header} value={header}>{header}</option>
+                                    ))}
+                                </select>
+                            </div>
+                        ))}
+                    </div>
+
+                    <label className="flex items-center gap-2" style={{ fontSize: '0.875rem', marginBottom: 'var(--space-4)' }}>
+                        <input type="checkbox" checked={allowDuplicates} onChange={e => { setAllowDuplicates(e.target.checked); setReport(null); }} />
+                        Import rows that match leads already in the CRM
+                    </label>
+
+                    {missingRequired.length > 0 && (
+                        <div className="field-error" style={{ marginBottom: 'var(--space-4)' }}>
+                            Map a column to: {missingRequired.map(field => FIELD_LABELS[field]).join(', ')}
+                        </div>
+                    )}
+
+                    <div className="flex gap-4">
+                        <button type="button" className="btn btn-secondary" disabled={busy || missingRequired.length > 0 || imported} onClick={() => runImport(true)}>
+                            Preview
+                        </button>
+                        <button type="button" className="btn" disabled={busy || missingRequired.length > 0 || !report || imported} onClick={() => runImport(false)}>
+                            <Upload size={16} /> {busy ? 'Working...' : report ? `Import ${report.valid} Leads` : 'Import'}
+                        </button>
+                    </div>
+                    {!report && <div className="text-muted" style={{ fontSize: '0.75rem', marginTop: 'var(--space-2)' }}>Run a preview first to check every row.</div>}
+                </div>
+            )}
+
+            {report && (
+                <div className="card" style={{ padding: 0, overflow: 'hidden' }}>
+                    <div className="flex justify-between items-center" style={{ padding: 'var(--space-4)', borderBottom: '1px solid var(--color-border)' }}>
+                        <div className="flex gap-4" style={{ fontSize: '0.875rem' }}>
+                            <strong>{report.dryRun ? 'Preview' : 'Import complete'}</strong>
+                            {report.dryRun ? <span>{report.valid} ready</span> : <span>{report.created} created</span>}
+                            <span>{report.duplicates} duplicates</span>
+                            <span>{report.failed} errors</span>
+                        </div>
+                        <button type="button" className="btn btn-secondary btn-sm" onClick={downloadReport}>
+                            <Download size={14} /> Download Report
+                        </button>
+                    </div>
+                    <div style={{ overflowX: 'auto', maxHeight: '480px' }}>
+                        <table className="table">
+                            <thead>
+                                <tr>
+                                    <th>Row</th>
+                                    <th>Restaurant Name</th>
+                                    <th>Phone</th>
+                                    <th>City</th>
+                                    <th>Result</th>
+                                    <th>Details</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {report.rows.map(row => (
+                                    <tr key={row.row}>
+                                        <td>{row.row}</td>
+                                        <td>{row.leadId ? <Link to={`/leads/${row.leadId}`} style={{ textDecoration: 'underline' }}>{row.restaurantName}</Link> : row.restaurantName}</td>
+                                        <td>{row.phone}</td>
+                                        <td>{row.city}</td>
+                                        <td><span className={`badge ${STATUS_BADGES[row.status]}`}>{row.status}</span></td>
+                                        <td style={{ fontSize: '0.875rem' }}>
+                                            {row.duplicateOf?.leadId ? (
+                                                <Link to={`/leads/${row.duplicateOf.leadId}`} style={{ textDecoration: 'underline' }}>{rowDetails(row)}</Link>
+                                            ) : rowDetails(row)}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,212 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { AlertTriangle, List } from 'lucide-react';
+import { getLeads, addFollowUp } from '../lib/db';
+import { usePipeline, statusBadgeClass, stageBadgeClass, allowedStages, allowedStatuses } from '../lib/pipeline';
+import { useLeadFilters } from '../lib/leadFilters';
+import { formatDateOnly } from '../lib/dates';
+import LeadFilters from '../components/LeadFilters';
+
+// Cards loaded per column; the column header shows the full count
+const CARDS_PER_COLUMN = 50;
+
+// What the board can be grouped by: the lead field, its list filter and how to log a move
+const GROUPINGS = {
+    stage: {
+        label: 'Stage',
+        field: 'leadStage',
+        filter: 'stage',
+        columns: (pipeline) => pipeline.stages,
+        allowed: (pipeline, lead) => allowedStages(pipeline, lead.leadStage).map(s => s.value),
+        followUp: (lead, to) => ({ status: lead.currentStatus, leadStage: to })
+    },
+    status: {
+        label: 'Status',
+        field: 'currentStatus',
+        filter: 'status',
+        columns: (pipeline) => pipeline.statuses,
+        allowed: (pipeline, lead) => allowedStatuses(pipeline, lead.currentStatus).map(s => s.value),
+        followUp: (lead, to) => ({ status: to })
+    }
+};
+
+export default function LeadBoard() {
+    const filters = useLeadFilters();
+    const { searchParams, filterParams, updateParams } = filters;
+    const pipeline = usePipeline();
+    const [columns, setColumns] = useState({});
+    const [loading, setLoading] = useState(true);
+    const [reloadKey, setReloadKey] = useState(0);
+    const [dragging, setDragging] = useState(null);
+    const [dropTarget, setDropTarget] = useState(null);
+    const [moving, setMoving] = useState(null);
+    const [error, setError] = useState('');
+
+    const groupBy = searchParams.get('groupBy') === 'status' ? 'status' : 'stage';
+    const grouping = GROUPINGS[groupBy];
+    const columnValues = grouping.columns(pipeline).map(c => c.value);
+
+    // The grouping field is the column, so its own filter doesn't apply
+    const { [grouping.filter]: _ignored, ...boardFilters } = filterParams;
+    const filterKey = JSON.stringify(boardFilters);
+    const columnKey = columnValues.join('|');
+
+    useEffect(() => {
+        if (!columnKey) return;
+        let active = true;
+        const params = JSON.parse(filterKey);
+        const values = columnKey.split('|');
+        Promise.all(values.map(value => getLeads({
+            ...params,
+            [GROUPINGS[groupBy].filter]: value,
+            pageSize: CARDS_PER_COLUMN,
+            sort: 'nextFollowUpDate',
+            order: 'asc'
+        }))).then(results => {
+            if (!active) return;
+            setColumns(Object.fromEntries(values.map((value, index) => [value, results[index]])));
+            setLoading(false);
+        }).catch(err => {
+            if (!active) return;
+            setError(err.message || 'Failed to load the board.');
+            setLoading(false);
+        });
+        return () => { active = false; };
+    }, [groupBy, columnKey, filterKey, reloadKey]);
+
+    const canDrop = (value) => dragging && dragging.lead[grouping.field] !== value && dragging.allowed.includes(value);
+
+    const handleDragStart = (e, lead) => {
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', lead.leadId);
+        setDragging({ lead, allowed: grouping.allowed(pipeline, lead) });
+    };
+
+    const handleDragEnd = () => {
+        setDragging(null);
+        setDropTarget(null);
+    };
+
+    // Moving a card logs a follow-up, so the move shows in the lead's history and the
+    // next call is scheduled by the cadence for the new column
+    const handleDrop = async (e, value) => {
+        e.preventDefault();
+        const lead = dragging?.lead;
+        const allowed = canDrop(value);
+        handleDragEnd();
+        if (!lead || !allowed) return;
+
+        setMoving(lead.leadId);
+        setError('');
+        try {
+            await addFollowUp({
+                leadId: lead.leadId,
+                notes: `Moved from ${lead[grouping.field]} to ${value} on the pipeline board`,
+                ...grouping.followUp(lead, value)
+            });
+            setReloadKey(key => key + 1);
+        } catch (err) {
+            setError(err.message || `Failed to move ${lead.restaurantName}.`);
+        } finally {
+            setMoving(null);
+        }
+    };
+
+    return (
+        <div className="container" style={{ maxWidth: 'none' }}>
+            <div className="flex justify-between items-center" style={{ marginBottom: 'var(--space-6)' }}>
+                <h1>Pipeline Board</h1>
+                <div className="flex items-center gap-4">
+                    <select className="input" style={{ width: '180px' }} value={groupBy} onChange={e => updateParams({ groupBy: e.target.value === 'stage' ? '' : e.target.value })} aria-label="Group by">
+                        {Object.entries(GROUPINGS).map(([key, g]) => <option key={key} value={key}>By {g.label}</option>)}
+                    </select>
+                    <Link to={`/leads?${new URLSearchParams(filterParams)}`} className="btn btn-secondary">
+                        <List size={16} /> List
+                    </Link>
+                </div>
+            </div>
+
+            <LeadFilters filters={filters} hidden={[grouping.filter]} />
+
+            {error && <div className="alert-error" style={{ marginBottom: 'var(--space-4)' }}>{error}</div>}
+
+            <div className="board">
+                {grouping.columns(pipeline).map(column => {
+                    const { data = [], total = 0 } = columns[column.value] || {};
+                    const overLimit = column.wipLimit != null && total > column.wipLimit;
+                    const classes = ['board-column'];
+                    if (overLimit) classes.push('over-limit');
+                    if (dragging && dropTarget === column.value && canDrop(column.value)) classes.push('drop-target');
+                    if (dragging && dragging.lead[grouping.field] !== column.value && !canDrop(column.value)) classes.push('drop-blocked');
+
+                    return (
+                        <div
+                            key={column.value}
+                            className={classes.join(' ')}
+                            onDragOver={e => {
+                                if (!canDrop(column.value)) return;
+                                e.preventDefault();
+                                setDropTarget(column.value);
+                            }}
+                            onDragLeave={() => setDropTarget(null)}
+                            onDrop={e => handleDrop(e, column.value)}
+                        >
+                            <div className="flex justify-between items-center">
+                                <span className={groupBy === 'stage' ? stageBadgeClass(pipeline, column.value) : statusBadgeClass(pipeline, column.value)}>
+                                    {column.value}
+                                </span>
+                                <span className="flex items-center gap-2" style={{ fontSize: '0.875rem', fontWeight: 600 }}>
+                                    {overLimit && (
+                                        <AlertTriangle size={14} color="var(--color-warning)" aria-label="Over WIP limit" />
+                                    )}
+                                    {column.wipLimit != null ? `${total} / ${column.wipLimit}` : total}
+                                </span>
+                            </div>
+                            {overLimit && (
+                                <div style={{ fontSize: '0.75rem', color: '#92400e' }}>
+                                    Over the limit of {column.wipLimit} leads
+                                </div>
+                            )}
+                            <div className="board-column-cards">
+                                {data.map(lead => (
+                                    <div
+                                        key={lead.leadId}
+                                        className={`board-card ${moving === lead.leadId ? 'moving' : ''}`}
+                                        draggable={!moving}
+                                        onDragStart={e => handleDragStart(e, lead)}
+                                        onDragEnd={handleDragEnd}
+                                    >
+                                        <Link to={`/leads/${lead.leadId}`} style={{ fontWeight: 600, color: 'inherit', textDecoration: 'none' }}>
+                                            {lead.restaurantName}
+                                        </Link>
+                                        <div className="text-muted">{lead.city}</div>
+                                        <div className="flex justify-between items-center" style={{ marginTop: 'var(--space-2)', fontSize: '0.75rem' }}>
+                                            <span className={groupBy === 'stage' ? statusBadgeClass(pipeline, lead.currentStatus) : stageBadgeClass(pipeline, lead.leadStage)}>
+                                                {groupBy === 'stage' ? lead.currentStatus : lead.leadStage}
+                                            </span>
+                                            <span className="text-muted">
+                                                {lead.nextFollowUpDate ? formatDateOnly(lead.nextFollowUpDate, 'MMM d') : 'No call'}
+                                            </span>
+                                        </div>
+                                    </div>
+                                ))}
+                                {total > data.length && (
+                                    <Link
+                                        to={`/leads?${new URLSearchParams({ ...boardFilters, [grouping.filter]: column.value })}`}
+                                        className="text-muted"
+                                        style={{ fontSize: '0.75rem', textAlign: 'center' }}
+                                    >
+                                        {total - data.length} more in the list
+                                    </Link>
+                                )}
+                                {!loading && total === 0 && (
+                                    <div className="text-muted" style={{ fontSize: '0.75rem', textAlign: 'center' }}>No leads</div>
+                                )}
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
@@ -1,12 +1,25 @@
 import React, { useEffect, useState } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
-import { getLead, getFollowUps, addFollowUp, deleteLead } from '../lib/db';
+import { Link, useParams, useNavigate } from 'react-router-dom';
+import { getLead, getFollowUps, addFollowUp, deleteLead, getDuplicates, updateLead, getNextFollowUpDate } from '../lib/db';
+import { usePipeline, statusBadgeClass, stageBadgeClass, allowedStatuses, allowedStages, statusOutcome } from '../lib/pipeline';
+import LeadEditForm from '../components/LeadEditForm';
+import MergeLeadsPanel from '../components/MergeLeadsPanel';
+import FollowUpEntry from '../components/FollowUpEntry';
+import LeadChanges from '../components/LeadChanges';
+import LeadScore from '../components/LeadScore';
+import { useAuth, can } from '../lib/auth';
+import { useAssignees, ownerName } from '../lib/assignees';
+import { formatDateOnly } from '../lib/dates';
+import { formatMoney } from '../lib/leadFields';
 import { format } from 'date-fns';
-import { Phone, MapPin, User, Calendar, ArrowLeft, Trash2 } from 'lucide-react';
+import { Phone, MapPin, User, Calendar, ArrowLeft, Trash2, Mail, Tag, Utensils, Users, Store, Monitor, Pencil, Copy, UserCheck, IndianRupee, CalendarCheck } from 'lucide-react';
 
 export default function LeadDetail() {
     const { id } = useParams();
     const navigate = useNavigate();
+    const pipeline = usePipeline();
+    const { user } = useAuth();
+    const assignees = useAssignees();
     const [lead, setLead] = useState(null);
     const [followUps, setFollowUps] = useState([]);
     const [loading, setLoading] = useState(true);
@@ -16,6 +29,17 @@ export default function LeadDetail() {
     const [fuNotes, setFuNotes] = useState('');
     const [fuNextDate, setFuNextDate] = useState('');
     const [fuStage, setFuStage] = useState('');
+    const [fuReason, setFuReason] = useState('');
+
+    const [fuError, setFuError] = useState('');
+    const [cadenceHint, setCadenceHint] = useState('');
+    const [historyTab, setHistoryTab] = useState('history');
+
+    const [editing, setEditing] = useState(false);
+    const [actionError, setActionError] = useState('');
+
+    const [duplicates, setDuplicates] = useState([]);
+    const [mergeSource, setMergeSource] = useState(null);
 
     useEffect(() => {
         loadData();
@@ -32,69 +56,93 @@ export default function LeadDetail() {
         const f = await getFollowUps(id);
         setLead(l);
         setFollowUps(f);
+        getDuplicates(id).then(setDuplicates);
 
         // Initialize form with current values
         setFuStatus(l.currentStatus);
         setFuStage(l.leadStage);
-        setFuNextDate(new Date(Date.now() + 86400000).toISOString().split('T')[0]); // Default next day
+        // Left blank unless the cadence has a date, so the server schedules the next call
+        setFuNextDate('');
+        setCadenceHint('');
+        suggestNextDate(l.currentStatus, l.leadStage);
         setLoading(false);
     };
 
-    // Drip sequence logic
-    const calculateNextDate = (status) => {
-        // Sequence gaps: 2, 3, 7, 9, 7, 8, 8, 8, 29 (approx 1 mo)
-        // Applied when status is "Call not picked up" or "Sent details on WhatsApp"
-        const gaps = [2, 3, 7, 9, 7, 8, 8, 8, 29];
-
-        if (['Call not picked up', 'Sent details on WhatsApp'].includes(status)) {
-            // Count consecutive occurrences of these statuses in history
-            let count = 0;
-            // followUps is sorted desc (newest first)
-            for (let fu of followUps) {
-                if (['Call not picked up', 'Sent details on WhatsApp'].includes(fu.status)) {
-                    count++;
-                } else {
-                    break;
-                }
+    // The follow-up cadence lives on the server; suggest its date but let the user override it
+    const suggestNextDate = async (status, stage) => {
+        try {
+            const plan = await getNextFollowUpDate(id, status, stage);
+            setCadenceHint(plan.sequenceName ? `${plan.sequenceName}, step ${plan.step + 1}` : '');
+            if (plan.nextFollowUpDate) {
+                setFuNextDate(plan.nextFollowUpDate);
             }
-
-            const daysToAdd = gaps[count] || 30; // fallback to 30 days if sequence exceeded
-            const today = new Date();
-            today.setDate(today.getDate() + daysToAdd);
-            return today.toISOString().split('T')[0];
+        } catch (error) {
+            console.error('Failed to get next follow-up date:', error);
         }
-        return ''; // no auto-date for others
     };
 
     const handleStatusChange = (e) => {
-        const newStatus = e.target.value;
-        setFuStatus(newStatus);
-        const autoDate = calculateNextDate(newStatus);
-        if (autoDate) {
-            setFuNextDate(autoDate);
-        }
+        setFuStatus(e.target.value);
+        suggestNextDate(e.target.value, fuStage);
+    };
+
+    const handleStageChange = (e) => {
+        setFuStage(e.target.value);
+        suggestNextDate(fuStatus, e.target.value);
     };
 
     const handleAddFollowUp = async (e) => {
         e.preventDefault();
         if (!fuStatus) return;
 
-        await addFollowUp({
-            leadId: lead.leadId,
-            status: fuStatus,
-            notes: fuNotes,
-            nextFollowUpDate: fuNextDate, // can be empty
-            leadStage: fuStage
-        });
+        setFuError('');
+        try {
+            await addFollowUp({
+                leadId: lead.leadId,
+                status: fuStatus,
+                notes: fuNotes,
+                nextFollowUpDate: fuNextDate || undefined, // blank: the cadence picks the date
+                leadStage: fuStage,
+                ...(statusOutcome(pipeline, fuStatus) && { outcomeReason: fuReason })
+            });
+        } catch (error) {
+            setFuError(error.message || 'Failed to save interaction.');
+            return;
+        }
 
         // Reset notes but keep status/stage sticky or reset? 
         // Usually notes are unique.
         setFuNotes('');
+        setFuReason('');
+        setCadenceHint('');
         loadData(); // Refresh to show new history and updated lead header
     };
 
+    const handleLeadSaved = (updated) => {
+        setLead(updated);
+        setFuStatus(updated.currentStatus);
+        setFuStage(updated.leadStage);
+        setEditing(false);
+    };
+
+    const handleOwnerChange = async (assignedTo) => {
+        setActionError('');
+        try {
+            const updated = await updateLead({ leadId: lead.leadId, assignedTo, expectedUpdatedAt: lead.updatedAt });
+            setLead(updated);
+        } catch (error) {
+            console.error('Failed to reassign lead:', error);
+            setActionError(error.message || 'Failed to reassign lead. Please try again.');
+        }
+    };
+
+    const handleMerged = () => {
+        setMergeSource(null);
+        loadData(); // Follow-ups and duplicates have changed too
+    };
+
     const handleDelete = async () => {
-        if (!window.confirm(`Are you sure you want to delete "${lead.restaurantName}"? This action cannot be undone.`)) {
+        if (!window.confirm(`Move "${lead.restaurantName}" to the trash? It can be restored from the Trash page.`)) {
             return;
         }
 
@@ -103,7 +151,7 @@ export default function LeadDetail() {
             navigate('/leads');
         } catch (error) {
             console.error('Failed to delete lead:', error);
-            alert('Failed to delete lead. Please try again.');
+            setActionError(error.message || 'Failed to delete lead. Please try again.');
         }
     };
 
@@ -115,31 +163,101 @@ export default function LeadDetail() {
                 <button onClick={() => navigate(-1)} className="btn btn-secondary btn-sm" style={{ border: 'none', paddingLeft: 0 }}>
                     <ArrowLeft size={16} /> Back
                 </button>
-                <button onClick={handleDelete} className="btn" style={{ backgroundColor: '#ef4444', color: 'white', display: 'flex', alignItems: 'center', gap: '8px' }}>
-                    <Trash2 size={16} /> Delete Lead
-                </button>
+                {can(user, 'leads:delete') && (
+                    <button onClick={handleDelete} className="btn" style={{ backgroundColor: '#ef4444', color: 'white', display: 'flex', alignItems: 'center', gap: '8px' }}>
+                        <Trash2 size={16} /> Delete Lead
+                    </button>
+                )}
             </div>
 
+            {actionError && <div className="alert-error" style={{ marginBottom: 'var(--space-4)' }}>{actionError}</div>}
+
             {/* Header Info */}
             <div className="card" style={{ marginBottom: 'var(--space-6)' }}>
-                <div className="flex justify-between items-start flex-col gap-4">
-                    <div>
-                        <h1 style={{ marginBottom: 'var(--space-2)' }}>{lead.restaurantName}</h1>
-                        <div className="flex gap-2">
-                            <span className={`badge badge-${lead.currentStatus.toLowerCase().replace(/ /g, '-')}`}>{lead.currentStatus}</span>
-                            <span className={`badge badge-${lead.leadStage.toLowerCase()}`}>{lead.leadStage}</span>
+                {editing ? (
+                    <LeadEditForm lead={lead} onSaved={handleLeadSaved} onCancel={() => setEditing(false)} />
+                ) : (
+                    <div className="flex justify-between items-start flex-col gap-4">
+                        <div>
+                            <h1 style={{ marginBottom: 'var(--space-2)' }}>{lead.restaurantName}</h1>
+                            <div className="flex gap-2">
+                                <span className={statusBadgeClass(pipeline, lead.currentStatus)}>{lead.currentStatus}</span>
+                                <span className={stageBadgeClass(pipeline, lead.leadStage)}>{lead.leadStage}</span>
+                                <LeadScore lead={lead} detailed />
+                            </div>
+                        </div>
+
+                        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', width: '100%', gap: 'var(--space-4)', marginTop: 'var(--space-4)' }}>
+                            <div className="flex items-center gap-2 text-muted"> <User size={16} /> {lead.contactPerson || 'No Contact'} </div>
+                            <div className="flex items-center gap-2 text-muted"> <Phone size={16} /> <a href={`tel:${lead.phone}`}>{lead.phone}</a> </div>
+                            <div className="flex items-center gap-2 text-muted"> <MapPin size={16} /> {lead.city || 'Unknown City'} </div>
+                            <div className="flex items-center gap-2 text-muted"> <Calendar size={16} /> Created: {format(new Date(lead.createdAt), 'MMM d, yyyy')} </div>
+                            <div className="flex items-center gap-2 text-muted"> <Calendar size={16} /> Next Call: {lead.nextFollowUpDate ? formatDateOnly(lead.nextFollowUpDate) : 'None'} </div>
+                            {lead.email && <div className="flex items-center gap-2 text-muted"> <Mail size={16} /> <a href={`mailto:${lead.email}`}>{lead.email}</a> </div>}
+                            <div className="flex items-center gap-2 text-muted">
+                                <UserCheck size={16} /> Owner:
+                                {can(user, 'leads:assign') ? (
+                                    <select className="input" style={{ width: 'auto', padding: '2px 8px' }} value={lead.assignedTo || ''} onChange={e => handleOwnerChange(e.target.value)} aria-label="Lead owner">
+                                        {!assignees.some(a => a.userId === lead.assignedTo) && (
+                                            <option value={lead.assignedTo || ''} disabled>{ownerName(assignees, user, lead.assignedTo)}</option>
+                                        )}
+                                        {assignees.map(a => <option key={a.userId} value={a.userId}>{a.name}</option>)}
+                                    </select>
+                                ) : ownerName(assignees, user, lead.assignedTo)}
+                            </div>
+                            <div className="flex items-center gap-2 text-muted"> <Tag size={16} /> Source: {lead.source || 'Manual'} </div>
+                            {lead.cuisineType && <div className="flex items-center gap-2 text-muted"> <Utensils size={16} /> {lead.cuisineType} </div>}
+                            {lead.seatingCapacity != null && <div className="flex items-center gap-2 text-muted"> <Users size={16} /> {lead.seatingCapacity} seats </div>}
+                            {lead.outletCount != null && <div className="flex items-center gap-2 text-muted"> <Store size={16} /> {lead.outletCount} {lead.outletCount === 1 ? 'outlet' : 'outlets'} </div>}
+                            {lead.currentPosSystem && <div className="flex items-center gap-2 text-muted"> <Monitor size={16} /> POS: {lead.currentPosSystem} </div>}
+                            {lead.dealValue != null && <div className="flex items-center gap-2 text-muted"> <IndianRupee size={16} /> {lead.dealPlan ? `${lead.dealPlan}: ` : ''}{formatMoney(lead.dealValue)}/month </div>}
+                            {lead.dealValue == null && lead.dealPlan && <div className="flex items-center gap-2 text-muted"> <IndianRupee size={16} /> Plan: {lead.dealPlan} </div>}
+                            {lead.expectedCloseDate && !lead.outcome && <div className="flex items-center gap-2 text-muted"> <CalendarCheck size={16} /> Expected close: {formatDateOnly(lead.expectedCloseDate)} </div>}
                         </div>
+
+                        {lead.outcome && (
+                            <div style={{ fontSize: '0.875rem' }}>
+                                <span style={{ fontWeight: 600 }}>{lead.outcome === 'won' ? 'Won' : 'Lost'}</span>
+                                {lead.closedAt && <span className="text-muted"> on {format(new Date(lead.closedAt), 'MMM d, yyyy')}</span>}
+                                {lead.outcomeReason && <span>: {lead.outcomeReason}</span>}
+                            </div>
+                        )}
+
+                        {lead.address && <div className="text-muted" style={{ fontSize: '0.875rem' }}>{lead.address}</div>}
+                        {lead.notes && <p style={{ fontSize: '0.875rem', whiteSpace: 'pre-wrap' }}>{lead.notes}</p>}
+
+                        <button onClick={() => setEditing(true)} className="btn btn-secondary btn-sm">
+                            <Pencil size={14} /> Edit Lead
+                        </button>
                     </div>
+                )}
+            </div>
 
-                    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', width: '100%', gap: 'var(--space-4)', marginTop: 'var(--space-4)' }}>
-                        <div className="flex items-center gap-2 text-muted"> <User size={16} /> {lead.contactPerson || 'No Contact'} </div>
-                        <div className="flex items-center gap-2 text-muted"> <Phone size={16} /> <a href={`tel:${lead.phone}`}>{lead.phone}</a> </div>
-                        <div className="flex items-center gap-2 text-muted"> <MapPin size={16} /> {lead.city || 'Unknown City'} </div>
-                        <div className="flex items-center gap-2 text-muted"> <Calendar size={16} /> Created: {format(new Date(lead.createdAt), 'MMM d, yyyy')} </div>
-                        <div className="flex items-center gap-2 text-muted"> <Calendar size={16} /> Next Call: {lead.nextFollowUpDate ? format(new Date(lead.nextFollowUpDate), 'MMM d, yyyy') : 'None'} </div>
+            {mergeSource ? (
+                <MergeLeadsPanel target={lead} source={mergeSource} onMerged={handleMerged} onCancel={() => setMergeSource(null)} />
+            ) : duplicates.length > 0 && (
+                <div className="alert-warning" style={{ marginBottom: 'var(--space-6)' }}>
+                    <div className="flex items-center gap-2" style={{ fontWeight: 600, marginBottom: 'var(--space-2)' }}>
+                        <Copy size={16} /> Possible duplicates
+                    </div>
+                    <div className="flex flex-col gap-2">
+                        {duplicates.map(dup => (
+                            <div key={dup.leadId} className="flex items-center justify-between gap-4">
+                                <span>
+                                    <Link to={`/leads/${dup.leadId}`} style={{ textDecoration: 'underline', fontWeight: 500 }}>{dup.restaurantName}</Link>
+                                    {' '}— {dup.city}, {dup.phone}
+                                    <span className="text-muted"> ({dup.matchReason === 'phone' ? 'same phone' : 'similar name in same city'})</span>
+                                </span>
+                                {can(user, 'leads:merge') && (
+                                    <button type="button" className="btn btn-secondary btn-sm" onClick={() => setMergeSource(dup)}>
+                                        Merge into this lead
+                                    </button>
+                                )}
+                            </div>
+                        ))}
                     </div>
                 </div>
-            </div>
+            )}
 
             <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))', gap: 'var(--space-6)' }}>
 
@@ -151,26 +269,28 @@ export default function LeadDetail() {
                             <div>
                                 <label className="label">Result / Status</label>
                                 <select className="input" value={fuStatus} onChange={handleStatusChange} required>
-                                    <option value="New">New</option>
-                                    <option value="Call not picked up">Call not picked up</option>
-                                    <option value="Sent details on WhatsApp">Sent details on WhatsApp</option>
-                                    <option value="Follow up">Follow up</option>
-                                    <option value="On going">On going</option>
-                                    <option value="Fake lead">Fake lead</option>
-                                    <option value="Reject">Reject</option>
+                                    {allowedStatuses(pipeline, lead.currentStatus).map(status => (
+                                        <option key={status.value} value={status.value}>{status.value}</option>
+                                    ))}
                                 </select>
                             </div>
 
                             <div>
                                 <label className="label">Stage</label>
-                                <select className="input" value={fuStage} onChange={e => setFuStage(e.target.value)} required>
-                                    <option value="Cold">Cold</option>
-                                    <option value="Warm">Warm</option>
-                                    <option value="Hot">Hot</option>
-                                    <option value="Closed">Closed</option>
+                                <select className="input" value={fuStage} onChange={handleStageChange} required>
+                                    {allowedStages(pipeline, lead.leadStage).map(stage => (
+                                        <option key={stage.value} value={stage.value}>{stage.value}</option>
+                                    ))}
                                 </select>
                             </div>
 
+                            {statusOutcome(pipeline, fuStatus) && (
+                                <div>
+                                    <label className="label">{statusOutcome(pipeline, fuStatus) === 'won' ? 'Why did we win it?' : 'Why was it lost?'}</label>
+                                    <input type="text" className="input" maxLength={500} value={fuReason} onChange={e => setFuReason(e.target.value)} placeholder="Outcome reason (optional)" />
+                                </div>
+                            )}
+
                             <div>
                                 <label className="label">Notes</label>
                                 <textarea className="input" rows="3" value={fuNotes} onChange={e => setFuNotes(e.target.value)} placeholder="Call summary..."></textarea>
@@ -179,8 +299,11 @@ export default function LeadDetail() {
                             <div>
                                 <label className="label">Next Follow-up Date</label>
                                 <input type="date" className="input" value={fuNextDate} onChange={e => setFuNextDate(e.target.value)} />
+                                {cadenceHint && <div className="text-muted" style={{ fontSize: '0.75rem', marginTop: 'var(--space-1)' }}>Cadence: {cadenceHint}</div>}
                             </div>
 
+                            {fuError && <div className="alert-error">{fuError}</div>}
+
                             <button type="submit" className="btn" style={{ width: '100%' }}>Save Interaction</button>
                         </div>
                     </form>
@@ -188,26 +311,20 @@ export default function LeadDetail() {
 
                 {/* Timeline */}
                 <div>
-                    <h2 style={{ fontSize: '1.25rem' }}>History</h2>
-                    <div className="flex flex-col gap-4">
-                        {followUps.length === 0 && <div className="text-muted" style={{ fontStyle: 'italic' }}>No history yet.</div>}
-                        {followUps.map(fu => (
-                            <div key={fu.followUpId} className="card" style={{ padding: 'var(--space-4)' }}>
-                                <div className="flex justify-between items-start" style={{ marginBottom: 'var(--space-2)' }}>
-                                    <span style={{ fontWeight: 600 }}>{fu.status}</span>
-                                    <span style={{ fontSize: '0.75rem', color: 'var(--color-text-muted)' }}>
-                                        {format(new Date(fu.followUpDate), 'MMM d, h:mm a')}
-                                    </span>
-                                </div>
-                                <p style={{ fontSize: '0.875rem', color: 'var(--color-text-main)', whiteSpace: 'pre-wrap' }}>{fu.notes}</p>
-                                {fu.nextFollowUpDate && (
-                                    <div style={{ marginTop: 'var(--space-2)', fontSize: '0.75rem', color: 'var(--color-info)' }}>
-                                        Next: {format(new Date(fu.nextFollowUpDate), 'MMM d')}
-                                    </div>
-                                )}
-                            </div>
-                        ))}
+                    <div className="tabs">
+                        <button type="button" className={`tab ${historyTab === 'history' ? 'active' : ''}`} onClick={() => setHistoryTab('history')}>History</button>
+                        <button type="button" className={`tab ${historyTab === 'changes' ? 'active' : ''}`} onClick={() => setHistoryTab('changes')}>Changes</button>
                     </div>
+                    {historyTab === 'history' ? (
+                        <div className="flex flex-col gap-4">
+                            {followUps.length === 0 && <div className="text-muted" style={{ fontStyle: 'italic' }}>No history yet.</div>}
+                            {followUps.map(fu => (
+                                <FollowUpEntry key={fu.followUpId} followUp={fu} onChanged={loadData} />
+                            ))}
+                        </div>
+                    ) : (
+                        <LeadChanges leadId={lead.leadId} reloadKey={lead.updatedAt} />
+                    )}
                 </div>
 
             </div>
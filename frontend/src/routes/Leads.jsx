@@ -1,72 +1,96 @@
 import React, { useEffect, useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { getLeads, deleteLead } from '../lib/db';
-import { format } from 'date-fns';
-import { Trash2 } from 'lucide-react';
+import { usePipeline, statusBadgeClass, stageBadgeClass } from '../lib/pipeline';
+import ExportLeadsMenu from '../components/ExportLeadsMenu';
+import { useAuth, can } from '../lib/auth';
+import { useAssignees, ownerName } from '../lib/assignees';
+import BulkActionsBar from '../components/BulkActionsBar';
+import LeadFilters from '../components/LeadFilters';
+import { useLeadFilters } from '../lib/leadFilters';
+import LeadScore from '../components/LeadScore';
+import { formatDateOnly } from '../lib/dates';
+import { Trash2, ArrowUp, ArrowDown, Kanban } from 'lucide-react';
+
+const PAGE_SIZE = 25;
+
+// Column headers; sortable ones carry the API sort field and the order of their first click
+const COLUMNS = [
+    { label: 'Restaurant Name', sort: 'restaurantName' },
+    { label: 'Phone' },
+    { label: 'City', sort: 'city' },
+    { label: 'Status', sort: 'currentStatus' },
+    { label: 'Stage', sort: 'leadStage' },
+    { label: 'Next Follow-up', sort: 'nextFollowUpDate' },
+    { label: 'Score', sort: 'score', firstOrder: 'desc' }
+];
 
 export default function Leads() {
-    const [leads, setLeads] = useState([]);
-    const [filteredLeads, setFilteredLeads] = useState([]);
-    const [filters, setFilters] = useState({
-        status: '',
-        stage: '',
-        search: ''
-    });
+    // Filter, sort and page state lives in the URL so views can be bookmarked and shared
+    const [selected, setSelected] = useState([]);
+    const filters = useLeadFilters({ onQueryChange: () => setSelected([]) });
+    const { searchParams, queryString, updateParams, filterParams } = filters;
+    const [result, setResult] = useState({ data: [], total: 0, page: 1, totalPages: 1 });
+    const [loading, setLoading] = useState(true);
+    const [reloadKey, setReloadKey] = useState(0);
     const [hoveredRow, setHoveredRow] = useState(null);
     const [focusedRow, setFocusedRow] = useState(null);
     const navigate = useNavigate();
+    const pipeline = usePipeline();
+    const { user } = useAuth();
+    const canDelete = can(user, 'leads:delete');
+    const canAssign = can(user, 'leads:assign');
+    const assignees = useAssignees();
 
-    useEffect(() => {
-        loadLeads();
-    }, []);
+    const sort = searchParams.get('sort') || 'nextFollowUpDate';
+    const order = searchParams.get('order') || 'asc';
+    const page = Number(searchParams.get('page')) || 1;
 
     useEffect(() => {
-        applyFilters();
-    }, [filters, leads]);
-
-    const loadLeads = async () => {
-        const data = await getLeads();
-        // Sort by next follow up date default? or created at?
-        // Let's sort by nextFollowUpDate ascending (soonest first)
-        data.sort((a, b) => {
-            if (!a.nextFollowUpDate) return 1;
-            if (!b.nextFollowUpDate) return -1;
-            return new Date(a.nextFollowUpDate) - new Date(b.nextFollowUpDate);
+        let active = true;
+        const params = Object.fromEntries(new URLSearchParams(queryString));
+        getLeads({ pageSize: PAGE_SIZE, ...params }).then(data => {
+            if (!active) return;
+            setResult(data);
+            setLoading(false);
+        }).catch(error => {
+            console.error('Error fetching leads:', error);
+            if (!active) return;
+            setResult({ data: [], total: 0, page: 1, pageSize: 0, totalPages: 1 });
+            setLoading(false);
         });
-        setLeads(data);
+        return () => { active = false; };
+    }, [queryString, reloadKey]);
+
+    const handleSort = ({ sort: field, firstOrder = 'asc' }) => {
+        let nextOrder = firstOrder;
+        if (sort === field) nextOrder = order === 'asc' ? 'desc' : 'asc';
+        updateParams({ sort: field, order: nextOrder });
     };
 
-    const applyFilters = () => {
-        let result = leads;
-        if (filters.status) {
-            result = result.filter(l => l.currentStatus === filters.status);
-        }
-        if (filters.stage) {
-            result = result.filter(l => l.leadStage === filters.stage);
-        }
-        if (filters.search) {
-            const q = filters.search.toLowerCase();
-            result = result.filter(l =>
-                l.restaurantName.toLowerCase().includes(q) ||
-                l.phone.includes(q) ||
-                l.city.toLowerCase().includes(q)
-            );
-        }
-        setFilteredLeads(result);
+    const exportParams = { ...filterParams, sort, order };
+    const firstRow = result.total === 0 ? 0 : (result.page - 1) * PAGE_SIZE + 1;
+    const lastRow = Math.min(result.page * PAGE_SIZE, result.total);
+
+    const pageIds = result.data.map(lead => lead.leadId);
+    const allSelected = pageIds.length > 0 && pageIds.every(id => selected.includes(id));
+
+    const toggleSelected = (leadId) => {
+        setSelected(selected.includes(leadId) ? selected.filter(id => id !== leadId) : [...selected, leadId]);
     };
 
-    const handleFilterChange = (e) => {
-        setFilters({ ...filters, [e.target.name]: e.target.value });
+    const toggleSelectAll = () => {
+        setSelected(allSelected ? [] : pageIds);
     };
 
     const handleDelete = async (e, leadId, restaurantName) => {
         e.stopPropagation(); // Prevent row click navigation
 
-        if (window.confirm(`Are you sure you want to delete "${restaurantName}"? This action cannot be undone.`)) {
+        if (window.confirm(`Move "${restaurantName}" to the trash? It can be restored from the Trash page.`)) {
             try {
                 await deleteLead(leadId);
                 // Refresh the leads list
-                loadLeads();
+                setReloadKey(key => key + 1);
             } catch (error) {
                 console.error('Error deleting lead:', error);
                 alert('Failed to delete lead. Please try again.');
@@ -74,85 +98,59 @@ export default function Leads() {
         }
     };
 
-    const stageColors = {
-        'Cold': 'badge-cold',
-        'Warm': 'badge-warm',
-        'Hot': 'badge-hot',
-        'Closed': 'badge-closed'
-    };
-
-    const statusColors = {
-        'New': 'badge-new',
-        'Call not picked up': 'badge-cold',
-        'Sent details on WhatsApp': 'badge-cold',
-        'Follow up': 'badge-pending',
-        'On going': 'badge-warm',
-        'Fake lead': 'badge-not-interested',
-        'Reject': 'badge-not-interested'
-    };
-
     return (
         <div className="container">
             <div className="flex justify-between items-center" style={{ marginBottom: 'var(--space-6)' }}>
                 <h1>Leads</h1>
-                <Link to="/leads/new" className="btn">Add Lead</Link>
-            </div>
-
-            <div className="card" style={{ marginBottom: 'var(--space-6)' }}>
-                <div className="flex gap-4" style={{ flexWrap: 'wrap' }}>
-                    <div style={{ flex: 1, minWidth: '200px' }}>
-                        <label className="label">Search</label>
-                        <input
-                            type="text"
-                            name="search"
-                            className="input"
-                            placeholder="Name, Phone, City..."
-                            value={filters.search}
-                            onChange={handleFilterChange}
-                        />
-                    </div>
-                    <div style={{ width: '200px' }}>
-                        <label className="label">Status</label>
-                        <select name="status" className="input" value={filters.status} onChange={handleFilterChange}>
-                            <option value="">All Statuses</option>
-                            <option value="New">New</option>
-                            <option value="Call not picked up">Call not picked up</option>
-                            <option value="Sent details on WhatsApp">Sent details on WhatsApp</option>
-                            <option value="Follow up">Follow up</option>
-                            <option value="On going">On going</option>
-                            <option value="Fake lead">Fake lead</option>
-                            <option value="Reject">Reject</option>
-                        </select>
-                    </div>
-                    <div style={{ width: '200px' }}>
-                        <label className="label">Stage</label>
-                        <select name="stage" className="input" value={filters.stage} onChange={handleFilterChange}>
-                            <option value="">All Stages</option>
-                            <option value="Cold">Cold</option>
-                            <option value="Warm">Warm</option>
-                            <option value="Hot">Hot</option>
-                            <option value="Closed">Closed</option>
-                        </select>
-                    </div>
+                <div className="flex gap-4">
+                    <Link to={`/leads/board?${new URLSearchParams(filterParams)}`} className="btn btn-secondary">
+                        <Kanban size={16} /> Board
+                    </Link>
+                    <ExportLeadsMenu params={exportParams} />
+                    <Link to="/leads/new" className="btn">Add Lead</Link>
                 </div>
             </div>
 
+            <LeadFilters filters={filters} />
+
             <div className="card" style={{ padding: 0, overflow: 'hidden' }}>
+                {selected.length > 0 && (
+                    <BulkActionsBar
+                        leadIds={selected}
+                        assignees={canAssign ? assignees : []}
+                        canDelete={canDelete}
+                        onDone={(failedIds) => { setSelected(failedIds); setReloadKey(key => key + 1); }}
+                        onClear={() => setSelected([])}
+                    />
+                )}
                 <div style={{ overflowX: 'auto' }}>
                     <table className="table">
                         <thead>
                             <tr>
-                                <th>Restaurant Name</th>
-                                <th>Phone</th>
-                                <th>City</th>
-                                <th>Status</th>
-                                <th>Stage</th>
-                                <th>Next Follow-up</th>
-                                <th style={{ width: '60px' }}></th>
+                                <th style={{ width: '40px' }}>
+                                    <input
+                                        type="checkbox"
+                                        aria-label="Select all leads on this page"
+                                        checked={allSelected}
+                                        onChange={toggleSelectAll}
+                                    />
+                                </th>
+                                {COLUMNS.map(column => (
+                                    <th key={column.label}>
+                                        {column.sort ? (
+                                            <button type="button" className="th-sort" onClick={() => handleSort(column)}>
+                                                {column.label}
+                                                {sort === column.sort && (order === 'asc' ? <ArrowUp size={12} /> : <ArrowDown size={12} />)}
+                                            </button>
+                                        ) : column.label}
+                                    </th>
+                                ))}
+                                {canAssign && <th>Owner</th>}
+                                {canDelete && <th style={{ width: '60px' }}></th>}
                             </tr>
                         </thead>
                         <tbody>
-                            {filteredLeads.map(lead => (
+                            {result.data.map(lead => (
                                 <tr
                                     key={lead.leadId}
                                     onClick={() => navigate(`/leads/${lead.leadId}`)}
@@ -168,23 +166,33 @@ export default function Leads() {
                                     onFocus={() => setFocusedRow(lead.leadId)}
                                     onBlur={() => setFocusedRow(null)}
                                 >
+                                    <td onClick={e => e.stopPropagation()}>
+                                        <input
+                                            type="checkbox"
+                                            aria-label={`Select ${lead.restaurantName}`}
+                                            checked={selected.includes(lead.leadId)}
+                                            onChange={() => toggleSelected(lead.leadId)}
+                                        />
+                                    </td>
                                     <td style={{ fontWeight: 500 }}>{lead.restaurantName}</td>
                                     <td>{lead.phone}</td>
                                     <td>{lead.city}</td>
                                     <td>
-                                        <span className={`badge ${statusColors[lead.currentStatus] || 'badge-cold'}`}>
+                                        <span className={statusBadgeClass(pipeline, lead.currentStatus)}>
                                             {lead.currentStatus}
                                         </span>
                                     </td>
                                     <td>
-                                        <span className={`badge ${stageColors[lead.leadStage] || 'badge-cold'}`}>
+                                        <span className={stageBadgeClass(pipeline, lead.leadStage)}>
                                             {lead.leadStage}
                                         </span>
                                     </td>
                                     <td>
-                                        {lead.nextFollowUpDate ? format(new Date(lead.nextFollowUpDate), 'MMM d, yyyy') : '-'}
+                                        {lead.nextFollowUpDate ? formatDateOnly(lead.nextFollowUpDate) : '-'}
                                     </td>
-                                    <td style={{ textAlign: 'center' }}>
+                                    <td><LeadScore lead={lead} /></td>
+                                    {canAssign && <td>{ownerName(assignees, user, lead.assignedTo)}</td>}
+                                    {canDelete && <td style={{ textAlign: 'center' }}>
                                         <button
                                             onClick={(e) => handleDelete(e, lead.leadId, lead.restaurantName)}
                                             className="btn-icon-delete"
@@ -212,19 +220,34 @@ export default function Leads() {
                                         >
                                             <Trash2 size={18} />
                                         </button>
-                                    </td>
+                                    </td>}
                                 </tr>
                             ))}
-                            {filteredLeads.length === 0 && (
+                            {result.data.length === 0 && (
                                 <tr>
-                                    <td colSpan="7" style={{ textAlign: 'center', padding: '2rem', color: 'var(--color-text-muted)' }}>
-                                        No leads found.
+                                    <td colSpan="10" style={{ textAlign: 'center', padding: '2rem', color: 'var(--color-text-muted)' }}>
+                                        {loading ? 'Loading...' : 'No leads found.'}
                                     </td>
                                 </tr>
                             )}
                         </tbody>
                     </table>
                 </div>
+
+                <div className="flex justify-between items-center" style={{ padding: 'var(--space-3) var(--space-4)', borderTop: '1px solid var(--color-border)' }}>
+                    <span className="text-muted" style={{ fontSize: '0.875rem' }}>
+                        Showing {firstRow}–{lastRow} of {result.total}
+                    </span>
+                    <div className="flex items-center gap-2">
+                        <button className="btn btn-secondary btn-sm" disabled={page <= 1} onClick={() => updateParams({ page: String(page - 1) })}>
+                            Previous
+                        </button>
+                        <span style={{ fontSize: '0.875rem' }}>Page {result.page} of {result.totalPages}</span>
+                        <button className="btn btn-secondary btn-sm" disabled={page >= result.totalPages} onClick={() => updateParams({ page: String(page + 1) })}>
+                            Next
+                        </button>
+                    </div>
+                </div>
             </div>
         </div>
     );
@@ -0,0 +1,55 @@
+import React, { useState } from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { useAuth, logIn } from '../lib/auth';
+
+export default function Login() {
+    const { user } = useAuth();
+    const location = useLocation();
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(false);
+
+    // Back to the page that sent us here once logged in
+    if (user) {
+        const from = location.state?.from;
+        return <Navigate to={from ? `${from.pathname}${from.search}` : '/'} replace />;
+    }
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        setError('');
+        try {
+            await logIn(email, password);
+        } catch (err) {
+            setError(err.message || 'Login failed.');
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="container" style={{ maxWidth: '400px', paddingTop: '10vh' }}>
+            <h1 style={{ marginBottom: 'var(--space-6)', color: 'var(--color-primary)' }}>RestroIQ</h1>
+
+            <form onSubmit={handleSubmit} className="card">
+                <div className="flex flex-col gap-4">
+                    <div>
+                        <label className="label">Email</label>
+                        <input required type="email" autoComplete="username" className="input" value={email} onChange={e => setEmail(e.target.value)} />
+                    </div>
+                    <div>
+                        <label className="label">Password</label>
+                        <input required type="password" autoComplete="current-password" className="input" value={password} onChange={e => setPassword(e.target.value)} />
+                    </div>
+
+                    {error && <div className="alert-error">{error}</div>}
+
+                    <button type="submit" className="btn" disabled={loading}>
+                        {loading ? 'Logging in...' : 'Log In'}
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+}
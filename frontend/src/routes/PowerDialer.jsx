@@ -0,0 +1,306 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { format } from 'date-fns';
+import { Phone, SkipForward, ArrowLeft } from 'lucide-react';
+import { getCallQueue, getFollowUps, addFollowUp, getNextFollowUpDate } from '../lib/db';
+import { usePipeline, statusBadgeClass, stageBadgeClass, allowedStatuses, allowedStages } from '../lib/pipeline';
+import { loadSkipped, saveSkipped, priorityTitle } from '../lib/callQueue';
+import { formatDateOnly, addDays } from '../lib/dates';
+
+// One-click outcomes: the status logged (and stage, when it should move) for each. The next
+// call is the cadence's date, or retryDays after today when no sequence matches, so a logged
+// call always leaves the queue. Reject closes the lead, which takes it out of the queue anyway.
+const OUTCOMES = [
+    { key: '1', label: 'Not picked up', status: 'Call not picked up', retryDays: 1 },
+    { key: '2', label: 'Sent WhatsApp', status: 'Sent details on WhatsApp', retryDays: 2 },
+    { key: '3', label: 'Interested', status: 'On going', stage: (lead) => (lead.leadStage === 'Cold' ? 'Warm' : undefined), retryDays: 2 },
+    { key: '4', label: 'Reject', status: 'Reject' }
+];
+
+// Earlier notes shown for the lead being called
+const NOTES_SHOWN = 3;
+
+const isTyping = (target) => ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+
+// Dialer: steps through the due calls (overdue, then today's, by priority) one lead at a time.
+// Keys: 1-4 log an outcome, C calls, S skips, N jumps to notes, Q ends the session.
+export default function PowerDialer() {
+    const [searchParams] = useSearchParams();
+    const owner = searchParams.get('assignedTo') ?? 'me';
+    const pipeline = usePipeline();
+    const [session, setSession] = useState(null);
+    const [sessionKey, setSessionKey] = useState(0);
+    const [index, setIndex] = useState(0);
+    const [results, setResults] = useState([]);
+    const [endedAt, setEndedAt] = useState(null);
+    const [history, setHistory] = useState({ leadId: null, followUps: [] });
+    const [notes, setNotes] = useState('');
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+    const notesRef = useRef(null);
+
+    useEffect(() => {
+        let active = true;
+        getCallQueue({ assignedTo: owner })
+            .then(data => {
+                if (!active) return;
+                const skipped = loadSkipped(data.date);
+                const calls = [...data.queues.overdue, ...data.queues.today].filter(l => !skipped.includes(l.leadId));
+                setSession({ date: data.date, calls, startedAt: Date.now() });
+                if (calls.length === 0) setEndedAt(Date.now());
+            })
+            .catch(err => {
+                if (active) setError(err.message || 'Failed to load the call queue.');
+            });
+        return () => { active = false; };
+    }, [owner, sessionKey]);
+
+    const lead = session && !endedAt ? session.calls[index] : null;
+    const leadId = lead?.leadId;
+
+    useEffect(() => {
+        if (!leadId) return;
+        let active = true;
+        getFollowUps(leadId).then(followUps => {
+            if (active) setHistory({ leadId, followUps: followUps.filter(f => f.notes).slice(0, NOTES_SHOWN) });
+        });
+        return () => { active = false; };
+    }, [leadId]);
+
+    const advance = () => {
+        setNotes('');
+        setError('');
+        if (index + 1 >= session.calls.length) setEndedAt(Date.now());
+        else setIndex(index + 1);
+    };
+
+    const isAllowed = (outcome) => lead && allowedStatuses(pipeline, lead.currentStatus).some(s => s.value === outcome.status);
+
+    const logOutcome = async (outcome) => {
+        if (!lead || saving || !isAllowed(outcome)) return;
+        const stage = outcome.stage?.(lead);
+        const leadStage = stage && allowedStages(pipeline, lead.leadStage).some(s => s.value === stage) ? stage : undefined;
+        setSaving(true);
+        setError('');
+        try {
+            let nextFollowUpDate;
+            if (outcome.retryDays) {
+                const plan = await getNextFollowUpDate(lead.leadId, outcome.status, leadStage || lead.leadStage);
+                nextFollowUpDate = plan.nextFollowUpDate || addDays(session.date, outcome.retryDays);
+            }
+            const followUp = await addFollowUp({
+                leadId: lead.leadId,
+                status: outcome.status,
+                notes: notes.trim() || null,
+                ...(leadStage && { leadStage }),
+                ...(nextFollowUpDate && { nextFollowUpDate })
+            });
+            setResults([...results, { lead, outcome: outcome.label, nextFollowUpDate: followUp.nextFollowUpDate }]);
+            advance();
+        } catch (err) {
+            setError(err.message || `Failed to log the call to ${lead.restaurantName}.`);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    // Skipped calls are set aside for the day, as on Today's Calls
+    const skip = () => {
+        if (!lead || saving) return;
+        saveSkipped(session.date, [...loadSkipped(session.date), lead.leadId]);
+        setResults([...results, { lead, outcome: null, nextFollowUpDate: null }]);
+        advance();
+    };
+
+    const endSession = () => setEndedAt(Date.now());
+
+    const restart = () => {
+        setSession(null);
+        setIndex(0);
+        setResults([]);
+        setEndedAt(null);
+        setNotes('');
+        setError('');
+        setSessionKey(key => key + 1);
+    };
+
+    // Re-subscribed on every render so the handler sees the current lead
+    useEffect(() => {
+        const handleKey = (e) => {
+            if (!lead || e.ctrlKey || e.metaKey || e.altKey) return;
+            if (isTyping(e.target)) {
+                if (e.key === 'Escape') e.target.blur();
+                return;
+            }
+            const key = e.key.toLowerCase();
+            const outcome = OUTCOMES.find(o => o.key === key);
+            if (outcome) logOutcome(outcome);
+            else if (key === 'c') window.location.href = `tel:${lead.phone}`;
+            else if (key === 's') skip();
+            else if (key === 'q') endSession();
+            else if (key === 'n') {
+                e.preventDefault();
+                notesRef.current?.focus();
+            }
+        };
+        window.addEventListener('keydown', handleKey);
+        return () => window.removeEventListener('keydown', handleKey);
+    });
+
+    const header = (
+        <div className="flex justify-between items-center" style={{ marginBottom: 'var(--space-6)' }}>
+            <div className="flex items-center gap-4">
+                <Link to="/today" className="btn btn-secondary btn-sm"><ArrowLeft size={16} /> Today's Calls</Link>
+                <h1 style={{ margin: 0 }}>Dialer</h1>
+            </div>
+            {lead && (
+                <div className="flex items-center gap-4">
+                    <span className="text-muted">Call {index + 1} of {session.calls.length}</span>
+                    <button type="button" className="btn btn-secondary btn-sm" onClick={endSession}>
+                        End Session <span className="kbd" style={{ marginLeft: 'var(--space-2)' }}>Q</span>
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+
+    if (!session) {
+        return (
+            <div className="container" style={{ maxWidth: '760px' }}>
+                {header}
+                {error ? <div className="alert-error">{error}</div> : 'Loading...'}
+            </div>
+        );
+    }
+
+    if (endedAt) {
+        const logged = results.filter(r => r.outcome);
+        const minutes = Math.max(Math.round((endedAt - session.startedAt) / 60000), 0);
+        return (
+            <div className="container" style={{ maxWidth: '760px' }}>
+                {header}
+                <div className="card">
+                    <h2>Session Summary</h2>
+                    {session.calls.length === 0 ? (
+                        <p className="text-muted">No calls due. Good job!</p>
+                    ) : (
+                        <>
+                            <p className="text-muted">
+                                {logged.length} call(s) logged and {results.length - logged.length} skipped in {minutes} minute(s)
+                                {session.calls.length > results.length && `; ${session.calls.length - results.length} left in the queue`}.
+                            </p>
+                            <div className="flex gap-4" style={{ flexWrap: 'wrap', marginBottom: 'var(--space-4)' }}>
+                                {OUTCOMES.map(outcome => (
+                                    <div key={outcome.key}>
+                                        <div style={{ fontSize: '1.5rem', fontWeight: 'bold' }}>{logged.filter(r => r.outcome === outcome.label).length}</div>
+                                        <div className="text-muted" style={{ fontSize: '0.875rem' }}>{outcome.label}</div>
+                                    </div>
+                                ))}
+                            </div>
+                            {results.length > 0 && (
+                                <table>
+                                    <thead>
+                                        <tr>
+                                            <th>Restaurant</th>
+                                            <th>Outcome</th>
+                                            <th>Next Call</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {results.map(r => (
+                                            <tr key={r.lead.leadId}>
+                                                <td><Link to={`/leads/${r.lead.leadId}`}>{r.lead.restaurantName}</Link></td>
+                                                <td>{r.outcome || <span className="text-muted">Skipped</span>}</td>
+                                                <td>{r.nextFollowUpDate ? formatDateOnly(r.nextFollowUpDate) : '-'}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            )}
+                        </>
+                    )}
+                    <div className="flex gap-2" style={{ marginTop: 'var(--space-4)' }}>
+                        <button type="button" className="btn" onClick={restart}>New Session</button>
+                        <Link to="/today" className="btn btn-secondary">Back to Today's Calls</Link>
+                    </div>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="container" style={{ maxWidth: '760px' }}>
+            {header}
+            {error && <div className="alert-error" style={{ marginBottom: 'var(--space-4)' }}>{error}</div>}
+
+            <div className="card flex flex-col gap-4">
+                <div className="flex justify-between items-center">
+                    <div>
+                        <div className="flex items-center gap-2">
+                            <span className="badge" title={priorityTitle(lead.priority)}>{lead.priority.score}</span>
+                            <Link to={`/leads/${lead.leadId}`} target="_blank" rel="noreferrer" style={{ fontSize: '1.5rem', fontWeight: 'bold' }}>
+                                {lead.restaurantName}
+                            </Link>
+                        </div>
+                        <div className="flex items-center gap-2 text-muted" style={{ marginTop: 'var(--space-2)', flexWrap: 'wrap' }}>
+                            <span>{lead.city}</span>
+                            <span className={statusBadgeClass(pipeline, lead.currentStatus)}>{lead.currentStatus}</span>
+                            <span className={stageBadgeClass(pipeline, lead.leadStage)}>{lead.leadStage}</span>
+                            <span style={{ fontSize: '0.875rem' }}>Due {formatDateOnly(lead.nextFollowUpDate, 'MMM d')}</span>
+                        </div>
+                    </div>
+                    <a href={`tel:${lead.phone}`} className="btn" style={{ backgroundColor: '#10b981', fontSize: '1.25rem' }}>
+                        <Phone size={20} /> {lead.phone} <span className="kbd" style={{ marginLeft: 'var(--space-2)' }}>C</span>
+                    </a>
+                </div>
+
+                <div>
+                    <div className="label">Recent notes</div>
+                    {history.leadId !== lead.leadId ? (
+                        <div className="text-muted">Loading...</div>
+                    ) : history.followUps.length === 0 ? (
+                        <div className="text-muted">No notes yet.</div>
+                    ) : (
+                        <div className="flex flex-col gap-2">
+                            {history.followUps.map(f => (
+                                <div key={f.followUpId} style={{ fontSize: '0.875rem' }}>
+                                    <span className="text-muted">{format(new Date(f.followUpDate), 'MMM d')} · {f.status}:</span> {f.notes}
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </div>
+
+                <div>
+                    <label className="label" htmlFor="dialer-notes">Notes for this call <span className="kbd" style={{ marginLeft: 'var(--space-2)' }}>N</span></label>
+                    <textarea
+                        id="dialer-notes"
+                        ref={notesRef}
+                        className="input"
+                        rows={2}
+                        value={notes}
+                        onChange={e => setNotes(e.target.value)}
+                        placeholder="Optional; press Esc to get back to the shortcuts"
+                    />
+                </div>
+
+                <div className="flex gap-2" style={{ flexWrap: 'wrap' }}>
+                    {OUTCOMES.map(outcome => (
+                        <button
+                            key={outcome.key}
+                            type="button"
+                            className="btn"
+                            disabled={saving || !isAllowed(outcome)}
+                            onClick={() => logOutcome(outcome)}
+                        >
+                            {outcome.label} <span className="kbd" style={{ marginLeft: 'var(--space-2)' }}>{outcome.key}</span>
+                        </button>
+                    ))}
+                    <button type="button" className="btn btn-secondary" disabled={saving} onClick={skip} style={{ marginLeft: 'auto' }}>
+                        <SkipForward size={16} /> Skip <span className="kbd" style={{ marginLeft: 'var(--space-2)' }}>S</span>
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
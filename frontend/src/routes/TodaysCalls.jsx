@@ -1,57 +1,129 @@
 import React, { useEffect, useState } from 'react';
-import { getLeads } from '../lib/db';
+import { getCallQueue, updateLead } from '../lib/db';
+import { usePipeline, stageBadgeClass } from '../lib/pipeline';
 import { format } from 'date-fns';
 import { Link } from 'react-router-dom';
-import { Phone, CheckCircle, XCircle } from 'lucide-react';
+import { Phone, AlarmClock, SkipForward, Headphones } from 'lucide-react';
+import OwnerScopeSelect from '../components/OwnerScopeSelect';
+import { addDays, formatDateOnly } from '../lib/dates';
+import { loadSkipped, saveSkipped, priorityTitle } from '../lib/callQueue';
+
+const SECTIONS = [
+    { key: 'overdue', title: 'Overdue', empty: 'No overdue calls.' },
+    { key: 'today', title: 'Today', empty: 'No calls scheduled for today. Good job!' },
+    { key: 'upcoming', title: 'Upcoming', empty: 'Nothing scheduled for the next 7 days.' }
+];
 
 export default function TodaysCalls() {
-    const [leads, setLeads] = useState([]);
-    const [loading, setLoading] = useState(true);
+    const [queue, setQueue] = useState(null);
+    const [reloadKey, setReloadKey] = useState(0);
+    const [skipped, setSkipped] = useState([]);
+    const [showSkipped, setShowSkipped] = useState(false);
+    const [busy, setBusy] = useState(null);
+    const [error, setError] = useState('');
+    // Everyone starts with their own calls; managers and admins can switch to their team's
+    const [owner, setOwner] = useState('me');
+    const pipeline = usePipeline();
 
     useEffect(() => {
-        loadCalls();
-    }, []);
+        let active = true;
+        getCallQueue({ assignedTo: owner })
+            .then(data => {
+                if (!active) return;
+                setQueue(data);
+                setSkipped(loadSkipped(data.date));
+                setError('');
+            })
+            .catch(err => {
+                if (active) setError(err.message || 'Failed to load the call queue.');
+            });
+        return () => { active = false; };
+    }, [owner, reloadKey]);
 
-    const loadCalls = async () => {
-        setLoading(true);
-        const allLeads = await getLeads();
-        const todayStr = format(new Date(), 'yyyy-MM-dd');
+    if (!queue) return <div className="container">{error ? <div className="alert-error">{error}</div> : 'Loading...'}</div>;
 
-        // Filter logic:
-        // nextFollowUpDate is today OR (overdue? allow overdue? Prompt says "nextFollowUpDate = today")
-        // Let's include overdue as well just in case, or stick to strict "today"?
-        // "Auto-generated list where: nextFollowUpDate = today"
-        // I will stick to strictly today as per prompt, maybe show overdue in a separate section if I was being fancy, but prompt implies strict.
-        // Actually, for a CRM, if you missed yesterday's call, it should arguably appear today or stay in "overdue".
-        // I will include <= today for robustness (catch up), but header says "Today's". 
-        // Prompt says "nextFollowUpDate = today". I'll stick to that strictly to follow "MANDATORY" rules perfectly unless logical ambiguity.
-        // Clarification: "Calls due today". Usually implies due <= today.
-        // I will use <= today to be safe (missed calls shouldn't disappear).
+    // Move the call to tomorrow; the list reloads so it shows under Upcoming
+    const handleSnooze = async (lead) => {
+        setBusy(lead.leadId);
+        setError('');
+        try {
+            await updateLead({ leadId: lead.leadId, nextFollowUpDate: addDays(queue.date, 1), expectedUpdatedAt: lead.updatedAt });
+            setReloadKey(key => key + 1);
+        } catch (err) {
+            setError(err.message || `Failed to snooze ${lead.restaurantName}.`);
+        } finally {
+            setBusy(null);
+        }
+    };
 
-        const calls = allLeads.filter(l => {
-            if (!l.nextFollowUpDate) return false;
-            // Check if finished
-            if (['Converted', 'Not Interested'].includes(l.currentStatus)) return false;
+    const handleSkip = (lead) => {
+        const next = skipped.includes(lead.leadId) ? skipped.filter(id => id !== lead.leadId) : [...skipped, lead.leadId];
+        setSkipped(next);
+        saveSkipped(queue.date, next);
+    };
 
-            // Check date
-            return l.nextFollowUpDate <= todayStr;
-        });
+    const dueCount = queue.queues.overdue.length + queue.queues.today.length;
+    const skippedDue = [...queue.queues.overdue, ...queue.queues.today].filter(l => skipped.includes(l.leadId)).length;
 
-        // Sort by priority? Hot first? 
-        // Prompt says "Who do I call today". 
-        // I'll sort by Lead Stage priority (Hot -> Warm -> Cold).
-        const stagePriority = { 'Hot': 3, 'Warm': 2, 'Cold': 1, 'Closed': 0 };
-        calls.sort((a, b) => (stagePriority[b.leadStage] || 0) - (stagePriority[a.leadStage] || 0));
+    const renderCall = (lead, section) => {
+        const isSkipped = skipped.includes(lead.leadId);
+        return (
+            <div key={lead.leadId} className="card flex items-center justify-between" style={{ padding: 'var(--space-4)', opacity: isSkipped ? 0.6 : 1 }}>
+                <div style={{ flex: 1 }}>
+                    <div className="flex items-center gap-2">
+                        <span className="badge" title={priorityTitle(lead.priority)}>{lead.priority.score}</span>
+                        <Link to={`/leads/${lead.leadId}`} style={{ fontWeight: 'bold', fontSize: '1.1rem', textDecoration: 'underline' }}>
+                            {lead.restaurantName}
+                        </Link>
+                        <span className={stageBadgeClass(pipeline, lead.leadStage)}>{lead.leadStage}</span>
+                        {section !== 'today' && (
+                            <span className="text-muted" style={{ fontSize: '0.75rem', color: section === 'overdue' ? 'var(--color-danger)' : undefined }}>
+                                {section === 'overdue' ? 'Due' : 'Scheduled'} {formatDateOnly(lead.nextFollowUpDate, 'EEE, MMM d')}
+                            </span>
+                        )}
+                    </div>
+                    <div className="text-muted" style={{ fontSize: '0.875rem', marginTop: '4px' }}>
+                        Status: <span style={{ fontWeight: 500 }}>{lead.currentStatus}</span> • Last Follow-up: {lead.lastFollowUpDate ? format(new Date(lead.lastFollowUpDate), 'MMM d') : 'Never'}
+                        {lead.priority.unansweredAttempts > 0 && ` • ${lead.priority.unansweredAttempts} unanswered in a row`}
+                    </div>
+                </div>
 
-        setLeads(calls);
-        setLoading(false);
+                <div className="flex items-center gap-4">
+                    <div style={{ textAlign: 'right' }}>
+                        <div style={{ fontSize: '1.25rem', fontWeight: 600 }}>{lead.phone}</div>
+                    </div>
+                    <a href={`tel:${lead.phone}`} className="btn btn-sm" style={{ backgroundColor: '#10b981' }}>
+                        <Phone size={16} /> Call
+                    </a>
+                    {section !== 'upcoming' && (
+                        <>
+                            <button type="button" className="btn btn-secondary btn-sm" disabled={busy === lead.leadId} onClick={() => handleSnooze(lead)} title="Move this call to tomorrow">
+                                <AlarmClock size={16} /> Snooze
+                            </button>
+                            <button type="button" className="btn btn-secondary btn-sm" onClick={() => handleSkip(lead)} title={isSkipped ? 'Put this call back in the queue' : 'Set this call aside for today'}>
+                                <SkipForward size={16} /> {isSkipped ? 'Unskip' : 'Skip'}
+                            </button>
+                        </>
+                    )}
+                    <Link to={`/leads/${lead.leadId}`} className="btn btn-secondary btn-sm">
+                        Details
+                    </Link>
+                </div>
+            </div>
+        );
     };
 
-    if (loading) return <div className="container">Loading...</div>;
-
     return (
         <div className="container">
-            <h1>Today's Calls</h1>
+            <div className="flex justify-between items-center" style={{ marginBottom: 'var(--space-6)' }}>
+                <h1 style={{ marginBottom: 0 }}>Today's Calls</h1>
+                <div className="flex items-center gap-4">
+                    <OwnerScopeSelect value={owner} onChange={setOwner} />
+                    <Link to={`/today/dialer?${new URLSearchParams({ assignedTo: owner })}`} className="btn">
+                        <Headphones size={16} /> Start Dialer
+                    </Link>
+                </div>
+            </div>
 
             <div className="card" style={{ marginBottom: 'var(--space-6)', backgroundColor: '#fff7ed', border: '1px solid #fed7aa' }}>
                 <div className="flex items-center gap-4">
@@ -59,48 +131,44 @@ export default function TodaysCalls() {
                         <Phone size={24} />
                     </div>
                     <div>
-                        <div style={{ fontSize: '2rem', fontWeight: 'bold', color: '#9a3412' }}>{leads.length}</div>
-                        <div style={{ color: '#c2410c' }}>Calls to make today</div>
+                        <div style={{ fontSize: '2rem', fontWeight: 'bold', color: '#9a3412' }}>{dueCount - skippedDue}</div>
+                        <div style={{ color: '#c2410c' }}>
+                            Calls to make today{queue.queues.overdue.length > 0 && ` (${queue.queues.overdue.length} overdue)`}
+                            {skippedDue > 0 && `, ${skippedDue} skipped`}
+                        </div>
                     </div>
                 </div>
             </div>
 
-            <div style={{ display: 'grid', gap: 'var(--space-4)' }}>
-                {leads.length === 0 && <div className="text-muted">No calls scheduled for today. Good job!</div>}
-
-                {leads.map(lead => (
-                    <div key={lead.leadId} className="card flex items-center justify-between" style={{ padding: 'var(--space-4)' }}>
-                        <div style={{ flex: 1 }}>
-                            <div className="flex items-center gap-2">
-                                <Link to={`/leads/${lead.leadId}`} style={{ fontWeight: 'bold', fontSize: '1.1rem', textDecoration: 'underline' }}>
-                                    {lead.restaurantName}
-                                </Link>
-                                <span className={`badge badge-${lead.leadStage.toLowerCase()}`}>{lead.leadStage}</span>
-                            </div>
-                            <div className="text-muted" style={{ fontSize: '0.875rem', marginTop: '4px' }}>
-                                Status: <span style={{ fontWeight: 500 }}>{lead.currentStatus}</span> • Last Follow-up: {lead.lastFollowUpDate ? format(new Date(lead.lastFollowUpDate), 'MMM d') : 'Never'}
-                            </div>
-                        </div>
+            {error && <div className="alert-error" style={{ marginBottom: 'var(--space-4)' }}>{error}</div>}
+            {queue.truncated && (
+                <div className="alert-warning" style={{ marginBottom: 'var(--space-4)' }}>
+                    The queue is too long to show in full; upcoming calls are cut off. Pick one rep to see all of theirs.
+                </div>
+            )}
+            {skippedDue > 0 && (
+                <div style={{ marginBottom: 'var(--space-4)' }}>
+                    <button type="button" className="btn btn-secondary btn-sm" onClick={() => setShowSkipped(!showSkipped)}>
+                        {showSkipped ? 'Hide' : 'Show'} {skippedDue} skipped call(s)
+                    </button>
+                </div>
+            )}
 
-                        <div className="flex items-center gap-4">
-                            <div style={{ textAlign: 'right' }}>
-                                <div style={{ fontSize: '1.25rem', fontWeight: 600 }}>{lead.phone}</div>
-                            </div>
-                            <a href={`tel:${lead.phone}`} className="btn btn-sm" style={{ backgroundColor: '#10b981' }}>
-                                <Phone size={16} /> Call
-                            </a>
-                            <Link to={`/leads/${lead.leadId}`} className="btn btn-secondary btn-sm">
-                                Details
-                            </Link>
+            {SECTIONS.map(section => {
+                const calls = queue.queues[section.key].filter(l => showSkipped || section.key === 'upcoming' || !skipped.includes(l.leadId));
+                if (section.key === 'overdue' && calls.length === 0) return null;
+                return (
+                    <div key={section.key} style={{ marginBottom: 'var(--space-6)' }}>
+                        <h2 style={{ color: section.key === 'overdue' ? 'var(--color-danger)' : undefined }}>
+                            {section.title} <span className="text-muted" style={{ fontSize: '1rem' }}>({calls.length})</span>
+                        </h2>
+                        <div style={{ display: 'grid', gap: 'var(--space-4)' }}>
+                            {calls.length === 0 && <div className="text-muted">{section.empty}</div>}
+                            {calls.map(lead => renderCall(lead, section.key))}
                         </div>
                     </div>
-                ))}
-            </div>
+                );
+            })}
         </div>
     );
 }
-
-// Helper for classes
-const badgeClass = (stage) => {
-    // handled in css
-};
@@ -0,0 +1,130 @@
+import React, { useEffect, useState } from 'react';
+import { Navigate } from 'react-router-dom';
+import { format } from 'date-fns';
+import { RotateCcw, Trash2 } from 'lucide-react';
+import { getTrash, restoreLead, purgeTrash } from '../lib/db';
+import { useAuth, can } from '../lib/auth';
+
+export default function Trash() {
+    const { user } = useAuth();
+    const [leads, setLeads] = useState([]);
+    const [retentionDays, setRetentionDays] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [message, setMessage] = useState('');
+    const [error, setError] = useState('');
+
+    const allowed = can(user, 'leads:delete');
+    const canPurge = can(user, 'leads:purge');
+
+    useEffect(() => {
+        if (!allowed) return;
+        let active = true;
+        getTrash()
+            .then(data => {
+                if (!active) return;
+                setLeads(data.leads);
+                setRetentionDays(data.retentionDays);
+            })
+            .catch(err => {
+                if (active) setError(err.message || 'Failed to load the trash.');
+            })
+            .finally(() => {
+                if (active) setLoading(false);
+            });
+        return () => { active = false; };
+    }, [allowed]);
+
+    if (!allowed) return <Navigate to="/" replace />;
+
+    const handleRestore = async (lead) => {
+        setError('');
+        setMessage('');
+        try {
+            await restoreLead(lead.leadId);
+            setLeads(leads.filter(l => l.leadId !== lead.leadId));
+            setMessage(`"${lead.restaurantName}" restored.`);
+        } catch (err) {
+            setError(err.message || 'Failed to restore lead.');
+        }
+    };
+
+    const handlePurge = async () => {
+        if (!window.confirm(`Permanently delete every lead that has been in the trash for more than ${retentionDays} days? This action cannot be undone.`)) {
+            return;
+        }
+        setError('');
+        setMessage('');
+        try {
+            const { purged } = await purgeTrash();
+            const now = new Date();
+            setLeads(leads.filter(l => new Date(l.purgeableAt) > now));
+            setMessage(`Permanently deleted ${purged} lead(s).`);
+        } catch (err) {
+            setError(err.message || 'Failed to purge the trash.');
+        }
+    };
+
+    return (
+        <div className="container">
+            <div className="flex justify-between items-center" style={{ marginBottom: 'var(--space-6)' }}>
+                <h1 style={{ margin: 0 }}>Trash</h1>
+                {canPurge && (
+                    <button type="button" className="btn" onClick={handlePurge} disabled={loading} style={{ backgroundColor: '#ef4444', color: 'white', display: 'flex', alignItems: 'center', gap: '8px' }}>
+                        <Trash2 size={16} /> Purge Old Leads
+                    </button>
+                )}
+            </div>
+            {retentionDays !== null && (
+                <p className="text-muted" style={{ marginBottom: 'var(--space-6)' }}>
+                    Deleted leads stay here for {retentionDays} days and can be restored with their follow-ups.
+                    After that they can be permanently deleted.
+                </p>
+            )}
+
+            {message && <div style={{ marginBottom: 'var(--space-6)', color: 'var(--color-success)', fontSize: '0.875rem' }}>{message}</div>}
+            {error && <div className="alert-error" style={{ marginBottom: 'var(--space-6)' }}>{error}</div>}
+
+            <div className="card" style={{ padding: 0, overflow: 'hidden' }}>
+                <div style={{ overflowX: 'auto' }}>
+                    <table className="table">
+                        <thead>
+                            <tr>
+                                <th>Restaurant</th>
+                                <th>City</th>
+                                <th>Status</th>
+                                <th>Deleted</th>
+                                <th>Deleted By</th>
+                                <th>Purge After</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {leads.map(lead => (
+                                <tr key={lead.leadId}>
+                                    <td style={{ fontWeight: 500 }}>{lead.restaurantName}</td>
+                                    <td>{lead.city}</td>
+                                    <td>{lead.currentStatus}</td>
+                                    <td>{format(new Date(lead.deletedAt), 'MMM d, yyyy HH:mm')}</td>
+                                    <td>{lead.deletedByName || '-'}</td>
+                                    <td>{format(new Date(lead.purgeableAt), 'MMM d, yyyy')}</td>
+                                    <td>
+                                        <button type="button" className="btn btn-secondary btn-sm" onClick={() => handleRestore(lead)} title="Restore lead">
+                                            <RotateCcw size={14} /> Restore
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                            {leads.length === 0 && (
+                                <tr>
+                                    <td colSpan="7" style={{ textAlign: 'center', padding: '2rem', color: 'var(--color-text-muted)' }}>
+                                        {loading ? 'Loading...' : 'The trash is empty.'}
+                                    </td>
+                                </tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,219 @@
+import React, { useEffect, useState } from 'react';
+import { Navigate } from 'react-router-dom';
+import { format } from 'date-fns';
+import { KeyRound, UserPlus } from 'lucide-react';
+import { getUsers, addUser, updateUser } from '../lib/db';
+import { useAuth, can } from '../lib/auth';
+import AssignmentSettings from '../components/AssignmentSettings';
+
+const ROLES = [
+    { value: 'admin', label: 'Admin' },
+    { value: 'manager', label: 'Manager' },
+    { value: 'rep', label: 'Sales Rep' }
+];
+
+// IANA timezones the browser knows; a user without one counts "today" in the org timezone
+const TIMEZONES = Intl.supportedValuesOf('timeZone');
+
+const EMPTY_USER = { name: '', email: '', password: '', role: 'rep', managerId: '' };
+
+export default function Users() {
+    const { user: currentUser } = useAuth();
+    const [users, setUsers] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [reloadKey, setReloadKey] = useState(0);
+    const [newUser, setNewUser] = useState(EMPTY_USER);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const allowed = can(currentUser, 'users:manage');
+
+    useEffect(() => {
+        if (!allowed) return;
+        let active = true;
+        getUsers()
+            .then(data => {
+                if (active) setUsers(data);
+            })
+            .catch(err => {
+                if (active) setError(err.message || 'Failed to load users.');
+            })
+            .finally(() => {
+                if (active) setLoading(false);
+            });
+        return () => { active = false; };
+    }, [allowed, reloadKey]);
+
+    if (!allowed) return <Navigate to="/" replace />;
+
+    const managers = users.filter(u => u.role === 'manager' && u.isActive);
+
+    const handleNewUserChange = (e) => {
+        setNewUser({ ...newUser, [e.target.name]: e.target.value });
+    };
+
+    const handleAdd = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setError('');
+        try {
+            await addUser({ ...newUser, managerId: newUser.role === 'rep' ? newUser.managerId || null : null });
+            setNewUser(EMPTY_USER);
+            setReloadKey(key => key + 1);
+        } catch (err) {
+            setError(err.message || 'Failed to add user.');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    // Changing a role can also clear team links, so reload the whole list afterwards
+    const handleUpdate = async (userId, changes) => {
+        setError('');
+        try {
+            await updateUser(userId, changes);
+            setReloadKey(key => key + 1);
+        } catch (err) {
+            setError(err.message || 'Failed to update user.');
+        }
+    };
+
+    const handleRoleChange = (u, role) => {
+        handleUpdate(u.userId, role === 'rep' ? { role } : { role, managerId: null });
+    };
+
+    const handleResetPassword = (u) => {
+        const password = window.prompt(`New password for ${u.name} (at least 8 characters):`);
+        if (password) handleUpdate(u.userId, { password });
+    };
+
+    return (
+        <div className="container">
+            <h1>Users</h1>
+
+            <form onSubmit={handleAdd} className="card" style={{ marginBottom: 'var(--space-6)' }}>
+                <h3>Add User</h3>
+                <div className="flex gap-4" style={{ flexWrap: 'wrap', alignItems: 'flex-end' }}>
+                    <div style={{ flex: 1, minWidth: '160px' }}>
+                        <label className="label">Name *</label>
+                        <input required type="text" name="name" className="input" value={newUser.name} onChange={handleNewUserChange} />
+                    </div>
+                    <div style={{ flex: 1, minWidth: '200px' }}>
+                        <label className="label">Email *</label>
+                        <input required type="email" name="email" className="input" value={newUser.email} onChange={handleNewUserChange} />
+                    </div>
+                    <div style={{ width: '180px' }}>
+                        <label className="label">Password *</label>
+                        <input required type="password" name="password" minLength={8} autoComplete="new-password" className="input" value={newUser.password} onChange={handleNewUserChange} />
+                    </div>
+                    <div style={{ width: '140px' }}>
+                        <label className="label">Role</label>
+                        <select name="role" className="input" value={newUser.role} onChange={handleNewUserChange}>
+                            {ROLES.map(role => <option key={role.value} value={role.value}>{role.label}</option>)}
+                        </select>
+                    </div>
+                    {newUser.role === 'rep' && (
+                        <div style={{ width: '180px' }}>
+                            <label className="label">Manager</label>
+                            <select name="managerId" className="input" value={newUser.managerId} onChange={handleNewUserChange}>
+                                <option value="">No manager</option>
+                                {managers.map(m => <option key={m.userId} value={m.userId}>{m.name}</option>)}
+                            </select>
+                        </div>
+                    )}
+                    <button type="submit" className="btn" disabled={saving}>
+                        <UserPlus size={16} /> {saving ? 'Adding...' : 'Add User'}
+                    </button>
+                </div>
+            </form>
+
+            {error && <div className="alert-error" style={{ marginBottom: 'var(--space-6)' }}>{error}</div>}
+
+            <div className="card" style={{ padding: 0, overflow: 'hidden' }}>
+                <div style={{ overflowX: 'auto' }}>
+                    <table className="table">
+                        <thead>
+                            <tr>
+                                <th>Name</th>
+                                <th>Email</th>
+                                <th>Role</th>
+                                <th>Manager</th>
+                                <th>Round-robin</th>
+                                <th>Active</th>
+                                <th>Timezone</th>
+                                <th>Last Login</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {users.map(u => {
+                                const isSelf = u.userId === currentUser.userId;
+                                return (
+                                    <tr key={u.userId} style={{ opacity: u.isActive ? 1 : 0.6 }}>
+                                        <td style={{ fontWeight: 500 }}>{u.name}{isSelf && <span className="text-muted"> (you)</span>}</td>
+                                        <td>{u.email}</td>
+                                        <td>
+                                            <select className="input" value={u.role} disabled={isSelf} onChange={e => handleRoleChange(u, e.target.value)}>
+                                                {ROLES.map(role => <option key={role.value} value={role.value}>{role.label}</option>)}
+                                            </select>
+                                        </td>
+                                        <td>
+                                            {u.role === 'rep' ? (
+                                                <select className="input" value={u.managerId || ''} onChange={e => handleUpdate(u.userId, { managerId: e.target.value || null })}>
+                                                    <option value="">No manager</option>
+                                                    {managers.map(m => <option key={m.userId} value={m.userId}>{m.name}</option>)}
+                                                </select>
+                                            ) : '-'}
+                                        </td>
+                                        <td>
+                                            {u.role === 'rep' ? (
+                                                <input
+                                                    type="checkbox"
+                                                    checked={u.inRoundRobin}
+                                                    onChange={e => handleUpdate(u.userId, { inRoundRobin: e.target.checked })}
+                                                    aria-label={`${u.name} in round-robin`}
+                                                />
+                                            ) : '-'}
+                                        </td>
+                                        <td>
+                                            <input
+                                                type="checkbox"
+                                                checked={u.isActive}
+                                                disabled={isSelf}
+                                                onChange={e => handleUpdate(u.userId, { isActive: e.target.checked })}
+                                                aria-label={`${u.name} active`}
+                                            />
+                                        </td>
+                                        <td>
+                                            <select className="input" value={u.timezone || ''} onChange={e => handleUpdate(u.userId, { timezone: e.target.value || null })} aria-label={`${u.name} timezone`}>
+                                                <option value="">Org default ({currentUser.orgTimezone})</option>
+                                                {TIMEZONES.map(tz => <option key={tz} value={tz}>{tz}</option>)}
+                                            </select>
+                                        </td>
+                                        <td>{u.lastLoginAt ? format(new Date(u.lastLoginAt), 'MMM d, yyyy HH:mm') : 'Never'}</td>
+                                        <td>
+                                            <button type="button" className="btn btn-secondary btn-sm" onClick={() => handleResetPassword(u)} title="Reset password">
+                                                <KeyRound size={14} /> Reset Password
+                                            </button>
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                            {users.length === 0 && (
+                                <tr>
+                                    <td colSpan="9" style={{ textAlign: 'center', padding: '2rem', color: 'var(--color-text-muted)' }}>
+                                        {loading ? 'Loading...' : 'No users found.'}
+                                    </td>
+                                </tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+
+            <div style={{ marginTop: 'var(--space-6)' }}>
+                <AssignmentSettings users={users} reloadKey={reloadKey} />
+            </div>
+        </div>
+    );
+}